@@ -187,6 +187,42 @@ const options = {
       {
         name: 'Admin',
         description: 'Administrative functions (admin only)'
+      },
+      {
+        name: 'Budgets',
+        description: 'Per-category spending budgets with live progress'
+      },
+      {
+        name: 'Notifications',
+        description: 'Per-user notification inbox (budget alerts and other events)'
+      },
+      {
+        name: 'Recurring Transactions',
+        description: 'Recurring transaction templates posted automatically by the scheduler'
+      },
+      {
+        name: 'Accounts',
+        description: 'Bank accounts, cards, cash and investment wallets with running balances'
+      },
+      {
+        name: 'Transfers',
+        description: 'Money moved between accounts, posted as a pair of linked transfer transactions'
+      },
+      {
+        name: 'Categorization Rules',
+        description: 'Rules that pick a category for new and imported transactions'
+      },
+      {
+        name: 'Payees',
+        description: 'Canonical merchants and the alias patterns that match raw descriptions to them'
+      },
+      {
+        name: 'Goals',
+        description: 'Savings goals with progress, required contributions and projected completion'
+      },
+      {
+        name: 'Assets',
+        description: 'Manually valued assets and liabilities with dated valuation snapshots'
       }
     ]
   },
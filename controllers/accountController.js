@@ -0,0 +1,510 @@
+const { body, validationResult } = require('express-validator');
+const { pool } = require('../config/database');
+const { clearTransactionCache, clearAnalyticsCache } = require('../middleware/cache');
+const { signedAmountSql } = require('../utils/ledger');
+const { getBaseCurrency } = require('../utils/exchangeRates');
+
+const ACCOUNT_TYPES = ['checking', 'savings', 'credit_card', 'cash', 'investment'];
+
+// Validation rules
+const accountValidation = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Account name must be between 1 and 100 characters'),
+  body('type')
+    .isIn(ACCOUNT_TYPES)
+    .withMessage(`Account type must be one of ${ACCOUNT_TYPES.join(', ')}`),
+  body('currency')
+    .optional()
+    .isISO4217()
+    .withMessage('Currency must be a valid ISO 4217 code (e.g. USD)'),
+  body('opening_balance')
+    .optional()
+    .isFloat()
+    .withMessage('Opening balance must be a number'),
+  body('is_archived')
+    .optional()
+    .isBoolean()
+    .withMessage('is_archived must be a boolean')
+];
+
+// Balance = opening balance + money in - money out posted to the account
+const accountSelect = `
+  SELECT
+    a.id,
+    a.user_id,
+    a.name,
+    a.type,
+    a.currency,
+    a.opening_balance,
+    a.is_archived,
+    a.created_at,
+    a.updated_at,
+    COALESCE(s.transaction_count, 0) as transaction_count,
+    s.last_transaction_date,
+    a.opening_balance + COALESCE(s.net_amount, 0) as current_balance
+  FROM accounts a
+  LEFT JOIN LATERAL (
+    SELECT
+      COUNT(*) as transaction_count,
+      MAX(t.transaction_date) as last_transaction_date,
+      SUM(${signedAmountSql('t')}) as net_amount
+    FROM transactions t
+    WHERE t.account_id = a.id
+  ) s ON TRUE
+`;
+
+// Check for another account of the same user with the same name
+const hasAccountNamed = async (userId, name, excludeId = null) => {
+  const result = await pool.query(
+    `SELECT id FROM accounts
+     WHERE user_id = $1 AND LOWER(name) = LOWER($2)
+       AND ($3::integer IS NULL OR id != $3)`,
+    [userId, name, excludeId]
+  );
+
+  return result.rows.length > 0;
+};
+
+/**
+ * Find an account that transactions for a user may be posted to
+ * @param {number} accountId - Account ID
+ * @param {number} userId - Owner the account must belong to
+ * @returns {Promise<object|null>} Account row, or null when missing, archived or owned by someone else
+ */
+const findUserAccount = async (accountId, userId) => {
+  const result = await pool.query(
+    'SELECT id, name, type, currency FROM accounts WHERE id = $1 AND user_id = $2 AND is_archived = FALSE',
+    [accountId, userId]
+  );
+
+  return result.rows[0] || null;
+};
+
+// Get all accounts for a user with current balances
+const getAccounts = async (req, res) => {
+  try {
+    const userId = req.user.role === 'admin' && req.query.user_id ?
+      parseInt(req.query.user_id) : req.user.id;
+
+    const { type, include_archived } = req.query;
+
+    let whereConditions = ['a.user_id = $1'];
+    let queryParams = [userId];
+    let paramCount = 1;
+
+    if (type && ACCOUNT_TYPES.includes(type)) {
+      paramCount++;
+      whereConditions.push(`a.type = $${paramCount}`);
+      queryParams.push(type);
+    }
+
+    if (include_archived !== 'true') {
+      whereConditions.push('a.is_archived = FALSE');
+    }
+
+    const result = await pool.query(
+      `${accountSelect}
+       WHERE ${whereConditions.join(' AND ')}
+       ORDER BY a.is_archived, a.name`,
+      queryParams
+    );
+
+    res.json({
+      success: true,
+      data: {
+        accounts: result.rows
+      }
+    });
+
+  } catch (error) {
+    console.error('Get accounts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Get a single account by ID
+const getAccount = async (req, res) => {
+  try {
+    const accountId = parseInt(req.params.id);
+
+    let query = `${accountSelect} WHERE a.id = $1`;
+    let queryParams = [accountId];
+
+    // Non-admin users can only see their own accounts
+    if (req.user.role !== 'admin') {
+      query += ' AND a.user_id = $2';
+      queryParams.push(req.user.id);
+    }
+
+    const result = await pool.query(query, queryParams);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Account not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        account: result.rows[0]
+      }
+    });
+
+  } catch (error) {
+    console.error('Get account error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Get an account's transactions with the running balance after each one
+const getAccountLedger = async (req, res) => {
+  try {
+    const accountId = parseInt(req.params.id);
+
+    let checkQuery = 'SELECT id, user_id, name, currency, opening_balance FROM accounts WHERE id = $1';
+    let checkParams = [accountId];
+
+    if (req.user.role !== 'admin') {
+      checkQuery += ' AND user_id = $2';
+      checkParams.push(req.user.id);
+    }
+
+    const accountResult = await pool.query(checkQuery, checkParams);
+
+    if (accountResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Account not found'
+      });
+    }
+
+    const account = accountResult.rows[0];
+
+    // Pagination
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100); // Max 100 per page
+    const offset = (page - 1) * limit;
+
+    // Date filters apply after the running total so balances still include earlier rows
+    const { start_date, end_date } = req.query;
+    let whereConditions = [];
+    let queryParams = [account.id, account.opening_balance];
+    let paramCount = 2;
+
+    if (start_date) {
+      paramCount++;
+      whereConditions.push(`ledger.transaction_date >= $${paramCount}`);
+      queryParams.push(start_date);
+    }
+
+    if (end_date) {
+      paramCount++;
+      whereConditions.push(`ledger.transaction_date <= $${paramCount}`);
+      queryParams.push(end_date);
+    }
+
+    const whereClause = whereConditions.length > 0 ? `WHERE ${whereConditions.join(' AND ')}` : '';
+
+    const ledgerQuery = `
+      SELECT ledger.*, COUNT(*) OVER () as total_count
+      FROM (
+        SELECT
+          t.id,
+          t.amount,
+          t.type,
+          t.description,
+          t.transaction_date,
+          t.category_id,
+          c.name as category_name,
+          t.transfer_id,
+          t.transfer_direction,
+          $2::numeric + SUM(${signedAmountSql('t')})
+            OVER (ORDER BY t.transaction_date, t.id) as running_balance
+        FROM transactions t
+        JOIN categories c ON t.category_id = c.id
+        WHERE t.account_id = $1
+      ) ledger
+      ${whereClause}
+      ORDER BY ledger.transaction_date DESC, ledger.id DESC
+      LIMIT $${paramCount + 1} OFFSET $${paramCount + 2}
+    `;
+
+    const result = await pool.query(ledgerQuery, [...queryParams, limit, offset]);
+
+    const totalItems = result.rows.length > 0 ? parseInt(result.rows[0].total_count) : 0;
+    const totalPages = Math.ceil(totalItems / limit);
+
+    res.json({
+      success: true,
+      data: {
+        account: {
+          id: account.id,
+          name: account.name,
+          currency: account.currency,
+          opening_balance: account.opening_balance
+        },
+        transactions: result.rows.map(({ total_count, ...row }) => row),
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalItems,
+          itemsPerPage: limit,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get account ledger error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Create a new account
+const createAccount = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, type, currency, opening_balance, user_id } = req.body;
+
+    // Admin can create accounts for other users, regular users create for themselves
+    let targetUserId = req.user.id;
+    if (req.user.role === 'admin' && user_id) {
+      targetUserId = parseInt(user_id);
+
+      const userExists = await pool.query('SELECT id FROM users WHERE id = $1', [targetUserId]);
+      if (userExists.rows.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Target user not found'
+        });
+      }
+    }
+
+    if (await hasAccountNamed(targetUserId, name)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Account with this name already exists'
+      });
+    }
+
+    const result = await pool.query(
+      `INSERT INTO accounts (user_id, name, type, currency, opening_balance)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING id`,
+      [targetUserId, name, type, currency ? currency.toUpperCase() : await getBaseCurrency(targetUserId), opening_balance || 0]
+    );
+
+    const accountResult = await pool.query(`${accountSelect} WHERE a.id = $1`, [result.rows[0].id]);
+
+    // The opening balance counts toward net worth
+    await clearAnalyticsCache(targetUserId);
+
+    res.status(201).json({
+      success: true,
+      message: 'Account created successfully',
+      data: {
+        account: accountResult.rows[0]
+      }
+    });
+
+  } catch (error) {
+    console.error('Create account error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Update an account
+const updateAccount = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const accountId = parseInt(req.params.id);
+    const { name, type, currency, opening_balance, is_archived } = req.body;
+
+    // Check if account exists and user has permission to update it
+    let checkQuery = 'SELECT user_id, currency, opening_balance, is_archived FROM accounts WHERE id = $1';
+    let checkParams = [accountId];
+
+    if (req.user.role !== 'admin') {
+      checkQuery += ' AND user_id = $2';
+      checkParams.push(req.user.id);
+    }
+
+    const existingAccount = await pool.query(checkQuery, checkParams);
+
+    if (existingAccount.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Account not found or access denied'
+      });
+    }
+
+    const existing = existingAccount.rows[0];
+
+    if (await hasAccountNamed(existing.user_id, name, accountId)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Another account with this name already exists'
+      });
+    }
+
+    // Posted amounts are in the account's currency, so changing it would reinterpret them
+    if (currency && currency.toUpperCase() !== existing.currency) {
+      const transactionCount = await pool.query(
+        'SELECT COUNT(*) as count FROM transactions WHERE account_id = $1',
+        [accountId]
+      );
+
+      if (parseInt(transactionCount.rows[0].count) > 0) {
+        return res.status(409).json({
+          success: false,
+          message: 'Cannot change the currency of an account that has transactions'
+        });
+      }
+    }
+
+    await pool.query(
+      `UPDATE accounts
+       SET name = $1, type = $2, currency = $3, opening_balance = $4, is_archived = $5, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $6`,
+      [
+        name,
+        type,
+        currency ? currency.toUpperCase() : existing.currency,
+        opening_balance !== undefined ? opening_balance : existing.opening_balance,
+        is_archived !== undefined ? is_archived === true || is_archived === 'true' : existing.is_archived,
+        accountId
+      ]
+    );
+
+    const accountResult = await pool.query(`${accountSelect} WHERE a.id = $1`, [accountId]);
+
+    // Transaction listings show the account name, net worth its opening balance
+    await clearTransactionCache(existing.user_id);
+    await clearAnalyticsCache(existing.user_id);
+
+    res.json({
+      success: true,
+      message: 'Account updated successfully',
+      data: {
+        account: accountResult.rows[0]
+      }
+    });
+
+  } catch (error) {
+    console.error('Update account error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Delete an account
+const deleteAccount = async (req, res) => {
+  try {
+    const accountId = parseInt(req.params.id);
+
+    let checkQuery = 'SELECT user_id FROM accounts WHERE id = $1';
+    let checkParams = [accountId];
+
+    if (req.user.role !== 'admin') {
+      checkQuery += ' AND user_id = $2';
+      checkParams.push(req.user.id);
+    }
+
+    const existingAccount = await pool.query(checkQuery, checkParams);
+
+    if (existingAccount.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Account not found or access denied'
+      });
+    }
+
+    // Check if account has any transactions
+    const transactionCount = await pool.query(
+      'SELECT COUNT(*) as count FROM transactions WHERE account_id = $1',
+      [accountId]
+    );
+
+    if (parseInt(transactionCount.rows[0].count) > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Cannot delete an account that has transactions - archive it instead'
+      });
+    }
+
+    const goalCount = await pool.query(
+      'SELECT COUNT(*) as count FROM goals WHERE account_id = $1',
+      [accountId]
+    );
+
+    if (parseInt(goalCount.rows[0].count) > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Cannot delete an account that savings goals track - delete those goals first'
+      });
+    }
+
+    await pool.query('DELETE FROM accounts WHERE id = $1', [accountId]);
+
+    await clearAnalyticsCache(existingAccount.rows[0].user_id);
+
+    res.json({
+      success: true,
+      message: 'Account deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete account error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getAccounts,
+  getAccount,
+  getAccountLedger,
+  createAccount,
+  updateAccount,
+  deleteAccount,
+  findUserAccount,
+  accountValidation,
+  ACCOUNT_TYPES
+};
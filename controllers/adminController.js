@@ -1,6 +1,16 @@
 const { body, validationResult } = require('express-validator');
 const { pool } = require('../config/database');
-// Removed bcrypt - using plain text passwords
+const { checkBudgetAlerts } = require('../utils/budgetAlerts');
+const { findDuplicateCandidates, flagDuplicates } = require('../utils/duplicateDetection');
+const { findUserAccount } = require('./accountController');
+const { getBaseCurrency, resolveCurrency } = require('../utils/exchangeRates');
+const { findUserCategory } = require('../utils/categoryTree');
+const { loadAliases, matchPayee } = require('../utils/payees');
+const { deleteStoredAttachments } = require('../utils/attachmentStorage');
+const { hashPassword } = require('../utils/passwords');
+const { revokeUserSessions } = require('../utils/sessions');
+const { clearLoginFailures } = require('../utils/loginAttempts');
+const { recordAuditEvent } = require('../utils/auditLog');
 
 // Validation rules for admin user creation
 const createUserValidation = [
@@ -59,12 +69,12 @@ const createUser = async (req, res) => {
       });
     }
 
-    // Create user with specified role (plain text password)
+    // Create user with specified role; the admin vouches for the email address
     const result = await pool.query(
-      `INSERT INTO users (username, email, password, role, first_name, last_name) 
-       VALUES ($1, $2, $3, $4, $5, $6) 
+      `INSERT INTO users (username, email, password, role, first_name, last_name, email_verified_at) 
+       VALUES ($1, $2, $3, $4, $5, $6, CURRENT_TIMESTAMP) 
        RETURNING id, username, email, role, first_name, last_name, created_at`,
-      [username, email, password, role, firstName || null, lastName || null]
+      [username, email, await hashPassword(password), role, firstName || null, lastName || null]
     );
 
     const newUser = result.rows[0];
@@ -128,7 +138,7 @@ const getUsers = async (req, res) => {
 
     // Get users
     const usersQuery = `
-      SELECT id, username, email, role, first_name, last_name, created_at, updated_at
+      SELECT id, username, email, role, first_name, last_name, two_factor_enabled, created_at, updated_at
       FROM users 
       ${whereClause}
       ORDER BY created_at DESC
@@ -168,7 +178,7 @@ const getUser = async (req, res) => {
     const userId = parseInt(req.params.id);
 
     const result = await pool.query(
-      'SELECT id, username, email, role, first_name, last_name, created_at, updated_at FROM users WHERE id = $1',
+      'SELECT id, username, email, role, first_name, last_name, two_factor_enabled, created_at, updated_at FROM users WHERE id = $1',
       [userId]
     );
 
@@ -258,6 +268,9 @@ const updateUserRole = async (req, res) => {
       [role, userId]
     );
 
+    // Tokens carry the old role, so the user signs in again on every device
+    await revokeUserSessions(userId, 'role_change');
+
     res.json({
       success: true,
       message: 'User role updated successfully',
@@ -275,6 +288,216 @@ const updateUserRole = async (req, res) => {
   }
 };
 
+// Lift a login lockout or backoff from a user (admin only)
+const unlockUser = async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id);
+
+    const result = await pool.query(
+      'SELECT id, username, email FROM users WHERE id = $1',
+      [userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const user = result.rows[0];
+    const wasLocked = await clearLoginFailures(user.email);
+
+    await recordAuditEvent({
+      type: 'account_unlocked',
+      userId,
+      actorId: req.user.id,
+      req,
+      details: { email: user.email, wasLocked }
+    });
+
+    res.json({
+      success: true,
+      message: wasLocked ? 'User unlocked successfully' : 'User was not locked; failed login attempts cleared',
+      data: {
+        wasLocked
+      }
+    });
+
+  } catch (error) {
+    console.error('Unlock user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Get audit events, newest first (admin only)
+const getAuditEvents = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const offset = (page - 1) * limit;
+    const { type } = req.query;
+    const userId = parseInt(req.query.user_id);
+
+    let whereConditions = [];
+    let queryParams = [];
+    let paramCount = 0;
+
+    if (type) {
+      paramCount++;
+      whereConditions.push(`ae.event_type = $${paramCount}`);
+      queryParams.push(type);
+    }
+
+    if (userId) {
+      paramCount++;
+      whereConditions.push(`ae.user_id = $${paramCount}`);
+      queryParams.push(userId);
+    }
+
+    const whereClause = whereConditions.length > 0 ? `WHERE ${whereConditions.join(' AND ')}` : '';
+
+    // Get total count
+    const countQuery = `SELECT COUNT(*) as total FROM audit_events ae ${whereClause}`;
+    const countResult = await pool.query(countQuery, queryParams);
+    const totalItems = parseInt(countResult.rows[0].total);
+    const totalPages = Math.ceil(totalItems / limit);
+
+    // Get events
+    const eventsQuery = `
+      SELECT ae.id, ae.event_type, ae.user_id, u.username, ae.actor_id, a.username as actor_username,
+             ae.ip_address, ae.details, ae.created_at
+      FROM audit_events ae
+      LEFT JOIN users u ON u.id = ae.user_id
+      LEFT JOIN users a ON a.id = ae.actor_id
+      ${whereClause}
+      ORDER BY ae.created_at DESC, ae.id DESC
+      LIMIT $${paramCount + 1} OFFSET $${paramCount + 2}
+    `;
+
+    queryParams.push(limit, offset);
+    const result = await pool.query(eventsQuery, queryParams);
+
+    res.json({
+      success: true,
+      data: {
+        events: result.rows,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalItems,
+          itemsPerPage: limit,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get audit events error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Get the security policy of every role (admin only)
+const getRolePolicies = async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT r.role,
+              COALESCE(rp.require_two_factor, FALSE) as require_two_factor,
+              (SELECT COUNT(*) FROM users u WHERE u.role = r.role AND NOT u.two_factor_enabled) as users_without_two_factor,
+              rp.updated_at
+       FROM unnest($1::text[]) AS r(role)
+       LEFT JOIN role_policies rp ON rp.role = r.role`,
+      [['admin', 'user', 'read-only']]
+    );
+
+    res.json({
+      success: true,
+      data: {
+        policies: result.rows.map(policy => ({
+          role: policy.role,
+          requireTwoFactor: policy.require_two_factor,
+          usersWithoutTwoFactor: parseInt(policy.users_without_two_factor),
+          updatedAt: policy.updated_at
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get role policies error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Update the security policy of a role (admin only)
+const updateRolePolicy = async (req, res) => {
+  try {
+    const { role } = req.params;
+    const { requireTwoFactor } = req.body;
+
+    if (!['admin', 'user', 'read-only'].includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid role. Must be admin, user, or read-only'
+      });
+    }
+
+    if (typeof requireTwoFactor !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'requireTwoFactor must be true or false'
+      });
+    }
+
+    // Requiring it without having it would lock the admin out of this very route
+    if (requireTwoFactor && role === req.user.role && !req.user.two_factor_enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Enable two-factor authentication on your own account first'
+      });
+    }
+
+    const result = await pool.query(
+      `INSERT INTO role_policies (role, require_two_factor)
+       VALUES ($1, $2)
+       ON CONFLICT (role) DO UPDATE SET require_two_factor = EXCLUDED.require_two_factor
+       RETURNING role, require_two_factor, updated_at`,
+      [role, requireTwoFactor]
+    );
+
+    const policy = result.rows[0];
+
+    res.json({
+      success: true,
+      message: 'Role policy updated successfully',
+      data: {
+        policy: {
+          role: policy.role,
+          requireTwoFactor: policy.require_two_factor,
+          updatedAt: policy.updated_at
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Update role policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
 // Delete user (admin only)
 const deleteUser = async (req, res) => {
   try {
@@ -301,8 +524,14 @@ const deleteUser = async (req, res) => {
       });
     }
 
+    const attachments = await pool.query(
+      'SELECT storage_key FROM transaction_attachments WHERE user_id = $1',
+      [userId]
+    );
+
     // Delete user (transactions will be cascade deleted due to foreign key constraint)
     await pool.query('DELETE FROM users WHERE id = $1', [userId]);
+    await deleteStoredAttachments(attachments.rows.map(row => row.storage_key));
 
     res.json({
       success: true,
@@ -421,7 +650,7 @@ const getSystemStats = async (req, res) => {
 const createTransactionForUser = async (req, res) => {
   try {
     const { body, validationResult } = require('express-validator');
-    const { clearTransactionCache, clearAnalyticsCache } = require('../middleware/cache');
+    const { clearTransactionCache, clearAnalyticsCache, clearBudgetCache } = require('../middleware/cache');
     
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -433,7 +662,7 @@ const createTransactionForUser = async (req, res) => {
     }
 
     const targetUserId = parseInt(req.params.userId);
-    const { amount, type, category_id, description, transaction_date } = req.body;
+    const { amount, type, category_id, description, transaction_date, account_id, currency } = req.body;
 
     // Verify target user exists
     const userExists = await pool.query('SELECT id, username FROM users WHERE id = $1', [targetUserId]);
@@ -444,20 +673,15 @@ const createTransactionForUser = async (req, res) => {
       });
     }
 
-    // Verify category exists and matches the transaction type
-    const categoryResult = await pool.query(
-      'SELECT id, type, name FROM categories WHERE id = $1',
-      [category_id]
-    );
-
-    if (categoryResult.rows.length === 0) {
+    // Verify the target user can use the category and it matches the transaction type
+    const category = await findUserCategory(category_id, targetUserId);
+    if (!category) {
       return res.status(400).json({
         success: false,
         message: 'Invalid category ID'
       });
     }
 
-    const category = categoryResult.rows[0];
     if (category.type !== type) {
       return res.status(400).json({
         success: false,
@@ -465,19 +689,56 @@ const createTransactionForUser = async (req, res) => {
       });
     }
 
+    const account = account_id ? await findUserAccount(account_id, targetUserId) : null;
+    if (account_id && !account) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid account ID'
+      });
+    }
+
+    const currencyResult = resolveCurrency(
+      currency,
+      account ? account.currency : null,
+      await getBaseCurrency(targetUserId)
+    );
+    if (currencyResult.error) {
+      return res.status(400).json({
+        success: false,
+        message: currencyResult.error
+      });
+    }
+
+    const duplicateCandidates = await findDuplicateCandidates(targetUserId, {
+      amount, currency: currencyResult.currency, type, transaction_date, description
+    });
+
+    // File the transaction under the payee its description matches
+    const payeeAlias = matchPayee(await loadAliases(targetUserId), description);
+
     // Create transaction for the user
     const result = await pool.query(
-      `INSERT INTO transactions (user_id, category_id, amount, type, description, transaction_date)
-       VALUES ($1, $2, $3, $4, $5, $6)
-       RETURNING id, amount, type, description, transaction_date, created_at`,
-      [targetUserId, category_id, amount, type, description || null, transaction_date]
+      `INSERT INTO transactions (user_id, category_id, amount, currency, type, description, transaction_date, account_id, payee_id)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+       RETURNING id, amount, currency, type, description, transaction_date, account_id, payee_id, created_at`,
+      [
+        targetUserId, category_id, amount, currencyResult.currency, type, description || null, transaction_date,
+        account_id || null, payeeAlias ? payeeAlias.payee_id : null
+      ]
     );
 
     const newTransaction = result.rows[0];
+    await flagDuplicates(targetUserId, newTransaction.id, duplicateCandidates)
+      .catch(error => console.error('Duplicate flagging error:', error));
 
     // Clear relevant caches
     await clearTransactionCache(targetUserId);
     await clearAnalyticsCache(targetUserId);
+    await clearBudgetCache(targetUserId);
+
+    if (type === 'expense') {
+      await checkBudgetAlerts(targetUserId, category_id, transaction_date);
+    }
 
     res.status(201).json({
       success: true,
@@ -489,7 +750,8 @@ const createTransactionForUser = async (req, res) => {
           category_name: category.name,
           user_id: targetUserId,
           username: userExists.rows[0].username
-        }
+        },
+        possibleDuplicates: duplicateCandidates
       }
     });
 
@@ -604,6 +866,7 @@ const getAllTransactions = async (req, res) => {
       SELECT 
         t.id,
         t.amount,
+        t.currency,
         t.type,
         t.description,
         t.transaction_date,
@@ -631,6 +894,7 @@ const getAllTransactions = async (req, res) => {
     const transactions = transactionsResult.rows.map(transaction => ({
       id: transaction.id,
       amount: parseFloat(transaction.amount),
+      currency: transaction.currency,
       type: transaction.type,
       description: transaction.description,
       transaction_date: transaction.transaction_date,
@@ -686,7 +950,15 @@ const adminTransactionValidation = [
     .withMessage('Description must be less than 500 characters'),
   body('transaction_date')
     .isISO8601()
-    .withMessage('Transaction date must be a valid date in ISO format')
+    .withMessage('Transaction date must be a valid date in ISO format'),
+  body('account_id')
+    .optional({ values: 'null' })
+    .isInt({ min: 1 })
+    .withMessage('Account ID must be a valid positive integer'),
+  body('currency')
+    .optional()
+    .isISO4217()
+    .withMessage('Currency must be a valid ISO 4217 code (e.g. USD)')
 ];
 
 module.exports = {
@@ -694,6 +966,10 @@ module.exports = {
   getUsers,
   getUser,
   updateUserRole,
+  unlockUser,
+  getAuditEvents,
+  getRolePolicies,
+  updateRolePolicy,
   deleteUser,
   getSystemStats,
   createUserValidation,
@@ -1,4 +1,29 @@
 const { pool } = require('../config/database');
+const {
+  getBaseCurrency,
+  convertedAmountSql,
+  unconvertedColumnsSql,
+  summarizeUnconverted
+} = require('../utils/exchangeRates');
+const { categoryLinesSql } = require('../utils/transactionSplits');
+const { categoryAncestorsCte } = require('../utils/categoryTree');
+const { hasTagSql } = require('../utils/transactionTags');
+const {
+  DEFAULT_FORECAST_MONTHS,
+  MAX_FORECAST_MONTHS,
+  DEFAULT_HISTORY_MONTHS,
+  MAX_HISTORY_MONTHS,
+  CONFIDENCE_LEVELS,
+  buildCashFlowForecast
+} = require('../utils/cashFlowForecast');
+const { SENSITIVITY_LEVELS, findSpendingAnomalies } = require('../utils/spendingAnomalies');
+const { COMPARE_MODES, parseDateOnly, comparisonRange, compareAmounts } = require('../utils/periodComparison');
+const { NET_WORTH_INTERVALS, MAX_POINTS, seriesDates, buildNetWorthSeries } = require('../utils/netWorth');
+const { formatDateOnly, addPeriods } = require('../utils/budgetProgress');
+
+// Query string dates must be real YYYY-MM-DD dates. Date.parse accepts 2026-02-31,
+// so the date has to survive a round trip instead
+const isDateOnly = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && formatDateOnly(parseDateOnly(value)) === value;
 
 // Get monthly spending overview
 const getMonthlyOverview = async (req, res) => {
@@ -8,20 +33,23 @@ const getMonthlyOverview = async (req, res) => {
 
     const { year } = req.query;
     const targetYear = year || new Date().getFullYear();
+    const currency = await getBaseCurrency(userId);
 
     const query = `
       SELECT 
         EXTRACT(MONTH FROM transaction_date) as month,
         type,
-        SUM(amount) as total_amount,
-        COUNT(*) as transaction_count
+        SUM(${convertedAmountSql('$3')}) as total_amount,
+        COUNT(*) as transaction_count,
+        ${unconvertedColumnsSql('$3')}
       FROM transactions 
       WHERE user_id = $1 AND EXTRACT(YEAR FROM transaction_date) = $2
+        AND type IN ('income', 'expense')
       GROUP BY EXTRACT(MONTH FROM transaction_date), type
       ORDER BY month
     `;
 
-    const result = await pool.query(query, [userId, targetYear]);
+    const result = await pool.query(query, [userId, targetYear, currency]);
 
     // Initialize all 12 months
     const monthlyData = [];
@@ -40,7 +68,7 @@ const getMonthlyOverview = async (req, res) => {
     // Populate with actual data
     result.rows.forEach(row => {
       const monthIndex = parseInt(row.month) - 1;
-      const amount = parseFloat(row.total_amount);
+      const amount = parseFloat(row.total_amount) || 0;
       const count = parseInt(row.transaction_count);
 
       if (row.type === 'income') {
@@ -61,6 +89,8 @@ const getMonthlyOverview = async (req, res) => {
       success: true,
       data: {
         year: targetYear,
+        currency,
+        ...summarizeUnconverted(result.rows),
         monthlyOverview: monthlyData
       }
     });
@@ -80,19 +110,22 @@ const getYearlyOverview = async (req, res) => {
     const userId = req.user.role === 'admin' && req.query.user_id ? 
       parseInt(req.query.user_id) : req.user.id;
 
+    const currency = await getBaseCurrency(userId);
+
     const query = `
       SELECT 
         EXTRACT(YEAR FROM transaction_date) as year,
         type,
-        SUM(amount) as total_amount,
-        COUNT(*) as transaction_count
+        SUM(${convertedAmountSql('$2')}) as total_amount,
+        COUNT(*) as transaction_count,
+        ${unconvertedColumnsSql('$2')}
       FROM transactions 
-      WHERE user_id = $1
+      WHERE user_id = $1 AND type IN ('income', 'expense')
       GROUP BY EXTRACT(YEAR FROM transaction_date), type
       ORDER BY year DESC
     `;
 
-    const result = await pool.query(query, [userId]);
+    const result = await pool.query(query, [userId, currency]);
 
     // Group by year
     const yearlyData = {};
@@ -109,7 +142,7 @@ const getYearlyOverview = async (req, res) => {
         };
       }
 
-      const amount = parseFloat(row.total_amount);
+      const amount = parseFloat(row.total_amount) || 0;
       const count = parseInt(row.transaction_count);
 
       if (row.type === 'income') {
@@ -130,6 +163,8 @@ const getYearlyOverview = async (req, res) => {
     res.json({
       success: true,
       data: {
+        currency,
+        ...summarizeUnconverted(result.rows),
         yearlyOverview
       }
     });
@@ -149,12 +184,22 @@ const getCategoryBreakdown = async (req, res) => {
     const userId = req.user.role === 'admin' && req.query.user_id ? 
       parseInt(req.query.user_id) : req.user.id;
 
-    const { type, start_date, end_date } = req.query;
-    const transactionType = type || 'expense';
+    const { type, tag, start_date, end_date } = req.query;
+    // Transfers move money between accounts and are never part of a breakdown
+    const transactionType = type === 'income' ? 'income' : 'expense';
+    const currency = await getBaseCurrency(userId);
+    const amountSql = convertedAmountSql('$3', 't');
 
     let whereConditions = ['t.user_id = $1', 't.type = $2'];
-    let queryParams = [userId, transactionType];
-    let paramCount = 2;
+    let queryParams = [userId, transactionType, currency];
+    let paramCount = 3;
+
+    // e.g. what a trip tagged vacation-2026 cost per category
+    if (tag) {
+      paramCount++;
+      whereConditions.push(hasTagSql(`$${paramCount}`));
+      queryParams.push(String(tag).trim().toLowerCase());
+    }
 
     if (start_date) {
       paramCount++;
@@ -170,35 +215,54 @@ const getCategoryBreakdown = async (req, res) => {
 
     const whereClause = whereConditions.join(' AND ');
 
+    // Every line counts towards its own category and each of its ancestors
     const query = `
+      WITH RECURSIVE ${categoryAncestorsCte}
       SELECT 
         c.id as category_id,
+        c.parent_id,
         c.name as category_name,
         c.color as category_color,
         c.icon as category_icon,
-        SUM(t.amount) as total_amount,
-        COUNT(t.id) as transaction_count,
-        AVG(t.amount) as average_amount,
-        MIN(t.amount) as min_amount,
-        MAX(t.amount) as max_amount
-      FROM transactions t
-      JOIN categories c ON t.category_id = c.id
+        COALESCE(SUM(${amountSql}), 0) as total_amount,
+        COALESCE(SUM(${amountSql}) FILTER (WHERE t.category_id = c.id), 0) as own_amount,
+        COUNT(DISTINCT t.id) as transaction_count,
+        AVG(${amountSql}) as average_amount,
+        MIN(${amountSql}) as min_amount,
+        MAX(${amountSql}) as max_amount
+      FROM ${categoryLinesSql} t
+      JOIN category_ancestors ca ON ca.category_id = t.category_id
+      JOIN categories c ON ca.ancestor_id = c.id
       WHERE ${whereClause}
-      GROUP BY c.id, c.name, c.color, c.icon
+      GROUP BY c.id, c.parent_id, c.name, c.color, c.icon
       ORDER BY total_amount DESC
     `;
 
-    const result = await pool.query(query, queryParams);
+    // Lines share their transaction's currency and date, so whole transactions are counted
+    const unconvertedQuery = `
+      SELECT ${unconvertedColumnsSql('$3', 't')}
+      FROM transactions t
+      WHERE ${whereClause}
+    `;
 
-    // Calculate total for percentage calculation
-    const totalAmount = result.rows.reduce((sum, row) => sum + parseFloat(row.total_amount), 0);
+    const [result, unconvertedResult] = await Promise.all([
+      pool.query(query, queryParams),
+      pool.query(unconvertedQuery, queryParams)
+    ]);
+
+    // Top-level categories already include their subcategories, so only they make up the total
+    const totalAmount = result.rows
+      .filter(row => row.parent_id === null)
+      .reduce((sum, row) => sum + parseFloat(row.total_amount), 0);
 
     const categoryBreakdown = result.rows.map(row => ({
       categoryId: row.category_id,
+      parentId: row.parent_id,
       categoryName: row.category_name,
       categoryColor: row.category_color,
       categoryIcon: row.category_icon,
       totalAmount: parseFloat(row.total_amount),
+      ownAmount: parseFloat(row.own_amount),
       transactionCount: parseInt(row.transaction_count),
       averageAmount: parseFloat(row.average_amount),
       minAmount: parseFloat(row.min_amount),
@@ -210,7 +274,9 @@ const getCategoryBreakdown = async (req, res) => {
       success: true,
       data: {
         type: transactionType,
+        currency,
         totalAmount,
+        ...summarizeUnconverted(unconvertedResult.rows),
         categoryBreakdown
       }
     });
@@ -224,6 +290,198 @@ const getCategoryBreakdown = async (req, res) => {
   }
 };
 
+// Get tag-wise breakdown
+const getTagBreakdown = async (req, res) => {
+  try {
+    const userId = req.user.role === 'admin' && req.query.user_id ? 
+      parseInt(req.query.user_id) : req.user.id;
+
+    const { type, start_date, end_date } = req.query;
+    const transactionType = type === 'income' ? 'income' : 'expense';
+    const currency = await getBaseCurrency(userId);
+    const amountSql = convertedAmountSql('$3', 't');
+
+    let whereConditions = ['t.user_id = $1', 't.type = $2'];
+    let queryParams = [userId, transactionType, currency];
+    let paramCount = 3;
+
+    if (start_date) {
+      paramCount++;
+      whereConditions.push(`t.transaction_date >= $${paramCount}`);
+      queryParams.push(start_date);
+    }
+
+    if (end_date) {
+      paramCount++;
+      whereConditions.push(`t.transaction_date <= $${paramCount}`);
+      queryParams.push(end_date);
+    }
+
+    const whereClause = whereConditions.join(' AND ');
+
+    const query = `
+      SELECT 
+        tg.id as tag_id,
+        tg.name as tag_name,
+        COALESCE(SUM(${amountSql}), 0) as total_amount,
+        COUNT(t.id) as transaction_count,
+        AVG(${amountSql}) as average_amount,
+        MIN(${amountSql}) as min_amount,
+        MAX(${amountSql}) as max_amount,
+        MIN(t.transaction_date) as first_date,
+        MAX(t.transaction_date) as last_date
+      FROM transactions t
+      JOIN transaction_tags tt ON tt.transaction_id = t.id
+      JOIN tags tg ON tt.tag_id = tg.id
+      WHERE ${whereClause}
+      GROUP BY tg.id, tg.name
+      ORDER BY total_amount DESC
+    `;
+
+    // A transaction can carry several tags, so percentages are shares of all
+    // transactions of the type rather than of the tagged totals
+    const totalQuery = `
+      SELECT
+        COALESCE(SUM(${amountSql}), 0) as total_amount,
+        ${unconvertedColumnsSql('$3', 't')}
+      FROM transactions t
+      WHERE ${whereClause}
+    `;
+
+    const [result, totalResult] = await Promise.all([
+      pool.query(query, queryParams),
+      pool.query(totalQuery, queryParams)
+    ]);
+
+    const totalAmount = parseFloat(totalResult.rows[0].total_amount);
+
+    const tagBreakdown = result.rows.map(row => ({
+      tagId: row.tag_id,
+      tagName: row.tag_name,
+      totalAmount: parseFloat(row.total_amount),
+      transactionCount: parseInt(row.transaction_count),
+      averageAmount: parseFloat(row.average_amount),
+      minAmount: parseFloat(row.min_amount),
+      maxAmount: parseFloat(row.max_amount),
+      firstDate: row.first_date,
+      lastDate: row.last_date,
+      percentage: totalAmount > 0 ? ((parseFloat(row.total_amount) / totalAmount) * 100) : 0
+    }));
+
+    res.json({
+      success: true,
+      data: {
+        type: transactionType,
+        currency,
+        totalAmount,
+        ...summarizeUnconverted(totalResult.rows),
+        tagBreakdown
+      }
+    });
+
+  } catch (error) {
+    console.error('Get tag breakdown error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Get top payees by amount
+const getPayeeBreakdown = async (req, res) => {
+  try {
+    const userId = req.user.role === 'admin' && req.query.user_id ? 
+      parseInt(req.query.user_id) : req.user.id;
+
+    const { type, start_date, end_date } = req.query;
+    const transactionType = type === 'income' ? 'income' : 'expense';
+    const limit = Math.min(parseInt(req.query.limit) || 10, 100);
+    const currency = await getBaseCurrency(userId);
+    const amountSql = convertedAmountSql('$3', 't');
+
+    let whereConditions = ['t.user_id = $1', 't.type = $2'];
+    let queryParams = [userId, transactionType, currency];
+    let paramCount = 3;
+
+    if (start_date) {
+      paramCount++;
+      whereConditions.push(`t.transaction_date >= $${paramCount}`);
+      queryParams.push(start_date);
+    }
+
+    if (end_date) {
+      paramCount++;
+      whereConditions.push(`t.transaction_date <= $${paramCount}`);
+      queryParams.push(end_date);
+    }
+
+    const whereClause = whereConditions.join(' AND ');
+
+    const query = `
+      SELECT 
+        p.id as payee_id,
+        p.name as payee_name,
+        COALESCE(SUM(${amountSql}), 0) as total_amount,
+        COUNT(t.id) as transaction_count,
+        AVG(${amountSql}) as average_amount,
+        MAX(t.transaction_date) as last_date
+      FROM transactions t
+      JOIN payees p ON t.payee_id = p.id
+      WHERE ${whereClause}
+      GROUP BY p.id, p.name
+      ORDER BY total_amount DESC
+      LIMIT $${paramCount + 1}
+    `;
+
+    // Totals over every transaction of the type, so the report shows what no payee accounts for
+    const totalQuery = `
+      SELECT
+        COALESCE(SUM(${amountSql}), 0) as total_amount,
+        COALESCE(SUM(${amountSql}) FILTER (WHERE t.payee_id IS NULL), 0) as unassigned_amount,
+        ${unconvertedColumnsSql('$3', 't')}
+      FROM transactions t
+      WHERE ${whereClause}
+    `;
+
+    const [result, totalResult] = await Promise.all([
+      pool.query(query, [...queryParams, limit]),
+      pool.query(totalQuery, queryParams)
+    ]);
+
+    const totalAmount = parseFloat(totalResult.rows[0].total_amount);
+
+    const payeeBreakdown = result.rows.map(row => ({
+      payeeId: row.payee_id,
+      payeeName: row.payee_name,
+      totalAmount: parseFloat(row.total_amount),
+      transactionCount: parseInt(row.transaction_count),
+      averageAmount: parseFloat(row.average_amount),
+      lastDate: row.last_date,
+      percentage: totalAmount > 0 ? ((parseFloat(row.total_amount) / totalAmount) * 100) : 0
+    }));
+
+    res.json({
+      success: true,
+      data: {
+        type: transactionType,
+        currency,
+        totalAmount,
+        unassignedAmount: parseFloat(totalResult.rows[0].unassigned_amount),
+        ...summarizeUnconverted(totalResult.rows),
+        payeeBreakdown
+      }
+    });
+
+  } catch (error) {
+    console.error('Get payee breakdown error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
 // Get income vs expense trends
 const getTrends = async (req, res) => {
   try {
@@ -254,9 +512,11 @@ const getTrends = async (req, res) => {
         break;
     }
 
-    let whereConditions = ['user_id = $1'];
-    let queryParams = [userId];
-    let paramCount = 1;
+    const currency = await getBaseCurrency(userId);
+
+    let whereConditions = ['user_id = $1', "type IN ('income', 'expense')"];
+    let queryParams = [userId, currency];
+    let paramCount = 2;
 
     if (start_date) {
       paramCount++;
@@ -277,8 +537,9 @@ const getTrends = async (req, res) => {
         ${dateExtract} as period,
         TO_CHAR(${dateExtract}, '${dateFormat}') as period_label,
         type,
-        SUM(amount) as total_amount,
-        COUNT(*) as transaction_count
+        SUM(${convertedAmountSql('$2')}) as total_amount,
+        COUNT(*) as transaction_count,
+        ${unconvertedColumnsSql('$2')}
       FROM transactions 
       WHERE ${whereClause}
       GROUP BY ${dateExtract}, type
@@ -302,7 +563,7 @@ const getTrends = async (req, res) => {
         };
       }
 
-      const amount = parseFloat(row.total_amount);
+      const amount = parseFloat(row.total_amount) || 0;
       const count = parseInt(row.transaction_count);
 
       if (row.type === 'income') {
@@ -324,6 +585,8 @@ const getTrends = async (req, res) => {
       success: true,
       data: {
         period: trendPeriod,
+        currency,
+        ...summarizeUnconverted(result.rows),
         trends
       }
     });
@@ -337,6 +600,314 @@ const getTrends = async (req, res) => {
   }
 };
 
+// Project balance, income and expense for the coming months
+const getForecast = async (req, res) => {
+  try {
+    const userId = req.user.role === 'admin' && req.query.user_id ? 
+      parseInt(req.query.user_id) : req.user.id;
+
+    const months = Math.min(Math.max(parseInt(req.query.months) || DEFAULT_FORECAST_MONTHS, 1), MAX_FORECAST_MONTHS);
+    const historyMonths = Math.min(Math.max(parseInt(req.query.history_months) || DEFAULT_HISTORY_MONTHS, 3), MAX_HISTORY_MONTHS);
+    const confidence = parseInt(req.query.confidence) || 80;
+
+    if (!CONFIDENCE_LEVELS.includes(confidence)) {
+      return res.status(400).json({
+        success: false,
+        message: `Confidence must be one of ${CONFIDENCE_LEVELS.join(', ')}`
+      });
+    }
+
+    const currency = await getBaseCurrency(userId);
+    const forecast = await buildCashFlowForecast(userId, currency, { months, historyMonths, confidence });
+
+    res.json({
+      success: true,
+      data: forecast
+    });
+
+  } catch (error) {
+    console.error('Get forecast error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Flag unusual transactions and months, each with an explanation
+const getAnomalies = async (req, res) => {
+  try {
+    const userId = req.user.role === 'admin' && req.query.user_id ? 
+      parseInt(req.query.user_id) : req.user.id;
+
+    const { start_date, end_date } = req.query;
+    const sensitivity = req.query.sensitivity || 'medium';
+
+    if (!SENSITIVITY_LEVELS.includes(sensitivity)) {
+      return res.status(400).json({
+        success: false,
+        message: `Sensitivity must be one of ${SENSITIVITY_LEVELS.join(', ')}`
+      });
+    }
+
+    if ((start_date && !isDateOnly(start_date)) || (end_date && !isDateOnly(end_date))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start and end dates must be dates (YYYY-MM-DD)'
+      });
+    }
+
+    if (start_date && end_date && start_date > end_date) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start date must be on or before end date'
+      });
+    }
+
+    const currency = await getBaseCurrency(userId);
+    const result = await findSpendingAnomalies(userId, currency, {
+      startDate: start_date,
+      endDate: end_date,
+      sensitivity
+    });
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Get anomalies error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Compare totals per category between two date ranges
+const getComparison = async (req, res) => {
+  try {
+    const userId = req.user.role === 'admin' && req.query.user_id ? 
+      parseInt(req.query.user_id) : req.user.id;
+
+    const { type, compare_start_date, compare_end_date } = req.query;
+    const transactionType = type === 'income' ? 'income' : 'expense';
+    const compareTo = req.query.compare_to || 'previous';
+
+    // Defaults to this month so far
+    const today = new Date();
+    const startDate = req.query.start_date || formatDateOnly(new Date(today.getFullYear(), today.getMonth(), 1));
+    const endDate = req.query.end_date || formatDateOnly(today);
+
+    if (!COMPARE_MODES.includes(compareTo)) {
+      return res.status(400).json({
+        success: false,
+        message: `Compare to must be one of ${COMPARE_MODES.join(', ')}`
+      });
+    }
+
+    if (!!compare_start_date !== !!compare_end_date) {
+      return res.status(400).json({
+        success: false,
+        message: 'Compare start and end dates must be given together'
+      });
+    }
+
+    const dates = [startDate, endDate, compare_start_date, compare_end_date].filter(Boolean);
+    if (!dates.every(isDateOnly)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Dates must be dates (YYYY-MM-DD)'
+      });
+    }
+
+    const previousRange = compare_start_date
+      ? { startDate: compare_start_date, endDate: compare_end_date }
+      : comparisonRange(startDate, endDate, compareTo);
+
+    if (startDate > endDate || previousRange.startDate > previousRange.endDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start date must be on or before end date'
+      });
+    }
+
+    const currency = await getBaseCurrency(userId);
+    const amountSql = convertedAmountSql('$3', 't');
+    const queryParams = [
+      userId, transactionType, currency,
+      startDate, endDate, previousRange.startDate, previousRange.endDate
+    ];
+    const inCurrent = 't.transaction_date >= $4 AND t.transaction_date <= $5';
+    const inPrevious = 't.transaction_date >= $6 AND t.transaction_date <= $7';
+
+    // Every line counts towards its own category and each of its ancestors, as in the breakdown
+    const categoryQuery = `
+      WITH RECURSIVE ${categoryAncestorsCte}
+      SELECT
+        c.id as category_id,
+        c.parent_id,
+        c.name as category_name,
+        c.color as category_color,
+        c.icon as category_icon,
+        COALESCE(SUM(${amountSql}) FILTER (WHERE ${inCurrent}), 0) as current_amount,
+        COALESCE(SUM(${amountSql}) FILTER (WHERE ${inPrevious}), 0) as previous_amount
+      FROM ${categoryLinesSql} t
+      JOIN category_ancestors ca ON ca.category_id = t.category_id
+      JOIN categories c ON ca.ancestor_id = c.id
+      WHERE t.user_id = $1 AND t.type = $2 AND ((${inCurrent}) OR (${inPrevious}))
+      GROUP BY c.id, c.parent_id, c.name, c.color, c.icon
+    `;
+
+    const totalQuery = `
+      SELECT
+        COALESCE(SUM(${amountSql}) FILTER (WHERE ${inCurrent}), 0) as current_amount,
+        COALESCE(SUM(${amountSql}) FILTER (WHERE ${inPrevious}), 0) as previous_amount,
+        COUNT(*) FILTER (WHERE ${inCurrent}) as current_count,
+        COUNT(*) FILTER (WHERE ${inPrevious}) as previous_count
+      FROM transactions t
+      WHERE t.user_id = $1 AND t.type = $2
+    `;
+
+    const unconvertedQuery = `
+      SELECT ${unconvertedColumnsSql('$3', 't')}
+      FROM transactions t
+      WHERE t.user_id = $1 AND t.type = $2 AND ((${inCurrent}) OR (${inPrevious}))
+    `;
+
+    const [categoryResult, totalResult, unconvertedResult] = await Promise.all([
+      pool.query(categoryQuery, queryParams),
+      pool.query(totalQuery, queryParams),
+      pool.query(unconvertedQuery, queryParams)
+    ]);
+
+    const categories = categoryResult.rows
+      .map(row => {
+        const currentAmount = parseFloat(row.current_amount);
+        const previousAmount = parseFloat(row.previous_amount);
+
+        return {
+          categoryId: row.category_id,
+          parentId: row.parent_id,
+          categoryName: row.category_name,
+          categoryColor: row.category_color,
+          categoryIcon: row.category_icon,
+          currentAmount,
+          previousAmount,
+          ...compareAmounts(currentAmount, previousAmount)
+        };
+      })
+      .sort((a, b) => Math.abs(b.change) - Math.abs(a.change));
+
+    const totals = totalResult.rows[0];
+    const currentTotal = parseFloat(totals.current_amount);
+    const previousTotal = parseFloat(totals.previous_amount);
+    const { status, ...totalChange } = compareAmounts(currentTotal, previousTotal);
+
+    const highlight = (wanted, amountKey) => categories
+      .filter(category => category.status === wanted)
+      .map(category => ({
+        categoryId: category.categoryId,
+        parentId: category.parentId,
+        categoryName: category.categoryName,
+        amount: category[amountKey]
+      }));
+
+    res.json({
+      success: true,
+      data: {
+        type: transactionType,
+        currency,
+        ...summarizeUnconverted(unconvertedResult.rows),
+        current: {
+          startDate,
+          endDate,
+          totalAmount: currentTotal,
+          transactionCount: parseInt(totals.current_count)
+        },
+        previous: {
+          ...previousRange,
+          totalAmount: previousTotal,
+          transactionCount: parseInt(totals.previous_count)
+        },
+        ...totalChange,
+        newCategories: highlight('new', 'currentAmount'),
+        droppedCategories: highlight('dropped', 'previousAmount'),
+        categories
+      }
+    });
+
+  } catch (error) {
+    console.error('Get comparison error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Net worth over time from account balances, assets and liabilities
+const getNetWorth = async (req, res) => {
+  try {
+    const userId = req.user.role === 'admin' && req.query.user_id ? 
+      parseInt(req.query.user_id) : req.user.id;
+
+    const { start_date, end_date } = req.query;
+    const interval = req.query.interval || 'monthly';
+
+    if (!NET_WORTH_INTERVALS.includes(interval)) {
+      return res.status(400).json({
+        success: false,
+        message: `Interval must be one of ${NET_WORTH_INTERVALS.join(', ')}`
+      });
+    }
+
+    if ((start_date && !isDateOnly(start_date)) || (end_date && !isDateOnly(end_date))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start and end dates must be dates (YYYY-MM-DD)'
+      });
+    }
+
+    // Defaults to the last 12 months, this one included
+    const today = new Date();
+    const endDate = end_date ? parseDateOnly(end_date) : new Date(today.getFullYear(), today.getMonth(), today.getDate());
+    const startDate = start_date
+      ? parseDateOnly(start_date)
+      : addPeriods(new Date(endDate.getFullYear(), endDate.getMonth(), 1), 'monthly', -11);
+
+    if (startDate > endDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start date must be on or before end date'
+      });
+    }
+
+    if (seriesDates(startDate, endDate, interval).length > MAX_POINTS) {
+      return res.status(400).json({
+        success: false,
+        message: `Date range is too long for a ${interval} series (at most ${MAX_POINTS} points)`
+      });
+    }
+
+    const currency = await getBaseCurrency(userId);
+    const netWorth = await buildNetWorthSeries(userId, currency, { startDate, endDate, interval });
+
+    res.json({
+      success: true,
+      data: netWorth
+    });
+
+  } catch (error) {
+    console.error('Get net worth error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
 // Get dashboard summary
 const getDashboardSummary = async (req, res) => {
   try {
@@ -344,8 +915,9 @@ const getDashboardSummary = async (req, res) => {
       parseInt(req.query.user_id) : req.user.id;
 
     const { period } = req.query;
+    const currency = await getBaseCurrency(userId);
     let dateCondition = '';
-    let queryParams = [userId];
+    let queryParams = [userId, currency];
 
     // Set date condition based on period
     switch (period) {
@@ -369,10 +941,11 @@ const getDashboardSummary = async (req, res) => {
       SELECT 
         type,
         COUNT(*) as transaction_count,
-        SUM(amount) as total_amount,
-        AVG(amount) as average_amount
+        SUM(${convertedAmountSql('$2')}) as total_amount,
+        AVG(${convertedAmountSql('$2')}) as average_amount,
+        ${unconvertedColumnsSql('$2')}
       FROM transactions 
-      WHERE user_id = $1 ${dateCondition}
+      WHERE user_id = $1 AND type IN ('income', 'expense') ${dateCondition}
       GROUP BY type
     `;
 
@@ -383,6 +956,8 @@ const getDashboardSummary = async (req, res) => {
       SELECT 
         t.id,
         t.amount,
+        t.currency,
+        ${convertedAmountSql('$2', 't')} as converted_amount,
         t.type,
         t.description,
         t.transaction_date,
@@ -398,18 +973,20 @@ const getDashboardSummary = async (req, res) => {
 
     const recentResult = await pool.query(recentTransactionsQuery, queryParams);
 
-    // Get top categories
+    // Get top categories, with subcategories rolled up into their top-level category
     const topCategoriesQuery = `
+      WITH RECURSIVE ${categoryAncestorsCte}
       SELECT 
         c.name as category_name,
         c.color as category_color,
         c.icon as category_icon,
         t.type,
-        SUM(t.amount) as total_amount,
-        COUNT(t.id) as transaction_count
-      FROM transactions t
-      JOIN categories c ON t.category_id = c.id
-      WHERE t.user_id = $1 ${dateCondition}
+        COALESCE(SUM(${convertedAmountSql('$2', 't')}), 0) as total_amount,
+        COUNT(DISTINCT t.id) as transaction_count
+      FROM ${categoryLinesSql} t
+      JOIN category_ancestors ca ON ca.category_id = t.category_id
+      JOIN categories c ON ca.ancestor_id = c.id AND c.parent_id IS NULL
+      WHERE t.user_id = $1 AND t.type IN ('income', 'expense') ${dateCondition}
       GROUP BY c.id, c.name, c.color, c.icon, t.type
       ORDER BY total_amount DESC
       LIMIT 5
@@ -438,6 +1015,8 @@ const getDashboardSummary = async (req, res) => {
       success: true,
       data: {
         period: period || 'all',
+        currency,
+        ...summarizeUnconverted(summaryResult.rows),
         summary,
         recentTransactions: recentResult.rows,
         topCategories: categoriesResult.rows.map(row => ({
@@ -464,6 +1043,12 @@ module.exports = {
   getMonthlyOverview,
   getYearlyOverview,
   getCategoryBreakdown,
+  getTagBreakdown,
+  getPayeeBreakdown,
   getTrends,
+  getForecast,
+  getAnomalies,
+  getComparison,
+  getNetWorth,
   getDashboardSummary
 };
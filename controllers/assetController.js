@@ -0,0 +1,442 @@
+const { body, validationResult } = require('express-validator');
+const { pool } = require('../config/database');
+const { clearAnalyticsCache } = require('../middleware/cache');
+const { formatDateOnly } = require('../utils/budgetProgress');
+
+const ASSET_TYPES = ['asset', 'liability'];
+
+// Validation rules
+const assetValidation = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Asset name must be between 1 and 100 characters'),
+  body('type')
+    .isIn(ASSET_TYPES)
+    .withMessage(`Type must be one of ${ASSET_TYPES.join(', ')}`),
+  body('currency')
+    .optional()
+    .isISO4217()
+    .withMessage('Currency must be a valid ISO 4217 code (e.g. USD)')
+];
+
+const valuationValidation = [
+  body('value')
+    .isFloat({ min: 0 })
+    .withMessage('Value must be zero or a positive number'),
+  body('valuation_date')
+    .optional()
+    .isISO8601({ strict: true })
+    .withMessage('Valuation date must be a valid date (YYYY-MM-DD)')
+];
+
+// An asset can be created with its first valuation
+const createAssetValidation = [
+  ...assetValidation,
+  body('value')
+    .optional({ values: 'null' })
+    .isFloat({ min: 0 })
+    .withMessage('Value must be zero or a positive number'),
+  body('valuation_date')
+    .optional()
+    .isISO8601({ strict: true })
+    .withMessage('Valuation date must be a valid date (YYYY-MM-DD)')
+];
+
+// Current value = the latest valuation
+const assetSelect = `
+  SELECT
+    a.id,
+    a.user_id,
+    a.name,
+    a.type,
+    a.currency,
+    v.value as current_value,
+    v.valuation_date as valued_on,
+    (SELECT COUNT(*) FROM asset_valuations av WHERE av.asset_id = a.id) as valuation_count,
+    a.created_at,
+    a.updated_at
+  FROM assets a
+  LEFT JOIN LATERAL (
+    SELECT value, valuation_date
+    FROM asset_valuations av
+    WHERE av.asset_id = a.id
+    ORDER BY av.valuation_date DESC
+    LIMIT 1
+  ) v ON TRUE
+`;
+
+// Check for another asset of the same user with the same name
+const hasAssetNamed = async (userId, name, excludeId = null) => {
+  const result = await pool.query(
+    `SELECT id FROM assets
+     WHERE user_id = $1 AND LOWER(name) = LOWER($2)
+       AND ($3::integer IS NULL OR id != $3)`,
+    [userId, name, excludeId]
+  );
+
+  return result.rows.length > 0;
+};
+
+// Load an asset the current user is allowed to see
+const findAsset = async (req, id) => {
+  let query = 'SELECT id, user_id, currency FROM assets WHERE id = $1';
+  let queryParams = [id];
+
+  if (req.user.role !== 'admin') {
+    query += ' AND user_id = $2';
+    queryParams.push(req.user.id);
+  }
+
+  const result = await pool.query(query, queryParams);
+  return result.rows[0] || null;
+};
+
+// Record a valuation, replacing any other on the same date
+const saveValuation = async (db, assetId, valuationDate, value) => {
+  const result = await db.query(
+    `INSERT INTO asset_valuations (asset_id, valuation_date, value)
+     VALUES ($1, $2, $3)
+     ON CONFLICT (asset_id, valuation_date) DO UPDATE SET value = EXCLUDED.value
+     RETURNING id, asset_id, valuation_date, value, created_at`,
+    [assetId, valuationDate || formatDateOnly(new Date()), value]
+  );
+
+  return result.rows[0];
+};
+
+// Get all assets and liabilities for a user with their current values
+const getAssets = async (req, res) => {
+  try {
+    const userId = req.user.role === 'admin' && req.query.user_id ?
+      parseInt(req.query.user_id) : req.user.id;
+
+    const { type } = req.query;
+
+    let whereConditions = ['a.user_id = $1'];
+    let queryParams = [userId];
+
+    if (type && ASSET_TYPES.includes(type)) {
+      whereConditions.push('a.type = $2');
+      queryParams.push(type);
+    }
+
+    const result = await pool.query(
+      `${assetSelect}
+       WHERE ${whereConditions.join(' AND ')}
+       ORDER BY a.type, a.name`,
+      queryParams
+    );
+
+    res.json({
+      success: true,
+      data: {
+        assets: result.rows
+      }
+    });
+
+  } catch (error) {
+    console.error('Get assets error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Get a single asset with its valuation history
+const getAsset = async (req, res) => {
+  try {
+    const asset = await findAsset(req, parseInt(req.params.id));
+    if (!asset) {
+      return res.status(404).json({
+        success: false,
+        message: 'Asset not found'
+      });
+    }
+
+    const [assetResult, valuationsResult] = await Promise.all([
+      pool.query(`${assetSelect} WHERE a.id = $1`, [asset.id]),
+      pool.query(
+        `SELECT id, asset_id, valuation_date, value, created_at
+         FROM asset_valuations
+         WHERE asset_id = $1
+         ORDER BY valuation_date DESC`,
+        [asset.id]
+      )
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        asset: {
+          ...assetResult.rows[0],
+          valuations: valuationsResult.rows
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get asset error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Create a new asset or liability, optionally with its first valuation
+const createAsset = async (req, res) => {
+  let client;
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, type, currency, value, valuation_date, user_id } = req.body;
+
+    // Admin can create assets for other users, regular users create for themselves
+    let targetUserId = req.user.id;
+    if (req.user.role === 'admin' && user_id) {
+      targetUserId = parseInt(user_id);
+
+      const userExists = await pool.query('SELECT id FROM users WHERE id = $1', [targetUserId]);
+      if (userExists.rows.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Target user not found'
+        });
+      }
+    }
+
+    if (await hasAssetNamed(targetUserId, name)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Asset with this name already exists'
+      });
+    }
+
+    client = await pool.connect();
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      `INSERT INTO assets (user_id, name, type, currency)
+       VALUES ($1, $2, $3, $4)
+       RETURNING id`,
+      [targetUserId, name, type, (currency || 'USD').toUpperCase()]
+    );
+
+    const assetId = result.rows[0].id;
+    if (value !== undefined && value !== null) {
+      await saveValuation(client, assetId, valuation_date, value);
+    }
+
+    await client.query('COMMIT');
+
+    const assetResult = await pool.query(`${assetSelect} WHERE a.id = $1`, [assetId]);
+
+    await clearAnalyticsCache(targetUserId);
+
+    res.status(201).json({
+      success: true,
+      message: 'Asset created successfully',
+      data: {
+        asset: assetResult.rows[0]
+      }
+    });
+
+  } catch (error) {
+    if (client) await client.query('ROLLBACK');
+    console.error('Create asset error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  } finally {
+    if (client) client.release();
+  }
+};
+
+// Update an asset or liability
+const updateAsset = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, type, currency } = req.body;
+
+    const asset = await findAsset(req, parseInt(req.params.id));
+    if (!asset) {
+      return res.status(404).json({
+        success: false,
+        message: 'Asset not found or access denied'
+      });
+    }
+
+    if (await hasAssetNamed(asset.user_id, name, asset.id)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Another asset with this name already exists'
+      });
+    }
+
+    await pool.query(
+      `UPDATE assets
+       SET name = $1, type = $2, currency = $3, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $4`,
+      [name, type, currency ? currency.toUpperCase() : asset.currency, asset.id]
+    );
+
+    const assetResult = await pool.query(`${assetSelect} WHERE a.id = $1`, [asset.id]);
+
+    await clearAnalyticsCache(asset.user_id);
+
+    res.json({
+      success: true,
+      message: 'Asset updated successfully',
+      data: {
+        asset: assetResult.rows[0]
+      }
+    });
+
+  } catch (error) {
+    console.error('Update asset error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Delete an asset or liability with its valuation history
+const deleteAsset = async (req, res) => {
+  try {
+    const asset = await findAsset(req, parseInt(req.params.id));
+    if (!asset) {
+      return res.status(404).json({
+        success: false,
+        message: 'Asset not found or access denied'
+      });
+    }
+
+    await pool.query('DELETE FROM assets WHERE id = $1', [asset.id]);
+
+    await clearAnalyticsCache(asset.user_id);
+
+    res.json({
+      success: true,
+      message: 'Asset deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete asset error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Record what an asset was worth (or a liability owed) on a date
+const addValuation = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const asset = await findAsset(req, parseInt(req.params.id));
+    if (!asset) {
+      return res.status(404).json({
+        success: false,
+        message: 'Asset not found or access denied'
+      });
+    }
+
+    const valuation = await saveValuation(pool, asset.id, req.body.valuation_date, req.body.value);
+
+    await clearAnalyticsCache(asset.user_id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Valuation recorded successfully',
+      data: {
+        valuation
+      }
+    });
+
+  } catch (error) {
+    console.error('Add valuation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Delete one valuation of an asset
+const deleteValuation = async (req, res) => {
+  try {
+    const asset = await findAsset(req, parseInt(req.params.id));
+    if (!asset) {
+      return res.status(404).json({
+        success: false,
+        message: 'Asset not found or access denied'
+      });
+    }
+
+    const result = await pool.query(
+      'DELETE FROM asset_valuations WHERE id = $1 AND asset_id = $2 RETURNING id',
+      [parseInt(req.params.valuationId), asset.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Valuation not found'
+      });
+    }
+
+    await clearAnalyticsCache(asset.user_id);
+
+    res.json({
+      success: true,
+      message: 'Valuation deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete valuation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getAssets,
+  getAsset,
+  createAsset,
+  updateAsset,
+  deleteAsset,
+  addValuation,
+  deleteValuation,
+  assetValidation,
+  createAssetValidation,
+  valuationValidation
+};
@@ -0,0 +1,248 @@
+const crypto = require('crypto');
+const path = require('path');
+const { pool } = require('../config/database');
+const { ATTACHMENT_TYPES, normalizeMimeType, detectAttachmentType } = require('../middleware/upload');
+const { getAttachmentStorage, deleteStoredAttachments } = require('../utils/attachmentStorage');
+
+const MAX_ATTACHMENTS_PER_TRANSACTION = parseInt(process.env.ATTACHMENT_MAX_PER_TRANSACTION) || 10;
+
+const attachmentSelect = `
+  SELECT id, transaction_id, user_id, file_name, content_type, size_bytes, created_at
+  FROM transaction_attachments
+`;
+
+// Load a transaction the current user is allowed to see
+const findTransaction = async (req, id) => {
+  let query = 'SELECT id, user_id, transfer_id FROM transactions WHERE id = $1';
+  let queryParams = [id];
+
+  if (req.user.role !== 'admin') {
+    query += ' AND user_id = $2';
+    queryParams.push(req.user.id);
+  }
+
+  const result = await pool.query(query, queryParams);
+  return result.rows[0] || null;
+};
+
+// Load one attachment of a transaction the current user is allowed to see
+const findAttachment = async (req, transactionId, attachmentId) => {
+  let query = `
+    SELECT ta.id, ta.transaction_id, ta.user_id, ta.storage_key, ta.file_name, ta.content_type, ta.size_bytes, ta.created_at
+    FROM transaction_attachments ta
+    JOIN transactions t ON ta.transaction_id = t.id
+    WHERE ta.id = $1 AND ta.transaction_id = $2
+  `;
+  let queryParams = [attachmentId, transactionId];
+
+  if (req.user.role !== 'admin') {
+    query += ' AND t.user_id = $3';
+    queryParams.push(req.user.id);
+  }
+
+  const result = await pool.query(query, queryParams);
+  return result.rows[0] || null;
+};
+
+// Keep the uploaded name readable in listings and downloads without trusting it as a path
+const cleanFileName = (originalName, extension) => {
+  const name = path.basename(String(originalName || ''))
+    .replace(/[\u0000-\u001f\u007f"\\]/g, '')
+    .trim()
+    .slice(0, 255);
+
+  return name || `receipt${extension}`;
+};
+
+// Get the attachments of a transaction
+const getAttachments = async (req, res) => {
+  try {
+    const transactionId = parseInt(req.params.id);
+
+    const transaction = await findTransaction(req, transactionId);
+    if (!transaction) {
+      return res.status(404).json({
+        success: false,
+        message: 'Transaction not found or access denied'
+      });
+    }
+
+    const result = await pool.query(
+      `${attachmentSelect} WHERE transaction_id = $1 ORDER BY created_at, id`,
+      [transactionId]
+    );
+
+    res.json({
+      success: true,
+      data: {
+        attachments: result.rows
+      }
+    });
+
+  } catch (error) {
+    console.error('Get attachments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Upload a receipt to a transaction
+const uploadAttachment = async (req, res) => {
+  try {
+    const transactionId = parseInt(req.params.id);
+
+    const transaction = await findTransaction(req, transactionId);
+    if (!transaction) {
+      return res.status(404).json({
+        success: false,
+        message: 'Transaction not found or access denied'
+      });
+    }
+
+    // Transfer legs are replaced whenever their transfer changes, which would drop the files
+    if (transaction.transfer_id) {
+      return res.status(400).json({
+        success: false,
+        message: 'Attachments cannot be added to transfer transactions'
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Attachment file is required (multipart field "file")'
+      });
+    }
+
+    const contentType = detectAttachmentType(req.file.buffer);
+    if (!contentType || contentType !== normalizeMimeType(req.file.mimetype)) {
+      return res.status(400).json({
+        success: false,
+        message: `File content does not match its declared type. Allowed types: ${Object.keys(ATTACHMENT_TYPES).join(', ')}`
+      });
+    }
+
+    const countResult = await pool.query(
+      'SELECT COUNT(*) as count FROM transaction_attachments WHERE transaction_id = $1',
+      [transactionId]
+    );
+
+    if (parseInt(countResult.rows[0].count) >= MAX_ATTACHMENTS_PER_TRANSACTION) {
+      return res.status(400).json({
+        success: false,
+        message: `A transaction can have at most ${MAX_ATTACHMENTS_PER_TRANSACTION} attachments`
+      });
+    }
+
+    const extension = ATTACHMENT_TYPES[contentType];
+    const storageKey = `${transaction.user_id}/${transactionId}/${crypto.randomUUID()}${extension}`;
+    const storage = getAttachmentStorage();
+
+    await storage.putObject(storageKey, req.file.buffer, contentType);
+
+    let result;
+    try {
+      result = await pool.query(
+        `INSERT INTO transaction_attachments (transaction_id, user_id, storage_key, file_name, content_type, size_bytes)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING id, transaction_id, user_id, file_name, content_type, size_bytes, created_at`,
+        [transactionId, transaction.user_id, storageKey, cleanFileName(req.file.originalname, extension), contentType, req.file.size]
+      );
+    } catch (error) {
+      // Without its row the stored file could never be reached again
+      await deleteStoredAttachments([storageKey]);
+      throw error;
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Attachment uploaded successfully',
+      data: {
+        attachment: result.rows[0]
+      }
+    });
+
+  } catch (error) {
+    console.error('Upload attachment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Download an attachment
+const downloadAttachment = async (req, res) => {
+  try {
+    const attachment = await findAttachment(req, parseInt(req.params.id), parseInt(req.params.attachmentId));
+    if (!attachment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attachment not found'
+      });
+    }
+
+    const stored = await getAttachmentStorage().getObject(attachment.storage_key);
+    if (!stored) {
+      console.error(`Stored file missing for attachment ${attachment.id} (${attachment.storage_key})`);
+      return res.status(404).json({
+        success: false,
+        message: 'Attachment file not found'
+      });
+    }
+
+    res.setHeader('Content-Type', attachment.content_type);
+    res.setHeader('Content-Length', stored.contentLength || attachment.size_bytes);
+    res.attachment(attachment.file_name);
+
+    stored.body.on('error', (error) => {
+      console.error('Download attachment stream error:', error);
+      res.destroy(error);
+    });
+    stored.body.pipe(res);
+
+  } catch (error) {
+    console.error('Download attachment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Delete an attachment and its stored file
+const deleteAttachment = async (req, res) => {
+  try {
+    const attachment = await findAttachment(req, parseInt(req.params.id), parseInt(req.params.attachmentId));
+    if (!attachment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attachment not found'
+      });
+    }
+
+    await pool.query('DELETE FROM transaction_attachments WHERE id = $1', [attachment.id]);
+    await deleteStoredAttachments([attachment.storage_key]);
+
+    res.json({
+      success: true,
+      message: 'Attachment deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete attachment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getAttachments,
+  uploadAttachment,
+  downloadAttachment,
+  deleteAttachment
+};
@@ -1,16 +1,27 @@
-// Removed bcrypt - using plain text passwords
-const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
 const { pool } = require('../config/database');
-
-// Generate JWT token
-const generateToken = (userId, role) => {
-  return jwt.sign(
-    { userId, role },
-    process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-  );
-};
+const { clearAnalyticsCache, clearTransactionCache } = require('../middleware/cache');
+const { DEFAULT_CURRENCY } = require('../utils/exchangeRates');
+const { hashPassword, verifyPassword, verifyUnknownUserPassword } = require('../utils/passwords');
+const {
+  getLoginBlock,
+  recordLoginFailure,
+  clearLoginFailures,
+  loginBlockMessage
+} = require('../utils/loginAttempts');
+const {
+  createAccountToken,
+  consumeAccountToken,
+  sendVerificationEmail,
+  sendPasswordResetEmail
+} = require('../utils/accountTokens');
+const {
+  createSession,
+  rotateRefreshToken,
+  createLoginChallenge,
+  revokeSession,
+  revokeUserSessions
+} = require('../utils/sessions');
 
 // Validation rules
 const registerValidation = [
@@ -35,7 +46,26 @@ const registerValidation = [
   body('lastName')
     .optional()
     .isLength({ max: 50 })
-    .withMessage('Last name must be less than 50 characters')
+    .withMessage('Last name must be less than 50 characters'),
+  body('baseCurrency')
+    .optional()
+    .isISO4217()
+    .withMessage('Base currency must be a valid ISO 4217 code (e.g. USD)')
+];
+
+const profileValidation = [
+  body('firstName')
+    .optional()
+    .isLength({ max: 50 })
+    .withMessage('First name must be less than 50 characters'),
+  body('lastName')
+    .optional()
+    .isLength({ max: 50 })
+    .withMessage('Last name must be less than 50 characters'),
+  body('baseCurrency')
+    .optional()
+    .isISO4217()
+    .withMessage('Base currency must be a valid ISO 4217 code (e.g. USD)')
 ];
 
 const loginValidation = [
@@ -48,6 +78,39 @@ const loginValidation = [
     .withMessage('Password is required')
 ];
 
+const emailValidation = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email')
+];
+
+const tokenValidation = [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Token is required')
+];
+
+const resetPasswordValidation = [
+  ...tokenValidation,
+  body('newPassword')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long')
+    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+    .withMessage('Password must contain at least one lowercase letter, one uppercase letter, and one number')
+];
+
+// Send a verification link, logging failures: the user can ask for another one
+const sendVerificationLink = async (user) => {
+  try {
+    const token = await createAccountToken(pool, user.id, 'email_verification');
+    await sendVerificationEmail(user, token);
+  } catch (error) {
+    console.error('Send verification email error:', error);
+  }
+};
+
 // Register new user
 const register = async (req, res) => {
   try {
@@ -61,7 +124,7 @@ const register = async (req, res) => {
       });
     }
 
-    const { username, email, password, firstName, lastName, role } = req.body;
+    const { username, email, password, firstName, lastName, role, baseCurrency } = req.body;
 
     // Check if user already exists
     const existingUser = await pool.query(
@@ -82,22 +145,23 @@ const register = async (req, res) => {
       userRole = role;
     }
 
-    // Create user with plain text password
+    const passwordHash = await hashPassword(password);
+
     const result = await pool.query(
-      `INSERT INTO users (username, email, password, role, first_name, last_name) 
-       VALUES ($1, $2, $3, $4, $5, $6) 
-       RETURNING id, username, email, role, first_name, last_name, created_at`,
-      [username, email, password, userRole, firstName || null, lastName || null]
+      `INSERT INTO users (username, email, password, role, first_name, last_name, base_currency) 
+       VALUES ($1, $2, $3, $4, $5, $6, $7) 
+       RETURNING id, username, email, role, first_name, last_name, base_currency, created_at`,
+      [username, email, passwordHash, userRole, firstName || null, lastName || null, (baseCurrency || DEFAULT_CURRENCY).toUpperCase()]
     );
 
     const newUser = result.rows[0];
 
-    // Generate token
-    const token = generateToken(newUser.id, newUser.role);
+    // Logging in waits until the user proves they own the address
+    await sendVerificationLink(newUser);
 
     res.status(201).json({
       success: true,
-      message: 'User registered successfully',
+      message: 'User registered successfully - check your email to verify your address before logging in',
       data: {
         user: {
           id: newUser.id,
@@ -106,9 +170,10 @@ const register = async (req, res) => {
           role: newUser.role,
           firstName: newUser.first_name,
           lastName: newUser.last_name,
+          baseCurrency: newUser.base_currency,
           createdAt: newUser.created_at
         },
-        token
+        emailVerificationRequired: true
       }
     });
 
@@ -136,31 +201,78 @@ const login = async (req, res) => {
 
     const { email, password } = req.body;
 
+    // While the email is backing off or locked out, refuse without checking the password
+    const block = await getLoginBlock(email);
+    if (block) {
+      res.set('Retry-After', String(block.retryAfter));
+      return res.status(429).json({
+        success: false,
+        message: loginBlockMessage(block)
+      });
+    }
+
     // Find user by email
     const result = await pool.query(
-      'SELECT id, username, email, password, role, first_name, last_name FROM users WHERE email = $1',
+      'SELECT id, username, email, password, role, first_name, last_name, base_currency, two_factor_enabled, email_verified_at FROM users WHERE email = $1',
       [email]
     );
 
-    if (result.rows.length === 0) {
+    const user = result.rows[0];
+
+    // Unknown emails count too and take as long to check, so neither lockouts nor timing reveal which accounts exist
+    const { valid, needsRehash } = user
+      ? await verifyPassword(password, user.password)
+      : await verifyUnknownUserPassword(password);
+    if (!valid) {
+      const failureBlock = await recordLoginFailure(email, { req, userId: user ? user.id : null });
+      if (failureBlock && failureBlock.reason === 'lockout') {
+        res.set('Retry-After', String(failureBlock.retryAfter));
+        return res.status(429).json({
+          success: false,
+          message: loginBlockMessage(failureBlock)
+        });
+      }
+
       return res.status(401).json({
         success: false,
         message: 'Invalid email or password'
       });
     }
 
-    const user = result.rows[0];
+    // Upgrade legacy plaintext rows, and hashes from an older work factor, now that the password is known
+    if (needsRehash) {
+      try {
+        await pool.query(
+          'UPDATE users SET password = $1 WHERE id = $2 AND password = $3',
+          [await hashPassword(password), user.id, user.password]
+        );
+      } catch (error) {
+        console.error('Password rehash error:', error);
+      }
+    }
 
-    // Check password (plain text comparison)
-    if (password !== user.password) {
-      return res.status(401).json({
+    if (!user.email_verified_at) {
+      return res.status(403).json({
         success: false,
-        message: 'Invalid email or password'
+        message: 'Please verify your email address before logging in - use /api/auth/resend-verification for a new link'
+      });
+    }
+
+    // With two-factor authentication the password only earns a challenge for POST /api/auth/2fa/verify
+    if (user.two_factor_enabled) {
+      return res.json({
+        success: true,
+        message: 'Two-factor authentication required',
+        data: {
+          twoFactorRequired: true,
+          challengeToken: createLoginChallenge(user.id)
+        }
       });
     }
 
-    // Generate token
-    const token = generateToken(user.id, user.role);
+    // Sign in on this device
+    const { token, refreshToken } = await createSession(user, req);
+    await clearLoginFailures(email);
 
     res.json({
       success: true,
@@ -172,9 +284,11 @@ const login = async (req, res) => {
           email: user.email,
           role: user.role,
           firstName: user.first_name,
-          lastName: user.last_name
+          lastName: user.last_name,
+          baseCurrency: user.base_currency
         },
-        token
+        token,
+        refreshToken
       }
     });
 
@@ -193,7 +307,7 @@ const getProfile = async (req, res) => {
     const userId = req.user.id;
 
     const result = await pool.query(
-      'SELECT id, username, email, role, first_name, last_name, created_at FROM users WHERE id = $1',
+      'SELECT id, username, email, role, first_name, last_name, base_currency, two_factor_enabled, created_at FROM users WHERE id = $1',
       [userId]
     );
 
@@ -216,6 +330,8 @@ const getProfile = async (req, res) => {
           role: user.role,
           firstName: user.first_name,
           lastName: user.last_name,
+          baseCurrency: user.base_currency,
+          twoFactorEnabled: user.two_factor_enabled,
           createdAt: user.created_at
         }
       }
@@ -243,13 +359,14 @@ const updateProfile = async (req, res) => {
     }
 
     const userId = req.user.id;
-    const { firstName, lastName } = req.body;
+    const { firstName, lastName, baseCurrency } = req.body;
 
+    // Omitting baseCurrency keeps the current one
     const result = await pool.query(
-      `UPDATE users SET first_name = $1, last_name = $2, updated_at = CURRENT_TIMESTAMP 
-       WHERE id = $3 
-       RETURNING id, username, email, role, first_name, last_name`,
-      [firstName || null, lastName || null, userId]
+      `UPDATE users SET first_name = $1, last_name = $2, base_currency = COALESCE($3, base_currency), updated_at = CURRENT_TIMESTAMP 
+       WHERE id = $4 
+       RETURNING id, username, email, role, first_name, last_name, base_currency`,
+      [firstName || null, lastName || null, baseCurrency ? baseCurrency.toUpperCase() : null, userId]
     );
 
     if (result.rows.length === 0) {
@@ -261,6 +378,10 @@ const updateProfile = async (req, res) => {
 
     const user = result.rows[0];
 
+    // Analytics are reported in the base currency
+    await clearAnalyticsCache(userId);
+    await clearTransactionCache(userId);
+
     res.json({
       success: true,
       message: 'Profile updated successfully',
@@ -271,7 +392,8 @@ const updateProfile = async (req, res) => {
           email: user.email,
           role: user.role,
           firstName: user.first_name,
-          lastName: user.last_name
+          lastName: user.last_name,
+          baseCurrency: user.base_currency
         }
       }
     });
@@ -321,20 +443,22 @@ const changePassword = async (req, res) => {
 
     const user = result.rows[0];
 
-    // Verify current password (plain text comparison)
-    if (currentPassword !== user.password) {
+    const { valid } = await verifyPassword(currentPassword, user.password);
+    if (!valid) {
       return res.status(400).json({
         success: false,
         message: 'Current password is incorrect'
       });
     }
 
-    // Update password (plain text)
     await pool.query(
       'UPDATE users SET password = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
-      [newPassword, userId]
+      [await hashPassword(newPassword), userId]
     );
 
+    // Sign out every other device; this one stays signed in
+    await revokeUserSessions(userId, 'password_change', req.sessionId);
+
     res.json({
       success: true,
       message: 'Password changed successfully'
@@ -349,12 +473,350 @@ const changePassword = async (req, res) => {
   }
 };
 
+// Confirm an email address with the token from the verification link
+const verifyEmail = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const userId = await consumeAccountToken(pool, req.body.token, 'email_verification');
+    if (!userId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired verification link'
+      });
+    }
+
+    await pool.query(
+      'UPDATE users SET email_verified_at = COALESCE(email_verified_at, CURRENT_TIMESTAMP) WHERE id = $1',
+      [userId]
+    );
+
+    res.json({
+      success: true,
+      message: 'Email address verified - you can now log in'
+    });
+
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Send a new verification link
+const resendVerification = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = await pool.query(
+      'SELECT id, username, email FROM users WHERE email = $1 AND email_verified_at IS NULL',
+      [req.body.email]
+    );
+
+    // Sent in the background so the response time does not reveal whether the account exists
+    if (result.rows.length > 0) {
+      sendVerificationLink(result.rows[0]);
+    }
+
+    // The same answer whether or not the address belongs to an unverified account
+    res.json({
+      success: true,
+      message: 'If an unverified account uses this address, a new verification link has been sent'
+    });
+
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Email a password reset link
+const forgotPassword = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = await pool.query(
+      'SELECT id, username, email FROM users WHERE email = $1',
+      [req.body.email]
+    );
+
+    // Sent in the background so the response time does not reveal whether the account exists
+    if (result.rows.length > 0) {
+      const user = result.rows[0];
+      createAccountToken(pool, user.id, 'password_reset')
+        .then(token => sendPasswordResetEmail(user, token))
+        .catch(error => console.error('Send password reset email error:', error));
+    }
+
+    // The same answer whether or not the address has an account
+    res.json({
+      success: true,
+      message: 'If an account uses this address, a password reset link has been sent'
+    });
+
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Set a new password with the token from the reset link
+const resetPassword = async (req, res) => {
+  let client;
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const passwordHash = await hashPassword(req.body.newPassword);
+
+    client = await pool.connect();
+    await client.query('BEGIN');
+
+    const userId = await consumeAccountToken(client, req.body.token, 'password_reset');
+    if (!userId) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired reset link'
+      });
+    }
+
+    // Receiving the link also proves the user owns the address
+    const updated = await client.query(
+      `UPDATE users
+       SET password = $1, email_verified_at = COALESCE(email_verified_at, CURRENT_TIMESTAMP), updated_at = CURRENT_TIMESTAMP
+       WHERE id = $2
+       RETURNING email`,
+      [passwordHash, userId]
+    );
+
+    await client.query('COMMIT');
+
+    // Whoever knew the old password is signed out everywhere
+    await revokeUserSessions(userId, 'password_reset');
+
+    // Someone guessing at the address must not keep its owner locked out after a reset
+    await clearLoginFailures(updated.rows[0].email);
+
+    res.json({
+      success: true,
+      message: 'Password reset successfully - you can now log in'
+    });
+
+  } catch (error) {
+    if (client) await client.query('ROLLBACK');
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  } finally {
+    if (client) client.release();
+  }
+};
+
+// Exchange a refresh token for a new access token and refresh token
+const refresh = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken || typeof refreshToken !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Refresh token is required'
+      });
+    }
+
+    const result = await rotateRefreshToken(refreshToken);
+
+    if (result.error === 'reused') {
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token was already used - the session has been revoked, please log in again'
+      });
+    }
+
+    if (result.error) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired refresh token'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Token refreshed successfully',
+      data: {
+        token: result.token,
+        refreshToken: result.refreshToken
+      }
+    });
+
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Log out of the current session
+const logout = async (req, res) => {
+  try {
+    await revokeSession(req.user.id, req.sessionId, 'logout');
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// List the devices the current user is signed in on
+const getSessions = async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT id, user_agent, ip_address, created_at, last_used_at, expires_at
+       FROM user_sessions
+       WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+       ORDER BY last_used_at DESC`,
+      [req.user.id]
+    );
+
+    res.json({
+      success: true,
+      data: {
+        sessions: result.rows.map(session => ({
+          id: session.id,
+          userAgent: session.user_agent,
+          ipAddress: session.ip_address,
+          createdAt: session.created_at,
+          lastUsedAt: session.last_used_at,
+          expiresAt: session.expires_at,
+          current: session.id === req.sessionId
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Sign out one device
+const deleteSession = async (req, res) => {
+  try {
+    const revoked = await revokeSession(req.user.id, parseInt(req.params.id), 'revoked');
+
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Sign out every device except the current one
+const deleteOtherSessions = async (req, res) => {
+  try {
+    const revoked = await revokeUserSessions(req.user.id, 'revoked', req.sessionId);
+
+    res.json({
+      success: true,
+      message: `${revoked} session(s) revoked successfully`,
+      data: {
+        revoked
+      }
+    });
+
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
 module.exports = {
   register,
   login,
+  refresh,
+  logout,
   getProfile,
   updateProfile,
   changePassword,
+  getSessions,
+  deleteSession,
+  deleteOtherSessions,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
   registerValidation,
-  loginValidation
+  profileValidation,
+  loginValidation,
+  emailValidation,
+  tokenValidation,
+  resetPasswordValidation
 };
@@ -0,0 +1,380 @@
+const { body, validationResult } = require('express-validator');
+const { pool } = require('../config/database');
+const { clearBudgetCache } = require('../middleware/cache');
+const { calculateBudgetProgress } = require('../utils/budgetProgress');
+const { DEFAULT_ALERT_THRESHOLDS } = require('../utils/budgetAlerts');
+const { findUserCategory } = require('../utils/categoryTree');
+
+// Validation rules
+const budgetValidation = [
+  body('category_id')
+    .isInt({ min: 1 })
+    .withMessage('Category ID must be a valid positive integer'),
+  body('amount')
+    .isFloat({ min: 0.01 })
+    .withMessage('Amount must be a positive number greater than 0'),
+  body('period')
+    .optional()
+    .isIn(['weekly', 'monthly', 'yearly'])
+    .withMessage('Period must be weekly, monthly, or yearly'),
+  body('start_date')
+    .isISO8601()
+    .withMessage('Start date must be a valid date in ISO format'),
+  body('end_date')
+    .isISO8601()
+    .withMessage('End date must be a valid date in ISO format')
+    .custom((value, { req }) => new Date(value) >= new Date(req.body.start_date))
+    .withMessage('End date must be on or after the start date'),
+  body('alert_thresholds')
+    .optional()
+    .isArray({ min: 1, max: 10 })
+    .withMessage('Alert thresholds must be an array of 1 to 10 percentages'),
+  body('alert_thresholds.*')
+    .isInt({ min: 1, max: 1000 })
+    .withMessage('Each alert threshold must be a percentage between 1 and 1000')
+];
+
+const budgetSelect = `
+  SELECT
+    b.id,
+    b.user_id,
+    b.category_id,
+    b.amount,
+    b.period,
+    b.start_date,
+    b.end_date,
+    b.alert_thresholds,
+    b.created_at,
+    b.updated_at,
+    c.name as category_name,
+    c.color as category_color,
+    c.icon as category_icon
+  FROM budgets b
+  JOIN categories c ON b.category_id = c.id
+`;
+
+// Attach live progress figures to a budget row
+const withProgress = async (budget) => ({
+  ...budget,
+  progress: await calculateBudgetProgress(budget)
+});
+
+// Verify the category exists and can carry a budget
+const validateBudgetCategory = async (categoryId, userId) => {
+  const category = await findUserCategory(categoryId, userId);
+
+  if (!category) {
+    return 'Invalid category ID';
+  }
+
+  if (category.type !== 'expense') {
+    return 'Budgets can only be set on expense categories';
+  }
+
+  return null;
+};
+
+// Check for another budget on the same category with overlapping dates
+const hasOverlappingBudget = async (userId, categoryId, startDate, endDate, excludeId = null) => {
+  const result = await pool.query(
+    `SELECT id FROM budgets
+     WHERE user_id = $1 AND category_id = $2
+       AND start_date <= $4 AND end_date >= $3
+       AND ($5::integer IS NULL OR id != $5)`,
+    [userId, categoryId, startDate, endDate, excludeId]
+  );
+
+  return result.rows.length > 0;
+};
+
+// Get all budgets for a user with live progress
+const getBudgets = async (req, res) => {
+  try {
+    const userId = req.user.role === 'admin' && req.query.user_id ?
+      parseInt(req.query.user_id) : req.user.id;
+
+    const { category_id, active } = req.query;
+
+    let whereConditions = ['b.user_id = $1'];
+    let queryParams = [userId];
+    let paramCount = 1;
+
+    if (category_id) {
+      paramCount++;
+      whereConditions.push(`b.category_id = $${paramCount}`);
+      queryParams.push(parseInt(category_id));
+    }
+
+    if (active === 'true') {
+      whereConditions.push('CURRENT_DATE BETWEEN b.start_date AND b.end_date');
+    }
+
+    const result = await pool.query(
+      `${budgetSelect}
+       WHERE ${whereConditions.join(' AND ')}
+       ORDER BY b.start_date DESC, c.name`,
+      queryParams
+    );
+
+    const budgets = await Promise.all(result.rows.map(withProgress));
+
+    res.json({
+      success: true,
+      data: {
+        budgets
+      }
+    });
+
+  } catch (error) {
+    console.error('Get budgets error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Get a single budget by ID
+const getBudget = async (req, res) => {
+  try {
+    const budgetId = parseInt(req.params.id);
+
+    let query = `${budgetSelect} WHERE b.id = $1`;
+    let queryParams = [budgetId];
+
+    // Non-admin users can only see their own budgets
+    if (req.user.role !== 'admin') {
+      query += ' AND b.user_id = $2';
+      queryParams.push(req.user.id);
+    }
+
+    const result = await pool.query(query, queryParams);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Budget not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        budget: await withProgress(result.rows[0])
+      }
+    });
+
+  } catch (error) {
+    console.error('Get budget error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Create a new budget
+const createBudget = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { category_id, amount, period, start_date, end_date, alert_thresholds, user_id } = req.body;
+
+    // Admin can create budgets for other users, regular users create for themselves
+    let targetUserId = req.user.id;
+    if (req.user.role === 'admin' && user_id) {
+      targetUserId = parseInt(user_id);
+
+      const userExists = await pool.query('SELECT id FROM users WHERE id = $1', [targetUserId]);
+      if (userExists.rows.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Target user not found'
+        });
+      }
+    }
+
+    const categoryError = await validateBudgetCategory(category_id, targetUserId);
+    if (categoryError) {
+      return res.status(400).json({
+        success: false,
+        message: categoryError
+      });
+    }
+
+    if (await hasOverlappingBudget(targetUserId, category_id, start_date, end_date)) {
+      return res.status(409).json({
+        success: false,
+        message: 'A budget for this category already covers part of this date range'
+      });
+    }
+
+    const result = await pool.query(
+      `INSERT INTO budgets (user_id, category_id, amount, period, start_date, end_date, alert_thresholds)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING id`,
+      [
+        targetUserId, category_id, amount, period || 'monthly', start_date, end_date,
+        (alert_thresholds || DEFAULT_ALERT_THRESHOLDS).map(value => parseInt(value))
+      ]
+    );
+
+    const budgetResult = await pool.query(`${budgetSelect} WHERE b.id = $1`, [result.rows[0].id]);
+
+    await clearBudgetCache(targetUserId);
+
+    res.status(201).json({
+      success: true,
+      message: 'Budget created successfully',
+      data: {
+        budget: await withProgress(budgetResult.rows[0])
+      }
+    });
+
+  } catch (error) {
+    console.error('Create budget error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Update a budget
+const updateBudget = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const budgetId = parseInt(req.params.id);
+    const { category_id, amount, period, start_date, end_date, alert_thresholds } = req.body;
+
+    // Check if budget exists and user has permission to update it
+    let checkQuery = 'SELECT user_id, period, alert_thresholds FROM budgets WHERE id = $1';
+    let checkParams = [budgetId];
+
+    if (req.user.role !== 'admin') {
+      checkQuery += ' AND user_id = $2';
+      checkParams.push(req.user.id);
+    }
+
+    const existingBudget = await pool.query(checkQuery, checkParams);
+
+    if (existingBudget.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Budget not found or access denied'
+      });
+    }
+
+    const budgetUserId = existingBudget.rows[0].user_id;
+
+    const categoryError = await validateBudgetCategory(category_id, budgetUserId);
+    if (categoryError) {
+      return res.status(400).json({
+        success: false,
+        message: categoryError
+      });
+    }
+
+    if (await hasOverlappingBudget(budgetUserId, category_id, start_date, end_date, budgetId)) {
+      return res.status(409).json({
+        success: false,
+        message: 'A budget for this category already covers part of this date range'
+      });
+    }
+
+    const thresholds = alert_thresholds
+      ? alert_thresholds.map(value => parseInt(value))
+      : existingBudget.rows[0].alert_thresholds;
+
+    await pool.query(
+      `UPDATE budgets
+       SET category_id = $1, amount = $2, period = $3, start_date = $4, end_date = $5,
+           alert_thresholds = $6, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $7`,
+      [category_id, amount, period || existingBudget.rows[0].period, start_date, end_date, thresholds, budgetId]
+    );
+
+    const budgetResult = await pool.query(`${budgetSelect} WHERE b.id = $1`, [budgetId]);
+
+    await clearBudgetCache(budgetUserId);
+
+    res.json({
+      success: true,
+      message: 'Budget updated successfully',
+      data: {
+        budget: await withProgress(budgetResult.rows[0])
+      }
+    });
+
+  } catch (error) {
+    console.error('Update budget error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Delete a budget
+const deleteBudget = async (req, res) => {
+  try {
+    const budgetId = parseInt(req.params.id);
+
+    let checkQuery = 'SELECT user_id FROM budgets WHERE id = $1';
+    let checkParams = [budgetId];
+
+    if (req.user.role !== 'admin') {
+      checkQuery += ' AND user_id = $2';
+      checkParams.push(req.user.id);
+    }
+
+    const existingBudget = await pool.query(checkQuery, checkParams);
+
+    if (existingBudget.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Budget not found or access denied'
+      });
+    }
+
+    await pool.query('DELETE FROM budgets WHERE id = $1', [budgetId]);
+
+    await clearBudgetCache(existingBudget.rows[0].user_id);
+
+    res.json({
+      success: true,
+      message: 'Budget deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete budget error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getBudgets,
+  getBudget,
+  createBudget,
+  updateBudget,
+  deleteBudget,
+  budgetValidation
+};
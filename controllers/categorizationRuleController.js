@@ -0,0 +1,472 @@
+const { body, validationResult } = require('express-validator');
+const { pool } = require('../config/database');
+const { clearTransactionCache, clearAnalyticsCache, clearBudgetCache } = require('../middleware/cache');
+const { findUserAccount } = require('./accountController');
+const { findUserCategory } = require('../utils/categoryTree');
+const { findUserPayee } = require('../utils/payees');
+const { loadRules, findMatchingRule } = require('../utils/categorizationRules');
+const { collectTransactionChanges, applyTransactionChanges } = require('../utils/transactionBatches');
+
+// Validation rules
+const ruleValidation = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Rule name must be between 1 and 100 characters'),
+  body('category_id')
+    .isInt({ min: 1 })
+    .withMessage('Category ID must be a valid positive integer'),
+  body('priority')
+    .optional()
+    .isInt({ min: 0, max: 10000 })
+    .withMessage('Priority must be an integer between 0 and 10000'),
+  body('description_contains')
+    .optional({ values: 'null' })
+    .trim()
+    .isLength({ min: 1, max: 255 })
+    .withMessage('Description match must be between 1 and 255 characters'),
+  body('amount_min')
+    .optional({ values: 'null' })
+    .isFloat({ min: 0 })
+    .withMessage('Minimum amount must be a number of at least 0'),
+  body('amount_max')
+    .optional({ values: 'null' })
+    .isFloat({ min: 0 })
+    .withMessage('Maximum amount must be a number of at least 0')
+    .custom((value, { req }) => req.body.amount_min === undefined || req.body.amount_min === null ||
+      parseFloat(value) >= parseFloat(req.body.amount_min))
+    .withMessage('Maximum amount must not be less than the minimum amount'),
+  body('account_id')
+    .optional({ values: 'null' })
+    .isInt({ min: 1 })
+    .withMessage('Account ID must be a valid positive integer'),
+  body('payee_id')
+    .optional({ values: 'null' })
+    .isInt({ min: 1 })
+    .withMessage('Payee ID must be a valid positive integer'),
+  body('is_active')
+    .optional()
+    .isBoolean()
+    .withMessage('is_active must be a boolean'),
+  // A rule without conditions would swallow every transaction of its type
+  body()
+    .custom(value => ['description_contains', 'amount_min', 'amount_max', 'account_id', 'payee_id']
+      .some(field => value[field] !== undefined && value[field] !== null && value[field] !== ''))
+    .withMessage('A rule needs at least one condition: description_contains, amount_min, amount_max, account_id or payee_id')
+];
+
+const applyRulesValidation = [
+  body('preview')
+    .optional()
+    .isBoolean()
+    .withMessage('preview must be a boolean'),
+  body('start_date')
+    .optional()
+    .isISO8601()
+    .withMessage('Start date must be a valid date in ISO format'),
+  body('end_date')
+    .optional()
+    .isISO8601()
+    .withMessage('End date must be a valid date in ISO format')
+];
+
+const ruleSelect = `
+  SELECT
+    r.id,
+    r.user_id,
+    r.name,
+    r.priority,
+    r.category_id,
+    c.name as category_name,
+    c.type as category_type,
+    r.description_contains,
+    r.amount_min,
+    r.amount_max,
+    r.account_id,
+    a.name as account_name,
+    r.payee_id,
+    p.name as payee_name,
+    r.is_active,
+    r.created_at,
+    r.updated_at
+  FROM categorization_rules r
+  JOIN categories c ON r.category_id = c.id
+  LEFT JOIN accounts a ON r.account_id = a.id
+  LEFT JOIN payees p ON r.payee_id = p.id
+`;
+
+// Load a rule the current user is allowed to see
+const findRule = async (req, id) => {
+  let query = `${ruleSelect} WHERE r.id = $1`;
+  let queryParams = [id];
+
+  if (req.user.role !== 'admin') {
+    query += ' AND r.user_id = $2';
+    queryParams.push(req.user.id);
+  }
+
+  const result = await pool.query(query, queryParams);
+  return result.rows[0] || null;
+};
+
+// Check the rule's category, account and payee belong to (or are visible to) its owner
+const validateRuleTargets = async (reqBody, ownerId) => {
+  const category = await findUserCategory(reqBody.category_id, ownerId);
+  if (!category) {
+    return 'Invalid category ID';
+  }
+
+  if (category.type === 'transfer') {
+    return 'Rules can only file transactions under income or expense categories';
+  }
+
+  if (reqBody.account_id && !await findUserAccount(reqBody.account_id, ownerId)) {
+    return 'Invalid account ID';
+  }
+
+  if (reqBody.payee_id && !await findUserPayee(reqBody.payee_id, ownerId)) {
+    return 'Invalid payee ID';
+  }
+
+  return null;
+};
+
+// Get all categorization rules for a user in the order they are tried
+const getRules = async (req, res) => {
+  try {
+    const userId = req.user.role === 'admin' && req.query.user_id ?
+      parseInt(req.query.user_id) : req.user.id;
+
+    const result = await pool.query(
+      `${ruleSelect}
+       WHERE r.user_id = $1
+       ORDER BY r.priority, r.id`,
+      [userId]
+    );
+
+    res.json({
+      success: true,
+      data: {
+        rules: result.rows
+      }
+    });
+
+  } catch (error) {
+    console.error('Get categorization rules error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Get a single categorization rule by ID
+const getRule = async (req, res) => {
+  try {
+    const rule = await findRule(req, parseInt(req.params.id));
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Categorization rule not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        rule
+      }
+    });
+
+  } catch (error) {
+    console.error('Get categorization rule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Create a new categorization rule
+const createRule = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, category_id, priority, description_contains, amount_min, amount_max, account_id, payee_id, is_active, user_id } = req.body;
+
+    // Admin can create rules for other users, regular users create for themselves
+    let targetUserId = req.user.id;
+    if (req.user.role === 'admin' && user_id) {
+      targetUserId = parseInt(user_id);
+
+      const userExists = await pool.query('SELECT id FROM users WHERE id = $1', [targetUserId]);
+      if (userExists.rows.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Target user not found'
+        });
+      }
+    }
+
+    const targetError = await validateRuleTargets(req.body, targetUserId);
+    if (targetError) {
+      return res.status(400).json({
+        success: false,
+        message: targetError
+      });
+    }
+
+    const result = await pool.query(
+      `INSERT INTO categorization_rules
+         (user_id, name, category_id, priority, description_contains, amount_min, amount_max, account_id, payee_id, is_active)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+       RETURNING id`,
+      [
+        targetUserId,
+        name,
+        category_id,
+        priority !== undefined ? priority : 100,
+        description_contains || null,
+        amount_min !== undefined ? amount_min : null,
+        amount_max !== undefined ? amount_max : null,
+        account_id || null,
+        payee_id || null,
+        is_active === undefined ? true : is_active === true || is_active === 'true'
+      ]
+    );
+
+    const ruleResult = await pool.query(`${ruleSelect} WHERE r.id = $1`, [result.rows[0].id]);
+    const rule = ruleResult.rows[0];
+
+    res.status(201).json({
+      success: true,
+      message: 'Categorization rule created successfully',
+      data: {
+        rule
+      }
+    });
+
+  } catch (error) {
+    console.error('Create categorization rule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Update a categorization rule
+const updateRule = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const ruleId = parseInt(req.params.id);
+    const { name, category_id, priority, description_contains, amount_min, amount_max, account_id, payee_id, is_active } = req.body;
+
+    const existing = await findRule(req, ruleId);
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Categorization rule not found or access denied'
+      });
+    }
+
+    const targetError = await validateRuleTargets(req.body, existing.user_id);
+    if (targetError) {
+      return res.status(400).json({
+        success: false,
+        message: targetError
+      });
+    }
+
+    // Conditions are replaced as a whole; priority and is_active keep their values when omitted
+    await pool.query(
+      `UPDATE categorization_rules
+       SET name = $1, category_id = $2, priority = $3, description_contains = $4,
+           amount_min = $5, amount_max = $6, account_id = $7, payee_id = $8, is_active = $9
+       WHERE id = $10`,
+      [
+        name,
+        category_id,
+        priority !== undefined ? priority : existing.priority,
+        description_contains || null,
+        amount_min !== undefined ? amount_min : null,
+        amount_max !== undefined ? amount_max : null,
+        account_id || null,
+        payee_id || null,
+        is_active !== undefined ? is_active === true || is_active === 'true' : existing.is_active,
+        ruleId
+      ]
+    );
+
+    const rule = await findRule(req, ruleId);
+
+    res.json({
+      success: true,
+      message: 'Categorization rule updated successfully',
+      data: {
+        rule
+      }
+    });
+
+  } catch (error) {
+    console.error('Update categorization rule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Delete a categorization rule
+const deleteRule = async (req, res) => {
+  try {
+    const existing = await findRule(req, parseInt(req.params.id));
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Categorization rule not found or access denied'
+      });
+    }
+
+    await pool.query('DELETE FROM categorization_rules WHERE id = $1', [existing.id]);
+
+    res.json({
+      success: true,
+      message: 'Categorization rule deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete categorization rule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Re-run the rules over existing transactions, previewing the category changes unless preview is false
+const applyRules = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const userId = req.user.role === 'admin' && req.query.user_id ?
+      parseInt(req.query.user_id) : req.user.id;
+
+    const { start_date, end_date } = req.body;
+    const preview = req.body.preview === undefined || req.body.preview === true || req.body.preview === 'true';
+
+    const rules = await loadRules(userId);
+
+    // Transfers keep the transfer category and split transactions take theirs from the lines
+    let whereConditions = [
+      't.user_id = $1',
+      "t.type IN ('income', 'expense')",
+      'NOT EXISTS (SELECT 1 FROM transaction_splits s WHERE s.transaction_id = t.id)'
+    ];
+    let queryParams = [userId];
+    let paramCount = 1;
+
+    if (start_date) {
+      paramCount++;
+      whereConditions.push(`t.transaction_date >= $${paramCount}`);
+      queryParams.push(start_date);
+    }
+
+    if (end_date) {
+      paramCount++;
+      whereConditions.push(`t.transaction_date <= $${paramCount}`);
+      queryParams.push(end_date);
+    }
+
+    // Without rules nothing can change, so the transactions are not read at all
+    const { checked, changes } = rules.length === 0 ? { checked: 0, changes: [] } : await collectTransactionChanges({
+      select: `SELECT t.id, t.type, t.amount, t.description, t.account_id, t.payee_id, t.transaction_date,
+                      t.category_id, c.name as category_name
+               FROM transactions t
+               JOIN categories c ON t.category_id = c.id`,
+      whereConditions,
+      queryParams
+    }, (transaction) => {
+      const rule = findMatchingRule(rules, transaction);
+      if (!rule || rule.category_id === transaction.category_id) return null;
+
+      return {
+        transaction_id: transaction.id,
+        transaction_date: transaction.transaction_date,
+        description: transaction.description,
+        amount: transaction.amount,
+        type: transaction.type,
+        old_category_id: transaction.category_id,
+        old_category_name: transaction.category_name,
+        new_category_id: rule.category_id,
+        new_category_name: rule.category_name,
+        rule_id: rule.id,
+        rule_name: rule.name
+      };
+    });
+
+    if (!preview && changes.length > 0) {
+      await applyTransactionChanges(changes, 'category_id', 'new_category_id');
+
+      await clearTransactionCache(userId);
+      await clearAnalyticsCache(userId);
+      await clearBudgetCache(userId);
+    }
+
+    res.json({
+      success: true,
+      message: preview
+        ? `${changes.length} transaction(s) would be recategorized`
+        : `${changes.length} transaction(s) recategorized`,
+      data: {
+        preview,
+        checked,
+        changed: changes.length,
+        changes
+      }
+    });
+
+  } catch (error) {
+    console.error('Apply categorization rules error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getRules,
+  getRule,
+  createRule,
+  updateRule,
+  deleteRule,
+  applyRules,
+  ruleValidation,
+  applyRulesValidation
+};
@@ -1,6 +1,13 @@
 const { body, validationResult } = require('express-validator');
 const { pool } = require('../config/database');
-const { clearCache } = require('../middleware/cache');
+const { clearCache, clearAnalyticsCache, clearBudgetCache } = require('../middleware/cache');
+const { categoryLinesSql } = require('../utils/transactionSplits');
+const {
+  visibleCategorySql,
+  findUserCategory,
+  isSameOrDescendant,
+  buildCategoryTree
+} = require('../utils/categoryTree');
 
 // Validation rules for category
 const categoryValidation = [
@@ -19,30 +26,99 @@ const categoryValidation = [
   body('icon')
     .optional()
     .isLength({ max: 50 })
-    .withMessage('Icon name must be less than 50 characters')
+    .withMessage('Icon name must be less than 50 characters'),
+  body('parent_id')
+    .optional({ values: 'null' })
+    .isInt({ min: 1 })
+    .withMessage('Parent ID must be a valid positive integer')
 ];
 
-// Get all categories
+const categoryColumns = 'c.id, c.name, c.type, c.color, c.icon, c.parent_id, c.user_id, c.user_id IS NULL as is_system, c.created_at';
+
+// Find a category the requesting user may change: their own personal ones, or any for admins
+const findEditableCategory = async (req, categoryId) => {
+  const result = await pool.query(
+    'SELECT id, user_id, parent_id, name, type FROM categories WHERE id = $1',
+    [categoryId]
+  );
+  const category = result.rows[0];
+
+  if (!category || (req.user.role !== 'admin' && category.user_id !== null && category.user_id !== req.user.id)) {
+    return { status: 404, message: 'Category not found' };
+  }
+
+  if (req.user.role !== 'admin' && category.user_id === null) {
+    return { status: 403, message: 'Only admins can change system categories' };
+  }
+
+  return { category };
+};
+
+/**
+ * Check a category name is free where it would be visible: among system
+ * categories for a system category, among the system categories and the
+ * owner's own for a personal one
+ */
+const isCategoryNameTaken = async (name, ownerId, excludeId = null) => {
+  const result = await pool.query(
+    `SELECT id FROM categories
+     WHERE LOWER(name) = LOWER($1)
+       AND (user_id IS NULL OR user_id = $2)
+       AND ($3::integer IS NULL OR id != $3)`,
+    [name, ownerId, excludeId]
+  );
+
+  return result.rows.length > 0;
+};
+
+// Check a parent category can hold a child of the given owner and type
+const validateParent = async (parentId, ownerId, type) => {
+  const parent = ownerId === null
+    ? (await pool.query('SELECT id, user_id, type FROM categories WHERE id = $1 AND user_id IS NULL', [parentId])).rows[0]
+    : await findUserCategory(parentId, ownerId);
+
+  if (!parent) {
+    return ownerId === null
+      ? 'System categories can only be nested under other system categories'
+      : 'Invalid parent category ID';
+  }
+
+  if (parent.type !== type) {
+    return `Parent category type (${parent.type}) does not match category type (${type})`;
+  }
+
+  return null;
+};
+
+// Get system categories merged with the user's personal ones, flat and as a tree
 const getCategories = async (req, res) => {
   try {
+    const userId = req.user.role === 'admin' && req.query.user_id ?
+      parseInt(req.query.user_id) : req.user.id;
+
     const { type } = req.query;
 
-    let query = 'SELECT id, name, type, color, icon, created_at FROM categories';
-    let queryParams = [];
+    let whereConditions = [visibleCategorySql('$1')];
+    let queryParams = [userId];
 
-    if (type && ['income', 'expense'].includes(type)) {
-      query += ' WHERE type = $1';
+    if (type && ['income', 'expense', 'transfer'].includes(type)) {
+      whereConditions.push('c.type = $2');
       queryParams.push(type);
     }
 
-    query += ' ORDER BY type, name';
-
-    const result = await pool.query(query, queryParams);
+    const result = await pool.query(
+      `SELECT ${categoryColumns}
+       FROM categories c
+       WHERE ${whereConditions.join(' AND ')}
+       ORDER BY c.type, c.name`,
+      queryParams
+    );
 
     res.json({
       success: true,
       data: {
-        categories: result.rows
+        categories: result.rows,
+        tree: buildCategoryTree(result.rows)
       }
     });
 
@@ -55,15 +131,21 @@ const getCategories = async (req, res) => {
   }
 };
 
-// Get a single category by ID
+// Get a single category by ID with its direct subcategories
 const getCategory = async (req, res) => {
   try {
     const categoryId = parseInt(req.params.id);
 
-    const result = await pool.query(
-      'SELECT id, name, type, color, icon, created_at FROM categories WHERE id = $1',
-      [categoryId]
-    );
+    let query = `SELECT ${categoryColumns} FROM categories c WHERE c.id = $1`;
+    let queryParams = [categoryId];
+
+    // Non-admin users only see system categories and their own
+    if (req.user.role !== 'admin') {
+      query += ` AND ${visibleCategorySql('$2')}`;
+      queryParams.push(req.user.id);
+    }
+
+    const result = await pool.query(query, queryParams);
 
     if (result.rows.length === 0) {
       return res.status(404).json({
@@ -72,10 +154,21 @@ const getCategory = async (req, res) => {
       });
     }
 
+    const category = result.rows[0];
+    const childrenResult = await pool.query(
+      `SELECT ${categoryColumns} FROM categories c
+       WHERE c.parent_id = $1 AND ${visibleCategorySql('$2')}
+       ORDER BY c.name`,
+      [categoryId, category.user_id || req.user.id]
+    );
+
     res.json({
       success: true,
       data: {
-        category: result.rows[0]
+        category: {
+          ...category,
+          children: childrenResult.rows
+        }
       }
     });
 
@@ -88,7 +181,7 @@ const getCategory = async (req, res) => {
   }
 };
 
-// Create a new category (admin only)
+// Create a category: admins add system categories, other users personal ones
 const createCategory = async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -100,27 +193,32 @@ const createCategory = async (req, res) => {
       });
     }
 
-    const { name, type, color, icon } = req.body;
-
-    // Check if category with this name already exists
-    const existingCategory = await pool.query(
-      'SELECT id FROM categories WHERE name = $1',
-      [name]
-    );
+    const { name, type, color, icon, parent_id } = req.body;
+    const ownerId = req.user.role === 'admin' ? null : req.user.id;
 
-    if (existingCategory.rows.length > 0) {
+    if (await isCategoryNameTaken(name, ownerId)) {
       return res.status(409).json({
         success: false,
         message: 'Category with this name already exists'
       });
     }
 
+    if (parent_id) {
+      const parentError = await validateParent(parseInt(parent_id), ownerId, type);
+      if (parentError) {
+        return res.status(400).json({
+          success: false,
+          message: parentError
+        });
+      }
+    }
+
     // Create category
     const result = await pool.query(
-      `INSERT INTO categories (name, type, color, icon)
-       VALUES ($1, $2, $3, $4)
-       RETURNING id, name, type, color, icon, created_at`,
-      [name, type, color || null, icon || null]
+      `INSERT INTO categories (name, type, color, icon, parent_id, user_id)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING id, name, type, color, icon, parent_id, user_id, user_id IS NULL as is_system, created_at`,
+      [name, type, color || null, icon || null, parent_id || null, ownerId]
     );
 
     const newCategory = result.rows[0];
@@ -145,7 +243,7 @@ const createCategory = async (req, res) => {
   }
 };
 
-// Update a category (admin only)
+// Update a category (admins: any category, other users: their personal ones)
 const updateCategory = async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -158,47 +256,77 @@ const updateCategory = async (req, res) => {
     }
 
     const categoryId = parseInt(req.params.id);
-    const { name, type, color, icon } = req.body;
-
-    // Check if category exists
-    const existingCategory = await pool.query(
-      'SELECT id FROM categories WHERE id = $1',
-      [categoryId]
-    );
+    const { name, type, color, icon, parent_id } = req.body;
 
-    if (existingCategory.rows.length === 0) {
-      return res.status(404).json({
+    const { category: existing, status, message } = await findEditableCategory(req, categoryId);
+    if (!existing) {
+      return res.status(status).json({
         success: false,
-        message: 'Category not found'
+        message
       });
     }
 
-    // Check if another category with this name already exists
-    const duplicateCategory = await pool.query(
-      'SELECT id FROM categories WHERE name = $1 AND id != $2',
-      [name, categoryId]
-    );
+    // Transfer legs depend on the built-in transfer category
+    if (existing.type === 'transfer') {
+      return res.status(400).json({
+        success: false,
+        message: 'The transfer category cannot be changed'
+      });
+    }
 
-    if (duplicateCategory.rows.length > 0) {
+    if (await isCategoryNameTaken(name, existing.user_id, categoryId)) {
       return res.status(409).json({
         success: false,
         message: 'Another category with this name already exists'
       });
     }
 
+    // Omitting parent_id keeps the current parent; null moves the category to the top level
+    const parentId = parent_id === undefined ? existing.parent_id : (parent_id === null ? null : parseInt(parent_id));
+
+    if (parentId) {
+      const parentError = await validateParent(parentId, existing.user_id, type);
+      if (parentError) {
+        return res.status(400).json({
+          success: false,
+          message: parentError
+        });
+      }
+
+      if (await isSameOrDescendant(parentId, categoryId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'A category cannot be nested under itself or one of its subcategories'
+        });
+      }
+    }
+
+    // Subcategories always share their parent's type
+    if (type !== existing.type) {
+      const children = await pool.query('SELECT COUNT(*) as count FROM categories WHERE parent_id = $1', [categoryId]);
+      if (parseInt(children.rows[0].count) > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Cannot change the type of a category that has subcategories'
+        });
+      }
+    }
+
     // Update category
     const result = await pool.query(
-      `UPDATE categories 
-       SET name = $1, type = $2, color = $3, icon = $4
-       WHERE id = $5
-       RETURNING id, name, type, color, icon, created_at`,
-      [name, type, color || null, icon || null, categoryId]
+      `UPDATE categories
+       SET name = $1, type = $2, color = $3, icon = $4, parent_id = $5
+       WHERE id = $6
+       RETURNING id, name, type, color, icon, parent_id, user_id, user_id IS NULL as is_system, created_at`,
+      [name, type, color || null, icon || null, parentId, categoryId]
     );
 
     const updatedCategory = result.rows[0];
 
-    // Clear categories cache
+    // Clear categories cache; moving a category changes analytics and budget roll-ups
     await clearCache('cache:*/categories*');
+    await clearAnalyticsCache();
+    await clearBudgetCache();
 
     res.json({
       success: true,
@@ -217,27 +345,44 @@ const updateCategory = async (req, res) => {
   }
 };
 
-// Delete a category (admin only)
+// Delete a category (admins: any category, other users: their personal ones)
 const deleteCategory = async (req, res) => {
   try {
     const categoryId = parseInt(req.params.id);
 
-    // Check if category exists
-    const existingCategory = await pool.query(
-      'SELECT id FROM categories WHERE id = $1',
+    const { category: existing, status, message } = await findEditableCategory(req, categoryId);
+    if (!existing) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    // Transfer legs depend on the built-in transfer category
+    if (existing.type === 'transfer') {
+      return res.status(400).json({
+        success: false,
+        message: 'The transfer category cannot be deleted'
+      });
+    }
+
+    const childCount = await pool.query(
+      'SELECT COUNT(*) as count FROM categories WHERE parent_id = $1',
       [categoryId]
     );
 
-    if (existingCategory.rows.length === 0) {
-      return res.status(404).json({
+    if (parseInt(childCount.rows[0].count) > 0) {
+      return res.status(409).json({
         success: false,
-        message: 'Category not found'
+        message: 'Cannot delete category that has subcategories'
       });
     }
 
     // Check if category is being used in any transactions
     const transactionCount = await pool.query(
-      'SELECT COUNT(*) as count FROM transactions WHERE category_id = $1',
+      `SELECT
+         (SELECT COUNT(*) FROM transactions WHERE category_id = $1) +
+         (SELECT COUNT(*) FROM transaction_splits WHERE category_id = $1) as count`,
       [categoryId]
     );
 
@@ -278,11 +423,11 @@ const getCategoryStats = async (req, res) => {
         c.type,
         c.color,
         c.icon,
-        COUNT(t.id) as transaction_count,
+        COUNT(DISTINCT t.id) as transaction_count,
         COALESCE(SUM(t.amount), 0) as total_amount,
         COALESCE(AVG(t.amount), 0) as average_amount
       FROM categories c
-      LEFT JOIN transactions t ON c.id = t.category_id
+      LEFT JOIN ${categoryLinesSql} t ON c.id = t.category_id
       GROUP BY c.id, c.name, c.type, c.color, c.icon
       ORDER BY transaction_count DESC, c.name
     `;
@@ -0,0 +1,237 @@
+const { pool } = require('../config/database');
+const { clearTransactionCache, clearAnalyticsCache, clearBudgetCache } = require('../middleware/cache');
+
+const DUPLICATE_STATUSES = ['pending', 'dismissed'];
+
+// Look up a duplicate flag the requesting user is allowed to act on
+const findDuplicateFlag = async (db, flagId, user, lock = false) => {
+  let flagQuery = 'SELECT * FROM transaction_duplicates WHERE id = $1';
+  const flagParams = [flagId];
+
+  if (user.role !== 'admin') {
+    flagQuery += ' AND user_id = $2';
+    flagParams.push(user.id);
+  }
+
+  if (lock) {
+    flagQuery += ' FOR UPDATE';
+  }
+
+  const result = await db.query(flagQuery, flagParams);
+  return result.rows[0] || null;
+};
+
+// Get suspected duplicate pairs for review
+const getDuplicates = async (req, res) => {
+  try {
+    const userId = req.user.role === 'admin' && req.query.user_id ?
+      parseInt(req.query.user_id) : req.user.id;
+
+    // Pagination
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100); // Max 100 per page
+    const offset = (page - 1) * limit;
+
+    const status = req.query.status || 'pending';
+    if (!DUPLICATE_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Status must be one of ${DUPLICATE_STATUSES.join(', ')}`
+      });
+    }
+
+    const countResult = await pool.query(
+      'SELECT COUNT(*) as total FROM transaction_duplicates WHERE user_id = $1 AND status = $2',
+      [userId, status]
+    );
+    const totalItems = parseInt(countResult.rows[0].total);
+    const totalPages = Math.ceil(totalItems / limit);
+
+    const result = await pool.query(
+      `SELECT
+         d.id, d.similarity, d.status, d.created_at, d.resolved_at,
+         json_build_object(
+           'id', t.id, 'amount', t.amount, 'type', t.type, 'description', t.description,
+           'transaction_date', t.transaction_date, 'category_id', t.category_id, 'category_name', tc.name,
+           'created_at', t.created_at
+         ) as transaction,
+         json_build_object(
+           'id', o.id, 'amount', o.amount, 'type', o.type, 'description', o.description,
+           'transaction_date', o.transaction_date, 'category_id', o.category_id, 'category_name', oc.name,
+           'created_at', o.created_at
+         ) as duplicate_of
+       FROM transaction_duplicates d
+       JOIN transactions t ON d.transaction_id = t.id
+       JOIN categories tc ON t.category_id = tc.id
+       JOIN transactions o ON d.duplicate_of_id = o.id
+       JOIN categories oc ON o.category_id = oc.id
+       WHERE d.user_id = $1 AND d.status = $2
+       ORDER BY d.created_at DESC, d.id DESC
+       LIMIT $3 OFFSET $4`,
+      [userId, status, limit, offset]
+    );
+
+    res.json({
+      success: true,
+      data: {
+        duplicates: result.rows,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalItems,
+          itemsPerPage: limit,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get duplicates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Merge a duplicate pair: keep one transaction and delete the other
+const mergeDuplicate = async (req, res) => {
+  const flagId = parseInt(req.params.id);
+  const keep = req.body.keep || 'original';
+
+  if (!['original', 'duplicate'].includes(keep)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Keep must be either original or duplicate'
+    });
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const flag = await findDuplicateFlag(client, flagId, req.user, true);
+    if (!flag || flag.status !== 'pending') {
+      await client.query('ROLLBACK');
+      return res.status(404).json({
+        success: false,
+        message: 'Pending duplicate not found'
+      });
+    }
+
+    const keepId = keep === 'original' ? flag.duplicate_of_id : flag.transaction_id;
+    const removeId = keep === 'original' ? flag.transaction_id : flag.duplicate_of_id;
+
+    // Deleting one leg of a transfer would leave the other orphaned
+    const removedTransfer = await client.query(
+      'SELECT transfer_id FROM transactions WHERE id = $1',
+      [removeId]
+    );
+    if (removedTransfer.rows[0] && removedTransfer.rows[0].transfer_id) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({
+        success: false,
+        message: `The transaction to remove is part of transfer ${removedTransfer.rows[0].transfer_id} - keep it instead, or delete the transfer through /api/transfers`
+      });
+    }
+
+    // Receipts of the removed transaction belong to the same purchase, so the survivor keeps them
+    await client.query(
+      'UPDATE transaction_attachments SET transaction_id = $1 WHERE transaction_id = $2',
+      [keepId, removeId]
+    );
+
+    // Deleting the removed transaction also clears every flag that references it
+    const removed = await client.query(
+      'DELETE FROM transactions WHERE id = $1 RETURNING description',
+      [removeId]
+    );
+
+    // Keep the removed description when the surviving transaction has none
+    const kept = await client.query(
+      `UPDATE transactions
+       SET description = COALESCE(description, $2)
+       WHERE id = $1
+       RETURNING id, amount, type, description, transaction_date, category_id, created_at, updated_at`,
+      [keepId, removed.rows[0] ? removed.rows[0].description : null]
+    );
+
+    await client.query('COMMIT');
+
+    await clearTransactionCache(flag.user_id);
+    await clearAnalyticsCache(flag.user_id);
+    await clearBudgetCache(flag.user_id);
+
+    res.json({
+      success: true,
+      message: 'Duplicate merged successfully',
+      data: {
+        transaction: kept.rows[0],
+        removedTransactionId: removeId
+      }
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Merge duplicate error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  } finally {
+    client.release();
+  }
+};
+
+// Dismiss a duplicate flag, keeping both transactions
+const dismissDuplicate = async (req, res) => {
+  try {
+    const flagId = parseInt(req.params.id);
+
+    const flag = await findDuplicateFlag(pool, flagId, req.user);
+    if (!flag || flag.status !== 'pending') {
+      return res.status(404).json({
+        success: false,
+        message: 'Pending duplicate not found'
+      });
+    }
+
+    const result = await pool.query(
+      `UPDATE transaction_duplicates
+       SET status = 'dismissed', resolved_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND status = 'pending'
+       RETURNING id, transaction_id, duplicate_of_id, similarity, status, created_at, resolved_at`,
+      [flag.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pending duplicate not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Duplicate dismissed - both transactions were kept',
+      data: {
+        duplicate: result.rows[0]
+      }
+    });
+
+  } catch (error) {
+    console.error('Dismiss duplicate error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getDuplicates,
+  mergeDuplicate,
+  dismissDuplicate
+};
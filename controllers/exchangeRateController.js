@@ -0,0 +1,250 @@
+const { body, validationResult } = require('express-validator');
+const { pool } = require('../config/database');
+const { clearAnalyticsCache, clearTransactionCache, clearBudgetCache } = require('../middleware/cache');
+const {
+  normalizeRates,
+  loadRatesFromFile,
+  fetchRatesFromApi,
+  saveRates
+} = require('../utils/exchangeRates');
+
+// Validation rules
+const exchangeRateValidation = [
+  body('rates')
+    .exists()
+    .withMessage('rates is required'),
+  body('date')
+    .optional()
+    .isISO8601()
+    .withMessage('Date must be a valid date in ISO format')
+];
+
+const loadExchangeRatesValidation = [
+  body('source')
+    .isIn(['file', 'api'])
+    .withMessage('Source must be either file or api'),
+  body('date')
+    .optional()
+    .isISO8601()
+    .withMessage('Date must be a valid date in ISO format'),
+  body('base')
+    .optional()
+    .isISO4217()
+    .withMessage('Base must be a valid ISO 4217 code (e.g. USD)')
+];
+
+// Every user's converted analytics and budget progress depend on the rates table
+const clearConvertedCaches = async () => {
+  await clearAnalyticsCache();
+  await clearTransactionCache();
+  await clearBudgetCache();
+};
+
+// Get exchange rates with pagination and filtering
+const getExchangeRates = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    const offset = (page - 1) * limit;
+
+    const { base, quote, start_date, end_date } = req.query;
+
+    let whereConditions = [];
+    let queryParams = [];
+    let paramCount = 0;
+
+    if (base) {
+      paramCount++;
+      whereConditions.push(`base_currency = $${paramCount}`);
+      queryParams.push(String(base).toUpperCase());
+    }
+
+    if (quote) {
+      paramCount++;
+      whereConditions.push(`quote_currency = $${paramCount}`);
+      queryParams.push(String(quote).toUpperCase());
+    }
+
+    if (start_date) {
+      paramCount++;
+      whereConditions.push(`rate_date >= $${paramCount}`);
+      queryParams.push(start_date);
+    }
+
+    if (end_date) {
+      paramCount++;
+      whereConditions.push(`rate_date <= $${paramCount}`);
+      queryParams.push(end_date);
+    }
+
+    const whereClause = whereConditions.length > 0 ? `WHERE ${whereConditions.join(' AND ')}` : '';
+
+    const countResult = await pool.query(
+      `SELECT COUNT(*) as total FROM exchange_rates ${whereClause}`,
+      queryParams
+    );
+    const totalItems = parseInt(countResult.rows[0].total);
+    const totalPages = Math.ceil(totalItems / limit);
+
+    const result = await pool.query(
+      `SELECT id, rate_date, base_currency, quote_currency, rate, source, created_at, updated_at
+       FROM exchange_rates
+       ${whereClause}
+       ORDER BY rate_date DESC, base_currency, quote_currency
+       LIMIT $${paramCount + 1} OFFSET $${paramCount + 2}`,
+      [...queryParams, limit, offset]
+    );
+
+    res.json({
+      success: true,
+      data: {
+        exchangeRates: result.rows,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalItems,
+          itemsPerPage: limit,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get exchange rates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Add or replace exchange rates sent in the request body
+const upsertExchangeRates = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    let rows;
+    try {
+      const date = req.body.date || new Date().toISOString().slice(0, 10);
+      rows = normalizeRates(req.body.rates, date);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    const saved = await saveRates(rows, 'manual');
+    await clearConvertedCaches();
+
+    res.json({
+      success: true,
+      message: `${saved} exchange rate(s) saved`,
+      data: {
+        saved,
+        exchangeRates: rows
+      }
+    });
+
+  } catch (error) {
+    console.error('Upsert exchange rates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Load exchange rates from the configured file or API
+const loadExchangeRates = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { source, date, base } = req.body;
+
+    let rows;
+    try {
+      rows = source === 'file'
+        ? await loadRatesFromFile()
+        : await fetchRatesFromApi(date, base);
+    } catch (error) {
+      return res.status(502).json({
+        success: false,
+        message: `Could not load exchange rates: ${error.message}`
+      });
+    }
+
+    const saved = await saveRates(rows, source);
+    await clearConvertedCaches();
+
+    res.json({
+      success: true,
+      message: `${saved} exchange rate(s) loaded from ${source}`,
+      data: {
+        source,
+        saved
+      }
+    });
+
+  } catch (error) {
+    console.error('Load exchange rates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Delete an exchange rate
+const deleteExchangeRate = async (req, res) => {
+  try {
+    const rateId = parseInt(req.params.id);
+
+    const result = await pool.query('DELETE FROM exchange_rates WHERE id = $1 RETURNING id', [rateId]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Exchange rate not found'
+      });
+    }
+
+    await clearConvertedCaches();
+
+    res.json({
+      success: true,
+      message: 'Exchange rate deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete exchange rate error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getExchangeRates,
+  upsertExchangeRates,
+  loadExchangeRates,
+  deleteExchangeRate,
+  exchangeRateValidation,
+  loadExchangeRatesValidation
+};
@@ -0,0 +1,274 @@
+const { query, validationResult } = require('express-validator');
+const { pool } = require('../config/database');
+const { buildTransactionFilters } = require('./transactionController');
+const { EXPORT_FORMATS, createExportFormatter } = require('../utils/exportFormatters');
+const { formatDateOnly } = require('../utils/budgetProgress');
+const { signedAmount, signedAmountSql } = require('../utils/ledger');
+const {
+  getBaseCurrency,
+  convertedAmountSql,
+  unconvertedColumnsSql,
+  summarizeUnconverted
+} = require('../utils/exchangeRates');
+
+// Rows read from the database per round trip while streaming
+const EXPORT_BATCH_SIZE = 500;
+
+// Validation rules for export query parameters
+const exportValidation = [
+  query('format')
+    .isIn(EXPORT_FORMATS)
+    .withMessage(`Format must be one of ${EXPORT_FORMATS.join(', ')}`),
+  query('type')
+    .optional()
+    .isIn(['income', 'expense', 'transfer'])
+    .withMessage('Type must be income, expense or transfer'),
+  query('category_id')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Category ID must be a valid positive integer'),
+  query('payee_id')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Payee ID must be a valid positive integer'),
+  query('goal_id')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Goal ID must be a valid positive integer'),
+  query('tag')
+    .optional()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Tag must be between 1 and 50 characters'),
+  query('start_date')
+    .optional()
+    .isISO8601()
+    .withMessage('Start date must be a valid date in ISO format'),
+  query('end_date')
+    .optional()
+    .isISO8601()
+    .withMessage('End date must be a valid date in ISO format')
+];
+
+// Work in cents so long running balances do not drift
+const toCents = (amount) => Math.round(parseFloat(amount) * 100);
+
+// Write a chunk, waiting for the socket to drain when its buffer is full
+const writeChunk = (res, chunk, encoding) => new Promise(resolve => {
+  if (!chunk || res.destroyed) return resolve();
+  if (res.write(chunk, encoding)) return resolve();
+
+  const done = () => {
+    res.removeListener('drain', done);
+    res.removeListener('close', done);
+    resolve();
+  };
+  res.once('drain', done);
+  res.once('close', done);
+});
+
+// Stream every matching transaction as CSV, JSON Lines, OFX or a PDF statement
+const exportTransactions = async (req, res) => {
+  let headersWritten = false;
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const userId = req.user.role === 'admin' && req.query.user_id ?
+      parseInt(req.query.user_id) : req.user.id;
+
+    const userResult = await pool.query(
+      'SELECT id, username, email, first_name, last_name FROM users WHERE id = $1',
+      [userId]
+    );
+
+    if (userResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const user = userResult.rows[0];
+    const { whereClause, queryParams, paramCount } = buildTransactionFilters(userId, req.query);
+
+    // Balances are kept in the exported account's currency, else the user's base currency
+    let currency = null;
+    if (req.query.account_id) {
+      const accountResult = await pool.query(
+        'SELECT currency FROM accounts WHERE id = $1 AND user_id = $2',
+        [parseInt(req.query.account_id), userId]
+      );
+      currency = accountResult.rows.length > 0 ? accountResult.rows[0].currency : null;
+    }
+    currency = currency || await getBaseCurrency(userId);
+
+    // Totals up front so headers (OFX date range, PDF page count) can be written first
+    const totalsResult = await pool.query(
+      `SELECT
+         COUNT(*) as count,
+         MIN(t.transaction_date) as first_date,
+         MAX(t.transaction_date) as last_date,
+         ${unconvertedColumnsSql(`$${paramCount + 1}`, 't')}
+       FROM transactions t
+       JOIN categories c ON t.category_id = c.id
+       WHERE ${whereClause}`,
+      [...queryParams, currency]
+    );
+
+    // Opening balance: the same filters applied to everything before the start date
+    let openingCents = 0;
+    if (req.query.start_date) {
+      const opening = buildTransactionFilters(userId, { ...req.query, start_date: undefined, end_date: undefined });
+      const openingAmountSql = convertedAmountSql(`$${opening.paramCount + 2}`, 't');
+      const openingResult = await pool.query(
+        `SELECT COALESCE(SUM(${signedAmountSql('t', openingAmountSql)}), 0) as balance
+         FROM transactions t
+         JOIN categories c ON t.category_id = c.id
+         WHERE ${opening.whereClause} AND t.transaction_date < $${opening.paramCount + 1}`,
+        [...opening.queryParams, req.query.start_date, currency]
+      );
+      openingCents = toCents(openingResult.rows[0].balance);
+    }
+
+    const totals = totalsResult.rows[0];
+    const { unconvertedCount, missingCurrencies } = summarizeUnconverted(totalsResult.rows);
+    const format = req.query.format;
+    const generatedAt = new Date();
+    const formatter = createExportFormatter(format, {
+      user,
+      accountHolder: [user.first_name, user.last_name].filter(Boolean).join(' ') || user.username,
+      periodStart: req.query.start_date || totals.first_date,
+      periodEnd: req.query.end_date || totals.last_date || generatedAt,
+      currency,
+      openingBalance: openingCents / 100,
+      count: parseInt(totals.count),
+      unconvertedCount,
+      generatedAt
+    });
+
+    let closed = false;
+    res.on('close', () => {
+      closed = true;
+    });
+
+    const fileDate = generatedAt.toISOString().slice(0, 10);
+    res.setHeader('Content-Type', formatter.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="transactions-${fileDate}.${formatter.extension}"`);
+    res.setHeader('Cache-Control', 'no-store');
+    // Transactions with no exchange rate to the statement currency are left out of the balances
+    res.setHeader('X-Export-Currency', currency);
+    res.setHeader('X-Unconverted-Count', String(unconvertedCount));
+    if (missingCurrencies.length > 0) {
+      res.setHeader('X-Missing-Currencies', missingCurrencies.join(','));
+    }
+    res.status(200);
+    headersWritten = true;
+
+    await writeChunk(res, formatter.header(), formatter.encoding);
+
+    // Keyset pagination keeps each batch cheap no matter how deep into the export we are
+    let balanceCents = openingCents;
+    let incomeCents = 0;
+    let expenseCents = 0;
+    let incomeCount = 0;
+    let expenseCount = 0;
+
+    // Money in and money out include transfer legs so the statement totals reconcile with the balance
+    let lastRow = null;
+
+    while (!closed) {
+      const batchParams = [...queryParams, currency];
+      let keysetCondition = '';
+
+      if (lastRow) {
+        keysetCondition = `AND (t.transaction_date, t.id) > ($${paramCount + 2}, $${paramCount + 3})`;
+        batchParams.push(formatDateOnly(lastRow.transaction_date), lastRow.id);
+      }
+      batchParams.push(EXPORT_BATCH_SIZE);
+
+      const batch = await pool.query(
+        `SELECT
+           t.id,
+           t.amount,
+           t.currency,
+           ${convertedAmountSql(`$${paramCount + 1}`, 't')} as converted_amount,
+           t.type,
+           t.description,
+           t.transaction_date,
+           t.transfer_id,
+           t.transfer_direction,
+           t.created_at,
+           t.updated_at,
+           c.id as category_id,
+           c.name as category_name,
+           t.account_id,
+           a.name as account_name
+         FROM transactions t
+         JOIN categories c ON t.category_id = c.id
+         LEFT JOIN accounts a ON t.account_id = a.id
+         WHERE ${whereClause} ${keysetCondition}
+         ORDER BY t.transaction_date, t.id
+         LIMIT $${batchParams.length}`,
+        batchParams
+      );
+
+      for (const transaction of batch.rows) {
+        // Rows with no exchange rate are still listed but leave the balance and totals alone
+        if (transaction.converted_amount !== null) {
+          const cents = toCents(signedAmount({ ...transaction, amount: transaction.converted_amount }));
+          balanceCents += cents;
+          if (cents >= 0) {
+            incomeCents += cents;
+            incomeCount++;
+          } else {
+            expenseCents -= cents;
+            expenseCount++;
+          }
+        }
+
+        await writeChunk(res, formatter.row(transaction, balanceCents / 100), formatter.encoding);
+        if (closed) break;
+      }
+
+      if (batch.rows.length < EXPORT_BATCH_SIZE) break;
+      lastRow = batch.rows[batch.rows.length - 1];
+    }
+
+    if (closed) return;
+
+    await writeChunk(res, formatter.footer({
+      income: incomeCents / 100,
+      expense: expenseCents / 100,
+      incomeCount,
+      expenseCount,
+      closingBalance: balanceCents / 100
+    }), formatter.encoding);
+
+    res.end();
+
+  } catch (error) {
+    console.error('Export transactions error:', error);
+
+    // Once streaming has started the only honest signal left is a truncated response
+    if (headersWritten) {
+      return res.destroy(error);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  exportTransactions,
+  exportValidation
+};
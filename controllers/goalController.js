@@ -0,0 +1,376 @@
+const { body, validationResult } = require('express-validator');
+const { pool } = require('../config/database');
+const { clearTransactionCache } = require('../middleware/cache');
+const { calculateGoalProgress, endOfMonth } = require('../utils/goalProgress');
+const { getBaseCurrency } = require('../utils/exchangeRates');
+const { findUserAccount } = require('./accountController');
+
+// Validation rules
+const goalValidation = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Goal name must be between 1 and 100 characters'),
+  body('target_amount')
+    .isFloat({ min: 0.01 })
+    .withMessage('Target amount must be a positive number greater than 0'),
+  // A month such as 2027-06 means by the end of that month
+  body('target_date')
+    .customSanitizer(value => (/^\d{4}-(0[1-9]|1[0-2])$/.test(value) ? endOfMonth(value) : value))
+    .isISO8601({ strict: true })
+    .withMessage('Target date must be a date (YYYY-MM-DD) or a month (YYYY-MM)'),
+  body('starting_amount')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Starting amount must be zero or a positive number')
+];
+
+// The tracking source is chosen when the goal is created
+const createGoalValidation = [
+  ...goalValidation,
+  body('account_id')
+    .optional({ values: 'null' })
+    .isInt({ min: 1 })
+    .withMessage('Account ID must be a valid positive integer')
+];
+
+// The account's currency wins for account-tracked goals, since account currencies can change
+const goalSelect = `
+  SELECT
+    g.id,
+    g.user_id,
+    g.name,
+    g.target_amount,
+    g.target_date,
+    COALESCE(a.currency, g.currency) as currency,
+    g.account_id,
+    a.name as account_name,
+    g.starting_amount,
+    (SELECT COUNT(*) FROM transactions t WHERE t.goal_id = g.id) as linked_transaction_count,
+    g.created_at,
+    g.updated_at
+  FROM goals g
+  LEFT JOIN accounts a ON g.account_id = a.id
+`;
+
+// Attach live progress figures to a goal row
+const withProgress = async (goal) => ({
+  ...goal,
+  progress: await calculateGoalProgress(goal)
+});
+
+// Check for another goal of the same user with the same name
+const hasGoalNamed = async (userId, name, excludeId = null) => {
+  const result = await pool.query(
+    `SELECT id FROM goals
+     WHERE user_id = $1 AND LOWER(name) = LOWER($2)
+       AND ($3::integer IS NULL OR id != $3)`,
+    [userId, name, excludeId]
+  );
+
+  return result.rows.length > 0;
+};
+
+/**
+ * Find a goal that transactions for a user may be linked to
+ * @param {number} goalId - Goal ID
+ * @param {number} userId - Owner the goal must belong to
+ * @returns {Promise<object|null>} Goal row, or null when missing, owned by someone else or tracked by an account
+ */
+const findUserGoal = async (goalId, userId) => {
+  const result = await pool.query(
+    'SELECT id, name FROM goals WHERE id = $1 AND user_id = $2 AND account_id IS NULL',
+    [goalId, userId]
+  );
+
+  return result.rows[0] || null;
+};
+
+// Get all goals for a user with live progress
+const getGoals = async (req, res) => {
+  try {
+    const userId = req.user.role === 'admin' && req.query.user_id ?
+      parseInt(req.query.user_id) : req.user.id;
+
+    const result = await pool.query(
+      `${goalSelect}
+       WHERE g.user_id = $1
+       ORDER BY g.target_date, g.name`,
+      [userId]
+    );
+
+    const goals = await Promise.all(result.rows.map(withProgress));
+
+    res.json({
+      success: true,
+      data: {
+        goals
+      }
+    });
+
+  } catch (error) {
+    console.error('Get goals error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Get a single goal by ID
+const getGoal = async (req, res) => {
+  try {
+    const goalId = parseInt(req.params.id);
+
+    let query = `${goalSelect} WHERE g.id = $1`;
+    let queryParams = [goalId];
+
+    // Non-admin users can only see their own goals
+    if (req.user.role !== 'admin') {
+      query += ' AND g.user_id = $2';
+      queryParams.push(req.user.id);
+    }
+
+    const result = await pool.query(query, queryParams);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Goal not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        goal: await withProgress(result.rows[0])
+      }
+    });
+
+  } catch (error) {
+    console.error('Get goal error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Create a new goal
+const createGoal = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, target_amount, target_date, account_id, starting_amount, user_id } = req.body;
+
+    // Admin can create goals for other users, regular users create for themselves
+    let targetUserId = req.user.id;
+    if (req.user.role === 'admin' && user_id) {
+      targetUserId = parseInt(user_id);
+
+      const userExists = await pool.query('SELECT id FROM users WHERE id = $1', [targetUserId]);
+      if (userExists.rows.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Target user not found'
+        });
+      }
+    }
+
+    // An account-tracked goal is measured by the account balance, which already includes its opening balance
+    let currency;
+    if (account_id) {
+      const account = await findUserAccount(account_id, targetUserId);
+      if (!account) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid account ID'
+        });
+      }
+
+      if (parseFloat(starting_amount) > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Starting amount only applies to goals tracked by linked transactions'
+        });
+      }
+
+      currency = account.currency;
+    } else {
+      currency = await getBaseCurrency(targetUserId);
+    }
+
+    if (await hasGoalNamed(targetUserId, name)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Goal with this name already exists'
+      });
+    }
+
+    const result = await pool.query(
+      `INSERT INTO goals (user_id, name, target_amount, target_date, currency, account_id, starting_amount)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING id`,
+      [targetUserId, name, target_amount, target_date, currency, account_id || null, starting_amount || 0]
+    );
+
+    const goalResult = await pool.query(`${goalSelect} WHERE g.id = $1`, [result.rows[0].id]);
+
+    res.status(201).json({
+      success: true,
+      message: 'Goal created successfully',
+      data: {
+        goal: await withProgress(goalResult.rows[0])
+      }
+    });
+
+  } catch (error) {
+    console.error('Create goal error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Update a goal
+const updateGoal = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const goalId = parseInt(req.params.id);
+    const { name, target_amount, target_date, starting_amount } = req.body;
+
+    // Check if goal exists and user has permission to update it
+    let checkQuery = 'SELECT user_id, account_id, starting_amount FROM goals WHERE id = $1';
+    let checkParams = [goalId];
+
+    if (req.user.role !== 'admin') {
+      checkQuery += ' AND user_id = $2';
+      checkParams.push(req.user.id);
+    }
+
+    const existingGoal = await pool.query(checkQuery, checkParams);
+
+    if (existingGoal.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Goal not found or access denied'
+      });
+    }
+
+    const existing = existingGoal.rows[0];
+
+    if (existing.account_id && parseFloat(starting_amount) > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Starting amount only applies to goals tracked by linked transactions'
+      });
+    }
+
+    if (await hasGoalNamed(existing.user_id, name, goalId)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Another goal with this name already exists'
+      });
+    }
+
+    await pool.query(
+      `UPDATE goals
+       SET name = $1, target_amount = $2, target_date = $3, starting_amount = $4, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $5`,
+      [
+        name,
+        target_amount,
+        target_date,
+        starting_amount !== undefined ? starting_amount : existing.starting_amount,
+        goalId
+      ]
+    );
+
+    const goalResult = await pool.query(`${goalSelect} WHERE g.id = $1`, [goalId]);
+
+    // Transaction listings show the goal name
+    await clearTransactionCache(existing.user_id);
+
+    res.json({
+      success: true,
+      message: 'Goal updated successfully',
+      data: {
+        goal: await withProgress(goalResult.rows[0])
+      }
+    });
+
+  } catch (error) {
+    console.error('Update goal error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Delete a goal, keeping its linked transactions
+const deleteGoal = async (req, res) => {
+  try {
+    const goalId = parseInt(req.params.id);
+
+    let checkQuery = 'SELECT user_id FROM goals WHERE id = $1';
+    let checkParams = [goalId];
+
+    if (req.user.role !== 'admin') {
+      checkQuery += ' AND user_id = $2';
+      checkParams.push(req.user.id);
+    }
+
+    const existingGoal = await pool.query(checkQuery, checkParams);
+
+    if (existingGoal.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Goal not found or access denied'
+      });
+    }
+
+    await pool.query('DELETE FROM goals WHERE id = $1', [goalId]);
+
+    await clearTransactionCache(existingGoal.rows[0].user_id);
+
+    res.json({
+      success: true,
+      message: 'Goal deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete goal error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getGoals,
+  getGoal,
+  createGoal,
+  updateGoal,
+  deleteGoal,
+  findUserGoal,
+  goalValidation,
+  createGoalValidation
+};
@@ -0,0 +1,408 @@
+const { validationResult } = require('express-validator');
+const { pool } = require('../config/database');
+const { clearTransactionCache, clearAnalyticsCache, clearBudgetCache } = require('../middleware/cache');
+const { transactionValidation } = require('./transactionController');
+const { checkBudgetAlerts } = require('../utils/budgetAlerts');
+const { findDuplicateCandidates, flagDuplicates } = require('../utils/duplicateDetection');
+const { findUserAccount } = require('./accountController');
+const { getBaseCurrency, resolveCurrency } = require('../utils/exchangeRates');
+const { DATE_FORMATS, detectFormat, parseStatement } = require('../utils/statementParsers');
+const { visibleCategorySql } = require('../utils/categoryTree');
+const { loadRules, findMatchingRule } = require('../utils/categorizationRules');
+const { loadAliases, matchPayee } = require('../utils/payees');
+
+const MAX_IMPORT_ROWS = parseInt(process.env.IMPORT_MAX_ROWS) || 5000;
+
+// Fallback categories for rows the statement does not categorize
+const FALLBACK_CATEGORIES = {
+  income: 'other income',
+  expense: 'other expense'
+};
+
+// Run the shared transaction validation chains against a single row
+const validateRow = async (candidate) => {
+  const rowRequest = { body: candidate };
+  await Promise.all(transactionValidation.map(chain => chain.run(rowRequest)));
+
+  return validationResult(rowRequest).array().map(error => ({
+    field: error.path,
+    message: error.msg
+  }));
+};
+
+// Pick a category for a row: statement category, then the first matching rule, then the requested default, then "Other ..."
+const resolveCategory = (row, type, rule, categoriesByName, categoriesById, defaultCategoryId) => {
+  if (row.category) {
+    const named = categoriesByName.get(row.category.toLowerCase());
+    if (named && named.type === type) return named;
+  }
+
+  if (rule) {
+    const ruled = categoriesById.get(rule.category_id);
+    if (ruled) return ruled;
+  }
+
+  if (defaultCategoryId) {
+    const fallback = categoriesById.get(defaultCategoryId);
+    if (fallback && fallback.type === type) return fallback;
+  }
+
+  return categoriesByName.get(FALLBACK_CATEGORIES[type]) || null;
+};
+
+/**
+ * Turn parsed statement rows into validated transaction inputs.
+ * Shared by preview and commit so both report exactly the same errors.
+ */
+const prepareImportRows = async (rawRows, userId, { defaultCategoryId, accountId }) => {
+  // Personal categories come last so they win over a system category of the same name
+  const categoriesResult = await pool.query(
+    `SELECT id, name, type FROM categories c
+     WHERE ${visibleCategorySql('$1')}
+     ORDER BY c.user_id NULLS FIRST, c.id`,
+    [userId]
+  );
+  const categoriesByName = new Map(categoriesResult.rows.map(category => [category.name.toLowerCase(), category]));
+  const categoriesById = new Map(categoriesResult.rows.map(category => [category.id, category]));
+  const rules = await loadRules(userId);
+  const aliases = await loadAliases(userId);
+
+  const accepted = [];
+  const rejected = [];
+
+  for (const row of rawRows) {
+    const errors = [];
+    const type = row.type || (row.amount < 0 ? 'expense' : 'income');
+    const alias = matchPayee(aliases, row.description);
+    const rule = isNaN(row.amount) ? null : findMatchingRule(rules, {
+      type,
+      amount: Math.abs(row.amount),
+      description: row.description,
+      account_id: accountId,
+      payee_id: alias ? alias.payee_id : null
+    });
+    const category = isNaN(row.amount) ? null : resolveCategory(row, type, rule, categoriesByName, categoriesById, defaultCategoryId);
+
+    const candidate = {
+      amount: isNaN(row.amount) ? row.amount : Math.abs(row.amount),
+      type,
+      category_id: category ? category.id : null,
+      description: row.description || undefined,
+      transaction_date: row.date || row.rawDate || ''
+    };
+
+    if (!row.date) {
+      errors.push({ field: 'transaction_date', message: `Unrecognized date "${row.rawDate || ''}"` });
+    }
+
+    if (isNaN(row.amount)) {
+      errors.push({ field: 'amount', message: 'Amount is missing or not a number' });
+    } else if (!category) {
+      errors.push({ field: 'category_id', message: `No ${type} category matches this row` });
+    }
+
+    // Skip the shared rules for fields already reported above
+    const reported = new Set(errors.map(error => error.field));
+    (await validateRow(candidate))
+      .filter(error => !reported.has(error.field))
+      .forEach(error => errors.push(error));
+
+    if (errors.length > 0) {
+      rejected.push({
+        line: row.line,
+        errors,
+        row: {
+          date: row.rawDate,
+          amount: isNaN(row.amount) ? null : row.amount,
+          description: row.description,
+          category: row.category
+        }
+      });
+      continue;
+    }
+
+    accepted.push({
+      line: row.line,
+      reference: row.reference,
+      transaction: {
+        ...candidate,
+        amount: parseFloat(candidate.amount),
+        description: candidate.description || null,
+        category_name: category.name,
+        payee_id: alias ? alias.payee_id : null,
+        payee_name: alias ? alias.payee_name : null
+      }
+    });
+  }
+
+  return { accepted, rejected };
+};
+
+// Read the multipart options sent alongside the statement file
+const readImportOptions = (reqBody) => {
+  let mapping = {};
+  if (reqBody.mapping) {
+    try {
+      mapping = typeof reqBody.mapping === 'string' ? JSON.parse(reqBody.mapping) : reqBody.mapping;
+    } catch (error) {
+      return { error: 'Mapping must be a valid JSON object' };
+    }
+    if (typeof mapping !== 'object' || mapping === null || Array.isArray(mapping)) {
+      return { error: 'Mapping must be a valid JSON object' };
+    }
+  }
+
+  const dateFormat = reqBody.date_format || undefined;
+  if (dateFormat && !DATE_FORMATS.includes(dateFormat)) {
+    return { error: `Date format must be one of ${DATE_FORMATS.join(', ')}` };
+  }
+
+  const defaultCategoryId = reqBody.default_category_id ? parseInt(reqBody.default_category_id) : null;
+  if (reqBody.default_category_id && (isNaN(defaultCategoryId) || defaultCategoryId < 1)) {
+    return { error: 'Default category ID must be a valid positive integer' };
+  }
+
+  const accountId = reqBody.account_id ? parseInt(reqBody.account_id) : null;
+  if (reqBody.account_id && (isNaN(accountId) || accountId < 1)) {
+    return { error: 'Account ID must be a valid positive integer' };
+  }
+
+  const currency = reqBody.currency ? String(reqBody.currency).toUpperCase() : null;
+  if (currency && !/^[A-Z]{3}$/.test(currency)) {
+    return { error: 'Currency must be a valid ISO 4217 code (e.g. USD)' };
+  }
+
+  return {
+    mapping,
+    dateFormat,
+    defaultCategoryId,
+    accountId,
+    currency,
+    hasHeader: reqBody.has_header !== 'false',
+    delimiter: reqBody.delimiter === '\\t' ? '\t' : (reqBody.delimiter || undefined),
+    preview: reqBody.preview === 'true',
+    atomic: reqBody.atomic === 'true',
+    skipDuplicates: reqBody.skip_duplicates === 'true'
+  };
+};
+
+// Import transactions from a CSV, OFX or QIF bank statement
+const importTransactions = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Statement file is required (multipart field "file")'
+      });
+    }
+
+    const options = readImportOptions(req.body);
+    if (options.error) {
+      return res.status(400).json({
+        success: false,
+        message: options.error
+      });
+    }
+
+    const content = req.file.buffer.toString('utf8');
+    const format = (req.body.format || detectFormat(req.file.originalname, content) || '').toLowerCase();
+
+    if (!['csv', 'ofx', 'qif'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Could not determine statement format. Use format=csv, ofx or qif'
+      });
+    }
+
+    // Admin can import for other users, regular users import for themselves
+    let targetUserId = req.user.id;
+    if (req.user.role === 'admin' && req.body.user_id) {
+      targetUserId = parseInt(req.body.user_id);
+
+      const userExists = await pool.query('SELECT id FROM users WHERE id = $1', [targetUserId]);
+      if (userExists.rows.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Target user not found'
+        });
+      }
+    }
+
+    // Every row of a statement is posted to the same account, in the same currency
+    const account = options.accountId ? await findUserAccount(options.accountId, targetUserId) : null;
+    if (options.accountId && !account) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid account ID'
+      });
+    }
+
+    const currencyResult = resolveCurrency(
+      options.currency,
+      account ? account.currency : null,
+      await getBaseCurrency(targetUserId)
+    );
+    if (currencyResult.error) {
+      return res.status(400).json({
+        success: false,
+        message: currencyResult.error
+      });
+    }
+
+    let rawRows;
+    try {
+      rawRows = parseStatement(format, content, options);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (rawRows.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No transactions found in the statement'
+      });
+    }
+
+    if (rawRows.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({
+        success: false,
+        message: `Statements are limited to ${MAX_IMPORT_ROWS} rows per import`
+      });
+    }
+
+    const { accepted, rejected } = await prepareImportRows(rawRows, targetUserId, options);
+
+    // Compare against what the user already has, before any row of this statement is inserted
+    for (const item of accepted) {
+      item.duplicates = await findDuplicateCandidates(targetUserId, { ...item.transaction, currency: currencyResult.currency });
+    }
+
+    const duplicateRows = accepted.filter(item => item.duplicates.length > 0);
+    const toInsert = options.skipDuplicates
+      ? accepted.filter(item => item.duplicates.length === 0)
+      : accepted;
+
+    const summary = {
+      format,
+      currency: currencyResult.currency,
+      totalRows: rawRows.length,
+      acceptedRows: accepted.length,
+      rejectedRows: rejected.length,
+      duplicateRows: duplicateRows.length
+    };
+
+    if (options.preview) {
+      return res.json({
+        success: true,
+        message: 'Import preview - nothing was saved',
+        data: {
+          preview: true,
+          summary,
+          transactions: accepted.map(item => ({
+            line: item.line,
+            ...item.transaction,
+            possibleDuplicates: item.duplicates
+          })),
+          errors: rejected
+        }
+      });
+    }
+
+    if (options.atomic && rejected.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Import rejected - fix the listed rows or import without atomic mode',
+        data: {
+          summary,
+          errors: rejected
+        }
+      });
+    }
+
+    // Insert every accepted row in a single database transaction
+    const client = await pool.connect();
+    const created = [];
+
+    try {
+      await client.query('BEGIN');
+
+      for (const item of toInsert) {
+        const { amount, type, category_id, description, transaction_date, payee_id } = item.transaction;
+        const result = await client.query(
+          `INSERT INTO transactions (user_id, category_id, amount, currency, type, description, transaction_date, account_id, payee_id)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+           RETURNING id, amount, currency, type, description, transaction_date, account_id, payee_id, created_at`,
+          [targetUserId, category_id, amount, currencyResult.currency, type, description, transaction_date, options.accountId, payee_id]
+        );
+
+        await flagDuplicates(targetUserId, result.rows[0].id, item.duplicates, client);
+
+        created.push({
+          line: item.line,
+          ...result.rows[0],
+          category_id,
+          category_name: item.transaction.category_name,
+          payee_name: item.transaction.payee_name,
+          possibleDuplicates: item.duplicates
+        });
+      }
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    if (created.length > 0) {
+      await clearTransactionCache(targetUserId);
+      await clearAnalyticsCache(targetUserId);
+      await clearBudgetCache(targetUserId);
+
+      // Check each expense category once, against its latest imported date
+      const latestExpenseDates = new Map();
+      toInsert
+        .filter(item => item.transaction.type === 'expense')
+        .forEach(item => {
+          const { category_id, transaction_date } = item.transaction;
+          if (!latestExpenseDates.has(category_id) || latestExpenseDates.get(category_id) < transaction_date) {
+            latestExpenseDates.set(category_id, transaction_date);
+          }
+        });
+
+      for (const [categoryId, date] of latestExpenseDates) {
+        await checkBudgetAlerts(targetUserId, categoryId, date);
+      }
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Imported ${created.length} of ${rawRows.length} transactions`,
+      data: {
+        summary: {
+          ...summary,
+          importedRows: created.length,
+          skippedDuplicates: accepted.length - toInsert.length
+        },
+        transactions: created,
+        errors: rejected
+      }
+    });
+
+  } catch (error) {
+    console.error('Import transactions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  importTransactions,
+  prepareImportRows
+};
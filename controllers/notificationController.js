@@ -0,0 +1,179 @@
+const { pool } = require('../config/database');
+
+// Get notifications for the authenticated user with pagination
+const getNotifications = async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    // Pagination
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100); // Max 100 per page
+    const offset = (page - 1) * limit;
+
+    const { unread, type } = req.query;
+
+    let whereConditions = ['user_id = $1', 'dismissed_at IS NULL'];
+    let queryParams = [userId];
+    let paramCount = 1;
+
+    if (unread === 'true') {
+      whereConditions.push('is_read = FALSE');
+    }
+
+    if (type) {
+      paramCount++;
+      whereConditions.push(`type = $${paramCount}`);
+      queryParams.push(type);
+    }
+
+    const whereClause = whereConditions.join(' AND ');
+
+    const countResult = await pool.query(
+      `SELECT
+         COUNT(*) as total,
+         COUNT(CASE WHEN is_read = FALSE THEN 1 END) as unread
+       FROM notifications
+       WHERE ${whereClause}`,
+      queryParams
+    );
+    const totalItems = parseInt(countResult.rows[0].total);
+    const totalPages = Math.ceil(totalItems / limit);
+
+    const result = await pool.query(
+      `SELECT id, type, title, message, data, is_read, read_at, created_at
+       FROM notifications
+       WHERE ${whereClause}
+       ORDER BY created_at DESC, id DESC
+       LIMIT $${paramCount + 1} OFFSET $${paramCount + 2}`,
+      [...queryParams, limit, offset]
+    );
+
+    res.json({
+      success: true,
+      data: {
+        notifications: result.rows,
+        unreadCount: parseInt(countResult.rows[0].unread),
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalItems,
+          itemsPerPage: limit,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Mark a single notification as read
+const markNotificationRead = async (req, res) => {
+  try {
+    const notificationId = parseInt(req.params.id);
+
+    const result = await pool.query(
+      `UPDATE notifications
+       SET is_read = TRUE, read_at = COALESCE(read_at, CURRENT_TIMESTAMP)
+       WHERE id = $1 AND user_id = $2 AND dismissed_at IS NULL
+       RETURNING id, type, title, message, data, is_read, read_at, created_at`,
+      [notificationId, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Notification marked as read',
+      data: {
+        notification: result.rows[0]
+      }
+    });
+
+  } catch (error) {
+    console.error('Mark notification read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Mark every unread notification as read
+const markAllNotificationsRead = async (req, res) => {
+  try {
+    const result = await pool.query(
+      `UPDATE notifications
+       SET is_read = TRUE, read_at = CURRENT_TIMESTAMP
+       WHERE user_id = $1 AND is_read = FALSE AND dismissed_at IS NULL`,
+      [req.user.id]
+    );
+
+    res.json({
+      success: true,
+      message: 'All notifications marked as read',
+      data: {
+        updatedCount: result.rowCount
+      }
+    });
+
+  } catch (error) {
+    console.error('Mark all notifications read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Dismiss a notification so it no longer appears in the inbox
+const dismissNotification = async (req, res) => {
+  try {
+    const notificationId = parseInt(req.params.id);
+
+    const result = await pool.query(
+      `UPDATE notifications
+       SET dismissed_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND user_id = $2 AND dismissed_at IS NULL
+       RETURNING id`,
+      [notificationId, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Notification dismissed successfully'
+    });
+
+  } catch (error) {
+    console.error('Dismiss notification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getNotifications,
+  markNotificationRead,
+  markAllNotificationsRead,
+  dismissNotification
+};
@@ -0,0 +1,528 @@
+const { body, validationResult } = require('express-validator');
+const { pool } = require('../config/database');
+const { clearTransactionCache, clearAnalyticsCache } = require('../middleware/cache');
+const { ALIAS_MATCH_TYPES, loadAliases, matchPayee } = require('../utils/payees');
+const { collectTransactionChanges, applyTransactionChanges } = require('../utils/transactionBatches');
+
+// Validation rules
+const payeeValidation = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Payee name must be between 1 and 100 characters')
+];
+
+// New payees may bring their alias patterns; afterwards aliases are added and removed one by one
+const createPayeeValidation = [
+  ...payeeValidation,
+  body('aliases')
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage('Aliases must be an array of at most 50 patterns'),
+  body('aliases.*.pattern')
+    .isString()
+    .withMessage('Alias pattern must be a string')
+    .bail()
+    .trim()
+    .isLength({ min: 1, max: 255 })
+    .withMessage('Alias pattern must be between 1 and 255 characters'),
+  body('aliases.*.match_type')
+    .optional()
+    .isIn(ALIAS_MATCH_TYPES)
+    .withMessage(`Alias match type must be one of ${ALIAS_MATCH_TYPES.join(', ')}`)
+];
+
+const aliasValidation = [
+  body('pattern')
+    .isString()
+    .withMessage('Alias pattern must be a string')
+    .bail()
+    .trim()
+    .isLength({ min: 1, max: 255 })
+    .withMessage('Alias pattern must be between 1 and 255 characters'),
+  body('match_type')
+    .optional()
+    .isIn(ALIAS_MATCH_TYPES)
+    .withMessage(`Alias match type must be one of ${ALIAS_MATCH_TYPES.join(', ')}`)
+];
+
+const normalizeValidation = [
+  body('preview')
+    .optional()
+    .isBoolean()
+    .withMessage('preview must be a boolean'),
+  body('overwrite')
+    .optional()
+    .isBoolean()
+    .withMessage('overwrite must be a boolean')
+];
+
+const payeeSelect = `
+  SELECT
+    p.id,
+    p.user_id,
+    p.name,
+    p.created_at,
+    p.updated_at,
+    (
+      SELECT COALESCE(json_agg(json_build_object(
+        'id', pa.id,
+        'pattern', pa.pattern,
+        'match_type', pa.match_type
+      ) ORDER BY pa.id), '[]'::json)
+      FROM payee_aliases pa
+      WHERE pa.payee_id = p.id
+    ) as aliases,
+    (SELECT COUNT(*) FROM transactions t WHERE t.payee_id = p.id) as transaction_count
+  FROM payees p
+`;
+
+// Load a payee the current user is allowed to see
+const findPayee = async (req, id) => {
+  let query = `${payeeSelect} WHERE p.id = $1`;
+  let queryParams = [id];
+
+  if (req.user.role !== 'admin') {
+    query += ' AND p.user_id = $2';
+    queryParams.push(req.user.id);
+  }
+
+  const result = await pool.query(query, queryParams);
+  return result.rows[0] || null;
+};
+
+// Check for another payee of the same user with the same name
+const hasPayeeNamed = async (userId, name, excludeId = null) => {
+  const result = await pool.query(
+    `SELECT id FROM payees
+     WHERE user_id = $1 AND LOWER(name) = LOWER($2)
+       AND ($3::integer IS NULL OR id != $3)`,
+    [userId, name, excludeId]
+  );
+
+  return result.rows.length > 0;
+};
+
+// Get all payees for a user
+const getPayees = async (req, res) => {
+  try {
+    const userId = req.user.role === 'admin' && req.query.user_id ?
+      parseInt(req.query.user_id) : req.user.id;
+
+    const { search } = req.query;
+
+    let whereConditions = ['p.user_id = $1'];
+    let queryParams = [userId];
+
+    if (search) {
+      whereConditions.push('p.name ILIKE $2');
+      queryParams.push(`%${search}%`);
+    }
+
+    const result = await pool.query(
+      `${payeeSelect}
+       WHERE ${whereConditions.join(' AND ')}
+       ORDER BY p.name`,
+      queryParams
+    );
+
+    res.json({
+      success: true,
+      data: {
+        payees: result.rows
+      }
+    });
+
+  } catch (error) {
+    console.error('Get payees error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Get a single payee by ID
+const getPayee = async (req, res) => {
+  try {
+    const payee = await findPayee(req, parseInt(req.params.id));
+
+    if (!payee) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payee not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        payee
+      }
+    });
+
+  } catch (error) {
+    console.error('Get payee error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Create a new payee with its alias patterns
+const createPayee = async (req, res) => {
+  let client;
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, aliases, user_id } = req.body;
+
+    // Admin can create payees for other users, regular users create for themselves
+    let targetUserId = req.user.id;
+    if (req.user.role === 'admin' && user_id) {
+      targetUserId = parseInt(user_id);
+
+      const userExists = await pool.query('SELECT id FROM users WHERE id = $1', [targetUserId]);
+      if (userExists.rows.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Target user not found'
+        });
+      }
+    }
+
+    if (await hasPayeeNamed(targetUserId, name)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Payee with this name already exists'
+      });
+    }
+
+    client = await pool.connect();
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      'INSERT INTO payees (user_id, name) VALUES ($1, $2) RETURNING id',
+      [targetUserId, name]
+    );
+    const payeeId = result.rows[0].id;
+
+    for (const alias of aliases || []) {
+      await client.query(
+        `INSERT INTO payee_aliases (payee_id, pattern, match_type)
+         VALUES ($1, $2, $3)
+         ON CONFLICT (payee_id, pattern, match_type) DO NOTHING`,
+        [payeeId, alias.pattern, alias.match_type || 'contains']
+      );
+    }
+
+    await client.query('COMMIT');
+
+    const payeeResult = await pool.query(`${payeeSelect} WHERE p.id = $1`, [payeeId]);
+
+    res.status(201).json({
+      success: true,
+      message: 'Payee created successfully',
+      data: {
+        payee: payeeResult.rows[0]
+      }
+    });
+
+  } catch (error) {
+    if (client) {
+      await client.query('ROLLBACK');
+    }
+    console.error('Create payee error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+};
+
+// Rename a payee
+const updatePayee = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const payeeId = parseInt(req.params.id);
+    const { name } = req.body;
+
+    const existing = await findPayee(req, payeeId);
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payee not found or access denied'
+      });
+    }
+
+    if (await hasPayeeNamed(existing.user_id, name, payeeId)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Another payee with this name already exists'
+      });
+    }
+
+    await pool.query('UPDATE payees SET name = $1 WHERE id = $2', [name, payeeId]);
+
+    const payee = await findPayee(req, payeeId);
+
+    // Transaction listings and payee reports show the payee name
+    await clearTransactionCache(existing.user_id);
+    await clearAnalyticsCache(existing.user_id);
+
+    res.json({
+      success: true,
+      message: 'Payee updated successfully',
+      data: {
+        payee
+      }
+    });
+
+  } catch (error) {
+    console.error('Update payee error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Delete a payee; its transactions keep their descriptions and lose the payee link
+const deletePayee = async (req, res) => {
+  try {
+    const existing = await findPayee(req, parseInt(req.params.id));
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payee not found or access denied'
+      });
+    }
+
+    await pool.query('DELETE FROM payees WHERE id = $1', [existing.id]);
+
+    await clearTransactionCache(existing.user_id);
+    await clearAnalyticsCache(existing.user_id);
+
+    res.json({
+      success: true,
+      message: 'Payee deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete payee error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Add an alias pattern to a payee
+const addPayeeAlias = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const existing = await findPayee(req, parseInt(req.params.id));
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payee not found or access denied'
+      });
+    }
+
+    const { pattern, match_type } = req.body;
+
+    const result = await pool.query(
+      `INSERT INTO payee_aliases (payee_id, pattern, match_type)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (payee_id, pattern, match_type) DO NOTHING
+       RETURNING id, pattern, match_type`,
+      [existing.id, pattern, match_type || 'contains']
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Payee already has this alias'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Payee alias added successfully',
+      data: {
+        alias: result.rows[0]
+      }
+    });
+
+  } catch (error) {
+    console.error('Add payee alias error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Remove an alias pattern from a payee
+const deletePayeeAlias = async (req, res) => {
+  try {
+    const existing = await findPayee(req, parseInt(req.params.id));
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payee not found or access denied'
+      });
+    }
+
+    const result = await pool.query(
+      'DELETE FROM payee_aliases WHERE id = $1 AND payee_id = $2 RETURNING id',
+      [parseInt(req.params.aliasId), existing.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payee alias not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Payee alias deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete payee alias error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Match existing transactions to payees through the alias patterns, previewing unless preview is false
+const normalizePayees = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const userId = req.user.role === 'admin' && req.query.user_id ?
+      parseInt(req.query.user_id) : req.user.id;
+
+    const preview = req.body.preview === undefined || req.body.preview === true || req.body.preview === 'true';
+    // By default only transactions without a payee are matched, so manual choices survive
+    const overwrite = req.body.overwrite === true || req.body.overwrite === 'true';
+
+    const aliases = await loadAliases(userId);
+
+    // Without aliases nothing can change, so the transactions are not read at all
+    const { checked, changes } = aliases.length === 0 ? { checked: 0, changes: [] } : await collectTransactionChanges({
+      select: `SELECT t.id, t.description, t.transaction_date, t.amount, t.payee_id, p.name as payee_name
+               FROM transactions t
+               LEFT JOIN payees p ON t.payee_id = p.id`,
+      whereConditions: [
+        't.user_id = $1',
+        "t.type != 'transfer'",
+        't.description IS NOT NULL',
+        '($2::boolean OR t.payee_id IS NULL)'
+      ],
+      queryParams: [userId, overwrite]
+    }, (transaction) => {
+      const alias = matchPayee(aliases, transaction.description);
+      if (!alias || alias.payee_id === transaction.payee_id) return null;
+
+      return {
+        transaction_id: transaction.id,
+        transaction_date: transaction.transaction_date,
+        description: transaction.description,
+        amount: transaction.amount,
+        old_payee_id: transaction.payee_id,
+        old_payee_name: transaction.payee_name,
+        new_payee_id: alias.payee_id,
+        new_payee_name: alias.payee_name,
+        alias_pattern: alias.pattern
+      };
+    });
+
+    if (!preview && changes.length > 0) {
+      await applyTransactionChanges(changes, 'payee_id', 'new_payee_id');
+
+      await clearTransactionCache(userId);
+      await clearAnalyticsCache(userId);
+    }
+
+    res.json({
+      success: true,
+      message: preview
+        ? `${changes.length} transaction(s) would be matched to a payee`
+        : `${changes.length} transaction(s) matched to a payee`,
+      data: {
+        preview,
+        checked,
+        changed: changes.length,
+        changes
+      }
+    });
+
+  } catch (error) {
+    console.error('Normalize payees error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getPayees,
+  getPayee,
+  createPayee,
+  updatePayee,
+  deletePayee,
+  addPayeeAlias,
+  deletePayeeAlias,
+  normalizePayees,
+  payeeValidation,
+  createPayeeValidation,
+  aliasValidation,
+  normalizeValidation
+};
@@ -0,0 +1,471 @@
+const { body, validationResult } = require('express-validator');
+const { pool } = require('../config/database');
+const { clearRecurringCache, clearAnalyticsCache } = require('../middleware/cache');
+const { formatDateOnly } = require('../utils/budgetProgress');
+const { getBaseCurrency } = require('../utils/exchangeRates');
+const { validateUserCategory } = require('../utils/categoryTree');
+const {
+  getOccurrenceDate,
+  getUpcomingOccurrences,
+  countOccurrencesThrough,
+  materializeRecurringTransaction,
+  runDueRecurringTransactions
+} = require('../utils/recurringScheduler');
+
+// Validation rules
+const recurringTransactionValidation = [
+  body('amount')
+    .isFloat({ min: 0.01 })
+    .withMessage('Amount must be a positive number greater than 0'),
+  body('type')
+    .isIn(['income', 'expense'])
+    .withMessage('Type must be either income or expense'),
+  body('category_id')
+    .isInt({ min: 1 })
+    .withMessage('Category ID must be a valid positive integer'),
+  body('description')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Description must be less than 500 characters'),
+  body('frequency')
+    .isIn(['daily', 'weekly', 'monthly', 'yearly'])
+    .withMessage('Frequency must be daily, weekly, monthly, or yearly'),
+  body('interval_count')
+    .optional()
+    .isInt({ min: 1, max: 365 })
+    .withMessage('Interval count must be an integer between 1 and 365'),
+  body('start_date')
+    .isISO8601()
+    .withMessage('Start date must be a valid date in ISO format'),
+  body('end_date')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('End date must be a valid date in ISO format')
+    .custom((value, { req }) => new Date(value) >= new Date(req.body.start_date))
+    .withMessage('End date must be on or after the start date'),
+  body('max_occurrences')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('Max occurrences must be a positive integer'),
+  body('is_active')
+    .optional()
+    .isBoolean()
+    .withMessage('is_active must be a boolean'),
+  body('currency')
+    .optional()
+    .isISO4217()
+    .withMessage('Currency must be a valid ISO 4217 code (e.g. USD)')
+];
+
+const recurringSelect = `
+  SELECT
+    r.id,
+    r.user_id,
+    r.category_id,
+    r.amount,
+    r.currency,
+    r.type,
+    r.description,
+    r.frequency,
+    r.interval_count,
+    r.start_date,
+    r.end_date,
+    r.max_occurrences,
+    r.occurrences_count,
+    r.next_occurrence_date,
+    r.is_active,
+    r.last_run_at,
+    r.created_at,
+    r.updated_at,
+    c.name as category_name,
+    c.color as category_color,
+    c.icon as category_icon
+  FROM recurring_transactions r
+  JOIN categories c ON r.category_id = c.id
+`;
+
+// Build a template object from the request body for schedule calculations
+const templateFromBody = (reqBody) => ({
+  frequency: reqBody.frequency,
+  interval_count: parseInt(reqBody.interval_count) || 1,
+  start_date: reqBody.start_date,
+  end_date: reqBody.end_date || null,
+  max_occurrences: reqBody.max_occurrences ? parseInt(reqBody.max_occurrences) : null
+});
+
+// Load a template the current user is allowed to see
+const findRecurringTransaction = async (req, id) => {
+  let query = `${recurringSelect} WHERE r.id = $1`;
+  let queryParams = [id];
+
+  if (req.user.role !== 'admin') {
+    query += ' AND r.user_id = $2';
+    queryParams.push(req.user.id);
+  }
+
+  const result = await pool.query(query, queryParams);
+  return result.rows[0] || null;
+};
+
+// Get all recurring transaction templates for a user
+const getRecurringTransactions = async (req, res) => {
+  try {
+    const userId = req.user.role === 'admin' && req.query.user_id ?
+      parseInt(req.query.user_id) : req.user.id;
+
+    const { type, active } = req.query;
+
+    let whereConditions = ['r.user_id = $1'];
+    let queryParams = [userId];
+    let paramCount = 1;
+
+    if (type && ['income', 'expense'].includes(type)) {
+      paramCount++;
+      whereConditions.push(`r.type = $${paramCount}`);
+      queryParams.push(type);
+    }
+
+    if (active === 'true' || active === 'false') {
+      paramCount++;
+      whereConditions.push(`r.is_active = $${paramCount}`);
+      queryParams.push(active === 'true');
+    }
+
+    const result = await pool.query(
+      `${recurringSelect}
+       WHERE ${whereConditions.join(' AND ')}
+       ORDER BY r.is_active DESC, r.next_occurrence_date NULLS LAST, r.id`,
+      queryParams
+    );
+
+    res.json({
+      success: true,
+      data: {
+        recurringTransactions: result.rows
+      }
+    });
+
+  } catch (error) {
+    console.error('Get recurring transactions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Get a single recurring transaction template
+const getRecurringTransaction = async (req, res) => {
+  try {
+    const template = await findRecurringTransaction(req, parseInt(req.params.id));
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recurring transaction not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        recurringTransaction: template
+      }
+    });
+
+  } catch (error) {
+    console.error('Get recurring transaction error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Preview the next N occurrences of a template without posting them
+const previewRecurringTransaction = async (req, res) => {
+  try {
+    const template = await findRecurringTransaction(req, parseInt(req.params.id));
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recurring transaction not found'
+      });
+    }
+
+    const count = Math.min(parseInt(req.query.count) || 5, 100); // Max 100 occurrences
+
+    res.json({
+      success: true,
+      data: {
+        recurringTransactionId: template.id,
+        occurrences: template.is_active
+          ? getUpcomingOccurrences(template, count).map(occurrence => ({
+            ...occurrence,
+            amount: template.amount,
+            type: template.type,
+            category_id: template.category_id,
+            description: template.description
+          }))
+          : []
+      }
+    });
+
+  } catch (error) {
+    console.error('Preview recurring transaction error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Create a recurring transaction template
+const createRecurringTransaction = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { amount, type, category_id, description, currency, user_id } = req.body;
+
+    // Admin can create templates for other users, regular users create for themselves
+    let targetUserId = req.user.id;
+    if (req.user.role === 'admin' && user_id) {
+      targetUserId = parseInt(user_id);
+
+      const userExists = await pool.query('SELECT id FROM users WHERE id = $1', [targetUserId]);
+      if (userExists.rows.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Target user not found'
+        });
+      }
+    }
+
+    const categoryError = await validateUserCategory(category_id, type, targetUserId);
+    if (categoryError) {
+      return res.status(400).json({
+        success: false,
+        message: categoryError
+      });
+    }
+
+    const schedule = templateFromBody(req.body);
+    const firstOccurrence = getOccurrenceDate(schedule, 0);
+    const isActive = req.body.is_active !== false && req.body.is_active !== 'false';
+    const templateCurrency = currency ? currency.toUpperCase() : await getBaseCurrency(targetUserId);
+
+    const result = await pool.query(
+      `INSERT INTO recurring_transactions
+         (user_id, category_id, amount, currency, type, description, frequency, interval_count,
+          start_date, end_date, max_occurrences, next_occurrence_date, is_active)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+       RETURNING id`,
+      [
+        targetUserId, category_id, amount, templateCurrency, type, description || null,
+        schedule.frequency, schedule.interval_count, schedule.start_date, schedule.end_date,
+        schedule.max_occurrences, firstOccurrence ? formatDateOnly(firstOccurrence) : null,
+        isActive && firstOccurrence !== null
+      ]
+    );
+
+    const templateId = result.rows[0].id;
+
+    // Post any occurrences that are already due instead of waiting for the next scheduler tick
+    const run = await materializeRecurringTransaction(templateId);
+
+    await clearRecurringCache(targetUserId);
+    // The cash-flow forecast projects active templates
+    await clearAnalyticsCache(targetUserId);
+
+    const template = await findRecurringTransaction(req, templateId);
+
+    res.status(201).json({
+      success: true,
+      message: 'Recurring transaction created successfully',
+      data: {
+        recurringTransaction: template,
+        postedTransactions: run.posted
+      }
+    });
+
+  } catch (error) {
+    console.error('Create recurring transaction error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Update a recurring transaction template
+const updateRecurringTransaction = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const templateId = parseInt(req.params.id);
+    const { amount, type, category_id, description, currency } = req.body;
+
+    const existing = await findRecurringTransaction(req, templateId);
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recurring transaction not found or access denied'
+      });
+    }
+
+    const categoryError = await validateUserCategory(category_id, type, existing.user_id);
+    if (categoryError) {
+      return res.status(400).json({
+        success: false,
+        message: categoryError
+      });
+    }
+
+    // Resume the new schedule after the last occurrence already posted
+    const schedule = templateFromBody(req.body);
+    const lastPosted = await pool.query(
+      'SELECT MAX(transaction_date) as last_date FROM transactions WHERE recurring_transaction_id = $1',
+      [templateId]
+    );
+    const lastPostedDate = lastPosted.rows[0].last_date;
+    const occurrencesCount = lastPostedDate ? countOccurrencesThrough(schedule, lastPostedDate) : 0;
+    const nextOccurrence = getOccurrenceDate(schedule, occurrencesCount);
+
+    const requestedActive = req.body.is_active === undefined
+      ? existing.is_active
+      : req.body.is_active === true || req.body.is_active === 'true';
+
+    await pool.query(
+      `UPDATE recurring_transactions
+       SET category_id = $1, amount = $2, currency = $3, type = $4, description = $5, frequency = $6,
+           interval_count = $7, start_date = $8, end_date = $9, max_occurrences = $10,
+           occurrences_count = $11, next_occurrence_date = $12, is_active = $13,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $14`,
+      [
+        category_id, amount, currency ? currency.toUpperCase() : existing.currency, type, description || null, schedule.frequency,
+        schedule.interval_count, schedule.start_date, schedule.end_date, schedule.max_occurrences,
+        occurrencesCount, nextOccurrence ? formatDateOnly(nextOccurrence) : null,
+        requestedActive && nextOccurrence !== null, templateId
+      ]
+    );
+
+    const run = await materializeRecurringTransaction(templateId);
+
+    await clearRecurringCache(existing.user_id);
+    await clearAnalyticsCache(existing.user_id);
+
+    const template = await findRecurringTransaction(req, templateId);
+
+    res.json({
+      success: true,
+      message: 'Recurring transaction updated successfully',
+      data: {
+        recurringTransaction: template,
+        postedTransactions: run.posted
+      }
+    });
+
+  } catch (error) {
+    console.error('Update recurring transaction error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Delete a recurring transaction template (already posted transactions are kept)
+const deleteRecurringTransaction = async (req, res) => {
+  try {
+    const templateId = parseInt(req.params.id);
+    const existing = await findRecurringTransaction(req, templateId);
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recurring transaction not found or access denied'
+      });
+    }
+
+    await pool.query('DELETE FROM recurring_transactions WHERE id = $1', [templateId]);
+
+    await clearRecurringCache(existing.user_id);
+    await clearAnalyticsCache(existing.user_id);
+
+    res.json({
+      success: true,
+      message: 'Recurring transaction deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete recurring transaction error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Run the scheduler on demand (admin only)
+const runRecurringScheduler = async (req, res) => {
+  try {
+    const dryRun = req.query.dry_run === 'true';
+
+    // A custom reference date is only honored for dry runs so future occurrences are never posted early
+    const referenceDate = dryRun && req.query.date ? new Date(req.query.date) : new Date();
+
+    if (isNaN(referenceDate.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Date must be a valid date in ISO format'
+      });
+    }
+
+    const summary = await runDueRecurringTransactions({ referenceDate, dryRun });
+
+    if (!dryRun) {
+      await clearRecurringCache();
+    }
+
+    res.json({
+      success: true,
+      message: dryRun ? 'Dry run completed, nothing was posted' : 'Recurring transactions processed',
+      data: summary
+    });
+
+  } catch (error) {
+    console.error('Run recurring scheduler error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getRecurringTransactions,
+  getRecurringTransaction,
+  previewRecurringTransaction,
+  createRecurringTransaction,
+  updateRecurringTransaction,
+  deleteRecurringTransaction,
+  runRecurringScheduler,
+  recurringTransactionValidation
+};
@@ -1,27 +1,188 @@
 const { body, validationResult, query } = require('express-validator');
 const { pool } = require('../config/database');
-const { clearTransactionCache, clearAnalyticsCache } = require('../middleware/cache');
+const { clearTransactionCache, clearAnalyticsCache, clearBudgetCache } = require('../middleware/cache');
+const { checkBudgetAlerts } = require('../utils/budgetAlerts');
+const { findDuplicateCandidates, flagDuplicates } = require('../utils/duplicateDetection');
+const { findUserAccount } = require('./accountController');
+const { findUserGoal } = require('./goalController');
+const { validateUserCategory } = require('../utils/categoryTree');
+const {
+  getBaseCurrency,
+  resolveCurrency,
+  convertedAmountSql,
+  unconvertedColumnsSql,
+  summarizeUnconverted
+} = require('../utils/exchangeRates');
+const { splitsJsonSql, inCategorySql, validateSplits, getSplits, saveSplits } = require('../utils/transactionSplits');
+const {
+  MAX_TAGS_PER_TRANSACTION,
+  MAX_TAG_LENGTH,
+  normalizeTags,
+  tagsJsonSql,
+  hasTagSql,
+  saveTags,
+  getTags
+} = require('../utils/transactionTags');
+const { loadRules, findMatchingRule } = require('../utils/categorizationRules');
+const { loadAliases, matchPayee, findUserPayee } = require('../utils/payees');
+const { deleteStoredAttachments } = require('../utils/attachmentStorage');
+
+// Split transactions are filed under their first line's category, so category_id may be left out.
+// New transactions may also leave it to the categorization rules.
+const categoryIdValidation = (required) => body('category_id')
+  .if((value, { req }) => value !== undefined ||
+    (required && (!Array.isArray(req.body.splits) || req.body.splits.length === 0)))
+  .isInt({ min: 1 })
+  .withMessage('Category ID must be a valid positive integer');
 
 // Validation rules
-const transactionValidation = [
+const transactionFieldValidation = [
   body('amount')
     .isFloat({ min: 0.01 })
     .withMessage('Amount must be a positive number greater than 0'),
   body('type')
     .isIn(['income', 'expense'])
     .withMessage('Type must be either income or expense'),
-  body('category_id')
-    .isInt({ min: 1 })
-    .withMessage('Category ID must be a valid positive integer'),
   body('description')
     .optional()
     .isLength({ max: 500 })
     .withMessage('Description must be less than 500 characters'),
   body('transaction_date')
     .isISO8601()
-    .withMessage('Transaction date must be a valid date in ISO format')
+    .withMessage('Transaction date must be a valid date in ISO format'),
+  body('account_id')
+    .optional({ values: 'null' })
+    .isInt({ min: 1 })
+    .withMessage('Account ID must be a valid positive integer'),
+  body('currency')
+    .optional()
+    .isISO4217()
+    .withMessage('Currency must be a valid ISO 4217 code (e.g. USD)'),
+  body('payee_id')
+    .optional({ values: 'null' })
+    .isInt({ min: 1 })
+    .withMessage('Payee ID must be a valid positive integer'),
+  body('goal_id')
+    .optional({ values: 'null' })
+    .isInt({ min: 1 })
+    .withMessage('Goal ID must be a valid positive integer'),
+  body('splits')
+    .optional({ values: 'null' })
+    .isArray({ max: 50 })
+    .withMessage('Splits must be an array of at most 50 lines')
+    .custom(value => value.length !== 1)
+    .withMessage('A split transaction needs at least two lines'),
+  body('splits.*.category_id')
+    .isInt({ min: 1 })
+    .withMessage('Split category ID must be a valid positive integer'),
+  body('splits.*.amount')
+    .isFloat({ min: 0.01 })
+    .withMessage('Split amount must be a positive number greater than 0'),
+  body('splits.*.description')
+    .optional({ values: 'null' })
+    .isLength({ max: 500 })
+    .withMessage('Split description must be less than 500 characters'),
+  body('tags')
+    .optional({ values: 'null' })
+    .isArray({ max: MAX_TAGS_PER_TRANSACTION })
+    .withMessage(`Tags must be an array of at most ${MAX_TAGS_PER_TRANSACTION} names`),
+  body('tags.*')
+    .isString()
+    .withMessage('Each tag must be a string')
+    .bail()
+    .trim()
+    .isLength({ min: 1, max: MAX_TAG_LENGTH })
+    .withMessage(`Each tag must be between 1 and ${MAX_TAG_LENGTH} characters`)
 ];
 
+const transactionValidation = [...transactionFieldValidation, categoryIdValidation(true)];
+const createTransactionValidation = [...transactionFieldValidation, categoryIdValidation(false)];
+
+// Check budgets for every category a transaction's lines were filed under
+const checkLineBudgetAlerts = async (userId, categoryIds, transactionDate) => {
+  const alerts = [];
+  for (const categoryId of new Set(categoryIds.map(id => parseInt(id)))) {
+    alerts.push(...await checkBudgetAlerts(userId, categoryId, transactionDate));
+  }
+  return alerts;
+};
+
+/**
+ * Build the WHERE clause shared by transaction listing and export
+ * @param {number} userId - Owner of the transactions
+ * @param {object} filters - type, category_id, account_id, payee_id, goal_id, tag, start_date, end_date and search query values
+ * @returns {object} whereClause, queryParams and paramCount (placeholders used so far)
+ */
+const buildTransactionFilters = (userId, filters) => {
+  const { type, category_id, account_id, payee_id, goal_id, tag, start_date, end_date, search } = filters;
+
+  let whereConditions = ['t.user_id = $1'];
+  let queryParams = [userId];
+  let paramCount = 1;
+
+  if (type && ['income', 'expense', 'transfer'].includes(type)) {
+    paramCount++;
+    whereConditions.push(`t.type = $${paramCount}`);
+    queryParams.push(type);
+  }
+
+  if (category_id) {
+    paramCount++;
+    whereConditions.push(inCategorySql(`$${paramCount}`));
+    queryParams.push(parseInt(category_id));
+  }
+
+  if (account_id) {
+    paramCount++;
+    whereConditions.push(`t.account_id = $${paramCount}`);
+    queryParams.push(parseInt(account_id));
+  }
+
+  if (payee_id) {
+    paramCount++;
+    whereConditions.push(`t.payee_id = $${paramCount}`);
+    queryParams.push(parseInt(payee_id));
+  }
+
+  if (goal_id) {
+    paramCount++;
+    whereConditions.push(`t.goal_id = $${paramCount}`);
+    queryParams.push(parseInt(goal_id));
+  }
+
+  if (tag) {
+    paramCount++;
+    whereConditions.push(hasTagSql(`$${paramCount}`));
+    queryParams.push(String(tag).trim().toLowerCase());
+  }
+
+  if (start_date) {
+    paramCount++;
+    whereConditions.push(`t.transaction_date >= $${paramCount}`);
+    queryParams.push(start_date);
+  }
+
+  if (end_date) {
+    paramCount++;
+    whereConditions.push(`t.transaction_date <= $${paramCount}`);
+    queryParams.push(end_date);
+  }
+
+  if (search) {
+    paramCount++;
+    whereConditions.push(`(t.description ILIKE $${paramCount} OR c.name ILIKE $${paramCount} OR EXISTS (
+      SELECT 1 FROM payees p WHERE p.id = t.payee_id AND p.name ILIKE $${paramCount}
+    ))`);
+    queryParams.push(`%${search}%`);
+  }
+
+  return {
+    whereClause: whereConditions.join(' AND '),
+    queryParams,
+    paramCount
+  };
+};
+
 // Get all transactions for a user with pagination and filtering
 const getTransactions = async (req, res) => {
   try {
@@ -34,43 +195,7 @@ const getTransactions = async (req, res) => {
     const offset = (page - 1) * limit;
 
     // Filtering
-    const { type, category_id, start_date, end_date, search } = req.query;
-
-    let whereConditions = ['t.user_id = $1'];
-    let queryParams = [userId];
-    let paramCount = 1;
-
-    if (type && ['income', 'expense'].includes(type)) {
-      paramCount++;
-      whereConditions.push(`t.type = $${paramCount}`);
-      queryParams.push(type);
-    }
-
-    if (category_id) {
-      paramCount++;
-      whereConditions.push(`t.category_id = $${paramCount}`);
-      queryParams.push(parseInt(category_id));
-    }
-
-    if (start_date) {
-      paramCount++;
-      whereConditions.push(`t.transaction_date >= $${paramCount}`);
-      queryParams.push(start_date);
-    }
-
-    if (end_date) {
-      paramCount++;
-      whereConditions.push(`t.transaction_date <= $${paramCount}`);
-      queryParams.push(end_date);
-    }
-
-    if (search) {
-      paramCount++;
-      whereConditions.push(`(t.description ILIKE $${paramCount} OR c.name ILIKE $${paramCount})`);
-      queryParams.push(`%${search}%`);
-    }
-
-    const whereClause = whereConditions.join(' AND ');
+    const { whereClause, queryParams, paramCount } = buildTransactionFilters(userId, req.query);
 
     // Get total count for pagination
     const countQuery = `
@@ -89,17 +214,32 @@ const getTransactions = async (req, res) => {
       SELECT 
         t.id,
         t.amount,
+        t.currency,
         t.type,
         t.description,
         t.transaction_date,
+        t.recurring_transaction_id,
         t.created_at,
         t.updated_at,
         c.id as category_id,
         c.name as category_name,
         c.color as category_color,
-        c.icon as category_icon
+        c.icon as category_icon,
+        t.account_id,
+        a.name as account_name,
+        t.payee_id,
+        p.name as payee_name,
+        t.goal_id,
+        g.name as goal_name,
+        t.transfer_id,
+        t.transfer_direction,
+        ${splitsJsonSql('t')} as splits,
+        ${tagsJsonSql('t')} as tags
       FROM transactions t
       JOIN categories c ON t.category_id = c.id
+      LEFT JOIN accounts a ON t.account_id = a.id
+      LEFT JOIN payees p ON t.payee_id = p.id
+      LEFT JOIN goals g ON t.goal_id = g.id
       WHERE ${whereClause}
       ORDER BY t.transaction_date DESC, t.created_at DESC
       LIMIT $${paramCount + 1} OFFSET $${paramCount + 2}
@@ -144,17 +284,32 @@ const getTransaction = async (req, res) => {
         t.id,
         t.user_id,
         t.amount,
+        t.currency,
         t.type,
         t.description,
         t.transaction_date,
+        t.recurring_transaction_id,
         t.created_at,
         t.updated_at,
         c.id as category_id,
         c.name as category_name,
         c.color as category_color,
-        c.icon as category_icon
+        c.icon as category_icon,
+        t.account_id,
+        a.name as account_name,
+        t.payee_id,
+        p.name as payee_name,
+        t.goal_id,
+        g.name as goal_name,
+        t.transfer_id,
+        t.transfer_direction,
+        ${splitsJsonSql('t')} as splits,
+        ${tagsJsonSql('t')} as tags
       FROM transactions t
       JOIN categories c ON t.category_id = c.id
+      LEFT JOIN accounts a ON t.account_id = a.id
+      LEFT JOIN payees p ON t.payee_id = p.id
+      LEFT JOIN goals g ON t.goal_id = g.id
       WHERE t.id = $1
     `;
 
@@ -193,6 +348,8 @@ const getTransaction = async (req, res) => {
 
 // Create a new transaction
 const createTransaction = async (req, res) => {
+  let client;
+
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -203,7 +360,9 @@ const createTransaction = async (req, res) => {
       });
     }
 
-    const { amount, type, category_id, description, transaction_date, user_id } = req.body;
+    const { amount, type, description, transaction_date, account_id, currency, payee_id, goal_id, splits, tags, user_id } = req.body;
+    const hasSplits = Array.isArray(splits) && splits.length > 0;
+    let category_id = hasSplits ? splits[0].category_id : req.body.category_id;
     
     // Admin can create transactions for other users, regular users create for themselves
     let targetUserId = req.user.id;
@@ -220,64 +379,159 @@ const createTransaction = async (req, res) => {
       }
     }
 
-    // Verify category exists and matches the transaction type
-    const categoryResult = await pool.query(
-      'SELECT id, type FROM categories WHERE id = $1',
-      [category_id]
-    );
+    // Without a payee_id, the owner's payee aliases match one from the description; null means no payee.
+    // The payee is settled before the category because categorization rules can match on it
+    let payeeId = null;
+    if (payee_id) {
+      if (!await findUserPayee(payee_id, targetUserId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid payee ID'
+        });
+      }
+      payeeId = parseInt(payee_id);
+    } else if (payee_id === undefined) {
+      const alias = matchPayee(await loadAliases(targetUserId), description);
+      payeeId = alias ? alias.payee_id : null;
+    }
 
-    if (categoryResult.rows.length === 0) {
+    // Without a category, the owner's categorization rules pick one
+    let appliedRule = null;
+    if (category_id === undefined) {
+      appliedRule = findMatchingRule(await loadRules(targetUserId), { type, amount, description, account_id, payee_id: payeeId });
+      if (!appliedRule) {
+        return res.status(400).json({
+          success: false,
+          message: 'Category ID is required when no categorization rule matches the transaction'
+        });
+      }
+      category_id = appliedRule.category_id;
+    }
+
+    // Verify the owner can use the category and it matches the transaction type
+    const categoryError = await validateUserCategory(category_id, type, targetUserId);
+    if (categoryError) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid category ID'
+        message: categoryError
       });
     }
 
-    const category = categoryResult.rows[0];
-    if (category.type !== type) {
+    const splitResult = hasSplits ? await validateSplits(splits, amount, type, targetUserId) : { lines: [] };
+    if (splitResult.error) {
       return res.status(400).json({
         success: false,
-        message: `Category type (${category.type}) does not match transaction type (${type})`
+        message: splitResult.error
       });
     }
 
-    // Create transaction
-    const result = await pool.query(
-      `INSERT INTO transactions (user_id, category_id, amount, type, description, transaction_date)
-       VALUES ($1, $2, $3, $4, $5, $6)
-       RETURNING id, amount, type, description, transaction_date, created_at`,
-      [targetUserId, category_id, amount, type, description || null, transaction_date]
+    // Verify the account belongs to the transaction owner
+    const account = account_id ? await findUserAccount(account_id, targetUserId) : null;
+    if (account_id && !account) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid account ID'
+      });
+    }
+
+    const currencyResult = resolveCurrency(
+      currency,
+      account ? account.currency : null,
+      await getBaseCurrency(targetUserId)
+    );
+    if (currencyResult.error) {
+      return res.status(400).json({
+        success: false,
+        message: currencyResult.error
+      });
+    }
+
+    if (goal_id && !await findUserGoal(goal_id, targetUserId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid goal ID'
+      });
+    }
+
+    // Look for likely duplicates before inserting so the new row is not compared with itself
+    const duplicateCandidates = await findDuplicateCandidates(targetUserId, {
+      amount, currency: currencyResult.currency, type, transaction_date, description
+    });
+
+    // Create the transaction with its split lines and tags together
+    client = await pool.connect();
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      `INSERT INTO transactions (user_id, category_id, amount, currency, type, description, transaction_date, account_id, payee_id, goal_id)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+       RETURNING id, amount, currency, type, description, transaction_date, account_id, payee_id, goal_id, created_at`,
+      [targetUserId, category_id, amount, currencyResult.currency, type, description || null, transaction_date, account_id || null, payeeId, goal_id || null]
     );
 
     const newTransaction = result.rows[0];
+    const savedSplits = await saveSplits(newTransaction.id, splitResult.lines, client);
+    const savedTags = await saveTags(newTransaction.id, targetUserId, normalizeTags(tags), client);
+
+    await client.query('COMMIT');
+
+    // The transaction is saved: the steps below must not roll it back or report a failure
+    client.release();
+    client = null;
+
+    // Flag suspected duplicates for review instead of inserting them silently
+    await flagDuplicates(targetUserId, newTransaction.id, duplicateCandidates)
+      .catch(error => console.error('Duplicate flagging error:', error));
 
     // Clear relevant caches
     await clearTransactionCache(targetUserId);
     await clearAnalyticsCache(targetUserId);
+    await clearBudgetCache(targetUserId);
+
+    // Notify the user if this expense pushes a budget past an alert threshold
+    const budgetAlerts = type === 'expense'
+      ? await checkLineBudgetAlerts(targetUserId, hasSplits ? splitResult.lines.map(line => line.category_id) : [category_id], transaction_date)
+      : [];
 
     res.status(201).json({
       success: true,
-      message: 'Transaction created successfully',
+      message: duplicateCandidates.length > 0
+        ? 'Transaction created successfully - flagged as a possible duplicate'
+        : 'Transaction created successfully',
       data: {
         transaction: {
           ...newTransaction,
           category_id,
-          user_id: targetUserId
-        }
+          user_id: targetUserId,
+          splits: hasSplits ? savedSplits : null,
+          tags: savedTags
+        },
+        appliedRule: appliedRule ? { id: appliedRule.id, name: appliedRule.name } : null,
+        budgetAlerts,
+        possibleDuplicates: duplicateCandidates
       }
     });
 
   } catch (error) {
+    if (client) {
+      await client.query('ROLLBACK');
+    }
     console.error('Create transaction error:', error);
     res.status(500).json({
       success: false,
       message: 'Internal server error'
     });
+  } finally {
+    if (client) {
+      client.release();
+    }
   }
 };
 
 // Update a transaction
 const updateTransaction = async (req, res) => {
+  let client;
+
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -289,11 +543,11 @@ const updateTransaction = async (req, res) => {
     }
 
     const transactionId = parseInt(req.params.id);
-    const { amount, type, category_id, description, transaction_date } = req.body;
+    const { amount, type, description, transaction_date, account_id, currency, payee_id, goal_id, splits, tags } = req.body;
     const userId = req.user.id;
 
     // Check if transaction exists and user has permission to update it
-    let checkQuery = 'SELECT user_id FROM transactions WHERE id = $1';
+    let checkQuery = 'SELECT user_id, account_id, currency, payee_id, goal_id, transfer_id FROM transactions WHERE id = $1';
     let checkParams = [transactionId];
 
     if (req.user.role !== 'admin') {
@@ -310,42 +564,130 @@ const updateTransaction = async (req, res) => {
       });
     }
 
-    // Verify category exists and matches the transaction type
-    const categoryResult = await pool.query(
-      'SELECT id, type FROM categories WHERE id = $1',
-      [category_id]
-    );
+    // Both legs of a transfer must change together
+    if (existingTransaction.rows[0].transfer_id) {
+      return res.status(400).json({
+        success: false,
+        message: `This transaction is part of transfer ${existingTransaction.rows[0].transfer_id} - update it through /api/transfers`
+      });
+    }
+
+    // Omitting splits keeps the current lines; null or [] turns the transaction back into a single line
+    const existingSplits = await getSplits(transactionId);
+    const requestedSplits = splits === undefined ? existingSplits : (splits || []);
+    const hasSplits = requestedSplits.length > 0;
+    const category_id = hasSplits ? requestedSplits[0].category_id : req.body.category_id;
+
+    // Verify the owner can use the category and it matches the transaction type
+    const categoryError = await validateUserCategory(category_id, type, existingTransaction.rows[0].user_id);
+    if (categoryError) {
+      return res.status(400).json({
+        success: false,
+        message: categoryError
+      });
+    }
+
+    const splitResult = hasSplits ? await validateSplits(requestedSplits, amount, type, existingTransaction.rows[0].user_id) : { lines: [] };
+    if (splitResult.error) {
+      return res.status(400).json({
+        success: false,
+        message: splitResult.error
+      });
+    }
+
+    // Omitting account_id keeps the current account; null detaches the transaction
+    const existing = existingTransaction.rows[0];
+    const accountId = account_id === undefined ? existing.account_id : (account_id === null ? null : parseInt(account_id));
 
-    if (categoryResult.rows.length === 0) {
+    const account = accountId ? await findUserAccount(accountId, existing.user_id) : null;
+    if (accountId && accountId !== existing.account_id && !account) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid category ID'
+        message: 'Invalid account ID'
       });
     }
 
-    const category = categoryResult.rows[0];
-    if (category.type !== type) {
+    // Omitting currency keeps the current one unless the account dictates another
+    const currencyResult = resolveCurrency(
+      currency,
+      account ? account.currency : null,
+      existing.currency
+    );
+    if (currencyResult.error) {
       return res.status(400).json({
         success: false,
-        message: `Category type (${category.type}) does not match transaction type (${type})`
+        message: currencyResult.error
       });
     }
 
-    // Update transaction
-    const result = await pool.query(
+    // Omitting payee_id keeps the current payee, or matches one from the description when there is none;
+    // null detaches it
+    let payeeId = existing.payee_id;
+    if (payee_id) {
+      if (!await findUserPayee(payee_id, existing.user_id)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid payee ID'
+        });
+      }
+      payeeId = parseInt(payee_id);
+    } else if (payee_id === null) {
+      payeeId = null;
+    } else if (!payeeId) {
+      const alias = matchPayee(await loadAliases(existing.user_id), description);
+      payeeId = alias ? alias.payee_id : null;
+    }
+
+    // Omitting goal_id keeps the current goal; null unlinks it
+    let goalId = existing.goal_id;
+    if (goal_id) {
+      if (!await findUserGoal(goal_id, existing.user_id)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid goal ID'
+        });
+      }
+      goalId = parseInt(goal_id);
+    } else if (goal_id === null) {
+      goalId = null;
+    }
+
+    // Update the transaction and replace its split lines and tags together
+    client = await pool.connect();
+    await client.query('BEGIN');
+
+    const result = await client.query(
       `UPDATE transactions 
-       SET amount = $1, type = $2, category_id = $3, description = $4, transaction_date = $5, updated_at = CURRENT_TIMESTAMP
-       WHERE id = $6
-       RETURNING id, user_id, amount, type, description, transaction_date, updated_at`,
-      [amount, type, category_id, description || null, transaction_date, transactionId]
+       SET amount = $1, currency = $2, type = $3, category_id = $4, description = $5, transaction_date = $6, account_id = $7, payee_id = $8, goal_id = $9, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $10
+       RETURNING id, user_id, amount, currency, type, description, transaction_date, account_id, payee_id, goal_id, updated_at`,
+      [amount, currencyResult.currency, type, category_id, description || null, transaction_date, accountId || null, payeeId, goalId, transactionId]
     );
 
     const updatedTransaction = result.rows[0];
+    const savedSplits = await saveSplits(transactionId, splitResult.lines, client);
+
+    // Omitting tags keeps the current ones; null or [] removes them
+    const savedTags = tags === undefined
+      ? await getTags(transactionId, client)
+      : await saveTags(transactionId, existing.user_id, normalizeTags(tags), client);
+
+    await client.query('COMMIT');
+
+    // The transaction is saved: the steps below must not roll it back or report a failure
+    client.release();
+    client = null;
 
     // Clear relevant caches
     const transactionUserId = updatedTransaction.user_id;
     await clearTransactionCache(transactionUserId);
     await clearAnalyticsCache(transactionUserId);
+    await clearBudgetCache(transactionUserId);
+
+    // Notify the user if this expense pushes a budget past an alert threshold
+    const budgetAlerts = type === 'expense'
+      ? await checkLineBudgetAlerts(transactionUserId, hasSplits ? splitResult.lines.map(line => line.category_id) : [category_id], transaction_date)
+      : [];
 
     res.json({
       success: true,
@@ -353,17 +695,27 @@ const updateTransaction = async (req, res) => {
       data: {
         transaction: {
           ...updatedTransaction,
-          category_id
-        }
+          category_id,
+          splits: hasSplits ? savedSplits : null,
+          tags: savedTags
+        },
+        budgetAlerts
       }
     });
 
   } catch (error) {
+    if (client) {
+      await client.query('ROLLBACK');
+    }
     console.error('Update transaction error:', error);
     res.status(500).json({
       success: false,
       message: 'Internal server error'
     });
+  } finally {
+    if (client) {
+      client.release();
+    }
   }
 };
 
@@ -374,7 +726,7 @@ const deleteTransaction = async (req, res) => {
     const userId = req.user.id;
 
     // Check if transaction exists and user has permission to delete it
-    let checkQuery = 'SELECT user_id FROM transactions WHERE id = $1';
+    let checkQuery = 'SELECT user_id, transfer_id FROM transactions WHERE id = $1';
     let checkParams = [transactionId];
 
     if (req.user.role !== 'admin') {
@@ -391,14 +743,29 @@ const deleteTransaction = async (req, res) => {
       });
     }
 
+    if (existingTransaction.rows[0].transfer_id) {
+      return res.status(400).json({
+        success: false,
+        message: `This transaction is part of transfer ${existingTransaction.rows[0].transfer_id} - delete it through /api/transfers`
+      });
+    }
+
     const transactionUserId = existingTransaction.rows[0].user_id;
 
+    // The attachment rows go with the transaction; their files are removed once it is gone
+    const attachments = await pool.query(
+      'SELECT storage_key FROM transaction_attachments WHERE transaction_id = $1',
+      [transactionId]
+    );
+
     // Delete transaction
     await pool.query('DELETE FROM transactions WHERE id = $1', [transactionId]);
+    await deleteStoredAttachments(attachments.rows.map(row => row.storage_key));
 
     // Clear relevant caches
     await clearTransactionCache(transactionUserId);
     await clearAnalyticsCache(transactionUserId);
+    await clearBudgetCache(transactionUserId);
 
     res.json({
       success: true,
@@ -421,10 +788,12 @@ const getTransactionSummary = async (req, res) => {
       parseInt(req.query.user_id) : req.user.id;
 
     const { start_date, end_date } = req.query;
+    const currency = await getBaseCurrency(userId);
+    const amountSql = convertedAmountSql('$2');
 
     let whereConditions = ['user_id = $1'];
-    let queryParams = [userId];
-    let paramCount = 1;
+    let queryParams = [userId, currency];
+    let paramCount = 2;
 
     if (start_date) {
       paramCount++;
@@ -444,12 +813,13 @@ const getTransactionSummary = async (req, res) => {
       SELECT 
         type,
         COUNT(*) as transaction_count,
-        SUM(amount) as total_amount,
-        AVG(amount) as average_amount,
-        MIN(amount) as min_amount,
-        MAX(amount) as max_amount
+        SUM(${amountSql}) as total_amount,
+        AVG(${amountSql}) as average_amount,
+        MIN(${amountSql}) as min_amount,
+        MAX(${amountSql}) as max_amount,
+        ${unconvertedColumnsSql('$2')}
       FROM transactions
-      WHERE ${whereClause}
+      WHERE ${whereClause} AND type IN ('income', 'expense')
       GROUP BY type
     `;
 
@@ -488,6 +858,8 @@ const getTransactionSummary = async (req, res) => {
     res.json({
       success: true,
       data: {
+        currency,
+        ...summarizeUnconverted(result.rows),
         summary
       }
     });
@@ -508,5 +880,7 @@ module.exports = {
   updateTransaction,
   deleteTransaction,
   getTransactionSummary,
-  transactionValidation
+  buildTransactionFilters,
+  transactionValidation,
+  createTransactionValidation
 };
@@ -0,0 +1,441 @@
+const { body, validationResult } = require('express-validator');
+const { pool } = require('../config/database');
+const { clearTransactionCache, clearAnalyticsCache } = require('../middleware/cache');
+const { findUserAccount } = require('./accountController');
+
+// Validation rules
+const transferValidation = [
+  body('from_account_id')
+    .isInt({ min: 1 })
+    .withMessage('From account ID must be a valid positive integer'),
+  body('to_account_id')
+    .isInt({ min: 1 })
+    .withMessage('To account ID must be a valid positive integer')
+    .custom((value, { req }) => parseInt(value) !== parseInt(req.body.from_account_id))
+    .withMessage('A transfer needs two different accounts'),
+  body('amount')
+    .isFloat({ min: 0.01 })
+    .withMessage('Amount must be a positive number greater than 0'),
+  body('transfer_date')
+    .isISO8601()
+    .withMessage('Transfer date must be a valid date in ISO format'),
+  body('description')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Description must be less than 500 characters')
+];
+
+const transferSelect = `
+  SELECT
+    tr.id,
+    tr.user_id,
+    tr.from_account_id,
+    fa.name as from_account_name,
+    tr.to_account_id,
+    ta.name as to_account_name,
+    tr.amount,
+    tr.transfer_date,
+    tr.description,
+    (SELECT id FROM transactions WHERE transfer_id = tr.id AND transfer_direction = 'out') as debit_transaction_id,
+    (SELECT id FROM transactions WHERE transfer_id = tr.id AND transfer_direction = 'in') as credit_transaction_id,
+    tr.created_at,
+    tr.updated_at
+  FROM transfers tr
+  JOIN accounts fa ON tr.from_account_id = fa.id
+  JOIN accounts ta ON tr.to_account_id = ta.id
+`;
+
+// Transfer legs use the built-in transfer category so category joins keep working
+const getTransferCategoryId = async (db) => {
+  const result = await db.query(
+    "SELECT id FROM categories WHERE type = 'transfer' AND user_id IS NULL ORDER BY id LIMIT 1"
+  );
+
+  if (result.rows.length === 0) {
+    throw new Error('Transfer category is missing - run the database migration');
+  }
+
+  return result.rows[0].id;
+};
+
+// Check both accounts belong to the user and can take new transactions
+const validateTransferAccounts = async (userId, fromAccountId, toAccountId) => {
+  const fromAccount = await findUserAccount(fromAccountId, userId);
+  if (!fromAccount) {
+    return { error: 'Invalid from account ID' };
+  }
+
+  const toAccount = await findUserAccount(toAccountId, userId);
+  if (!toAccount) {
+    return { error: 'Invalid to account ID' };
+  }
+
+  // Both legs carry the same amount, which only balances within one currency
+  if (fromAccount.currency !== toAccount.currency) {
+    return { error: `Transfers need both accounts in the same currency (${fromAccount.currency} and ${toAccount.currency} given)` };
+  }
+
+  return { fromAccount, toAccount };
+};
+
+// Write the debit (out) and credit (in) legs of a transfer
+const writeTransferLegs = async (client, transfer, fromAccount, toAccount, categoryId) => {
+  const legs = [
+    { direction: 'out', account: fromAccount, fallback: `Transfer to ${toAccount.name}` },
+    { direction: 'in', account: toAccount, fallback: `Transfer from ${fromAccount.name}` }
+  ];
+
+  for (const leg of legs) {
+    await client.query(
+      `INSERT INTO transactions
+         (user_id, category_id, amount, currency, type, description, transaction_date, account_id, transfer_id, transfer_direction)
+       VALUES ($1, $2, $3, $4, 'transfer', $5, $6, $7, $8, $9)`,
+      [
+        transfer.user_id, categoryId, transfer.amount, leg.account.currency, transfer.description || leg.fallback,
+        transfer.transfer_date, leg.account.id, transfer.id, leg.direction
+      ]
+    );
+  }
+};
+
+// Get all transfers for a user
+const getTransfers = async (req, res) => {
+  try {
+    const userId = req.user.role === 'admin' && req.query.user_id ?
+      parseInt(req.query.user_id) : req.user.id;
+
+    // Pagination
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100); // Max 100 per page
+    const offset = (page - 1) * limit;
+
+    const { account_id, start_date, end_date } = req.query;
+
+    let whereConditions = ['tr.user_id = $1'];
+    let queryParams = [userId];
+    let paramCount = 1;
+
+    if (account_id) {
+      paramCount++;
+      whereConditions.push(`(tr.from_account_id = $${paramCount} OR tr.to_account_id = $${paramCount})`);
+      queryParams.push(parseInt(account_id));
+    }
+
+    if (start_date) {
+      paramCount++;
+      whereConditions.push(`tr.transfer_date >= $${paramCount}`);
+      queryParams.push(start_date);
+    }
+
+    if (end_date) {
+      paramCount++;
+      whereConditions.push(`tr.transfer_date <= $${paramCount}`);
+      queryParams.push(end_date);
+    }
+
+    const whereClause = whereConditions.join(' AND ');
+
+    const countResult = await pool.query(
+      `SELECT COUNT(*) as total FROM transfers tr WHERE ${whereClause}`,
+      queryParams
+    );
+    const totalItems = parseInt(countResult.rows[0].total);
+    const totalPages = Math.ceil(totalItems / limit);
+
+    const result = await pool.query(
+      `${transferSelect}
+       WHERE ${whereClause}
+       ORDER BY tr.transfer_date DESC, tr.id DESC
+       LIMIT $${paramCount + 1} OFFSET $${paramCount + 2}`,
+      [...queryParams, limit, offset]
+    );
+
+    res.json({
+      success: true,
+      data: {
+        transfers: result.rows,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalItems,
+          itemsPerPage: limit,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get transfers error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Get a single transfer by ID
+const getTransfer = async (req, res) => {
+  try {
+    const transferId = parseInt(req.params.id);
+
+    let query = `${transferSelect} WHERE tr.id = $1`;
+    let queryParams = [transferId];
+
+    // Non-admin users can only see their own transfers
+    if (req.user.role !== 'admin') {
+      query += ' AND tr.user_id = $2';
+      queryParams.push(req.user.id);
+    }
+
+    const result = await pool.query(query, queryParams);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Transfer not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        transfer: result.rows[0]
+      }
+    });
+
+  } catch (error) {
+    console.error('Get transfer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Create a transfer and both of its legs in one database transaction
+const createTransfer = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const { from_account_id, to_account_id, amount, transfer_date, description, user_id } = req.body;
+  let client;
+
+  try {
+    // Admin can create transfers for other users, regular users create for themselves
+    let targetUserId = req.user.id;
+    if (req.user.role === 'admin' && user_id) {
+      targetUserId = parseInt(user_id);
+
+      const userExists = await pool.query('SELECT id FROM users WHERE id = $1', [targetUserId]);
+      if (userExists.rows.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Target user not found'
+        });
+      }
+    }
+
+    const { error: accountError, fromAccount, toAccount } =
+      await validateTransferAccounts(targetUserId, from_account_id, to_account_id);
+    if (accountError) {
+      return res.status(400).json({
+        success: false,
+        message: accountError
+      });
+    }
+
+    client = await pool.connect();
+    await client.query('BEGIN');
+
+    const categoryId = await getTransferCategoryId(client);
+
+    const transferResult = await client.query(
+      `INSERT INTO transfers (user_id, from_account_id, to_account_id, amount, transfer_date, description)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+      [targetUserId, fromAccount.id, toAccount.id, amount, transfer_date, description || null]
+    );
+
+    await writeTransferLegs(client, transferResult.rows[0], fromAccount, toAccount, categoryId);
+
+    await client.query('COMMIT');
+
+    const result = await pool.query(`${transferSelect} WHERE tr.id = $1`, [transferResult.rows[0].id]);
+
+    await clearTransactionCache(targetUserId);
+    await clearAnalyticsCache(targetUserId);
+
+    res.status(201).json({
+      success: true,
+      message: 'Transfer created successfully',
+      data: {
+        transfer: result.rows[0]
+      }
+    });
+
+  } catch (error) {
+    if (client) {
+      await client.query('ROLLBACK');
+    }
+    console.error('Create transfer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+};
+
+// Update a transfer, rewriting both legs in one database transaction
+const updateTransfer = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const transferId = parseInt(req.params.id);
+  const { from_account_id, to_account_id, amount, transfer_date, description } = req.body;
+  let client;
+
+  try {
+    // Check if transfer exists and user has permission to update it
+    let checkQuery = 'SELECT user_id FROM transfers WHERE id = $1';
+    let checkParams = [transferId];
+
+    if (req.user.role !== 'admin') {
+      checkQuery += ' AND user_id = $2';
+      checkParams.push(req.user.id);
+    }
+
+    const existingTransfer = await pool.query(checkQuery, checkParams);
+
+    if (existingTransfer.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Transfer not found or access denied'
+      });
+    }
+
+    const transferUserId = existingTransfer.rows[0].user_id;
+
+    const { error: accountError, fromAccount, toAccount } =
+      await validateTransferAccounts(transferUserId, from_account_id, to_account_id);
+    if (accountError) {
+      return res.status(400).json({
+        success: false,
+        message: accountError
+      });
+    }
+
+    client = await pool.connect();
+    await client.query('BEGIN');
+
+    const categoryId = await getTransferCategoryId(client);
+
+    const transferResult = await client.query(
+      `UPDATE transfers
+       SET from_account_id = $1, to_account_id = $2, amount = $3, transfer_date = $4, description = $5,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $6
+       RETURNING *`,
+      [fromAccount.id, toAccount.id, amount, transfer_date, description || null, transferId]
+    );
+
+    // Replace the legs rather than patching them so they can never drift apart
+    await client.query('DELETE FROM transactions WHERE transfer_id = $1', [transferId]);
+    await writeTransferLegs(client, transferResult.rows[0], fromAccount, toAccount, categoryId);
+
+    await client.query('COMMIT');
+
+    const result = await pool.query(`${transferSelect} WHERE tr.id = $1`, [transferId]);
+
+    await clearTransactionCache(transferUserId);
+    await clearAnalyticsCache(transferUserId);
+
+    res.json({
+      success: true,
+      message: 'Transfer updated successfully',
+      data: {
+        transfer: result.rows[0]
+      }
+    });
+
+  } catch (error) {
+    if (client) {
+      await client.query('ROLLBACK');
+    }
+    console.error('Update transfer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+};
+
+// Delete a transfer (its legs are removed with it)
+const deleteTransfer = async (req, res) => {
+  try {
+    const transferId = parseInt(req.params.id);
+
+    let checkQuery = 'SELECT user_id FROM transfers WHERE id = $1';
+    let checkParams = [transferId];
+
+    if (req.user.role !== 'admin') {
+      checkQuery += ' AND user_id = $2';
+      checkParams.push(req.user.id);
+    }
+
+    const existingTransfer = await pool.query(checkQuery, checkParams);
+
+    if (existingTransfer.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Transfer not found or access denied'
+      });
+    }
+
+    await pool.query('DELETE FROM transfers WHERE id = $1', [transferId]);
+
+    await clearTransactionCache(existingTransfer.rows[0].user_id);
+    await clearAnalyticsCache(existingTransfer.rows[0].user_id);
+
+    res.json({
+      success: true,
+      message: 'Transfer deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete transfer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getTransfers,
+  getTransfer,
+  createTransfer,
+  updateTransfer,
+  deleteTransfer,
+  transferValidation
+};
@@ -0,0 +1,422 @@
+const { body, validationResult } = require('express-validator');
+const { pool } = require('../config/database');
+const { verifyPassword } = require('../utils/passwords');
+const { createSession, verifyLoginChallenge, revokeUserSessions } = require('../utils/sessions');
+const {
+  getLoginBlock,
+  recordLoginFailure,
+  clearLoginFailures,
+  loginBlockMessage
+} = require('../utils/loginAttempts');
+const {
+  generateSecret,
+  matchTotpStep,
+  otpauthUri,
+  replaceBackupCodes,
+  countBackupCodes,
+  verifySecondFactor
+} = require('../utils/twoFactor');
+
+// Validation rules
+const codeRule = body('code')
+  .isString()
+  .trim()
+  .notEmpty()
+  .withMessage('Code is required');
+
+const passwordRule = body('password')
+  .notEmpty()
+  .withMessage('Password is required');
+
+const setupValidation = [passwordRule];
+
+const enableValidation = [codeRule];
+
+const verifyValidation = [
+  body('challengeToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Challenge token is required'),
+  codeRule
+];
+
+const disableValidation = [passwordRule, codeRule];
+
+const backupCodesValidation = [codeRule];
+
+// Load the two-factor state of a user
+const findTwoFactorUser = async (userId) => {
+  const result = await pool.query(
+    `SELECT id, username, email, password, role, first_name, last_name, base_currency,
+            two_factor_secret, two_factor_enabled
+     FROM users WHERE id = $1`,
+    [userId]
+  );
+
+  return result.rows[0] || null;
+};
+
+// Get whether two-factor authentication is on for the current user
+const getTwoFactorStatus = async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        enabled: req.user.two_factor_enabled,
+        required: req.user.two_factor_required,
+        backupCodesRemaining: req.user.two_factor_enabled ? await countBackupCodes(req.user.id) : 0
+      }
+    });
+
+  } catch (error) {
+    console.error('Get two-factor status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Start enrollment: generate a secret for the user's authenticator app
+const setupTwoFactor = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await findTwoFactorUser(req.user.id);
+
+    if (user.two_factor_enabled) {
+      return res.status(409).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const { valid } = await verifyPassword(req.body.password, user.password);
+    if (!valid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password is incorrect'
+      });
+    }
+
+    // Starting again replaces a secret that was never confirmed
+    const secret = generateSecret();
+    await pool.query(
+      'UPDATE users SET two_factor_secret = $1, two_factor_last_step = NULL WHERE id = $2',
+      [secret, user.id]
+    );
+
+    res.json({
+      success: true,
+      message: 'Scan the URI with an authenticator app, then confirm with a code at /api/auth/2fa/enable',
+      data: {
+        secret,
+        otpauthUri: otpauthUri(secret, user.email)
+      }
+    });
+
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Finish enrollment with a code from the authenticator app
+const enableTwoFactor = async (req, res) => {
+  let client;
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await findTwoFactorUser(req.user.id);
+
+    if (user.two_factor_enabled) {
+      return res.status(409).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    if (!user.two_factor_secret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start two-factor setup first'
+      });
+    }
+
+    const step = matchTotpStep(user.two_factor_secret, req.body.code);
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid code'
+      });
+    }
+
+    client = await pool.connect();
+    await client.query('BEGIN');
+
+    await client.query(
+      `UPDATE users SET two_factor_enabled = TRUE, two_factor_last_step = $1, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $2`,
+      [step, user.id]
+    );
+    const backupCodes = await replaceBackupCodes(client, user.id);
+
+    await client.query('COMMIT');
+
+    // Devices signed in with the password alone must sign in again
+    await revokeUserSessions(user.id, 'two_factor_enabled', req.sessionId);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled - store the backup codes somewhere safe, they are shown only once',
+      data: {
+        backupCodes
+      }
+    });
+
+  } catch (error) {
+    if (client) await client.query('ROLLBACK');
+    console.error('Enable two-factor error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  } finally {
+    if (client) client.release();
+  }
+};
+
+// Complete a login with the challenge token and a TOTP or backup code
+const verifyTwoFactor = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const userId = verifyLoginChallenge(req.body.challengeToken);
+    const user = userId ? await findTwoFactorUser(userId) : null;
+
+    if (!user || !user.two_factor_enabled) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired challenge - please log in again'
+      });
+    }
+
+    // Failed codes count against the same identity as failed passwords
+    const block = await getLoginBlock(user.email);
+    if (block) {
+      res.set('Retry-After', String(block.retryAfter));
+      return res.status(429).json({
+        success: false,
+        message: loginBlockMessage(block)
+      });
+    }
+
+    const { valid, method } = await verifySecondFactor(user, req.body.code);
+    if (!valid) {
+      const failureBlock = await recordLoginFailure(user.email, { req, userId: user.id });
+      if (failureBlock && failureBlock.reason === 'lockout') {
+        res.set('Retry-After', String(failureBlock.retryAfter));
+        return res.status(429).json({
+          success: false,
+          message: loginBlockMessage(failureBlock)
+        });
+      }
+
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid code'
+      });
+    }
+
+    const { token, refreshToken } = await createSession(user, req);
+    await clearLoginFailures(user.email);
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      data: {
+        user: {
+          id: user.id,
+          username: user.username,
+          email: user.email,
+          role: user.role,
+          firstName: user.first_name,
+          lastName: user.last_name,
+          baseCurrency: user.base_currency
+        },
+        token,
+        refreshToken,
+        // Tell the user when they are running out of backup codes
+        backupCodesRemaining: method === 'backup_code' ? await countBackupCodes(user.id) : undefined
+      }
+    });
+
+  } catch (error) {
+    console.error('Two-factor verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Turn two-factor authentication off
+const disableTwoFactor = async (req, res) => {
+  let client;
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (req.user.two_factor_required) {
+      return res.status(403).json({
+        success: false,
+        message: `Two-factor authentication is required for the ${req.user.role} role`
+      });
+    }
+
+    const user = await findTwoFactorUser(req.user.id);
+
+    if (!user.two_factor_enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    const { valid } = await verifyPassword(req.body.password, user.password);
+    if (!valid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password is incorrect'
+      });
+    }
+
+    const secondFactor = await verifySecondFactor(user, req.body.code);
+    if (!secondFactor.valid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid code'
+      });
+    }
+
+    client = await pool.connect();
+    await client.query('BEGIN');
+
+    await client.query(
+      `UPDATE users
+       SET two_factor_enabled = FALSE, two_factor_secret = NULL, two_factor_last_step = NULL, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1`,
+      [user.id]
+    );
+    await client.query('DELETE FROM user_backup_codes WHERE user_id = $1', [user.id]);
+
+    await client.query('COMMIT');
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+
+  } catch (error) {
+    if (client) await client.query('ROLLBACK');
+    console.error('Disable two-factor error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  } finally {
+    if (client) client.release();
+  }
+};
+
+// Replace the backup codes, invalidating the old ones
+const regenerateBackupCodes = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await findTwoFactorUser(req.user.id);
+
+    if (!user.two_factor_enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    const { valid } = await verifySecondFactor(user, req.body.code);
+    if (!valid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid code'
+      });
+    }
+
+    const backupCodes = await replaceBackupCodes(pool, user.id);
+
+    res.json({
+      success: true,
+      message: 'Backup codes regenerated - the previous codes no longer work',
+      data: {
+        backupCodes
+      }
+    });
+
+  } catch (error) {
+    console.error('Regenerate backup codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  verifyTwoFactor,
+  disableTwoFactor,
+  regenerateBackupCodes,
+  setupValidation,
+  enableValidation,
+  verifyValidation,
+  disableValidation,
+  backupCodesValidation
+};
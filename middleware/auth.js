@@ -1,6 +1,12 @@
 const jwt = require('jsonwebtoken');
 const { pool } = require('../config/database');
 
+// Routes a user whose role requires two-factor authentication can reach before enabling it
+const TWO_FACTOR_ENROLLMENT_PATHS = ['/api/auth/2fa', '/api/auth/logout'];
+
+const isEnrollmentPath = (path) =>
+  TWO_FACTOR_ENROLLMENT_PATHS.some(allowed => path === allowed || path.startsWith(`${allowed}/`));
+
 // Verify JWT token
 const authenticateToken = async (req, res, next) => {
   try {
@@ -16,10 +22,17 @@ const authenticateToken = async (req, res, next) => {
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
     
-    // Fetch fresh user data to ensure user still exists and role hasn't changed
+    // Fetch fresh user data to ensure user still exists and role hasn't changed,
+    // and check the token's session so revoked sessions are rejected immediately
     const userResult = await pool.query(
-      'SELECT id, username, email, role, first_name, last_name FROM users WHERE id = $1',
-      [decoded.userId]
+      `SELECT u.id, u.username, u.email, u.role, u.first_name, u.last_name,
+              u.two_factor_enabled, COALESCE(rp.require_two_factor, FALSE) as two_factor_required,
+              s.id as session_id
+       FROM users u
+       LEFT JOIN role_policies rp ON rp.role = u.role
+       LEFT JOIN user_sessions s ON s.id = $2 AND s.user_id = u.id AND s.revoked_at IS NULL
+       WHERE u.id = $1`,
+      [decoded.userId, decoded.sessionId || null]
     );
 
     if (userResult.rows.length === 0) {
@@ -29,7 +42,25 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
-    req.user = userResult.rows[0];
+    const { session_id, ...user } = userResult.rows[0];
+    if (!session_id) {
+      return res.status(401).json({ 
+        success: false, 
+        message: 'Session has ended - please log in again' 
+      });
+    }
+
+    // Roles can be configured to require two-factor authentication; until it is
+    // enabled the token only reaches enrollment, whatever the route checks afterwards
+    if (user.two_factor_required && !user.two_factor_enabled && !isEnrollmentPath(req.baseUrl + req.path)) {
+      return res.status(403).json({ 
+        success: false, 
+        message: `Two-factor authentication is required for the ${user.role} role - enable it at /api/auth/2fa/setup` 
+      });
+    }
+
+    req.user = user;
+    req.sessionId = session_id;
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
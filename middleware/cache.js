@@ -84,10 +84,22 @@ const clearTransactionCache = async (userId = '*') => {
   await clearCache(`cache:*/transactions*:${userId}`);
 };
 
+// Clear budget cache
+const clearBudgetCache = async (userId = '*') => {
+  await clearCache(`cache:*/budgets*:${userId}`);
+};
+
+// Clear recurring transaction cache
+const clearRecurringCache = async (userId = '*') => {
+  await clearCache(`cache:*/recurring-transactions*:${userId}`);
+};
+
 module.exports = {
   cacheMiddleware,
   clearCache,
   clearUserCache,
   clearAnalyticsCache,
-  clearTransactionCache
+  clearTransactionCache,
+  clearBudgetCache,
+  clearRecurringCache
 };
@@ -0,0 +1,124 @@
+const multer = require('multer');
+const path = require('path');
+
+const MAX_STATEMENT_SIZE = parseInt(process.env.IMPORT_MAX_FILE_SIZE) || 5 * 1024 * 1024; // 5MB
+const MAX_ATTACHMENT_SIZE = parseInt(process.env.ATTACHMENT_MAX_FILE_SIZE) || 10 * 1024 * 1024; // 10MB
+
+// Receipt types accepted as attachments, with the extension used when storing them
+const ATTACHMENT_TYPES = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/gif': '.gif',
+  'image/webp': '.webp',
+  'image/heic': '.heic',
+  'application/pdf': '.pdf'
+};
+
+// Bank statements are parsed in memory and never written to disk
+const statementUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_STATEMENT_SIZE,
+    files: 1
+  },
+  fileFilter: (req, file, callback) => {
+    const extension = path.extname(file.originalname).toLowerCase();
+    if (['.csv', '.txt', '.ofx', '.qfx', '.qif'].includes(extension)) {
+      return callback(null, true);
+    }
+    callback(new multer.MulterError('LIMIT_UNEXPECTED_FILE', 'file'));
+  }
+});
+
+/**
+ * Map MIME type aliases some clients send to their standard name
+ * @param {string} mimeType - Declared MIME type
+ * @returns {string} Normalized MIME type
+ */
+const normalizeMimeType = (mimeType) => {
+  const type = String(mimeType || '').toLowerCase();
+  return { 'image/jpg': 'image/jpeg', 'image/pjpeg': 'image/jpeg', 'image/heif': 'image/heic' }[type] || type;
+};
+
+/**
+ * Identify an attachment from its leading bytes, since the declared MIME
+ * type is whatever the client chose to send
+ * @param {Buffer} buffer - File content
+ * @returns {string|null} MIME type from ATTACHMENT_TYPES, or null when unrecognized
+ */
+const detectAttachmentType = (buffer) => {
+  const ascii = (start, end) => buffer.subarray(start, end).toString('latin1');
+
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return 'image/jpeg';
+  }
+  if (ascii(0, 8) === '\x89PNG\r\n\x1a\n') {
+    return 'image/png';
+  }
+  if (['GIF87a', 'GIF89a'].includes(ascii(0, 6))) {
+    return 'image/gif';
+  }
+  if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') {
+    return 'image/webp';
+  }
+  if (ascii(4, 8) === 'ftyp' && ['heic', 'heix', 'hevc', 'heim', 'heis', 'mif1', 'msf1'].includes(ascii(8, 12))) {
+    return 'image/heic';
+  }
+  if (ascii(0, 5) === '%PDF-') {
+    return 'application/pdf';
+  }
+
+  return null;
+};
+
+// Receipts are kept in memory until their content has been checked, then handed to attachment storage
+const attachmentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_ATTACHMENT_SIZE,
+    files: 1
+  },
+  fileFilter: (req, file, callback) => {
+    if (ATTACHMENT_TYPES[normalizeMimeType(file.mimetype)]) {
+      return callback(null, true);
+    }
+    callback(new multer.MulterError('LIMIT_UNEXPECTED_FILE', 'file'));
+  }
+});
+
+// Wrap a multer middleware so upload errors produce the API's JSON error format
+const handleUpload = (uploadMiddleware) => {
+  return (req, res, next) => {
+    uploadMiddleware(req, res, (err) => {
+      if (!err) {
+        return next();
+      }
+
+      if (err instanceof multer.MulterError) {
+        const messages = {
+          LIMIT_FILE_SIZE: 'Uploaded file is too large',
+          LIMIT_FILE_COUNT: 'Only one file can be uploaded at a time',
+          LIMIT_UNEXPECTED_FILE: 'Unsupported file type or unexpected file field'
+        };
+
+        return res.status(err.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({
+          success: false,
+          message: messages[err.code] || err.message
+        });
+      }
+
+      next(err);
+    });
+  };
+};
+
+module.exports = {
+  MAX_STATEMENT_SIZE,
+  MAX_ATTACHMENT_SIZE,
+  ATTACHMENT_TYPES,
+  normalizeMimeType,
+  detectAttachmentType,
+  statementUpload: handleUpload(statementUpload.single('file')),
+  attachmentUpload: handleUpload(attachmentUpload.single('file')),
+  handleUpload
+};
@@ -1,6 +1,7 @@
 const fs = require('fs');
 const path = require('path');
 const { pool } = require('../config/database');
+const { hashPassword } = require('../utils/passwords');
 
 async function runMigrations() {
   try {
@@ -8,6 +9,7 @@ async function runMigrations() {
     
     // Execute migrations step by step
     await createTables();
+    await alterTables();
     await createIndexes();
     await createFunctions();
     await createTriggers();
@@ -45,8 +47,8 @@ async function createTables() {
     
     `CREATE TABLE IF NOT EXISTS categories (
       id SERIAL PRIMARY KEY,
-      name VARCHAR(50) UNIQUE NOT NULL,
-      type VARCHAR(20) NOT NULL CHECK (type IN ('income', 'expense')),
+      name VARCHAR(50) NOT NULL,
+      type VARCHAR(20) NOT NULL CHECK (type IN ('income', 'expense', 'transfer')),
       color VARCHAR(7),
       icon VARCHAR(50),
       created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
@@ -57,7 +59,7 @@ async function createTables() {
       user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
       category_id INTEGER NOT NULL REFERENCES categories(id),
       amount DECIMAL(12, 2) NOT NULL,
-      type VARCHAR(20) NOT NULL CHECK (type IN ('income', 'expense')),
+      type VARCHAR(20) NOT NULL CHECK (type IN ('income', 'expense', 'transfer')),
       description TEXT,
       transaction_date DATE NOT NULL,
       created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
@@ -72,8 +74,257 @@ async function createTables() {
       period VARCHAR(20) DEFAULT 'monthly' CHECK (period IN ('weekly', 'monthly', 'yearly')),
       start_date DATE NOT NULL,
       end_date DATE NOT NULL,
+      alert_thresholds INTEGER[] DEFAULT '{80,100}',
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`,
+
+    `CREATE TABLE IF NOT EXISTS notifications (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      type VARCHAR(50) NOT NULL,
+      title VARCHAR(200) NOT NULL,
+      message TEXT,
+      data JSONB DEFAULT '{}',
+      is_read BOOLEAN DEFAULT FALSE,
+      read_at TIMESTAMP,
+      dismissed_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`,
+
+    `CREATE TABLE IF NOT EXISTS budget_alerts (
+      id SERIAL PRIMARY KEY,
+      budget_id INTEGER NOT NULL REFERENCES budgets(id) ON DELETE CASCADE,
+      period_start DATE NOT NULL,
+      threshold INTEGER NOT NULL,
+      notification_id INTEGER REFERENCES notifications(id) ON DELETE SET NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (budget_id, period_start, threshold)
+    )`,
+
+    `CREATE TABLE IF NOT EXISTS recurring_transactions (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      category_id INTEGER NOT NULL REFERENCES categories(id),
+      amount DECIMAL(12, 2) NOT NULL,
+      type VARCHAR(20) NOT NULL CHECK (type IN ('income', 'expense')),
+      description TEXT,
+      frequency VARCHAR(20) NOT NULL CHECK (frequency IN ('daily', 'weekly', 'monthly', 'yearly')),
+      interval_count INTEGER NOT NULL DEFAULT 1 CHECK (interval_count > 0),
+      start_date DATE NOT NULL,
+      end_date DATE,
+      max_occurrences INTEGER CHECK (max_occurrences > 0),
+      occurrences_count INTEGER NOT NULL DEFAULT 0,
+      next_occurrence_date DATE,
+      is_active BOOLEAN DEFAULT TRUE,
+      last_run_at TIMESTAMP,
       created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
       updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`,
+
+    `CREATE TABLE IF NOT EXISTS accounts (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      name VARCHAR(100) NOT NULL,
+      type VARCHAR(20) NOT NULL CHECK (type IN ('checking', 'savings', 'credit_card', 'cash', 'investment')),
+      currency CHAR(3) NOT NULL DEFAULT 'USD',
+      opening_balance DECIMAL(12, 2) NOT NULL DEFAULT 0,
+      is_archived BOOLEAN DEFAULT FALSE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`,
+
+    `CREATE TABLE IF NOT EXISTS transfers (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      from_account_id INTEGER NOT NULL REFERENCES accounts(id),
+      to_account_id INTEGER NOT NULL REFERENCES accounts(id),
+      amount DECIMAL(12, 2) NOT NULL CHECK (amount > 0),
+      transfer_date DATE NOT NULL,
+      description TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      CHECK (from_account_id <> to_account_id)
+    )`,
+
+    `CREATE TABLE IF NOT EXISTS exchange_rates (
+      id SERIAL PRIMARY KEY,
+      rate_date DATE NOT NULL,
+      base_currency CHAR(3) NOT NULL,
+      quote_currency CHAR(3) NOT NULL,
+      rate DECIMAL(18, 8) NOT NULL CHECK (rate > 0),
+      source VARCHAR(20) NOT NULL DEFAULT 'manual' CHECK (source IN ('manual', 'file', 'api')),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (rate_date, base_currency, quote_currency),
+      CHECK (base_currency <> quote_currency)
+    )`,
+
+    `CREATE TABLE IF NOT EXISTS transaction_splits (
+      id SERIAL PRIMARY KEY,
+      transaction_id INTEGER NOT NULL REFERENCES transactions(id) ON DELETE CASCADE,
+      category_id INTEGER NOT NULL REFERENCES categories(id),
+      amount DECIMAL(12, 2) NOT NULL CHECK (amount > 0),
+      description TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`,
+
+    `CREATE TABLE IF NOT EXISTS tags (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      name VARCHAR(50) NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(user_id, name)
+    )`,
+
+    `CREATE TABLE IF NOT EXISTS transaction_tags (
+      transaction_id INTEGER NOT NULL REFERENCES transactions(id) ON DELETE CASCADE,
+      tag_id INTEGER NOT NULL REFERENCES tags(id) ON DELETE CASCADE,
+      PRIMARY KEY (transaction_id, tag_id)
+    )`,
+
+    `CREATE TABLE IF NOT EXISTS payees (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      name VARCHAR(100) NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(user_id, name)
+    )`,
+
+    `CREATE TABLE IF NOT EXISTS payee_aliases (
+      id SERIAL PRIMARY KEY,
+      payee_id INTEGER NOT NULL REFERENCES payees(id) ON DELETE CASCADE,
+      pattern VARCHAR(255) NOT NULL,
+      match_type VARCHAR(20) NOT NULL DEFAULT 'contains' CHECK (match_type IN ('exact', 'starts_with', 'contains')),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(payee_id, pattern, match_type)
+    )`,
+
+    `CREATE TABLE IF NOT EXISTS goals (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      name VARCHAR(100) NOT NULL,
+      target_amount DECIMAL(12, 2) NOT NULL CHECK (target_amount > 0),
+      target_date DATE NOT NULL,
+      currency CHAR(3) NOT NULL DEFAULT 'USD',
+      account_id INTEGER REFERENCES accounts(id),
+      starting_amount DECIMAL(12, 2) NOT NULL DEFAULT 0 CHECK (starting_amount >= 0),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`,
+
+    `CREATE TABLE IF NOT EXISTS transaction_attachments (
+      id SERIAL PRIMARY KEY,
+      transaction_id INTEGER NOT NULL REFERENCES transactions(id) ON DELETE CASCADE,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      storage_key VARCHAR(255) NOT NULL UNIQUE,
+      file_name VARCHAR(255) NOT NULL,
+      content_type VARCHAR(100) NOT NULL,
+      size_bytes INTEGER NOT NULL CHECK (size_bytes >= 0),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`,
+
+    `CREATE TABLE IF NOT EXISTS categorization_rules (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      name VARCHAR(100) NOT NULL,
+      category_id INTEGER NOT NULL REFERENCES categories(id) ON DELETE CASCADE,
+      priority INTEGER NOT NULL DEFAULT 100,
+      description_contains VARCHAR(255),
+      amount_min DECIMAL(12, 2) CHECK (amount_min >= 0),
+      amount_max DECIMAL(12, 2) CHECK (amount_max >= 0),
+      account_id INTEGER REFERENCES accounts(id) ON DELETE CASCADE,
+      payee_id INTEGER REFERENCES payees(id) ON DELETE CASCADE,
+      is_active BOOLEAN DEFAULT TRUE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`,
+
+    `CREATE TABLE IF NOT EXISTS transaction_duplicates (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      transaction_id INTEGER NOT NULL REFERENCES transactions(id) ON DELETE CASCADE,
+      duplicate_of_id INTEGER NOT NULL REFERENCES transactions(id) ON DELETE CASCADE,
+      similarity DECIMAL(4, 3) NOT NULL,
+      status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'dismissed')),
+      resolved_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (transaction_id, duplicate_of_id)
+    )`,
+
+    `CREATE TABLE IF NOT EXISTS assets (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      name VARCHAR(100) NOT NULL,
+      type VARCHAR(20) NOT NULL CHECK (type IN ('asset', 'liability')),
+      currency CHAR(3) NOT NULL DEFAULT 'USD',
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`,
+
+    `CREATE TABLE IF NOT EXISTS asset_valuations (
+      id SERIAL PRIMARY KEY,
+      asset_id INTEGER NOT NULL REFERENCES assets(id) ON DELETE CASCADE,
+      valuation_date DATE NOT NULL,
+      value DECIMAL(12, 2) NOT NULL CHECK (value >= 0),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (asset_id, valuation_date)
+    )`,
+
+    `CREATE TABLE IF NOT EXISTS user_sessions (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      user_agent VARCHAR(255),
+      ip_address VARCHAR(45),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      last_used_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      expires_at TIMESTAMP NOT NULL,
+      revoked_at TIMESTAMP,
+      revoked_reason VARCHAR(30)
+    )`,
+
+    `CREATE TABLE IF NOT EXISTS refresh_tokens (
+      id SERIAL PRIMARY KEY,
+      session_id INTEGER NOT NULL REFERENCES user_sessions(id) ON DELETE CASCADE,
+      token_hash CHAR(64) NOT NULL UNIQUE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      used_at TIMESTAMP
+    )`,
+
+    `CREATE TABLE IF NOT EXISTS user_backup_codes (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      code_hash CHAR(64) NOT NULL,
+      used_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`,
+
+    `CREATE TABLE IF NOT EXISTS role_policies (
+      role VARCHAR(20) PRIMARY KEY CHECK (role IN ('admin', 'user', 'read-only')),
+      require_two_factor BOOLEAN NOT NULL DEFAULT FALSE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`,
+
+    `CREATE TABLE IF NOT EXISTS account_tokens (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      purpose VARCHAR(30) NOT NULL CHECK (purpose IN ('email_verification', 'password_reset')),
+      token_hash CHAR(64) NOT NULL UNIQUE,
+      expires_at TIMESTAMP NOT NULL,
+      used_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`,
+
+    `CREATE TABLE IF NOT EXISTS audit_events (
+      id SERIAL PRIMARY KEY,
+      event_type VARCHAR(50) NOT NULL,
+      user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      actor_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      ip_address VARCHAR(45),
+      details JSONB NOT NULL DEFAULT '{}',
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
     )`
   ];
   
@@ -84,6 +335,51 @@ async function createTables() {
   console.log('✅ Tables created successfully');
 }
 
+async function alterTables() {
+  console.log('🛠️ Altering existing tables...');
+  
+  // Columns added after the initial release, for databases created by older migrations
+  const alterations = [
+    "ALTER TABLE budgets ADD COLUMN IF NOT EXISTS alert_thresholds INTEGER[] DEFAULT '{80,100}'",
+    'ALTER TABLE transactions ADD COLUMN IF NOT EXISTS recurring_transaction_id INTEGER REFERENCES recurring_transactions(id) ON DELETE SET NULL',
+    'ALTER TABLE transactions ADD COLUMN IF NOT EXISTS account_id INTEGER REFERENCES accounts(id) ON DELETE SET NULL',
+    'ALTER TABLE transactions ADD COLUMN IF NOT EXISTS transfer_id INTEGER REFERENCES transfers(id) ON DELETE CASCADE',
+    "ALTER TABLE transactions ADD COLUMN IF NOT EXISTS transfer_direction VARCHAR(3) CHECK (transfer_direction IN ('in', 'out'))",
+    // Widen the type checks created by older migrations to allow transfers
+    'ALTER TABLE transactions DROP CONSTRAINT IF EXISTS transactions_type_check',
+    "ALTER TABLE transactions ADD CONSTRAINT transactions_type_check CHECK (type IN ('income', 'expense', 'transfer'))",
+    'ALTER TABLE categories DROP CONSTRAINT IF EXISTS categories_type_check',
+    "ALTER TABLE categories ADD CONSTRAINT categories_type_check CHECK (type IN ('income', 'expense', 'transfer'))",
+    "ALTER TABLE users ADD COLUMN IF NOT EXISTS base_currency CHAR(3) NOT NULL DEFAULT 'USD'",
+    "ALTER TABLE transactions ADD COLUMN IF NOT EXISTS currency CHAR(3) NOT NULL DEFAULT 'USD'",
+    "ALTER TABLE recurring_transactions ADD COLUMN IF NOT EXISTS currency CHAR(3) NOT NULL DEFAULT 'USD'",
+    // Transfer legs used to be written without a currency; they are in their account's currency
+    `UPDATE transactions t SET currency = a.currency
+     FROM accounts a
+     WHERE t.account_id = a.id AND t.transfer_id IS NOT NULL AND t.currency <> a.currency`,
+    // Personal categories and subcategories: names are unique per owner instead of globally
+    'ALTER TABLE categories ADD COLUMN IF NOT EXISTS user_id INTEGER REFERENCES users(id) ON DELETE CASCADE',
+    'ALTER TABLE categories ADD COLUMN IF NOT EXISTS parent_id INTEGER REFERENCES categories(id)',
+    'ALTER TABLE categories DROP CONSTRAINT IF EXISTS categories_name_key',
+    'ALTER TABLE transactions ADD COLUMN IF NOT EXISTS payee_id INTEGER REFERENCES payees(id) ON DELETE SET NULL',
+    'ALTER TABLE transactions ADD COLUMN IF NOT EXISTS goal_id INTEGER REFERENCES goals(id) ON DELETE SET NULL',
+    'ALTER TABLE categorization_rules ADD COLUMN IF NOT EXISTS payee_id INTEGER REFERENCES payees(id) ON DELETE CASCADE',
+    // Two-factor authentication: the secret is set at setup and only enforced once enabled
+    'ALTER TABLE users ADD COLUMN IF NOT EXISTS two_factor_secret VARCHAR(64)',
+    'ALTER TABLE users ADD COLUMN IF NOT EXISTS two_factor_enabled BOOLEAN NOT NULL DEFAULT FALSE',
+    'ALTER TABLE users ADD COLUMN IF NOT EXISTS two_factor_last_step BIGINT',
+    // Email verification: accounts that exist when the column is added count as verified, new ones start unverified
+    'ALTER TABLE users ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP',
+    'ALTER TABLE users ALTER COLUMN email_verified_at DROP DEFAULT'
+  ];
+  
+  for (let i = 0; i < alterations.length; i++) {
+    console.log(`  Applying alteration ${i + 1}/${alterations.length}...`);
+    await pool.query(alterations[i]);
+  }
+  console.log('✅ Tables altered successfully');
+}
+
 async function createIndexes() {
   console.log('🔍 Creating indexes...');
   
@@ -92,8 +388,41 @@ async function createIndexes() {
     'CREATE INDEX IF NOT EXISTS idx_transactions_category_id ON transactions(category_id)',
     'CREATE INDEX IF NOT EXISTS idx_transactions_date ON transactions(transaction_date)',
     'CREATE INDEX IF NOT EXISTS idx_transactions_type ON transactions(type)',
+    'CREATE UNIQUE INDEX IF NOT EXISTS idx_categories_system_name ON categories(name) WHERE user_id IS NULL',
+    'CREATE UNIQUE INDEX IF NOT EXISTS idx_categories_user_name ON categories(user_id, name) WHERE user_id IS NOT NULL',
+    'CREATE INDEX IF NOT EXISTS idx_categories_parent_id ON categories(parent_id)',
     'CREATE INDEX IF NOT EXISTS idx_users_email ON users(email)',
-    'CREATE INDEX IF NOT EXISTS idx_users_username ON users(username)'
+    'CREATE INDEX IF NOT EXISTS idx_users_username ON users(username)',
+    'CREATE INDEX IF NOT EXISTS idx_budgets_user_id ON budgets(user_id)',
+    'CREATE INDEX IF NOT EXISTS idx_budgets_category_id ON budgets(category_id)',
+    'CREATE INDEX IF NOT EXISTS idx_notifications_user_id ON notifications(user_id, is_read)',
+    'CREATE INDEX IF NOT EXISTS idx_recurring_transactions_due ON recurring_transactions(next_occurrence_date) WHERE is_active',
+    'CREATE INDEX IF NOT EXISTS idx_transaction_duplicates_user_id ON transaction_duplicates(user_id, status)',
+    'CREATE UNIQUE INDEX IF NOT EXISTS idx_accounts_user_name ON accounts(user_id, LOWER(name))',
+    'CREATE INDEX IF NOT EXISTS idx_transactions_account_id ON transactions(account_id, transaction_date)',
+    'CREATE INDEX IF NOT EXISTS idx_transactions_transfer_id ON transactions(transfer_id)',
+    'CREATE INDEX IF NOT EXISTS idx_transfers_user_id ON transfers(user_id, transfer_date)',
+    'CREATE INDEX IF NOT EXISTS idx_transaction_splits_transaction_id ON transaction_splits(transaction_id)',
+    'CREATE INDEX IF NOT EXISTS idx_transaction_splits_category_id ON transaction_splits(category_id)',
+    'CREATE INDEX IF NOT EXISTS idx_transaction_tags_tag_id ON transaction_tags(tag_id)',
+    'CREATE INDEX IF NOT EXISTS idx_categorization_rules_user_priority ON categorization_rules(user_id, priority, id)',
+    'CREATE INDEX IF NOT EXISTS idx_transactions_payee_id ON transactions(payee_id)',
+    'CREATE INDEX IF NOT EXISTS idx_payee_aliases_payee_id ON payee_aliases(payee_id)',
+    'CREATE INDEX IF NOT EXISTS idx_transactions_goal_id ON transactions(goal_id)',
+    'CREATE UNIQUE INDEX IF NOT EXISTS idx_goals_user_name ON goals(user_id, LOWER(name))',
+    'CREATE INDEX IF NOT EXISTS idx_transaction_attachments_transaction_id ON transaction_attachments(transaction_id)',
+    'CREATE INDEX IF NOT EXISTS idx_transaction_attachments_user_id ON transaction_attachments(user_id)',
+    'CREATE UNIQUE INDEX IF NOT EXISTS idx_assets_user_name ON assets(user_id, LOWER(name))',
+    'CREATE INDEX IF NOT EXISTS idx_user_sessions_user_id ON user_sessions(user_id)',
+    'CREATE INDEX IF NOT EXISTS idx_refresh_tokens_session_id ON refresh_tokens(session_id)',
+    'CREATE INDEX IF NOT EXISTS idx_user_backup_codes_user_id ON user_backup_codes(user_id)',
+    'CREATE INDEX IF NOT EXISTS idx_account_tokens_user_id ON account_tokens(user_id, purpose)',
+    'CREATE INDEX IF NOT EXISTS idx_audit_events_type_created ON audit_events(event_type, created_at DESC)',
+    'CREATE INDEX IF NOT EXISTS idx_audit_events_user_id ON audit_events(user_id)',
+    'CREATE INDEX IF NOT EXISTS idx_exchange_rates_lookup ON exchange_rates(base_currency, quote_currency, rate_date DESC)',
+    'CREATE INDEX IF NOT EXISTS idx_transactions_duplicate_lookup ON transactions(user_id, type, amount, transaction_date)',
+    // One posted transaction per template and date keeps the scheduler idempotent across restarts
+    'CREATE UNIQUE INDEX IF NOT EXISTS idx_transactions_recurring_occurrence ON transactions(recurring_transaction_id, transaction_date) WHERE recurring_transaction_id IS NOT NULL'
   ];
   
   for (let i = 0; i < indexes.length; i++) {
@@ -117,6 +446,47 @@ async function createFunctions() {
   `;
   
   await pool.query(functionSQL);
+
+  // Converts an amount with the latest rate on or before a date: direct, inverse,
+  // or crossed through a base currency both sides were quoted against that day.
+  // Returns NULL when no rate is known so callers can tell missing rates from zero.
+  const convertCurrencySQL = `
+    CREATE OR REPLACE FUNCTION convert_currency(amount NUMERIC, from_currency CHAR(3), to_currency CHAR(3), on_date DATE)
+    RETURNS NUMERIC AS $$
+    DECLARE
+        factor NUMERIC;
+    BEGIN
+        IF from_currency = to_currency THEN
+            RETURN amount;
+        END IF;
+
+        SELECT CASE WHEN er.base_currency = from_currency THEN er.rate ELSE 1 / er.rate END
+        INTO factor
+        FROM exchange_rates er
+        WHERE er.rate_date <= on_date
+          AND ((er.base_currency = from_currency AND er.quote_currency = to_currency)
+            OR (er.base_currency = to_currency AND er.quote_currency = from_currency))
+        ORDER BY er.rate_date DESC
+        LIMIT 1;
+
+        IF factor IS NULL THEN
+            SELECT t.rate / f.rate
+            INTO factor
+            FROM exchange_rates f
+            JOIN exchange_rates t ON t.base_currency = f.base_currency AND t.rate_date = f.rate_date
+            WHERE f.quote_currency = from_currency
+              AND t.quote_currency = to_currency
+              AND f.rate_date <= on_date
+            ORDER BY f.rate_date DESC
+            LIMIT 1;
+        END IF;
+
+        RETURN ROUND(amount * factor, 2);
+    END;
+    $$ LANGUAGE plpgsql STABLE
+  `;
+
+  await pool.query(convertCurrencySQL);
   console.log('✅ Functions created successfully');
 }
 
@@ -126,7 +496,16 @@ async function createTriggers() {
   const triggers = [
     'CREATE TRIGGER update_users_updated_at BEFORE UPDATE ON users FOR EACH ROW EXECUTE FUNCTION update_updated_at_column()',
     'CREATE TRIGGER update_transactions_updated_at BEFORE UPDATE ON transactions FOR EACH ROW EXECUTE FUNCTION update_updated_at_column()',
-    'CREATE TRIGGER update_budgets_updated_at BEFORE UPDATE ON budgets FOR EACH ROW EXECUTE FUNCTION update_updated_at_column()'
+    'CREATE TRIGGER update_budgets_updated_at BEFORE UPDATE ON budgets FOR EACH ROW EXECUTE FUNCTION update_updated_at_column()',
+    'CREATE TRIGGER update_recurring_transactions_updated_at BEFORE UPDATE ON recurring_transactions FOR EACH ROW EXECUTE FUNCTION update_updated_at_column()',
+    'CREATE TRIGGER update_accounts_updated_at BEFORE UPDATE ON accounts FOR EACH ROW EXECUTE FUNCTION update_updated_at_column()',
+    'CREATE TRIGGER update_transfers_updated_at BEFORE UPDATE ON transfers FOR EACH ROW EXECUTE FUNCTION update_updated_at_column()',
+    'CREATE TRIGGER update_exchange_rates_updated_at BEFORE UPDATE ON exchange_rates FOR EACH ROW EXECUTE FUNCTION update_updated_at_column()',
+    'CREATE TRIGGER update_categorization_rules_updated_at BEFORE UPDATE ON categorization_rules FOR EACH ROW EXECUTE FUNCTION update_updated_at_column()',
+    'CREATE TRIGGER update_payees_updated_at BEFORE UPDATE ON payees FOR EACH ROW EXECUTE FUNCTION update_updated_at_column()',
+    'CREATE TRIGGER update_goals_updated_at BEFORE UPDATE ON goals FOR EACH ROW EXECUTE FUNCTION update_updated_at_column()',
+    'CREATE TRIGGER update_assets_updated_at BEFORE UPDATE ON assets FOR EACH ROW EXECUTE FUNCTION update_updated_at_column()',
+    'CREATE TRIGGER update_role_policies_updated_at BEFORE UPDATE ON role_policies FOR EACH ROW EXECUTE FUNCTION update_updated_at_column()'
   ];
   
   for (let i = 0; i < triggers.length; i++) {
@@ -155,18 +534,19 @@ async function insertDefaultData() {
     ['Travel', 'expense', '#00BCD4', 'flight'],
     ['Insurance', 'expense', '#009688', 'security'],
     ['Savings', 'expense', '#4CAF50', 'savings'],
-    ['Other Expense', 'expense', '#FF9800', 'category']
+    ['Other Expense', 'expense', '#FF9800', 'category'],
+    ['Transfer', 'transfer', '#607D8B', 'swap_horiz']
   ];
   
   for (const [name, type, color, icon] of categories) {
     await pool.query(
-      'INSERT INTO categories (name, type, color, icon) VALUES ($1, $2, $3, $4) ON CONFLICT (name) DO NOTHING',
+      'INSERT INTO categories (name, type, color, icon) VALUES ($1, $2, $3, $4) ON CONFLICT (name) WHERE user_id IS NULL DO NOTHING',
       [name, type, color, icon]
     );
   }
   console.log('  Categories inserted');
   
-  // Insert default users (plain text passwords)
+  // Insert default users
   const users = [
     ['admin', 'admin@financetracker.com', 'admin123', 'admin', 'Admin', 'User'],
     ['testuser', 'user@test.com', 'admin123', 'user', 'Test', 'User'],
@@ -175,8 +555,8 @@ async function insertDefaultData() {
   
   for (const [username, email, password, role, first_name, last_name] of users) {
     await pool.query(
-      'INSERT INTO users (username, email, password, role, first_name, last_name) VALUES ($1, $2, $3, $4, $5, $6) ON CONFLICT (username) DO NOTHING',
-      [username, email, password, role, first_name, last_name]
+      'INSERT INTO users (username, email, password, role, first_name, last_name, email_verified_at) VALUES ($1, $2, $3, $4, $5, $6, CURRENT_TIMESTAMP) ON CONFLICT (username) DO NOTHING',
+      [username, email, await hashPassword(password), role, first_name, last_name]
     );
   }
   console.log('  Users inserted');
@@ -0,0 +1,297 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getAccounts,
+  getAccount,
+  getAccountLedger,
+  createAccount,
+  updateAccount,
+  deleteAccount,
+  accountValidation
+} = require('../controllers/accountController');
+const { authenticateToken, requireWriteAccess } = require('../middleware/auth');
+const { transactionLimiter } = require('../middleware/security');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Account:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           description: Account ID
+ *         user_id:
+ *           type: integer
+ *         name:
+ *           type: string
+ *           description: Account name (unique per user)
+ *         type:
+ *           type: string
+ *           enum: [checking, savings, credit_card, cash, investment]
+ *         currency:
+ *           type: string
+ *           description: ISO 4217 currency code
+ *         opening_balance:
+ *           type: number
+ *           format: float
+ *           description: Balance before the first tracked transaction
+ *         current_balance:
+ *           type: number
+ *           format: float
+ *           description: Opening balance plus income minus expenses posted to the account
+ *         transaction_count:
+ *           type: integer
+ *         last_transaction_date:
+ *           type: string
+ *           format: date
+ *           nullable: true
+ *         is_archived:
+ *           type: boolean
+ *           description: Archived accounts are hidden from lists and cannot receive new transactions
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         updated_at:
+ *           type: string
+ *           format: date-time
+ *     AccountInput:
+ *       type: object
+ *       required:
+ *         - name
+ *         - type
+ *       properties:
+ *         name:
+ *           type: string
+ *           maxLength: 100
+ *         type:
+ *           type: string
+ *           enum: [checking, savings, credit_card, cash, investment]
+ *         currency:
+ *           type: string
+ *           description: ISO 4217 currency code; defaults to the owner's base currency and cannot change once the account has transactions
+ *         opening_balance:
+ *           type: number
+ *           format: float
+ *           default: 0
+ *           description: Use a negative balance for money owed on a credit card
+ *         is_archived:
+ *           type: boolean
+ *           default: false
+ */
+
+/**
+ * @swagger
+ * /api/accounts:
+ *   get:
+ *     summary: Get accounts with their current balances
+ *     tags: [Accounts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [checking, savings, credit_card, cash, investment]
+ *         description: Filter by account type
+ *       - in: query
+ *         name: include_archived
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Include archived accounts
+ *       - in: query
+ *         name: user_id
+ *         schema:
+ *           type: integer
+ *         description: Admin only - get accounts for specific user
+ *     responses:
+ *       200:
+ *         description: Accounts retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     accounts:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Account'
+ */
+router.get('/', authenticateToken, transactionLimiter, getAccounts);
+
+/**
+ * @swagger
+ * /api/accounts/{id}:
+ *   get:
+ *     summary: Get a specific account
+ *     tags: [Accounts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Account ID
+ *     responses:
+ *       200:
+ *         description: Account retrieved successfully
+ *       404:
+ *         description: Account not found
+ */
+router.get('/:id', authenticateToken, transactionLimiter, getAccount);
+
+/**
+ * @swagger
+ * /api/accounts/{id}/transactions:
+ *   get:
+ *     summary: Get an account's transactions with a running balance
+ *     description: Newest first. running_balance is the account balance after each transaction.
+ *     tags: [Accounts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Account ID
+ *       - in: query
+ *         name: start_date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Show transactions from this date
+ *       - in: query
+ *         name: end_date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Show transactions until this date
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number for pagination
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *         description: Number of items per page
+ *     responses:
+ *       200:
+ *         description: Account ledger retrieved successfully
+ *       404:
+ *         description: Account not found
+ */
+router.get('/:id/transactions', authenticateToken, transactionLimiter, getAccountLedger);
+
+/**
+ * @swagger
+ * /api/accounts:
+ *   post:
+ *     summary: Create an account
+ *     tags: [Accounts]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/AccountInput'
+ *               - type: object
+ *                 properties:
+ *                   user_id:
+ *                     type: integer
+ *                     description: Admin only - create account for specific user (optional)
+ *     responses:
+ *       201:
+ *         description: Account created successfully
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Read-only users cannot create accounts
+ *       409:
+ *         description: Account with this name already exists
+ */
+router.post('/', authenticateToken, requireWriteAccess, transactionLimiter, accountValidation, createAccount);
+
+/**
+ * @swagger
+ * /api/accounts/{id}:
+ *   put:
+ *     summary: Update an account
+ *     tags: [Accounts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Account ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AccountInput'
+ *     responses:
+ *       200:
+ *         description: Account updated successfully
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Read-only users cannot update accounts
+ *       404:
+ *         description: Account not found
+ *       409:
+ *         description: Another account with this name already exists, or the currency changed on an account with transactions
+ */
+router.put('/:id', authenticateToken, requireWriteAccess, transactionLimiter, accountValidation, updateAccount);
+
+/**
+ * @swagger
+ * /api/accounts/{id}:
+ *   delete:
+ *     summary: Delete an account
+ *     description: Accounts that have transactions cannot be deleted; archive them instead.
+ *     tags: [Accounts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Account ID
+ *     responses:
+ *       200:
+ *         description: Account deleted successfully
+ *       403:
+ *         description: Read-only users cannot delete accounts
+ *       404:
+ *         description: Account not found
+ *       409:
+ *         description: Account has transactions
+ */
+router.delete('/:id', authenticateToken, requireWriteAccess, transactionLimiter, deleteAccount);
+
+module.exports = router;
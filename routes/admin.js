@@ -5,6 +5,10 @@ const {
   getUsers,
   getUser,
   updateUserRole,
+  unlockUser,
+  getAuditEvents,
+  getRolePolicies,
+  updateRolePolicy,
   deleteUser,
   getSystemStats,
   createUserValidation,
@@ -12,6 +16,14 @@ const {
   adminTransactionValidation,
   getAllTransactions
 } = require('../controllers/adminController');
+const {
+  getExchangeRates,
+  upsertExchangeRates,
+  loadExchangeRates,
+  deleteExchangeRate,
+  exchangeRateValidation,
+  loadExchangeRatesValidation
+} = require('../controllers/exchangeRateController');
 const { authenticateToken, requireRole } = require('../middleware/auth');
 const { generalLimiter } = require('../middleware/security');
 const { cacheMiddleware } = require('../middleware/cache');
@@ -327,6 +339,225 @@ router.get('/users/:id', authenticateToken, requireRole(['admin']), generalLimit
  */
 router.put('/users/:id/role', authenticateToken, requireRole(['admin']), generalLimiter, updateUserRole);
 
+/**
+ * @swagger
+ * /api/admin/users/{id}/unlock:
+ *   post:
+ *     summary: Lift a login lockout or backoff from a user (admin only)
+ *     description: Clears the user's failed login attempts and lockout history. Recorded as an account_unlocked audit event.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: Failed login attempts cleared
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     wasLocked:
+ *                       type: boolean
+ *                       description: Whether the user was locked out or backing off
+ *       403:
+ *         description: Admin access required
+ *       404:
+ *         description: User not found
+ */
+router.post('/users/:id/unlock', authenticateToken, requireRole(['admin']), generalLimiter, unlockUser);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AuditEvent:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         event_type:
+ *           type: string
+ *           example: account_locked
+ *         user_id:
+ *           type: integer
+ *           nullable: true
+ *           description: User the event concerns
+ *         username:
+ *           type: string
+ *           nullable: true
+ *         actor_id:
+ *           type: integer
+ *           nullable: true
+ *           description: User who caused the event, such as the admin who unlocked an account
+ *         actor_username:
+ *           type: string
+ *           nullable: true
+ *         ip_address:
+ *           type: string
+ *           nullable: true
+ *         details:
+ *           type: object
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/admin/audit-events:
+ *   get:
+ *     summary: Get audit events, newest first (admin only)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [account_locked, account_unlocked]
+ *       - in: query
+ *         name: user_id
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Audit events retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     events:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/AuditEvent'
+ *                     pagination:
+ *                       type: object
+ *       403:
+ *         description: Admin access required
+ */
+router.get('/audit-events', authenticateToken, requireRole(['admin']), generalLimiter, getAuditEvents);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     RolePolicy:
+ *       type: object
+ *       properties:
+ *         role:
+ *           type: string
+ *           enum: [admin, user, read-only]
+ *         requireTwoFactor:
+ *           type: boolean
+ *           description: Users with the role are refused on every route except two-factor enrollment and logout until they enable it
+ *         usersWithoutTwoFactor:
+ *           type: integer
+ *           description: Users with the role who have not enabled two-factor authentication
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ */
+
+/**
+ * @swagger
+ * /api/admin/role-policies:
+ *   get:
+ *     summary: Get the security policy of every role (admin only)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Role policies retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     policies:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/RolePolicy'
+ *       403:
+ *         description: Admin access required
+ */
+router.get('/role-policies', authenticateToken, requireRole(['admin']), generalLimiter, getRolePolicies);
+
+/**
+ * @swagger
+ * /api/admin/role-policies/{role}:
+ *   put:
+ *     summary: Update the security policy of a role (admin only)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: role
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [admin, user, read-only]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - requireTwoFactor
+ *             properties:
+ *               requireTwoFactor:
+ *                 type: boolean
+ *                 description: Require two-factor authentication before users with the role can reach anything but enrollment and logout
+ *     responses:
+ *       200:
+ *         description: Role policy updated successfully
+ *       400:
+ *         description: Invalid role or value, or requiring two-factor authentication for your own role before enabling it
+ *       403:
+ *         description: Admin access required
+ */
+router.put('/role-policies/:role', authenticateToken, requireRole(['admin']), generalLimiter, updateRolePolicy);
+
 /**
  * @swagger
  * /api/admin/users/{id}:
@@ -544,4 +775,203 @@ router.post('/users/:userId/transactions', authenticateToken, requireRole(['admi
  */
 router.get('/transactions', authenticateToken, requireRole(['admin']), generalLimiter, cacheMiddleware(300), getAllTransactions);
 
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ExchangeRate:
+ *       type: object
+ *       description: 1 base_currency = rate quote_currency on rate_date
+ *       properties:
+ *         id:
+ *           type: integer
+ *         rate_date:
+ *           type: string
+ *           format: date
+ *         base_currency:
+ *           type: string
+ *           example: USD
+ *         quote_currency:
+ *           type: string
+ *           example: EUR
+ *         rate:
+ *           type: number
+ *           example: 0.92
+ *         source:
+ *           type: string
+ *           enum: [manual, file, api]
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         updated_at:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/admin/exchange-rates:
+ *   get:
+ *     summary: Get exchange rates (admin only)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: base
+ *         schema:
+ *           type: string
+ *         description: Filter by base currency
+ *       - in: query
+ *         name: quote
+ *         schema:
+ *           type: string
+ *         description: Filter by quote currency
+ *       - in: query
+ *         name: start_date
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: end_date
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 500
+ *     responses:
+ *       200:
+ *         description: Exchange rates retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     exchangeRates:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/ExchangeRate'
+ *                     pagination:
+ *                       $ref: '#/components/schemas/Pagination'
+ *       403:
+ *         description: Admin access required
+ */
+router.get('/exchange-rates', authenticateToken, requireRole(['admin']), generalLimiter, getExchangeRates);
+
+/**
+ * @swagger
+ * /api/admin/exchange-rates:
+ *   post:
+ *     summary: Add or replace exchange rates (admin only)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - rates
+ *             properties:
+ *               rates:
+ *                 description: "{ base, date, rates: { EUR: 0.92 } }, an array of those, or an array of { date, base_currency, quote_currency, rate }"
+ *                 oneOf:
+ *                   - type: object
+ *                   - type: array
+ *                     items:
+ *                       type: object
+ *               date:
+ *                 type: string
+ *                 format: date
+ *                 description: Date for entries that do not carry one (defaults to today)
+ *     responses:
+ *       200:
+ *         description: Exchange rates saved
+ *       400:
+ *         description: Validation error or invalid rate
+ *       403:
+ *         description: Admin access required
+ */
+router.post('/exchange-rates', authenticateToken, requireRole(['admin']), generalLimiter, exchangeRateValidation, upsertExchangeRates);
+
+/**
+ * @swagger
+ * /api/admin/exchange-rates/load:
+ *   post:
+ *     summary: Load exchange rates from the configured file or API (admin only)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - source
+ *             properties:
+ *               source:
+ *                 type: string
+ *                 enum: [file, api]
+ *                 description: file reads EXCHANGE_RATES_FILE, api calls EXCHANGE_RATES_API_URL
+ *               date:
+ *                 type: string
+ *                 format: date
+ *                 description: API only - day to fetch (defaults to today)
+ *               base:
+ *                 type: string
+ *                 description: API only - base currency (defaults to EXCHANGE_RATES_BASE or USD)
+ *     responses:
+ *       200:
+ *         description: Exchange rates loaded
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Admin access required
+ *       502:
+ *         description: The file or API could not be read
+ */
+router.post('/exchange-rates/load', authenticateToken, requireRole(['admin']), generalLimiter, loadExchangeRatesValidation, loadExchangeRates);
+
+/**
+ * @swagger
+ * /api/admin/exchange-rates/{id}:
+ *   delete:
+ *     summary: Delete an exchange rate (admin only)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Exchange rate deleted successfully
+ *       403:
+ *         description: Admin access required
+ *       404:
+ *         description: Exchange rate not found
+ */
+router.delete('/exchange-rates/:id', authenticateToken, requireRole(['admin']), generalLimiter, deleteExchangeRate);
+
 module.exports = router;
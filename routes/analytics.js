@@ -4,7 +4,13 @@ const {
   getMonthlyOverview,
   getYearlyOverview,
   getCategoryBreakdown,
+  getTagBreakdown,
+  getPayeeBreakdown,
   getTrends,
+  getForecast,
+  getAnomalies,
+  getComparison,
+  getNetWorth,
   getDashboardSummary
 } = require('../controllers/analyticsController');
 const { authenticateToken } = require('../middleware/auth');
@@ -44,6 +50,9 @@ const { cacheMiddleware } = require('../middleware/cache');
  *       properties:
  *         categoryId:
  *           type: integer
+ *         parentId:
+ *           type: integer
+ *           nullable: true
  *         categoryName:
  *           type: string
  *         categoryColor:
@@ -52,6 +61,10 @@ const { cacheMiddleware } = require('../middleware/cache');
  *           type: string
  *         totalAmount:
  *           type: number
+ *           description: Total including subcategories
+ *         ownAmount:
+ *           type: number
+ *           description: Total filed directly under this category
  *         transactionCount:
  *           type: integer
  *         averageAmount:
@@ -63,6 +76,223 @@ const { cacheMiddleware } = require('../middleware/cache');
  *         percentage:
  *           type: number
  *           description: Percentage of total amount
+ *     TagBreakdown:
+ *       type: object
+ *       properties:
+ *         tagId:
+ *           type: integer
+ *         tagName:
+ *           type: string
+ *         totalAmount:
+ *           type: number
+ *         transactionCount:
+ *           type: integer
+ *         averageAmount:
+ *           type: number
+ *         minAmount:
+ *           type: number
+ *         maxAmount:
+ *           type: number
+ *         firstDate:
+ *           type: string
+ *           format: date
+ *         lastDate:
+ *           type: string
+ *           format: date
+ *         percentage:
+ *           type: number
+ *           description: Percentage of all transactions of the type (tags overlap, so these do not add up to 100)
+ *     PayeeBreakdown:
+ *       type: object
+ *       properties:
+ *         payeeId:
+ *           type: integer
+ *         payeeName:
+ *           type: string
+ *         totalAmount:
+ *           type: number
+ *         transactionCount:
+ *           type: integer
+ *         averageAmount:
+ *           type: number
+ *         lastDate:
+ *           type: string
+ *           format: date
+ *         percentage:
+ *           type: number
+ *           description: Percentage of all transactions of the type
+ *     ForecastRange:
+ *       type: object
+ *       properties:
+ *         expected:
+ *           type: number
+ *         lower:
+ *           type: number
+ *           description: Lower edge of the confidence band
+ *         upper:
+ *           type: number
+ *           description: Upper edge of the confidence band
+ *     ForecastMonth:
+ *       type: object
+ *       properties:
+ *         month:
+ *           type: string
+ *           example: 2026-11
+ *         income:
+ *           allOf:
+ *             - $ref: '#/components/schemas/ForecastRange'
+ *             - type: object
+ *               properties:
+ *                 recurring:
+ *                   type: number
+ *                   description: Part of the expected amount scheduled by recurring transactions
+ *         expense:
+ *           allOf:
+ *             - $ref: '#/components/schemas/ForecastRange'
+ *             - type: object
+ *               properties:
+ *                 recurring:
+ *                   type: number
+ *                   description: Part of the expected amount scheduled by recurring transactions
+ *         net:
+ *           $ref: '#/components/schemas/ForecastRange'
+ *         balance:
+ *           $ref: '#/components/schemas/ForecastRange'
+ *     CategoryComparison:
+ *       type: object
+ *       properties:
+ *         categoryId:
+ *           type: integer
+ *         parentId:
+ *           type: integer
+ *           nullable: true
+ *         categoryName:
+ *           type: string
+ *         categoryColor:
+ *           type: string
+ *         categoryIcon:
+ *           type: string
+ *         currentAmount:
+ *           type: number
+ *           description: Including subcategories, as in the category breakdown
+ *         previousAmount:
+ *           type: number
+ *         change:
+ *           type: number
+ *           description: currentAmount minus previousAmount
+ *         changePercentage:
+ *           type: number
+ *           nullable: true
+ *           description: Change as a percentage of previousAmount (null when previousAmount is 0)
+ *         status:
+ *           type: string
+ *           enum: [new, dropped, increased, decreased, unchanged]
+ *     ComparisonPeriod:
+ *       type: object
+ *       properties:
+ *         startDate:
+ *           type: string
+ *           format: date
+ *         endDate:
+ *           type: string
+ *           format: date
+ *         totalAmount:
+ *           type: number
+ *         transactionCount:
+ *           type: integer
+ *     ComparisonHighlight:
+ *       type: object
+ *       properties:
+ *         categoryId:
+ *           type: integer
+ *         parentId:
+ *           type: integer
+ *           nullable: true
+ *         categoryName:
+ *           type: string
+ *         amount:
+ *           type: number
+ *     NetWorthPoint:
+ *       type: object
+ *       properties:
+ *         date:
+ *           type: string
+ *           format: date
+ *         accounts:
+ *           type: number
+ *           description: Sum of account balances (credit cards count negative)
+ *         assets:
+ *           type: number
+ *         liabilities:
+ *           type: number
+ *         netWorth:
+ *           type: number
+ *           description: accounts + assets - liabilities
+ *         unconvertedCount:
+ *           type: integer
+ *           description: Items left out of this point because their currency could not be converted
+ *     NetWorthItem:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         name:
+ *           type: string
+ *         type:
+ *           type: string
+ *           enum: [asset, liability]
+ *         currency:
+ *           type: string
+ *         value:
+ *           type: number
+ *           description: Latest valuation on or before the end date
+ *         valuedOn:
+ *           type: string
+ *           format: date
+ *         convertedValue:
+ *           type: number
+ *           nullable: true
+ *     SpendingAnomaly:
+ *       type: object
+ *       properties:
+ *         type:
+ *           type: string
+ *           enum: [unusual_amount, new_merchant, category_spike, month_spike]
+ *         severity:
+ *           type: string
+ *           enum: [high, medium]
+ *         transactionId:
+ *           type: integer
+ *           description: Flagged transaction (unusual_amount and new_merchant)
+ *         date:
+ *           type: string
+ *           format: date
+ *           description: Transaction date (unusual_amount and new_merchant)
+ *         month:
+ *           type: string
+ *           example: 2026-09
+ *           description: Flagged month (category_spike and month_spike)
+ *         categoryId:
+ *           type: integer
+ *           description: Absent for month_spike
+ *         categoryName:
+ *           type: string
+ *         merchant:
+ *           type: string
+ *           nullable: true
+ *           description: Payee name, else the transaction description
+ *         amount:
+ *           type: number
+ *           description: Charge, or the month's total so far
+ *         expectedAmount:
+ *           type: number
+ *           description: Category average, percentile threshold or trailing monthly average it was compared with
+ *         score:
+ *           type: number
+ *           description: Standard deviations above the average (unusual_amount), otherwise amount / expectedAmount
+ *         explanation:
+ *           type: string
+ *           example: $412.00 at Le Bernardin in Dining is 4.6 standard deviations above the category's average of $38.50
  */
 
 /**
@@ -170,6 +400,11 @@ router.get('/yearly', authenticateToken, analyticsLimiter, cacheMiddleware(900),
  *           default: expense
  *         description: Transaction type for breakdown
  *       - in: query
+ *         name: tag
+ *         schema:
+ *           type: string
+ *         description: Only include transactions carrying this tag
+ *       - in: query
  *         name: start_date
  *         schema:
  *           type: string
@@ -210,6 +445,152 @@ router.get('/yearly', authenticateToken, analyticsLimiter, cacheMiddleware(900),
  */
 router.get('/categories', authenticateToken, analyticsLimiter, cacheMiddleware(900), getCategoryBreakdown);
 
+/**
+ * @swagger
+ * /api/analytics/tags:
+ *   get:
+ *     summary: Get tag-wise breakdown
+ *     tags: [Analytics]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [income, expense]
+ *           default: expense
+ *         description: Transaction type for breakdown
+ *       - in: query
+ *         name: start_date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Start date for filtering
+ *       - in: query
+ *         name: end_date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: End date for filtering
+ *       - in: query
+ *         name: user_id
+ *         schema:
+ *           type: integer
+ *         description: Admin only - get data for specific user
+ *     responses:
+ *       200:
+ *         description: Tag breakdown retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     type:
+ *                       type: string
+ *                     currency:
+ *                       type: string
+ *                     unconvertedCount:
+ *                       type: integer
+ *                       description: Transactions left out of the totals because their currency could not be converted
+ *                     missingCurrencies:
+ *                       type: array
+ *                       description: Currencies with no exchange rate to the base currency
+ *                       items:
+ *                         type: string
+ *                     totalAmount:
+ *                       type: number
+ *                       description: Total of all transactions of the type, tagged or not
+ *                     tagBreakdown:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/TagBreakdown'
+ */
+router.get('/tags', authenticateToken, analyticsLimiter, cacheMiddleware(900), getTagBreakdown);
+
+/**
+ * @swagger
+ * /api/analytics/payees:
+ *   get:
+ *     summary: Get top payees by amount
+ *     tags: [Analytics]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [income, expense]
+ *           default: expense
+ *         description: Transaction type for breakdown
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *           maximum: 100
+ *         description: Number of payees to return
+ *       - in: query
+ *         name: start_date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Start date for filtering
+ *       - in: query
+ *         name: end_date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: End date for filtering
+ *       - in: query
+ *         name: user_id
+ *         schema:
+ *           type: integer
+ *         description: Admin only - get data for specific user
+ *     responses:
+ *       200:
+ *         description: Payee breakdown retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     type:
+ *                       type: string
+ *                     currency:
+ *                       type: string
+ *                     unconvertedCount:
+ *                       type: integer
+ *                       description: Transactions left out of the totals because their currency could not be converted
+ *                     missingCurrencies:
+ *                       type: array
+ *                       description: Currencies with no exchange rate to the base currency
+ *                       items:
+ *                         type: string
+ *                     totalAmount:
+ *                       type: number
+ *                       description: Total of all transactions of the type
+ *                     unassignedAmount:
+ *                       type: number
+ *                       description: Part of the total with no payee
+ *                     payeeBreakdown:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/PayeeBreakdown'
+ */
+router.get('/payees', authenticateToken, analyticsLimiter, cacheMiddleware(900), getPayeeBreakdown);
+
 /**
  * @swagger
  * /api/analytics/trends:
@@ -278,6 +659,420 @@ router.get('/categories', authenticateToken, analyticsLimiter, cacheMiddleware(9
  */
 router.get('/trends', authenticateToken, analyticsLimiter, cacheMiddleware(900), getTrends);
 
+/**
+ * @swagger
+ * /api/analytics/forecast:
+ *   get:
+ *     summary: Forecast balance, income and expense for the coming months
+ *     description: |
+ *       Projects each month after the current one from the historical monthly averages,
+ *       scaled by the month's seasonal index once two years of history exist, plus the
+ *       occurrences scheduled by active recurring transactions. The bands show the range
+ *       past months varied within at the requested confidence level. The balance starts from
+ *       the account opening balances plus all income minus all expenses to date.
+ *     tags: [Analytics]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: months
+ *         schema:
+ *           type: integer
+ *           default: 6
+ *           minimum: 1
+ *           maximum: 24
+ *         description: Number of months to forecast
+ *       - in: query
+ *         name: history_months
+ *         schema:
+ *           type: integer
+ *           default: 24
+ *           minimum: 3
+ *           maximum: 60
+ *         description: Complete past months the averages are taken from
+ *       - in: query
+ *         name: confidence
+ *         schema:
+ *           type: integer
+ *           enum: [80, 90, 95]
+ *           default: 80
+ *         description: Confidence level of the bands, in percent
+ *       - in: query
+ *         name: user_id
+ *         schema:
+ *           type: integer
+ *         description: Admin only - get data for specific user
+ *     responses:
+ *       200:
+ *         description: Forecast retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     currency:
+ *                       type: string
+ *                     unconvertedCount:
+ *                       type: integer
+ *                       description: Transactions left out of the totals because their currency could not be converted
+ *                     missingCurrencies:
+ *                       type: array
+ *                       description: Currencies with no exchange rate to the base currency
+ *                       items:
+ *                         type: string
+ *                     startingBalance:
+ *                       type: number
+ *                       description: Current balance across all accounts
+ *                     restOfMonth:
+ *                       type: object
+ *                       description: Income and expense still expected this month (recurring items due from today and the average for the remaining days), added to the starting balance before the first forecast month
+ *                       properties:
+ *                         income:
+ *                           type: number
+ *                         expense:
+ *                           type: number
+ *                     historyMonths:
+ *                       type: integer
+ *                       description: Past months with data the forecast is based on
+ *                     confidenceLevel:
+ *                       type: integer
+ *                     seasonalityApplied:
+ *                       type: boolean
+ *                     averages:
+ *                       type: object
+ *                       description: Average monthly income and expense, excluding recurring transactions
+ *                       properties:
+ *                         income:
+ *                           type: number
+ *                         expense:
+ *                           type: number
+ *                     forecast:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/ForecastMonth'
+ *       400:
+ *         description: Unsupported confidence level
+ */
+router.get('/forecast', authenticateToken, analyticsLimiter, cacheMiddleware(900), getForecast);
+
+/**
+ * @swagger
+ * /api/analytics/anomalies:
+ *   get:
+ *     summary: Flag unusual transactions and months in spending
+ *     description: |
+ *       Compares expenses in the review window with the 12 months before it and flags
+ *       charges far above their category's average (unusual_amount), large first charges
+ *       at payees or descriptions never seen before (new_merchant), and months where a
+ *       category or total spending is well above its 3-month trailing average
+ *       (category_spike, month_spike). Each flag carries an explanation. Amounts are in
+ *       the user's base currency. The most severe and most recent flags come first.
+ *     tags: [Analytics]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: start_date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Start of the review window (defaults to the first day of last month)
+ *       - in: query
+ *         name: end_date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: End of the review window (defaults to today)
+ *       - in: query
+ *         name: sensitivity
+ *         schema:
+ *           type: string
+ *           enum: [low, medium, high]
+ *           default: medium
+ *         description: |
+ *           How readily to flag. low - 4 standard deviations, 95th percentile, 3x category / 1.75x total;
+ *           medium - 3, 90th, 2x / 1.5x; high - 2.5, 80th, 1.5x / 1.25x
+ *       - in: query
+ *         name: user_id
+ *         schema:
+ *           type: integer
+ *         description: Admin only - get data for specific user
+ *     responses:
+ *       200:
+ *         description: Anomalies retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     currency:
+ *                       type: string
+ *                     unconvertedCount:
+ *                       type: integer
+ *                       description: Transactions left out of the totals because their currency could not be converted
+ *                     missingCurrencies:
+ *                       type: array
+ *                       description: Currencies with no exchange rate to the base currency
+ *                       items:
+ *                         type: string
+ *                     startDate:
+ *                       type: string
+ *                       format: date
+ *                     endDate:
+ *                       type: string
+ *                       format: date
+ *                     historyStartDate:
+ *                       type: string
+ *                       format: date
+ *                       description: Start of the history the window is compared with
+ *                     sensitivity:
+ *                       type: string
+ *                     anomalyCount:
+ *                       type: integer
+ *                     anomalies:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/SpendingAnomaly'
+ *       400:
+ *         description: Invalid dates or unsupported sensitivity
+ */
+router.get('/anomalies', authenticateToken, analyticsLimiter, cacheMiddleware(900), getAnomalies);
+
+/**
+ * @swagger
+ * /api/analytics/compare:
+ *   get:
+ *     summary: Compare totals per category between two date ranges
+ *     description: |
+ *       Compares the period from start_date to end_date with a second range and returns
+ *       absolute and percentage changes in total and per category. The second range is
+ *       compare_start_date to compare_end_date when given; otherwise compare_to picks it.
+ *       Categories with nothing in the second range are listed as new, those with nothing
+ *       in the period as dropped.
+ *     tags: [Analytics]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [income, expense]
+ *           default: expense
+ *       - in: query
+ *         name: start_date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Start of the period (defaults to the first day of this month)
+ *       - in: query
+ *         name: end_date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: End of the period (defaults to today)
+ *       - in: query
+ *         name: compare_to
+ *         schema:
+ *           type: string
+ *           enum: [previous, previous_year]
+ *           default: previous
+ *         description: |
+ *           previous - the same length just before (whole months when start_date is the 1st,
+ *           so October 1-19 compares with September 1-19); previous_year - the same dates a year earlier
+ *       - in: query
+ *         name: compare_start_date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Start of an explicit range to compare with (requires compare_end_date)
+ *       - in: query
+ *         name: compare_end_date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: End of an explicit range to compare with (requires compare_start_date)
+ *       - in: query
+ *         name: user_id
+ *         schema:
+ *           type: integer
+ *         description: Admin only - get data for specific user
+ *     responses:
+ *       200:
+ *         description: Comparison retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     type:
+ *                       type: string
+ *                     currency:
+ *                       type: string
+ *                     unconvertedCount:
+ *                       type: integer
+ *                       description: Transactions left out of the totals because their currency could not be converted
+ *                     missingCurrencies:
+ *                       type: array
+ *                       description: Currencies with no exchange rate to the base currency
+ *                       items:
+ *                         type: string
+ *                     current:
+ *                       $ref: '#/components/schemas/ComparisonPeriod'
+ *                     previous:
+ *                       $ref: '#/components/schemas/ComparisonPeriod'
+ *                     change:
+ *                       type: number
+ *                     changePercentage:
+ *                       type: number
+ *                       nullable: true
+ *                     newCategories:
+ *                       type: array
+ *                       description: Categories with spending in the period but none in the comparison range
+ *                       items:
+ *                         $ref: '#/components/schemas/ComparisonHighlight'
+ *                     droppedCategories:
+ *                       type: array
+ *                       description: Categories with spending in the comparison range but none in the period
+ *                       items:
+ *                         $ref: '#/components/schemas/ComparisonHighlight'
+ *                     categories:
+ *                       type: array
+ *                       description: Largest changes first
+ *                       items:
+ *                         $ref: '#/components/schemas/CategoryComparison'
+ *       400:
+ *         description: Invalid dates or compare_to
+ */
+router.get('/compare', authenticateToken, analyticsLimiter, cacheMiddleware(900), getComparison);
+
+/**
+ * @swagger
+ * /api/analytics/net-worth:
+ *   get:
+ *     summary: Net worth over time
+ *     description: |
+ *       Evaluates account balances plus assets minus liabilities at the end of each interval,
+ *       with end_date as the last point. Assets and liabilities keep their latest valuation
+ *       until the next one and count from their first. Amounts are converted to the user's
+ *       base currency at each point's date; amounts with no exchange rate are left out and counted.
+ *     tags: [Analytics]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: start_date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Start of the series (defaults to the first day of the month 11 months before end_date)
+ *       - in: query
+ *         name: end_date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Last point of the series (defaults to today)
+ *       - in: query
+ *         name: interval
+ *         schema:
+ *           type: string
+ *           enum: [weekly, monthly, yearly]
+ *           default: monthly
+ *       - in: query
+ *         name: user_id
+ *         schema:
+ *           type: integer
+ *         description: Admin only - get data for specific user
+ *     responses:
+ *       200:
+ *         description: Net worth retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     currency:
+ *                       type: string
+ *                     unconvertedCount:
+ *                       type: integer
+ *                       description: Accounts, assets and liabilities left out of at least one point because their currency could not be converted
+ *                     missingCurrencies:
+ *                       type: array
+ *                       description: Currencies with no exchange rate to the base currency
+ *                       items:
+ *                         type: string
+ *                     interval:
+ *                       type: string
+ *                     startDate:
+ *                       type: string
+ *                       format: date
+ *                     endDate:
+ *                       type: string
+ *                       format: date
+ *                     current:
+ *                       $ref: '#/components/schemas/NetWorthPoint'
+ *                     change:
+ *                       type: number
+ *                       description: Net worth change from the first point to the last
+ *                     series:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/NetWorthPoint'
+ *                     breakdown:
+ *                       type: object
+ *                       description: Items making up the last point, in their own and the base currency
+ *                       properties:
+ *                         accounts:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               id:
+ *                                 type: integer
+ *                               name:
+ *                                 type: string
+ *                               type:
+ *                                 type: string
+ *                               currency:
+ *                                 type: string
+ *                               balance:
+ *                                 type: number
+ *                               convertedBalance:
+ *                                 type: number
+ *                                 nullable: true
+ *                         assets:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/NetWorthItem'
+ *                         liabilities:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/NetWorthItem'
+ *       400:
+ *         description: Invalid dates or interval, or too many points
+ */
+router.get('/net-worth', authenticateToken, analyticsLimiter, cacheMiddleware(900), getNetWorth);
+
 /**
  * @swagger
  * /api/analytics/dashboard:
@@ -0,0 +1,368 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getAssets,
+  getAsset,
+  createAsset,
+  updateAsset,
+  deleteAsset,
+  addValuation,
+  deleteValuation,
+  assetValidation,
+  createAssetValidation,
+  valuationValidation
+} = require('../controllers/assetController');
+const { authenticateToken, requireWriteAccess } = require('../middleware/auth');
+const { transactionLimiter } = require('../middleware/security');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AssetValuation:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         asset_id:
+ *           type: integer
+ *         valuation_date:
+ *           type: string
+ *           format: date
+ *         value:
+ *           type: number
+ *           format: float
+ *           description: What the asset was worth, or what the liability owed, on the date
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *     Asset:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           description: Asset ID
+ *         user_id:
+ *           type: integer
+ *         name:
+ *           type: string
+ *         type:
+ *           type: string
+ *           enum: [asset, liability]
+ *         currency:
+ *           type: string
+ *         current_value:
+ *           type: number
+ *           format: float
+ *           nullable: true
+ *           description: Latest valuation (null before the first one)
+ *         valued_on:
+ *           type: string
+ *           format: date
+ *           nullable: true
+ *           description: Date of the latest valuation
+ *         valuation_count:
+ *           type: integer
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         updated_at:
+ *           type: string
+ *           format: date-time
+ *     AssetInput:
+ *       type: object
+ *       required:
+ *         - name
+ *         - type
+ *       properties:
+ *         name:
+ *           type: string
+ *           maxLength: 100
+ *           example: House
+ *         type:
+ *           type: string
+ *           enum: [asset, liability]
+ *           example: asset
+ *         currency:
+ *           type: string
+ *           description: ISO 4217 code (defaults to USD)
+ *           example: USD
+ *     ValuationInput:
+ *       type: object
+ *       required:
+ *         - value
+ *       properties:
+ *         value:
+ *           type: number
+ *           format: float
+ *           minimum: 0
+ *           example: 450000
+ *         valuation_date:
+ *           type: string
+ *           format: date
+ *           description: Defaults to today; a second valuation on the same date replaces the first
+ */
+
+/**
+ * @swagger
+ * /api/assets:
+ *   get:
+ *     summary: Get manually valued assets and liabilities
+ *     tags: [Assets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [asset, liability]
+ *       - in: query
+ *         name: user_id
+ *         schema:
+ *           type: integer
+ *         description: Admin only - get assets for specific user
+ *     responses:
+ *       200:
+ *         description: Assets retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     assets:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Asset'
+ */
+router.get('/', authenticateToken, transactionLimiter, getAssets);
+
+/**
+ * @swagger
+ * /api/assets/{id}:
+ *   get:
+ *     summary: Get an asset or liability with its valuation history
+ *     tags: [Assets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Asset ID
+ *     responses:
+ *       200:
+ *         description: Asset retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     asset:
+ *                       allOf:
+ *                         - $ref: '#/components/schemas/Asset'
+ *                         - type: object
+ *                           properties:
+ *                             valuations:
+ *                               type: array
+ *                               description: Newest first
+ *                               items:
+ *                                 $ref: '#/components/schemas/AssetValuation'
+ *       404:
+ *         description: Asset not found
+ */
+router.get('/:id', authenticateToken, transactionLimiter, getAsset);
+
+/**
+ * @swagger
+ * /api/assets:
+ *   post:
+ *     summary: Create an asset or liability
+ *     tags: [Assets]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/AssetInput'
+ *               - type: object
+ *                 properties:
+ *                   value:
+ *                     type: number
+ *                     format: float
+ *                     minimum: 0
+ *                     description: First valuation (optional)
+ *                   valuation_date:
+ *                     type: string
+ *                     format: date
+ *                     description: Date of the first valuation (defaults to today)
+ *                   user_id:
+ *                     type: integer
+ *                     description: Admin only - create asset for specific user (optional)
+ *     responses:
+ *       201:
+ *         description: Asset created successfully
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Read-only users cannot create assets
+ *       409:
+ *         description: An asset with this name already exists
+ */
+router.post('/', authenticateToken, requireWriteAccess, transactionLimiter, createAssetValidation, createAsset);
+
+/**
+ * @swagger
+ * /api/assets/{id}:
+ *   put:
+ *     summary: Update an asset or liability
+ *     tags: [Assets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Asset ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AssetInput'
+ *     responses:
+ *       200:
+ *         description: Asset updated successfully
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Read-only users cannot update assets
+ *       404:
+ *         description: Asset not found
+ *       409:
+ *         description: An asset with this name already exists
+ */
+router.put('/:id', authenticateToken, requireWriteAccess, transactionLimiter, assetValidation, updateAsset);
+
+/**
+ * @swagger
+ * /api/assets/{id}:
+ *   delete:
+ *     summary: Delete an asset or liability and its valuation history
+ *     description: To keep its history in net worth, record a valuation of 0 instead (e.g. when a car is sold or a loan paid off).
+ *     tags: [Assets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Asset ID
+ *     responses:
+ *       200:
+ *         description: Asset deleted successfully
+ *       403:
+ *         description: Read-only users cannot delete assets
+ *       404:
+ *         description: Asset not found
+ */
+router.delete('/:id', authenticateToken, requireWriteAccess, transactionLimiter, deleteAsset);
+
+/**
+ * @swagger
+ * /api/assets/{id}/valuations:
+ *   post:
+ *     summary: Record a valuation of an asset or liability
+ *     tags: [Assets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Asset ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ValuationInput'
+ *     responses:
+ *       201:
+ *         description: Valuation recorded successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     valuation:
+ *                       $ref: '#/components/schemas/AssetValuation'
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Read-only users cannot record valuations
+ *       404:
+ *         description: Asset not found
+ */
+router.post('/:id/valuations', authenticateToken, requireWriteAccess, transactionLimiter, valuationValidation, addValuation);
+
+/**
+ * @swagger
+ * /api/assets/{id}/valuations/{valuationId}:
+ *   delete:
+ *     summary: Delete a valuation
+ *     tags: [Assets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Asset ID
+ *       - in: path
+ *         name: valuationId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Valuation ID
+ *     responses:
+ *       200:
+ *         description: Valuation deleted successfully
+ *       403:
+ *         description: Read-only users cannot delete valuations
+ *       404:
+ *         description: Asset or valuation not found
+ */
+router.delete('/:id/valuations/:valuationId', authenticateToken, requireWriteAccess, transactionLimiter, deleteValuation);
+
+module.exports = router;
@@ -3,12 +3,38 @@ const router = express.Router();
 const {
   register,
   login,
+  refresh,
+  logout,
   getProfile,
   updateProfile,
   changePassword,
+  getSessions,
+  deleteSession,
+  deleteOtherSessions,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
   registerValidation,
-  loginValidation
+  profileValidation,
+  loginValidation,
+  emailValidation,
+  tokenValidation,
+  resetPasswordValidation
 } = require('../controllers/authController');
+const {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  verifyTwoFactor,
+  disableTwoFactor,
+  regenerateBackupCodes,
+  setupValidation,
+  enableValidation,
+  verifyValidation,
+  disableValidation,
+  backupCodesValidation
+} = require('../controllers/twoFactorController');
 const { authenticateToken, requireWriteAccess } = require('../middleware/auth');
 const { authLimiter } = require('../middleware/security');
 
@@ -39,6 +65,13 @@ const { authLimiter } = require('../middleware/security');
  *         lastName:
  *           type: string
  *           description: Last name
+ *         baseCurrency:
+ *           type: string
+ *           example: USD
+ *           description: ISO 4217 currency analytics are reported in
+ *         twoFactorEnabled:
+ *           type: boolean
+ *           description: Whether logging in needs a second-factor code
  *         createdAt:
  *           type: string
  *           format: date-time
@@ -57,7 +90,69 @@ const { authLimiter } = require('../middleware/security');
  *               $ref: '#/components/schemas/User'
  *             token:
  *               type: string
- *               description: JWT token
+ *               description: Short-lived JWT access token
+ *             refreshToken:
+ *               type: string
+ *               description: Single-use token for POST /api/auth/refresh
+ *     TwoFactorChallenge:
+ *       type: object
+ *       properties:
+ *         success:
+ *           type: boolean
+ *         message:
+ *           type: string
+ *         data:
+ *           type: object
+ *           properties:
+ *             twoFactorRequired:
+ *               type: boolean
+ *               example: true
+ *             challengeToken:
+ *               type: string
+ *               description: Send with a code to POST /api/auth/2fa/verify within 5 minutes
+ *     TokenResponse:
+ *       type: object
+ *       properties:
+ *         success:
+ *           type: boolean
+ *         message:
+ *           type: string
+ *         data:
+ *           type: object
+ *           properties:
+ *             token:
+ *               type: string
+ *               description: Short-lived JWT access token
+ *             refreshToken:
+ *               type: string
+ *               description: Replaces the refresh token that was sent
+ *     Session:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           description: Session ID
+ *         userAgent:
+ *           type: string
+ *           nullable: true
+ *         ipAddress:
+ *           type: string
+ *           nullable: true
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the device signed in
+ *         lastUsedAt:
+ *           type: string
+ *           format: date-time
+ *           description: Last token refresh
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *           description: Ends unless refreshed before then
+ *         current:
+ *           type: boolean
+ *           description: Whether this is the session making the request
  *   securitySchemes:
  *     bearerAuth:
  *       type: http
@@ -102,13 +197,30 @@ const { authLimiter } = require('../middleware/security');
  *                 type: string
  *                 enum: [admin, user, read-only]
  *                 description: Only admin users can set roles
+ *               baseCurrency:
+ *                 type: string
+ *                 default: USD
+ *                 description: ISO 4217 code analytics convert amounts to
  *     responses:
  *       201:
- *         description: User registered successfully
+ *         description: User registered successfully; a verification link is emailed and logging in waits until it is used
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/AuthResponse'
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     user:
+ *                       $ref: '#/components/schemas/User'
+ *                     emailVerificationRequired:
+ *                       type: boolean
+ *                       example: true
  *       400:
  *         description: Validation error
  *       409:
@@ -139,16 +251,180 @@ router.post('/register', authLimiter, registerValidation, register);
  *                 type: string
  *     responses:
  *       200:
- *         description: Login successful
+ *         description: Login successful, or a two-factor challenge when the user has two-factor authentication enabled
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/AuthResponse'
+ *               oneOf:
+ *                 - $ref: '#/components/schemas/AuthResponse'
+ *                 - $ref: '#/components/schemas/TwoFactorChallenge'
  *       401:
  *         description: Invalid credentials
+ *       403:
+ *         description: Email address not verified yet
+ *       429:
+ *         description: Too many failed attempts for this email; the Retry-After header gives the wait in seconds
  */
 router.post('/login', authLimiter, loginValidation, login);
 
+/**
+ * @swagger
+ * /api/auth/verify-email:
+ *   post:
+ *     summary: Confirm an email address with the token from the verification link
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Email address verified
+ *       400:
+ *         description: Validation error, or invalid, used or expired token
+ */
+router.post('/verify-email', authLimiter, tokenValidation, verifyEmail);
+
+/**
+ * @swagger
+ * /api/auth/resend-verification:
+ *   post:
+ *     summary: Email a new verification link
+ *     description: Answers the same whether or not the address belongs to an unverified account. Earlier links stop working.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *     responses:
+ *       200:
+ *         description: Request accepted
+ *       400:
+ *         description: Validation error
+ */
+router.post('/resend-verification', authLimiter, emailValidation, resendVerification);
+
+/**
+ * @swagger
+ * /api/auth/forgot-password:
+ *   post:
+ *     summary: Email a password reset link
+ *     description: Answers the same whether or not the address has an account. The link expires after an hour, works once, and earlier links stop working.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *     responses:
+ *       200:
+ *         description: Request accepted
+ *       400:
+ *         description: Validation error
+ */
+router.post('/forgot-password', authLimiter, emailValidation, forgotPassword);
+
+/**
+ * @swagger
+ * /api/auth/reset-password:
+ *   post:
+ *     summary: Set a new password with the token from the reset link
+ *     description: Signs the user out of every device.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - newPassword
+ *             properties:
+ *               token:
+ *                 type: string
+ *               newPassword:
+ *                 type: string
+ *                 minLength: 6
+ *     responses:
+ *       200:
+ *         description: Password reset successfully
+ *       400:
+ *         description: Validation error, or invalid, used or expired token
+ */
+router.post('/reset-password', authLimiter, resetPasswordValidation, resetPassword);
+
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for a new access token and refresh token
+ *     description: Each refresh token works once. Presenting one that was already exchanged revokes the whole session, since only a copy could be used twice.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Token refreshed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TokenResponse'
+ *       400:
+ *         description: Refresh token missing
+ *       401:
+ *         description: Refresh token invalid, expired or already used
+ */
+router.post('/refresh', authLimiter, refresh);
+
+/**
+ * @swagger
+ * /api/auth/logout:
+ *   post:
+ *     summary: Log out of the current session
+ *     description: Revokes the session, so its access token and refresh token stop working immediately.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Logged out successfully
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/logout', authenticateToken, logout);
+
 /**
  * @swagger
  * /api/auth/profile:
@@ -198,15 +474,21 @@ router.get('/profile', authenticateToken, getProfile);
  *               lastName:
  *                 type: string
  *                 maxLength: 50
+ *               baseCurrency:
+ *                 type: string
+ *                 example: EUR
+ *                 description: ISO 4217 code analytics convert amounts to
  *     responses:
  *       200:
  *         description: Profile updated successfully
+ *       400:
+ *         description: Validation error
  *       401:
  *         description: Unauthorized
  *       403:
  *         description: Read-only users cannot modify data
  */
-router.put('/profile', authenticateToken, requireWriteAccess, updateProfile);
+router.put('/profile', authenticateToken, requireWriteAccess, profileValidation, updateProfile);
 
 /**
  * @swagger
@@ -243,4 +525,314 @@ router.put('/profile', authenticateToken, requireWriteAccess, updateProfile);
  */
 router.put('/change-password', authenticateToken, requireWriteAccess, changePassword);
 
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   get:
+ *     summary: List the devices the current user is signed in on
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Sessions retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     sessions:
+ *                       type: array
+ *                       description: Most recently used first
+ *                       items:
+ *                         $ref: '#/components/schemas/Session'
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/sessions', authenticateToken, getSessions);
+
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   delete:
+ *     summary: Sign out every device except the current one
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Other sessions revoked successfully
+ *       401:
+ *         description: Unauthorized
+ */
+router.delete('/sessions', authenticateToken, deleteOtherSessions);
+
+/**
+ * @swagger
+ * /api/auth/sessions/{id}:
+ *   delete:
+ *     summary: Sign out one device
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Session ID
+ *     responses:
+ *       200:
+ *         description: Session revoked successfully
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Session not found
+ */
+router.delete('/sessions/:id', authenticateToken, deleteSession);
+
+/**
+ * @swagger
+ * /api/auth/2fa/verify:
+ *   post:
+ *     summary: Complete a login with a two-factor code
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - challengeToken
+ *               - code
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *                 description: From POST /api/auth/login
+ *               code:
+ *                 type: string
+ *                 description: Code from the authenticator app, or an unused backup code
+ *                 example: '123456'
+ *     responses:
+ *       200:
+ *         description: Login successful (backupCodesRemaining is included when a backup code was used)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthResponse'
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Invalid code, or invalid or expired challenge
+ *       429:
+ *         description: Too many failed attempts for this account; the Retry-After header gives the wait in seconds
+ */
+router.post('/2fa/verify', authLimiter, verifyValidation, verifyTwoFactor);
+
+/**
+ * @swagger
+ * /api/auth/2fa:
+ *   get:
+ *     summary: Get the current user's two-factor authentication status
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Status retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     enabled:
+ *                       type: boolean
+ *                     required:
+ *                       type: boolean
+ *                       description: Whether the user's role requires two-factor authentication
+ *                     backupCodesRemaining:
+ *                       type: integer
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/2fa', authenticateToken, getTwoFactorStatus);
+
+/**
+ * @swagger
+ * /api/auth/2fa/setup:
+ *   post:
+ *     summary: Start two-factor enrollment
+ *     description: Returns a new secret as an otpauth URI for an authenticator app. Two-factor authentication is only turned on once a code is confirmed at /api/auth/2fa/enable.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *                 description: Current password
+ *     responses:
+ *       200:
+ *         description: Secret generated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     secret:
+ *                       type: string
+ *                       description: Base32 secret, for entering by hand
+ *                     otpauthUri:
+ *                       type: string
+ *                       example: otpauth://totp/Personal%20Finance%20Tracker:user%40test.com?secret=JBSWY3DPEHPK3PXP&issuer=Personal%20Finance%20Tracker&algorithm=SHA1&digits=6&period=30
+ *       400:
+ *         description: Validation error or password incorrect
+ *       401:
+ *         description: Unauthorized
+ *       409:
+ *         description: Two-factor authentication is already enabled
+ */
+router.post('/2fa/setup', authenticateToken, authLimiter, setupValidation, setupTwoFactor);
+
+/**
+ * @swagger
+ * /api/auth/2fa/enable:
+ *   post:
+ *     summary: Confirm enrollment with a code and turn two-factor authentication on
+ *     description: Returns single-use backup codes, shown only this once. Other devices are signed out.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: '123456'
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication enabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     backupCodes:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                         example: ABCD-EFGH
+ *       400:
+ *         description: Invalid code, or setup not started
+ *       401:
+ *         description: Unauthorized
+ *       409:
+ *         description: Two-factor authentication is already enabled
+ */
+router.post('/2fa/enable', authenticateToken, authLimiter, enableValidation, enableTwoFactor);
+
+/**
+ * @swagger
+ * /api/auth/2fa/disable:
+ *   post:
+ *     summary: Turn two-factor authentication off
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *               - code
+ *             properties:
+ *               password:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 description: Code from the authenticator app, or a backup code
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication disabled
+ *       400:
+ *         description: Validation error, password incorrect, invalid code, or not enabled
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: The user's role requires two-factor authentication
+ */
+router.post('/2fa/disable', authenticateToken, authLimiter, disableValidation, disableTwoFactor);
+
+/**
+ * @swagger
+ * /api/auth/2fa/backup-codes:
+ *   post:
+ *     summary: Replace the backup codes
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 description: Code from the authenticator app, or a backup code
+ *     responses:
+ *       200:
+ *         description: New backup codes; the previous ones no longer work
+ *       400:
+ *         description: Validation error, invalid code, or not enabled
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/2fa/backup-codes', authenticateToken, authLimiter, backupCodesValidation, regenerateBackupCodes);
+
 module.exports = router;
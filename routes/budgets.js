@@ -0,0 +1,324 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getBudgets,
+  getBudget,
+  createBudget,
+  updateBudget,
+  deleteBudget,
+  budgetValidation
+} = require('../controllers/budgetController');
+const { authenticateToken, requireWriteAccess } = require('../middleware/auth');
+const { transactionLimiter } = require('../middleware/security');
+const { cacheMiddleware } = require('../middleware/cache');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     BudgetProgress:
+ *       type: object
+ *       properties:
+ *         periodStart:
+ *           type: string
+ *           format: date
+ *           description: Start of the budget period containing today
+ *         periodEnd:
+ *           type: string
+ *           format: date
+ *           description: End of the budget period containing today
+ *         spent:
+ *           type: number
+ *           description: Expenses recorded in the category during the period
+ *         remaining:
+ *           type: number
+ *           description: Budget amount minus spent (negative when overspent)
+ *         percentageUsed:
+ *           type: number
+ *           description: Spent as a percentage of the budget amount
+ *         projectedTotal:
+ *           type: number
+ *           description: Spending expected by period end at the current daily rate
+ *         daysElapsed:
+ *           type: integer
+ *         daysRemaining:
+ *           type: integer
+ *         isOverBudget:
+ *           type: boolean
+ *         isProjectedOverBudget:
+ *           type: boolean
+ *         unconvertedCount:
+ *           type: integer
+ *           description: Expenses not counted as spent because their currency could not be converted to the owner's base currency
+ *         missingCurrencies:
+ *           type: array
+ *           items:
+ *             type: string
+ *     Budget:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           description: Budget ID
+ *         user_id:
+ *           type: integer
+ *           description: User ID
+ *         category_id:
+ *           type: integer
+ *           description: Expense category ID
+ *         category_name:
+ *           type: string
+ *         category_color:
+ *           type: string
+ *         category_icon:
+ *           type: string
+ *         amount:
+ *           type: number
+ *           format: float
+ *           description: Amount allowed per period
+ *         period:
+ *           type: string
+ *           enum: [weekly, monthly, yearly]
+ *           description: Budget period
+ *         start_date:
+ *           type: string
+ *           format: date
+ *         end_date:
+ *           type: string
+ *           format: date
+ *         alert_thresholds:
+ *           type: array
+ *           items:
+ *             type: integer
+ *           description: Percentages of the budget that trigger an alert notification
+ *         progress:
+ *           $ref: '#/components/schemas/BudgetProgress'
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         updated_at:
+ *           type: string
+ *           format: date-time
+ *     BudgetInput:
+ *       type: object
+ *       required:
+ *         - category_id
+ *         - amount
+ *         - start_date
+ *         - end_date
+ *       properties:
+ *         category_id:
+ *           type: integer
+ *           minimum: 1
+ *           description: Expense category ID
+ *         amount:
+ *           type: number
+ *           format: float
+ *           minimum: 0.01
+ *           description: Amount allowed per period
+ *         period:
+ *           type: string
+ *           enum: [weekly, monthly, yearly]
+ *           default: monthly
+ *         start_date:
+ *           type: string
+ *           format: date
+ *         end_date:
+ *           type: string
+ *           format: date
+ *         alert_thresholds:
+ *           type: array
+ *           items:
+ *             type: integer
+ *             minimum: 1
+ *             maximum: 1000
+ *           default: [80, 100]
+ *           description: Percentages of the budget that trigger an alert notification
+ */
+
+/**
+ * @swagger
+ * /api/budgets:
+ *   get:
+ *     summary: Get all budgets with live progress
+ *     tags: [Budgets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: category_id
+ *         schema:
+ *           type: integer
+ *         description: Filter by category ID
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *         description: Only return budgets whose date range includes today
+ *       - in: query
+ *         name: user_id
+ *         schema:
+ *           type: integer
+ *         description: Admin only - get budgets for specific user
+ *     responses:
+ *       200:
+ *         description: Budgets retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     budgets:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Budget'
+ */
+router.get('/', authenticateToken, transactionLimiter, cacheMiddleware(300), getBudgets);
+
+/**
+ * @swagger
+ * /api/budgets/{id}:
+ *   get:
+ *     summary: Get a specific budget with live progress
+ *     tags: [Budgets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Budget ID
+ *     responses:
+ *       200:
+ *         description: Budget retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     budget:
+ *                       $ref: '#/components/schemas/Budget'
+ *       404:
+ *         description: Budget not found
+ */
+router.get('/:id', authenticateToken, transactionLimiter, cacheMiddleware(300), getBudget);
+
+/**
+ * @swagger
+ * /api/budgets:
+ *   post:
+ *     summary: Create a new budget
+ *     tags: [Budgets]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/BudgetInput'
+ *               - type: object
+ *                 properties:
+ *                   user_id:
+ *                     type: integer
+ *                     description: Admin only - create budget for specific user (optional)
+ *     responses:
+ *       201:
+ *         description: Budget created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     budget:
+ *                       $ref: '#/components/schemas/Budget'
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Read-only users cannot create budgets
+ *       409:
+ *         description: Another budget for the category overlaps the date range
+ */
+router.post('/', authenticateToken, requireWriteAccess, transactionLimiter, budgetValidation, createBudget);
+
+/**
+ * @swagger
+ * /api/budgets/{id}:
+ *   put:
+ *     summary: Update a budget
+ *     tags: [Budgets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Budget ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/BudgetInput'
+ *     responses:
+ *       200:
+ *         description: Budget updated successfully
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Read-only users cannot update budgets
+ *       404:
+ *         description: Budget not found
+ *       409:
+ *         description: Another budget for the category overlaps the date range
+ */
+router.put('/:id', authenticateToken, requireWriteAccess, transactionLimiter, budgetValidation, updateBudget);
+
+/**
+ * @swagger
+ * /api/budgets/{id}:
+ *   delete:
+ *     summary: Delete a budget
+ *     tags: [Budgets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Budget ID
+ *     responses:
+ *       200:
+ *         description: Budget deleted successfully
+ *       403:
+ *         description: Read-only users cannot delete budgets
+ *       404:
+ *         description: Budget not found
+ */
+router.delete('/:id', authenticateToken, requireWriteAccess, transactionLimiter, deleteBudget);
+
+module.exports = router;
@@ -36,6 +36,17 @@ const { cacheMiddleware } = require('../middleware/cache');
  *         icon:
  *           type: string
  *           description: Category icon name
+ *         parent_id:
+ *           type: integer
+ *           nullable: true
+ *           description: Parent category (null for top-level categories)
+ *         user_id:
+ *           type: integer
+ *           nullable: true
+ *           description: Owner of a personal category (null for system categories)
+ *         is_system:
+ *           type: boolean
+ *           description: Whether the category is shared by every user
  *         created_at:
  *           type: string
  *           format: date-time
@@ -63,18 +74,36 @@ const { cacheMiddleware } = require('../middleware/cache');
  *           type: string
  *           maxLength: 50
  *           description: Category icon name
+ *         parent_id:
+ *           type: integer
+ *           nullable: true
+ *           description: Nest under this category (same type; on update, omit to keep the current parent or send null to move to the top level)
+ *     CategoryTreeNode:
+ *       allOf:
+ *         - $ref: '#/components/schemas/Category'
+ *         - type: object
+ *           properties:
+ *             children:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/CategoryTreeNode'
  */
 
 /**
  * @swagger
  * /api/categories:
  *   get:
- *     summary: Get all categories
+ *     summary: Get system categories merged with the user's personal categories
  *     tags: [Categories]
  *     security:
  *       - bearerAuth: []
  *     parameters:
  *       - in: query
+ *         name: user_id
+ *         schema:
+ *           type: integer
+ *         description: Admin only - list the categories another user sees
+ *       - in: query
  *         name: type
  *         schema:
  *           type: string
@@ -97,6 +126,11 @@ const { cacheMiddleware } = require('../middleware/cache');
  *                       type: array
  *                       items:
  *                         $ref: '#/components/schemas/Category'
+ *                     tree:
+ *                       type: array
+ *                       description: The same categories nested under their parents
+ *                       items:
+ *                         $ref: '#/components/schemas/CategoryTreeNode'
  */
 router.get('/', authenticateToken, generalLimiter, cacheMiddleware(3600), getCategories);
 
@@ -178,7 +212,7 @@ router.get('/:id', authenticateToken, generalLimiter, cacheMiddleware(3600), get
  * @swagger
  * /api/categories:
  *   post:
- *     summary: Create a new category (admin only)
+ *     summary: Create a category (system category for admins, personal category for other users)
  *     tags: [Categories]
  *     security:
  *       - bearerAuth: []
@@ -206,19 +240,19 @@ router.get('/:id', authenticateToken, generalLimiter, cacheMiddleware(3600), get
  *                     category:
  *                       $ref: '#/components/schemas/Category'
  *       400:
- *         description: Validation error
+ *         description: Validation error or invalid parent
  *       403:
- *         description: Admin access required
+ *         description: Read-only users cannot modify data
  *       409:
  *         description: Category name already exists
  */
-router.post('/', authenticateToken, requireRole(['admin']), generalLimiter, categoryValidation, createCategory);
+router.post('/', authenticateToken, requireWriteAccess, generalLimiter, categoryValidation, createCategory);
 
 /**
  * @swagger
  * /api/categories/{id}:
  *   put:
- *     summary: Update a category (admin only)
+ *     summary: Update a category (admins any category, other users their personal ones)
  *     tags: [Categories]
  *     security:
  *       - bearerAuth: []
@@ -239,21 +273,21 @@ router.post('/', authenticateToken, requireRole(['admin']), generalLimiter, cate
  *       200:
  *         description: Category updated successfully
  *       400:
- *         description: Validation error
+ *         description: Validation error, invalid parent or a parent that would create a cycle
  *       403:
- *         description: Admin access required
+ *         description: Only admins can change system categories
  *       404:
  *         description: Category not found
  *       409:
  *         description: Category name already exists
  */
-router.put('/:id', authenticateToken, requireRole(['admin']), generalLimiter, categoryValidation, updateCategory);
+router.put('/:id', authenticateToken, requireWriteAccess, generalLimiter, categoryValidation, updateCategory);
 
 /**
  * @swagger
  * /api/categories/{id}:
  *   delete:
- *     summary: Delete a category (admin only)
+ *     summary: Delete a category (admins any category, other users their personal ones)
  *     tags: [Categories]
  *     security:
  *       - bearerAuth: []
@@ -268,12 +302,12 @@ router.put('/:id', authenticateToken, requireRole(['admin']), generalLimiter, ca
  *       200:
  *         description: Category deleted successfully
  *       403:
- *         description: Admin access required
+ *         description: Only admins can delete system categories
  *       404:
  *         description: Category not found
  *       409:
- *         description: Category is being used in transactions
+ *         description: Category has subcategories or is being used in transactions
  */
-router.delete('/:id', authenticateToken, requireRole(['admin']), generalLimiter, deleteCategory);
+router.delete('/:id', authenticateToken, requireWriteAccess, generalLimiter, deleteCategory);
 
 module.exports = router;
@@ -0,0 +1,352 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getRules,
+  getRule,
+  createRule,
+  updateRule,
+  deleteRule,
+  applyRules,
+  ruleValidation,
+  applyRulesValidation
+} = require('../controllers/categorizationRuleController');
+const { authenticateToken, requireWriteAccess } = require('../middleware/auth');
+const { transactionLimiter } = require('../middleware/security');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CategorizationRule:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           description: Rule ID
+ *         user_id:
+ *           type: integer
+ *         name:
+ *           type: string
+ *         priority:
+ *           type: integer
+ *           description: Rules are tried from the lowest priority number up; the first match wins
+ *         category_id:
+ *           type: integer
+ *           description: Category given to matching transactions
+ *         category_name:
+ *           type: string
+ *         category_type:
+ *           type: string
+ *           enum: [income, expense]
+ *           description: The rule only applies to transactions of this type
+ *         description_contains:
+ *           type: string
+ *           nullable: true
+ *           description: Case-insensitive text the description (or statement payee) must contain
+ *         amount_min:
+ *           type: number
+ *           format: float
+ *           nullable: true
+ *         amount_max:
+ *           type: number
+ *           format: float
+ *           nullable: true
+ *         account_id:
+ *           type: integer
+ *           nullable: true
+ *         account_name:
+ *           type: string
+ *           nullable: true
+ *         payee_id:
+ *           type: integer
+ *           nullable: true
+ *         payee_name:
+ *           type: string
+ *           nullable: true
+ *         is_active:
+ *           type: boolean
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         updated_at:
+ *           type: string
+ *           format: date-time
+ *     CategorizationRuleInput:
+ *       type: object
+ *       description: At least one of description_contains, amount_min, amount_max, account_id or payee_id is required
+ *       required:
+ *         - name
+ *         - category_id
+ *       properties:
+ *         name:
+ *           type: string
+ *           maxLength: 100
+ *           example: Uber rides
+ *         category_id:
+ *           type: integer
+ *         priority:
+ *           type: integer
+ *           minimum: 0
+ *           maximum: 10000
+ *           default: 100
+ *         description_contains:
+ *           type: string
+ *           nullable: true
+ *           maxLength: 255
+ *           example: UBER
+ *         amount_min:
+ *           type: number
+ *           format: float
+ *           nullable: true
+ *         amount_max:
+ *           type: number
+ *           format: float
+ *           nullable: true
+ *         account_id:
+ *           type: integer
+ *           nullable: true
+ *         payee_id:
+ *           type: integer
+ *           nullable: true
+ *           description: Payee the transaction must be made with
+ *         is_active:
+ *           type: boolean
+ *           default: true
+ *     RecategorizationChange:
+ *       type: object
+ *       properties:
+ *         transaction_id:
+ *           type: integer
+ *         transaction_date:
+ *           type: string
+ *           format: date
+ *         description:
+ *           type: string
+ *         amount:
+ *           type: number
+ *         type:
+ *           type: string
+ *         old_category_id:
+ *           type: integer
+ *         old_category_name:
+ *           type: string
+ *         new_category_id:
+ *           type: integer
+ *         new_category_name:
+ *           type: string
+ *         rule_id:
+ *           type: integer
+ *         rule_name:
+ *           type: string
+ */
+
+/**
+ * @swagger
+ * /api/categorization-rules:
+ *   get:
+ *     summary: Get categorization rules in the order they are tried
+ *     tags: [Categorization Rules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: user_id
+ *         schema:
+ *           type: integer
+ *         description: Admin only - get rules for specific user
+ *     responses:
+ *       200:
+ *         description: Rules retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     rules:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/CategorizationRule'
+ */
+router.get('/', authenticateToken, transactionLimiter, getRules);
+
+/**
+ * @swagger
+ * /api/categorization-rules/apply:
+ *   post:
+ *     summary: Re-run the rules over existing transactions
+ *     description: >
+ *       Previews the category changes by default; send preview false to save them.
+ *       Transfers and split transactions are left alone.
+ *     tags: [Categorization Rules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: user_id
+ *         schema:
+ *           type: integer
+ *         description: Admin only - apply rules for specific user
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               preview:
+ *                 type: boolean
+ *                 default: true
+ *               start_date:
+ *                 type: string
+ *                 format: date
+ *               end_date:
+ *                 type: string
+ *                 format: date
+ *     responses:
+ *       200:
+ *         description: Changes previewed or applied
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     preview:
+ *                       type: boolean
+ *                     checked:
+ *                       type: integer
+ *                       description: Transactions the rules were run against
+ *                     changed:
+ *                       type: integer
+ *                     changes:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/RecategorizationChange'
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Read-only users cannot apply rules
+ */
+router.post('/apply', authenticateToken, requireWriteAccess, transactionLimiter, applyRulesValidation, applyRules);
+
+/**
+ * @swagger
+ * /api/categorization-rules/{id}:
+ *   get:
+ *     summary: Get a specific categorization rule
+ *     tags: [Categorization Rules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Rule ID
+ *     responses:
+ *       200:
+ *         description: Rule retrieved successfully
+ *       404:
+ *         description: Rule not found
+ */
+router.get('/:id', authenticateToken, transactionLimiter, getRule);
+
+/**
+ * @swagger
+ * /api/categorization-rules:
+ *   post:
+ *     summary: Create a categorization rule
+ *     tags: [Categorization Rules]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/CategorizationRuleInput'
+ *               - type: object
+ *                 properties:
+ *                   user_id:
+ *                     type: integer
+ *                     description: Admin only - create rule for specific user (optional)
+ *     responses:
+ *       201:
+ *         description: Rule created successfully
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Read-only users cannot create rules
+ */
+router.post('/', authenticateToken, requireWriteAccess, transactionLimiter, ruleValidation, createRule);
+
+/**
+ * @swagger
+ * /api/categorization-rules/{id}:
+ *   put:
+ *     summary: Update a categorization rule
+ *     description: Conditions are replaced as a whole; priority and is_active keep their values when omitted.
+ *     tags: [Categorization Rules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Rule ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CategorizationRuleInput'
+ *     responses:
+ *       200:
+ *         description: Rule updated successfully
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Read-only users cannot update rules
+ *       404:
+ *         description: Rule not found
+ */
+router.put('/:id', authenticateToken, requireWriteAccess, transactionLimiter, ruleValidation, updateRule);
+
+/**
+ * @swagger
+ * /api/categorization-rules/{id}:
+ *   delete:
+ *     summary: Delete a categorization rule
+ *     tags: [Categorization Rules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Rule ID
+ *     responses:
+ *       200:
+ *         description: Rule deleted successfully
+ *       403:
+ *         description: Read-only users cannot delete rules
+ *       404:
+ *         description: Rule not found
+ */
+router.delete('/:id', authenticateToken, requireWriteAccess, transactionLimiter, deleteRule);
+
+module.exports = router;
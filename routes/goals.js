@@ -0,0 +1,283 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getGoals,
+  getGoal,
+  createGoal,
+  updateGoal,
+  deleteGoal,
+  goalValidation,
+  createGoalValidation
+} = require('../controllers/goalController');
+const { authenticateToken, requireWriteAccess } = require('../middleware/auth');
+const { transactionLimiter } = require('../middleware/security');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     GoalProgress:
+ *       type: object
+ *       properties:
+ *         savedAmount:
+ *           type: number
+ *           description: Account balance, or starting amount plus net linked contributions
+ *         remainingAmount:
+ *           type: number
+ *           description: Target amount minus saved (never below 0)
+ *         percentageComplete:
+ *           type: number
+ *         monthsRemaining:
+ *           type: integer
+ *           description: Monthly contributions still possible before the target date (0 once it has passed)
+ *         requiredMonthlyContribution:
+ *           type: number
+ *           description: Remaining amount spread over the months remaining (all of it once the target date has passed)
+ *         trailingMonthlyContribution:
+ *           type: number
+ *           description: Average net contribution per month over the trailing months
+ *         trailingMonths:
+ *           type: integer
+ *           description: Months the trailing contribution rate is averaged over
+ *         projectedCompletionDate:
+ *           type: string
+ *           format: date
+ *           nullable: true
+ *           description: When the target is reached at the trailing rate (null when completed or not saving)
+ *         status:
+ *           type: string
+ *           enum: [completed, on_track, behind]
+ *         unconvertedCount:
+ *           type: integer
+ *           description: Linked transactions not counted because their currency could not be converted to the goal's
+ *         missingCurrencies:
+ *           type: array
+ *           items:
+ *             type: string
+ *     Goal:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           description: Goal ID
+ *         user_id:
+ *           type: integer
+ *         name:
+ *           type: string
+ *         target_amount:
+ *           type: number
+ *           format: float
+ *         target_date:
+ *           type: string
+ *           format: date
+ *         currency:
+ *           type: string
+ *           description: The tracked account's currency, else the owner's base currency when the goal was created
+ *         account_id:
+ *           type: integer
+ *           nullable: true
+ *           description: Account whose balance is the saved amount (null when tracked by linked transactions)
+ *         account_name:
+ *           type: string
+ *           nullable: true
+ *         starting_amount:
+ *           type: number
+ *           format: float
+ *           description: Amount saved before tracking began (goals tracked by linked transactions)
+ *         linked_transaction_count:
+ *           type: integer
+ *         progress:
+ *           $ref: '#/components/schemas/GoalProgress'
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         updated_at:
+ *           type: string
+ *           format: date-time
+ *     GoalInput:
+ *       type: object
+ *       required:
+ *         - name
+ *         - target_amount
+ *         - target_date
+ *       properties:
+ *         name:
+ *           type: string
+ *           maxLength: 100
+ *           example: Emergency fund
+ *         target_amount:
+ *           type: number
+ *           format: float
+ *           minimum: 0.01
+ *           example: 10000
+ *         target_date:
+ *           type: string
+ *           description: A date (YYYY-MM-DD) or a month (YYYY-MM, meaning its last day)
+ *           example: 2027-06
+ *         starting_amount:
+ *           type: number
+ *           format: float
+ *           minimum: 0
+ *           default: 0
+ *           description: Amount already saved (goals tracked by linked transactions only)
+ */
+
+/**
+ * @swagger
+ * /api/goals:
+ *   get:
+ *     summary: Get savings goals with live progress
+ *     tags: [Goals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: user_id
+ *         schema:
+ *           type: integer
+ *         description: Admin only - get goals for specific user
+ *     responses:
+ *       200:
+ *         description: Goals retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     goals:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Goal'
+ */
+router.get('/', authenticateToken, transactionLimiter, getGoals);
+
+/**
+ * @swagger
+ * /api/goals/{id}:
+ *   get:
+ *     summary: Get a specific savings goal
+ *     tags: [Goals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Goal ID
+ *     responses:
+ *       200:
+ *         description: Goal retrieved successfully
+ *       404:
+ *         description: Goal not found
+ */
+router.get('/:id', authenticateToken, transactionLimiter, getGoal);
+
+/**
+ * @swagger
+ * /api/goals:
+ *   post:
+ *     summary: Create a savings goal
+ *     description: |
+ *       Without account_id the goal is tracked by the transactions linked to it through their goal_id.
+ *       With account_id the account's balance is the saved amount.
+ *     tags: [Goals]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/GoalInput'
+ *               - type: object
+ *                 properties:
+ *                   account_id:
+ *                     type: integer
+ *                     nullable: true
+ *                     description: Track the goal by this account's balance
+ *                   user_id:
+ *                     type: integer
+ *                     description: Admin only - create goal for specific user (optional)
+ *     responses:
+ *       201:
+ *         description: Goal created successfully
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Read-only users cannot create goals
+ *       409:
+ *         description: A goal with this name already exists
+ */
+router.post('/', authenticateToken, requireWriteAccess, transactionLimiter, createGoalValidation, createGoal);
+
+/**
+ * @swagger
+ * /api/goals/{id}:
+ *   put:
+ *     summary: Update a savings goal
+ *     description: The tracking source (linked transactions or account) cannot be changed.
+ *     tags: [Goals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Goal ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/GoalInput'
+ *     responses:
+ *       200:
+ *         description: Goal updated successfully
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Read-only users cannot update goals
+ *       404:
+ *         description: Goal not found
+ *       409:
+ *         description: A goal with this name already exists
+ */
+router.put('/:id', authenticateToken, requireWriteAccess, transactionLimiter, goalValidation, updateGoal);
+
+/**
+ * @swagger
+ * /api/goals/{id}:
+ *   delete:
+ *     summary: Delete a savings goal
+ *     description: Linked transactions are kept and unlinked.
+ *     tags: [Goals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Goal ID
+ *     responses:
+ *       200:
+ *         description: Goal deleted successfully
+ *       403:
+ *         description: Read-only users cannot delete goals
+ *       404:
+ *         description: Goal not found
+ */
+router.delete('/:id', authenticateToken, requireWriteAccess, transactionLimiter, deleteGoal);
+
+module.exports = router;
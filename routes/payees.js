@@ -0,0 +1,393 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getPayees,
+  getPayee,
+  createPayee,
+  updatePayee,
+  deletePayee,
+  addPayeeAlias,
+  deletePayeeAlias,
+  normalizePayees,
+  payeeValidation,
+  createPayeeValidation,
+  aliasValidation,
+  normalizeValidation
+} = require('../controllers/payeeController');
+const { authenticateToken, requireWriteAccess } = require('../middleware/auth');
+const { transactionLimiter } = require('../middleware/security');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PayeeAlias:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         pattern:
+ *           type: string
+ *           description: Case-insensitive text matched against transaction descriptions
+ *         match_type:
+ *           type: string
+ *           enum: [exact, starts_with, contains]
+ *     Payee:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           description: Payee ID
+ *         user_id:
+ *           type: integer
+ *         name:
+ *           type: string
+ *           description: Canonical merchant name
+ *         aliases:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/PayeeAlias'
+ *         transaction_count:
+ *           type: integer
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         updated_at:
+ *           type: string
+ *           format: date-time
+ *     PayeeAliasInput:
+ *       type: object
+ *       required:
+ *         - pattern
+ *       properties:
+ *         pattern:
+ *           type: string
+ *           maxLength: 255
+ *           example: AMZN Mktp
+ *         match_type:
+ *           type: string
+ *           enum: [exact, starts_with, contains]
+ *           default: contains
+ *     PayeeInput:
+ *       type: object
+ *       required:
+ *         - name
+ *       properties:
+ *         name:
+ *           type: string
+ *           maxLength: 100
+ *           example: Amazon
+ *     PayeeMatchChange:
+ *       type: object
+ *       properties:
+ *         transaction_id:
+ *           type: integer
+ *         transaction_date:
+ *           type: string
+ *           format: date
+ *         description:
+ *           type: string
+ *         amount:
+ *           type: number
+ *         old_payee_id:
+ *           type: integer
+ *           nullable: true
+ *         old_payee_name:
+ *           type: string
+ *           nullable: true
+ *         new_payee_id:
+ *           type: integer
+ *         new_payee_name:
+ *           type: string
+ *         alias_pattern:
+ *           type: string
+ */
+
+/**
+ * @swagger
+ * /api/payees:
+ *   get:
+ *     summary: Get payees with their alias patterns
+ *     tags: [Payees]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Filter by payee name
+ *       - in: query
+ *         name: user_id
+ *         schema:
+ *           type: integer
+ *         description: Admin only - get payees for specific user
+ *     responses:
+ *       200:
+ *         description: Payees retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     payees:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Payee'
+ */
+router.get('/', authenticateToken, transactionLimiter, getPayees);
+
+/**
+ * @swagger
+ * /api/payees/normalize:
+ *   post:
+ *     summary: Match existing transactions to payees using the alias patterns
+ *     description: >
+ *       Previews the matches by default; send preview false to save them.
+ *       Only transactions without a payee are matched unless overwrite is true.
+ *       Transfers are left alone.
+ *     tags: [Payees]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: user_id
+ *         schema:
+ *           type: integer
+ *         description: Admin only - normalize transactions for specific user
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               preview:
+ *                 type: boolean
+ *                 default: true
+ *               overwrite:
+ *                 type: boolean
+ *                 default: false
+ *     responses:
+ *       200:
+ *         description: Matches previewed or applied
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     preview:
+ *                       type: boolean
+ *                     checked:
+ *                       type: integer
+ *                       description: Transactions the aliases were run against
+ *                     changed:
+ *                       type: integer
+ *                     changes:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/PayeeMatchChange'
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Read-only users cannot normalize payees
+ */
+router.post('/normalize', authenticateToken, requireWriteAccess, transactionLimiter, normalizeValidation, normalizePayees);
+
+/**
+ * @swagger
+ * /api/payees/{id}:
+ *   get:
+ *     summary: Get a specific payee
+ *     tags: [Payees]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Payee ID
+ *     responses:
+ *       200:
+ *         description: Payee retrieved successfully
+ *       404:
+ *         description: Payee not found
+ */
+router.get('/:id', authenticateToken, transactionLimiter, getPayee);
+
+/**
+ * @swagger
+ * /api/payees:
+ *   post:
+ *     summary: Create a payee
+ *     tags: [Payees]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/PayeeInput'
+ *               - type: object
+ *                 properties:
+ *                   aliases:
+ *                     type: array
+ *                     maxItems: 50
+ *                     items:
+ *                       $ref: '#/components/schemas/PayeeAliasInput'
+ *                   user_id:
+ *                     type: integer
+ *                     description: Admin only - create payee for specific user (optional)
+ *     responses:
+ *       201:
+ *         description: Payee created successfully
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Read-only users cannot create payees
+ *       409:
+ *         description: A payee with this name already exists
+ */
+router.post('/', authenticateToken, requireWriteAccess, transactionLimiter, createPayeeValidation, createPayee);
+
+/**
+ * @swagger
+ * /api/payees/{id}:
+ *   put:
+ *     summary: Rename a payee
+ *     tags: [Payees]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Payee ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PayeeInput'
+ *     responses:
+ *       200:
+ *         description: Payee updated successfully
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Read-only users cannot update payees
+ *       404:
+ *         description: Payee not found
+ *       409:
+ *         description: A payee with this name already exists
+ */
+router.put('/:id', authenticateToken, requireWriteAccess, transactionLimiter, payeeValidation, updatePayee);
+
+/**
+ * @swagger
+ * /api/payees/{id}:
+ *   delete:
+ *     summary: Delete a payee
+ *     description: Transactions of the payee are kept and lose their payee.
+ *     tags: [Payees]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Payee ID
+ *     responses:
+ *       200:
+ *         description: Payee deleted successfully
+ *       403:
+ *         description: Read-only users cannot delete payees
+ *       404:
+ *         description: Payee not found
+ */
+router.delete('/:id', authenticateToken, requireWriteAccess, transactionLimiter, deletePayee);
+
+/**
+ * @swagger
+ * /api/payees/{id}/aliases:
+ *   post:
+ *     summary: Add an alias pattern to a payee
+ *     tags: [Payees]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Payee ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PayeeAliasInput'
+ *     responses:
+ *       201:
+ *         description: Alias added successfully
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Read-only users cannot change payees
+ *       404:
+ *         description: Payee not found
+ *       409:
+ *         description: The payee already has this alias
+ */
+router.post('/:id/aliases', authenticateToken, requireWriteAccess, transactionLimiter, aliasValidation, addPayeeAlias);
+
+/**
+ * @swagger
+ * /api/payees/{id}/aliases/{aliasId}:
+ *   delete:
+ *     summary: Remove an alias pattern from a payee
+ *     tags: [Payees]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Payee ID
+ *       - in: path
+ *         name: aliasId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Alias ID
+ *     responses:
+ *       200:
+ *         description: Alias removed successfully
+ *       403:
+ *         description: Read-only users cannot change payees
+ *       404:
+ *         description: Payee or alias not found
+ */
+router.delete('/:id/aliases/:aliasId', authenticateToken, requireWriteAccess, transactionLimiter, deletePayeeAlias);
+
+module.exports = router;
@@ -0,0 +1,366 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getRecurringTransactions,
+  getRecurringTransaction,
+  previewRecurringTransaction,
+  createRecurringTransaction,
+  updateRecurringTransaction,
+  deleteRecurringTransaction,
+  runRecurringScheduler,
+  recurringTransactionValidation
+} = require('../controllers/recurringTransactionController');
+const { authenticateToken, requireRole, requireWriteAccess } = require('../middleware/auth');
+const { transactionLimiter } = require('../middleware/security');
+const { cacheMiddleware } = require('../middleware/cache');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     RecurringTransaction:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           description: Recurring transaction ID
+ *         user_id:
+ *           type: integer
+ *         category_id:
+ *           type: integer
+ *         category_name:
+ *           type: string
+ *         amount:
+ *           type: number
+ *           format: float
+ *         currency:
+ *           type: string
+ *           example: USD
+ *         type:
+ *           type: string
+ *           enum: [income, expense]
+ *         description:
+ *           type: string
+ *         frequency:
+ *           type: string
+ *           enum: [daily, weekly, monthly, yearly]
+ *         interval_count:
+ *           type: integer
+ *           description: Repeat every N frequency units (e.g. 2 with weekly = fortnightly)
+ *         start_date:
+ *           type: string
+ *           format: date
+ *           description: Date of the first occurrence
+ *         end_date:
+ *           type: string
+ *           format: date
+ *           nullable: true
+ *           description: Last date an occurrence may fall on
+ *         max_occurrences:
+ *           type: integer
+ *           nullable: true
+ *           description: Stop after this many occurrences
+ *         occurrences_count:
+ *           type: integer
+ *           description: Occurrences already posted
+ *         next_occurrence_date:
+ *           type: string
+ *           format: date
+ *           nullable: true
+ *         is_active:
+ *           type: boolean
+ *         last_run_at:
+ *           type: string
+ *           format: date-time
+ *     RecurringTransactionInput:
+ *       type: object
+ *       required:
+ *         - amount
+ *         - type
+ *         - category_id
+ *         - frequency
+ *         - start_date
+ *       properties:
+ *         amount:
+ *           type: number
+ *           format: float
+ *           minimum: 0.01
+ *         currency:
+ *           type: string
+ *           description: ISO 4217 currency of posted transactions (defaults to the user's base currency; on update, the current currency)
+ *         type:
+ *           type: string
+ *           enum: [income, expense]
+ *         category_id:
+ *           type: integer
+ *           minimum: 1
+ *         description:
+ *           type: string
+ *           maxLength: 500
+ *         frequency:
+ *           type: string
+ *           enum: [daily, weekly, monthly, yearly]
+ *         interval_count:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 365
+ *           default: 1
+ *         start_date:
+ *           type: string
+ *           format: date
+ *         end_date:
+ *           type: string
+ *           format: date
+ *           nullable: true
+ *         max_occurrences:
+ *           type: integer
+ *           minimum: 1
+ *           nullable: true
+ *         is_active:
+ *           type: boolean
+ *           default: true
+ */
+
+/**
+ * @swagger
+ * /api/recurring-transactions:
+ *   get:
+ *     summary: Get recurring transaction templates
+ *     tags: [Recurring Transactions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [income, expense]
+ *         description: Filter by transaction type
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *         description: Filter by active status
+ *       - in: query
+ *         name: user_id
+ *         schema:
+ *           type: integer
+ *         description: Admin only - get templates for specific user
+ *     responses:
+ *       200:
+ *         description: Recurring transactions retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     recurringTransactions:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/RecurringTransaction'
+ */
+router.get('/', authenticateToken, transactionLimiter, cacheMiddleware(300), getRecurringTransactions);
+
+/**
+ * @swagger
+ * /api/recurring-transactions/run:
+ *   post:
+ *     summary: Run the recurring transaction scheduler now (admin only)
+ *     tags: [Recurring Transactions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: dry_run
+ *         schema:
+ *           type: boolean
+ *         description: Report what would be posted without committing anything
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Dry runs only - treat this date as today
+ *     responses:
+ *       200:
+ *         description: Scheduler run summary
+ *       403:
+ *         description: Admin access required
+ */
+router.post('/run', authenticateToken, requireRole(['admin']), transactionLimiter, runRecurringScheduler);
+
+/**
+ * @swagger
+ * /api/recurring-transactions/{id}:
+ *   get:
+ *     summary: Get a specific recurring transaction template
+ *     tags: [Recurring Transactions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Recurring transaction ID
+ *     responses:
+ *       200:
+ *         description: Recurring transaction retrieved successfully
+ *       404:
+ *         description: Recurring transaction not found
+ */
+router.get('/:id', authenticateToken, transactionLimiter, cacheMiddleware(300), getRecurringTransaction);
+
+/**
+ * @swagger
+ * /api/recurring-transactions/{id}/preview:
+ *   get:
+ *     summary: Preview the next occurrences of a template without posting them
+ *     tags: [Recurring Transactions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Recurring transaction ID
+ *       - in: query
+ *         name: count
+ *         schema:
+ *           type: integer
+ *           default: 5
+ *           maximum: 100
+ *         description: Number of occurrences to list
+ *     responses:
+ *       200:
+ *         description: Upcoming occurrences
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     recurringTransactionId:
+ *                       type: integer
+ *                     occurrences:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           index:
+ *                             type: integer
+ *                             description: 1-based occurrence number
+ *                           date:
+ *                             type: string
+ *                             format: date
+ *                           amount:
+ *                             type: number
+ *       404:
+ *         description: Recurring transaction not found
+ */
+router.get('/:id/preview', authenticateToken, transactionLimiter, previewRecurringTransaction);
+
+/**
+ * @swagger
+ * /api/recurring-transactions:
+ *   post:
+ *     summary: Create a recurring transaction template
+ *     description: Occurrences already due (start date today or earlier) are posted immediately.
+ *     tags: [Recurring Transactions]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/RecurringTransactionInput'
+ *               - type: object
+ *                 properties:
+ *                   user_id:
+ *                     type: integer
+ *                     description: Admin only - create template for specific user (optional)
+ *     responses:
+ *       201:
+ *         description: Recurring transaction created successfully
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Read-only users cannot create recurring transactions
+ */
+router.post('/', authenticateToken, requireWriteAccess, transactionLimiter, recurringTransactionValidation, createRecurringTransaction);
+
+/**
+ * @swagger
+ * /api/recurring-transactions/{id}:
+ *   put:
+ *     summary: Update a recurring transaction template
+ *     description: The schedule resumes after the last occurrence already posted.
+ *     tags: [Recurring Transactions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Recurring transaction ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RecurringTransactionInput'
+ *     responses:
+ *       200:
+ *         description: Recurring transaction updated successfully
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Read-only users cannot update recurring transactions
+ *       404:
+ *         description: Recurring transaction not found
+ */
+router.put('/:id', authenticateToken, requireWriteAccess, transactionLimiter, recurringTransactionValidation, updateRecurringTransaction);
+
+/**
+ * @swagger
+ * /api/recurring-transactions/{id}:
+ *   delete:
+ *     summary: Delete a recurring transaction template
+ *     description: Transactions already posted from the template are kept.
+ *     tags: [Recurring Transactions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Recurring transaction ID
+ *     responses:
+ *       200:
+ *         description: Recurring transaction deleted successfully
+ *       403:
+ *         description: Read-only users cannot delete recurring transactions
+ *       404:
+ *         description: Recurring transaction not found
+ */
+router.delete('/:id', authenticateToken, requireWriteAccess, transactionLimiter, deleteRecurringTransaction);
+
+module.exports = router;
@@ -7,11 +7,22 @@ const {
   updateTransaction,
   deleteTransaction,
   getTransactionSummary,
-  transactionValidation
+  transactionValidation,
+  createTransactionValidation
 } = require('../controllers/transactionController');
+const { importTransactions } = require('../controllers/importController');
+const { getDuplicates, mergeDuplicate, dismissDuplicate } = require('../controllers/duplicateController');
+const { exportTransactions, exportValidation } = require('../controllers/exportController');
+const {
+  getAttachments,
+  uploadAttachment,
+  downloadAttachment,
+  deleteAttachment
+} = require('../controllers/attachmentController');
 const { authenticateToken, requireWriteAccess, requireOwnershipOrAdmin } = require('../middleware/auth');
 const { transactionLimiter } = require('../middleware/security');
 const { cacheMiddleware } = require('../middleware/cache');
+const { statementUpload, attachmentUpload } = require('../middleware/upload');
 
 /**
  * @swagger
@@ -30,10 +41,14 @@ const { cacheMiddleware } = require('../middleware/cache');
  *           type: number
  *           format: float
  *           description: Transaction amount
+ *         currency:
+ *           type: string
+ *           example: USD
+ *           description: ISO 4217 currency of the amount
  *         type:
  *           type: string
- *           enum: [income, expense]
- *           description: Transaction type
+ *           enum: [income, expense, transfer]
+ *           description: Transaction type (transfer legs are created through /api/transfers)
  *         description:
  *           type: string
  *           description: Transaction description
@@ -53,6 +68,55 @@ const { cacheMiddleware } = require('../middleware/cache');
  *         category_icon:
  *           type: string
  *           description: Category icon
+ *         recurring_transaction_id:
+ *           type: integer
+ *           nullable: true
+ *           description: Recurring template that posted this transaction
+ *         account_id:
+ *           type: integer
+ *           nullable: true
+ *           description: Account the transaction was made from
+ *         account_name:
+ *           type: string
+ *           nullable: true
+ *           description: Account name
+ *         payee_id:
+ *           type: integer
+ *           nullable: true
+ *           description: Canonical merchant of the transaction
+ *         payee_name:
+ *           type: string
+ *           nullable: true
+ *           description: Payee name
+ *         goal_id:
+ *           type: integer
+ *           nullable: true
+ *           description: Savings goal the transaction contributes to
+ *         goal_name:
+ *           type: string
+ *           nullable: true
+ *           description: Goal name
+ *         transfer_id:
+ *           type: integer
+ *           nullable: true
+ *           description: Transfer this transaction is a leg of
+ *         transfer_direction:
+ *           type: string
+ *           enum: [in, out]
+ *           nullable: true
+ *           description: Whether the transfer leg adds money to or takes money from its account
+ *         splits:
+ *           type: array
+ *           nullable: true
+ *           description: Category lines of a split transaction (null when not split)
+ *           items:
+ *             $ref: '#/components/schemas/TransactionSplit'
+ *         tags:
+ *           type: array
+ *           description: Tag names, sorted
+ *           items:
+ *             type: string
+ *           example: [reimbursable, vacation-2026]
  *         created_at:
  *           type: string
  *           format: date-time
@@ -61,6 +125,28 @@ const { cacheMiddleware } = require('../middleware/cache');
  *           type: string
  *           format: date-time
  *           description: Last update timestamp
+ *     TransactionSplit:
+ *       type: object
+ *       required:
+ *         - category_id
+ *         - amount
+ *       properties:
+ *         id:
+ *           type: integer
+ *           readOnly: true
+ *         category_id:
+ *           type: integer
+ *           minimum: 1
+ *         category_name:
+ *           type: string
+ *           readOnly: true
+ *         amount:
+ *           type: number
+ *           format: float
+ *           minimum: 0.01
+ *         description:
+ *           type: string
+ *           maxLength: 500
  *     TransactionInput:
  *       type: object
  *       required:
@@ -81,7 +167,7 @@ const { cacheMiddleware } = require('../middleware/cache');
  *         category_id:
  *           type: integer
  *           minimum: 1
- *           description: Category ID
+ *           description: Category ID (optional when splits are sent - a split transaction takes its first line's category - and on create, where the categorization rules fill it in)
  *         description:
  *           type: string
  *           maxLength: 500
@@ -90,6 +176,42 @@ const { cacheMiddleware } = require('../middleware/cache');
  *           type: string
  *           format: date
  *           description: Date of transaction
+ *         splits:
+ *           type: array
+ *           nullable: true
+ *           minItems: 2
+ *           maxItems: 50
+ *           description: Split the transaction into category lines whose amounts sum to amount (on update, omit to keep the current lines or send null to remove them)
+ *           items:
+ *             $ref: '#/components/schemas/TransactionSplit'
+ *         account_id:
+ *           type: integer
+ *           minimum: 1
+ *           nullable: true
+ *           description: Account the transaction was made from (on update, omit to keep the current account or send null to detach it)
+ *         currency:
+ *           type: string
+ *           example: EUR
+ *           description: ISO 4217 currency of the amount. Must match the account currency when account_id is set; defaults to the account currency, else the user's base currency (on update, the current currency)
+ *         payee_id:
+ *           type: integer
+ *           minimum: 1
+ *           nullable: true
+ *           description: Payee of the transaction. When omitted, the payee is matched from the description using the payee aliases (on update, omit to keep the current payee or send null to detach it)
+ *         goal_id:
+ *           type: integer
+ *           minimum: 1
+ *           nullable: true
+ *           description: Savings goal (tracked by linked transactions) this transaction contributes to - expenses add to it, income withdraws from it (on update, omit to keep the current goal or send null to unlink it)
+ *         tags:
+ *           type: array
+ *           nullable: true
+ *           maxItems: 20
+ *           description: Free-form tag names, stored lower-case; unknown tags are created (on update, omit to keep the current tags or send null to remove them)
+ *           items:
+ *             type: string
+ *             maxLength: 50
+ *           example: [vacation-2026, tax-deductible]
  */
 
 /**
@@ -118,7 +240,7 @@ const { cacheMiddleware } = require('../middleware/cache');
  *         name: type
  *         schema:
  *           type: string
- *           enum: [income, expense]
+ *           enum: [income, expense, transfer]
  *         description: Filter by transaction type
  *       - in: query
  *         name: category_id
@@ -126,6 +248,26 @@ const { cacheMiddleware } = require('../middleware/cache');
  *           type: integer
  *         description: Filter by category ID
  *       - in: query
+ *         name: account_id
+ *         schema:
+ *           type: integer
+ *         description: Filter by account ID
+ *       - in: query
+ *         name: payee_id
+ *         schema:
+ *           type: integer
+ *         description: Filter by payee ID
+ *       - in: query
+ *         name: goal_id
+ *         schema:
+ *           type: integer
+ *         description: Filter by savings goal ID
+ *       - in: query
+ *         name: tag
+ *         schema:
+ *           type: string
+ *         description: Filter by tag name
+ *       - in: query
  *         name: start_date
  *         schema:
  *           type: string
@@ -141,7 +283,7 @@ const { cacheMiddleware } = require('../middleware/cache');
  *         name: search
  *         schema:
  *           type: string
- *         description: Search in description and category name
+ *         description: Search in description, category name and payee name
  *       - in: query
  *         name: user_id
  *         schema:
@@ -255,6 +397,408 @@ router.get('/', authenticateToken, transactionLimiter, cacheMiddleware(300), get
  */
 router.get('/summary', authenticateToken, transactionLimiter, cacheMiddleware(900), getTransactionSummary);
 
+/**
+ * @swagger
+ * /api/transactions/export:
+ *   get:
+ *     summary: Export every matching transaction as a file download
+ *     description: |
+ *       Accepts the same filters as GET /api/transactions but is not paginated - the full
+ *       result set is streamed oldest first. Each row carries a running balance that starts
+ *       from the opening balance (the same filters applied to everything before start_date).
+ *       Balances are in the account's currency when account_id is given, else the user's
+ *       base currency; transactions with no exchange rate to it are left out of the balances
+ *       (and of ofx files) and counted in the X-Unconverted-Count header.
+ *       The pdf format is a paginated statement with opening and closing balances.
+ *     tags: [Transactions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [csv, jsonl, ofx, pdf]
+ *         description: File format (jsonl is JSON Lines, one transaction per line)
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [income, expense, transfer]
+ *         description: Filter by transaction type
+ *       - in: query
+ *         name: category_id
+ *         schema:
+ *           type: integer
+ *         description: Filter by category ID
+ *       - in: query
+ *         name: account_id
+ *         schema:
+ *           type: integer
+ *         description: Filter by account ID
+ *       - in: query
+ *         name: payee_id
+ *         schema:
+ *           type: integer
+ *         description: Filter by payee ID
+ *       - in: query
+ *         name: goal_id
+ *         schema:
+ *           type: integer
+ *         description: Filter by savings goal ID
+ *       - in: query
+ *         name: tag
+ *         schema:
+ *           type: string
+ *         description: Filter by tag name
+ *       - in: query
+ *         name: start_date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Export transactions from this date
+ *       - in: query
+ *         name: end_date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Export transactions until this date
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Search in description, category name and payee name
+ *       - in: query
+ *         name: user_id
+ *         schema:
+ *           type: integer
+ *         description: Admin only - export transactions for specific user
+ *     responses:
+ *       200:
+ *         description: Export file
+ *         headers:
+ *           X-Export-Currency:
+ *             schema:
+ *               type: string
+ *             description: Currency of the balances
+ *           X-Unconverted-Count:
+ *             schema:
+ *               type: integer
+ *             description: Transactions left out of the balances because their currency could not be converted
+ *           X-Missing-Currencies:
+ *             schema:
+ *               type: string
+ *             description: Comma-separated currencies with no exchange rate, when any
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/x-ndjson:
+ *             schema:
+ *               type: string
+ *           application/x-ofx:
+ *             schema:
+ *               type: string
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: User not found
+ */
+router.get('/export', authenticateToken, transactionLimiter, exportValidation, exportTransactions);
+
+/**
+ * @swagger
+ * /api/transactions/import:
+ *   post:
+ *     summary: Import transactions from a CSV, OFX or QIF bank statement
+ *     description: |
+ *       Rows are validated with the same rules as POST /api/transactions and every accepted
+ *       row is inserted in a single database transaction. Rejected rows are returned with
+ *       their line number and errors. Negative amounts are imported as expenses unless the
+ *       CSV mapping supplies a type column.
+ *     tags: [Transactions]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *                 description: Statement file (.csv, .ofx, .qfx or .qif)
+ *               format:
+ *                 type: string
+ *                 enum: [csv, ofx, qif]
+ *                 description: Statement format (detected from the file when omitted)
+ *               mapping:
+ *                 type: string
+ *                 description: |
+ *                   CSV only - JSON object mapping date, amount (or debit/credit), description,
+ *                   type, category and reference to column names or 0-based indexes,
+ *                   e.g. {"date":"Posted","amount":"Amount","description":"Payee"}
+ *               has_header:
+ *                 type: boolean
+ *                 default: true
+ *                 description: CSV only - whether the first row holds column names
+ *               delimiter:
+ *                 type: string
+ *                 description: CSV only - field delimiter (auto-detected when omitted)
+ *               date_format:
+ *                 type: string
+ *                 enum: [YYYY-MM-DD, MM/DD/YYYY, DD/MM/YYYY]
+ *                 description: How to read ambiguous dates such as 03/04/2026
+ *               account_id:
+ *                 type: integer
+ *                 description: Account the statement belongs to (applied to every imported row)
+ *               currency:
+ *                 type: string
+ *                 description: ISO 4217 currency of the statement (defaults to the account currency, else the user's base currency)
+ *               default_category_id:
+ *                 type: integer
+ *                 description: Category for rows without a matching statement category or categorization rule (falls back to Other Income/Other Expense)
+ *               preview:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Return what would be created without saving anything
+ *               atomic:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Reject the whole import if any row is invalid
+ *               skip_duplicates:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Leave out rows that look like duplicates of existing transactions instead of importing and flagging them
+ *               user_id:
+ *                 type: integer
+ *                 description: Admin only - import for specific user
+ *     responses:
+ *       200:
+ *         description: Import preview
+ *       201:
+ *         description: Transactions imported
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     summary:
+ *                       type: object
+ *                       properties:
+ *                         format:
+ *                           type: string
+ *                         totalRows:
+ *                           type: integer
+ *                         acceptedRows:
+ *                           type: integer
+ *                         rejectedRows:
+ *                           type: integer
+ *                         importedRows:
+ *                           type: integer
+ *                         duplicateRows:
+ *                           type: integer
+ *                         skippedDuplicates:
+ *                           type: integer
+ *                     transactions:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Transaction'
+ *                     errors:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           line:
+ *                             type: integer
+ *                           errors:
+ *                             type: array
+ *                             items:
+ *                               type: object
+ *                               properties:
+ *                                 field:
+ *                                   type: string
+ *                                 message:
+ *                                   type: string
+ *                           row:
+ *                             type: object
+ *       400:
+ *         description: Unreadable statement, bad options, or atomic import with invalid rows
+ *       403:
+ *         description: Read-only users cannot import transactions
+ *       413:
+ *         description: Statement file too large
+ */
+router.post('/import', authenticateToken, requireWriteAccess, transactionLimiter, statementUpload, importTransactions);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     TransactionDuplicate:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           description: Duplicate flag ID
+ *         similarity:
+ *           type: number
+ *           description: Description similarity between 0 and 1
+ *         status:
+ *           type: string
+ *           enum: [pending, dismissed]
+ *         transaction:
+ *           $ref: '#/components/schemas/Transaction'
+ *         duplicate_of:
+ *           $ref: '#/components/schemas/Transaction'
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         resolved_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ */
+
+/**
+ * @swagger
+ * /api/transactions/duplicates:
+ *   get:
+ *     summary: Get suspected duplicate transactions
+ *     description: |
+ *       A transaction is flagged when it is created or imported and an existing transaction
+ *       of the same user has the same amount, currency and type, a date within a few days and a
+ *       similar description. Each flag pairs the newer transaction with the one it duplicates.
+ *     tags: [Transactions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, dismissed]
+ *           default: pending
+ *         description: Filter by review status
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number for pagination
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *         description: Number of items per page
+ *       - in: query
+ *         name: user_id
+ *         schema:
+ *           type: integer
+ *         description: Admin only - get duplicates for specific user
+ *     responses:
+ *       200:
+ *         description: Suspected duplicates retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     duplicates:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/TransactionDuplicate'
+ *       400:
+ *         description: Invalid status
+ */
+router.get('/duplicates', authenticateToken, transactionLimiter, getDuplicates);
+
+/**
+ * @swagger
+ * /api/transactions/duplicates/{id}/merge:
+ *   post:
+ *     summary: Merge a suspected duplicate, keeping one transaction and deleting the other
+ *     tags: [Transactions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Duplicate flag ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               keep:
+ *                 type: string
+ *                 enum: [original, duplicate]
+ *                 default: original
+ *                 description: Which transaction of the pair survives
+ *     responses:
+ *       200:
+ *         description: Duplicate merged successfully
+ *       400:
+ *         description: Invalid keep value, or the transaction to remove is a transfer leg
+ *       403:
+ *         description: Read-only users cannot merge duplicates
+ *       404:
+ *         description: Pending duplicate not found
+ */
+router.post('/duplicates/:id/merge', authenticateToken, requireWriteAccess, transactionLimiter, mergeDuplicate);
+
+/**
+ * @swagger
+ * /api/transactions/duplicates/{id}/dismiss:
+ *   post:
+ *     summary: Dismiss a suspected duplicate, keeping both transactions
+ *     tags: [Transactions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Duplicate flag ID
+ *     responses:
+ *       200:
+ *         description: Duplicate dismissed successfully
+ *       403:
+ *         description: Read-only users cannot dismiss duplicates
+ *       404:
+ *         description: Pending duplicate not found
+ */
+router.post('/duplicates/:id/dismiss', authenticateToken, requireWriteAccess, transactionLimiter, dismissDuplicate);
+
 /**
  * @swagger
  * /api/transactions/{id}:
@@ -295,6 +839,9 @@ router.get('/:id', authenticateToken, transactionLimiter, cacheMiddleware(600),
  * /api/transactions:
  *   post:
  *     summary: Create a new transaction
+ *     description: >
+ *       The transaction is still created when it looks like a duplicate of an existing one, but it is flagged for review and the matches are returned as possibleDuplicates.
+ *       When category_id and splits are both left out, the user's categorization rules pick the category (400 when no rule matches).
  *     tags: [Transactions]
  *     security:
  *       - bearerAuth: []
@@ -327,12 +874,26 @@ router.get('/:id', authenticateToken, transactionLimiter, cacheMiddleware(600),
  *                   properties:
  *                     transaction:
  *                       $ref: '#/components/schemas/Transaction'
+ *                     appliedRule:
+ *                       type: object
+ *                       nullable: true
+ *                       description: Categorization rule that picked the category, when category_id was left out
+ *                       properties:
+ *                         id:
+ *                           type: integer
+ *                         name:
+ *                           type: string
+ *                     budgetAlerts:
+ *                       type: array
+ *                       description: Budget threshold notifications raised by this expense
+ *                       items:
+ *                         $ref: '#/components/schemas/Notification'
  *       400:
  *         description: Validation error
  *       403:
  *         description: Read-only users cannot create transactions
  */
-router.post('/', authenticateToken, requireWriteAccess, transactionLimiter, transactionValidation, createTransaction);
+router.post('/', authenticateToken, requireWriteAccess, transactionLimiter, createTransactionValidation, createTransaction);
 
 /**
  * @swagger
@@ -372,6 +933,7 @@ router.put('/:id', authenticateToken, requireWriteAccess, transactionLimiter, tr
  * /api/transactions/{id}:
  *   delete:
  *     summary: Delete a transaction
+ *     description: The transaction's attachments and their stored files are deleted with it.
  *     tags: [Transactions]
  *     security:
  *       - bearerAuth: []
@@ -392,4 +954,178 @@ router.put('/:id', authenticateToken, requireWriteAccess, transactionLimiter, tr
  */
 router.delete('/:id', authenticateToken, requireWriteAccess, transactionLimiter, deleteTransaction);
 
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     TransactionAttachment:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           description: Attachment ID
+ *         transaction_id:
+ *           type: integer
+ *         user_id:
+ *           type: integer
+ *         file_name:
+ *           type: string
+ *           description: Name the file was uploaded with
+ *         content_type:
+ *           type: string
+ *           enum: [image/jpeg, image/png, image/gif, image/webp, image/heic, application/pdf]
+ *         size_bytes:
+ *           type: integer
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/transactions/{id}/attachments:
+ *   get:
+ *     summary: Get the attachments of a transaction
+ *     tags: [Transactions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Transaction ID
+ *     responses:
+ *       200:
+ *         description: Attachments retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     attachments:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/TransactionAttachment'
+ *       404:
+ *         description: Transaction not found
+ */
+router.get('/:id/attachments', authenticateToken, transactionLimiter, getAttachments);
+
+/**
+ * @swagger
+ * /api/transactions/{id}/attachments:
+ *   post:
+ *     summary: Upload a receipt image or PDF to a transaction
+ *     description: |
+ *       The file content must match its declared type (JPEG, PNG, GIF, WebP, HEIC or PDF).
+ *       Transfer transactions cannot have attachments.
+ *     tags: [Transactions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Transaction ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *                 description: Receipt file (ATTACHMENT_MAX_FILE_SIZE bytes at most, 10MB by default)
+ *     responses:
+ *       201:
+ *         description: Attachment uploaded successfully
+ *       400:
+ *         description: Missing file, unsupported type, content not matching its type or too many attachments
+ *       403:
+ *         description: Read-only users cannot upload attachments
+ *       404:
+ *         description: Transaction not found
+ *       413:
+ *         description: Uploaded file is too large
+ */
+router.post('/:id/attachments', authenticateToken, requireWriteAccess, transactionLimiter, attachmentUpload, uploadAttachment);
+
+/**
+ * @swagger
+ * /api/transactions/{id}/attachments/{attachmentId}:
+ *   get:
+ *     summary: Download an attachment
+ *     tags: [Transactions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Transaction ID
+ *       - in: path
+ *         name: attachmentId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Attachment ID
+ *     responses:
+ *       200:
+ *         description: The file, sent as a download under its uploaded name
+ *         content:
+ *           application/octet-stream:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       404:
+ *         description: Attachment not found
+ */
+router.get('/:id/attachments/:attachmentId', authenticateToken, transactionLimiter, downloadAttachment);
+
+/**
+ * @swagger
+ * /api/transactions/{id}/attachments/{attachmentId}:
+ *   delete:
+ *     summary: Delete an attachment and its stored file
+ *     tags: [Transactions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Transaction ID
+ *       - in: path
+ *         name: attachmentId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Attachment ID
+ *     responses:
+ *       200:
+ *         description: Attachment deleted successfully
+ *       403:
+ *         description: Read-only users cannot delete attachments
+ *       404:
+ *         description: Attachment not found
+ */
+router.delete('/:id/attachments/:attachmentId', authenticateToken, requireWriteAccess, transactionLimiter, deleteAttachment);
+
 module.exports = router;
@@ -0,0 +1,264 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getTransfers,
+  getTransfer,
+  createTransfer,
+  updateTransfer,
+  deleteTransfer,
+  transferValidation
+} = require('../controllers/transferController');
+const { authenticateToken, requireWriteAccess } = require('../middleware/auth');
+const { transactionLimiter } = require('../middleware/security');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Transfer:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           description: Transfer ID
+ *         user_id:
+ *           type: integer
+ *         from_account_id:
+ *           type: integer
+ *           description: Account the money leaves
+ *         from_account_name:
+ *           type: string
+ *         to_account_id:
+ *           type: integer
+ *           description: Account the money arrives in
+ *         to_account_name:
+ *           type: string
+ *         amount:
+ *           type: number
+ *           format: float
+ *         transfer_date:
+ *           type: string
+ *           format: date
+ *         description:
+ *           type: string
+ *           nullable: true
+ *         debit_transaction_id:
+ *           type: integer
+ *           description: The 'out' transaction posted to the source account
+ *         credit_transaction_id:
+ *           type: integer
+ *           description: The 'in' transaction posted to the destination account
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         updated_at:
+ *           type: string
+ *           format: date-time
+ *     TransferInput:
+ *       type: object
+ *       required:
+ *         - from_account_id
+ *         - to_account_id
+ *         - amount
+ *         - transfer_date
+ *       properties:
+ *         from_account_id:
+ *           type: integer
+ *           minimum: 1
+ *         to_account_id:
+ *           type: integer
+ *           minimum: 1
+ *           description: Must differ from from_account_id
+ *         amount:
+ *           type: number
+ *           format: float
+ *           minimum: 0.01
+ *         transfer_date:
+ *           type: string
+ *           format: date
+ *         description:
+ *           type: string
+ *           maxLength: 500
+ *           description: Defaults to "Transfer to/from <account>" on each leg
+ */
+
+/**
+ * @swagger
+ * /api/transfers:
+ *   get:
+ *     summary: Get transfers
+ *     tags: [Transfers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: account_id
+ *         schema:
+ *           type: integer
+ *         description: Only transfers into or out of this account
+ *       - in: query
+ *         name: start_date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Filter transfers from this date
+ *       - in: query
+ *         name: end_date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Filter transfers until this date
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number for pagination
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *         description: Number of items per page
+ *       - in: query
+ *         name: user_id
+ *         schema:
+ *           type: integer
+ *         description: Admin only - get transfers for specific user
+ *     responses:
+ *       200:
+ *         description: Transfers retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     transfers:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Transfer'
+ *                     pagination:
+ *                       type: object
+ */
+router.get('/', authenticateToken, transactionLimiter, getTransfers);
+
+/**
+ * @swagger
+ * /api/transfers/{id}:
+ *   get:
+ *     summary: Get a specific transfer
+ *     tags: [Transfers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Transfer ID
+ *     responses:
+ *       200:
+ *         description: Transfer retrieved successfully
+ *       404:
+ *         description: Transfer not found
+ */
+router.get('/:id', authenticateToken, transactionLimiter, getTransfer);
+
+/**
+ * @swagger
+ * /api/transfers:
+ *   post:
+ *     summary: Move money between two accounts
+ *     description: Creates the transfer and posts an 'out' transaction to the source account and an 'in' transaction to the destination account in one database transaction. Transfers are not counted as income or expense in analytics.
+ *     tags: [Transfers]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/TransferInput'
+ *               - type: object
+ *                 properties:
+ *                   user_id:
+ *                     type: integer
+ *                     description: Admin only - create transfer for specific user (optional)
+ *     responses:
+ *       201:
+ *         description: Transfer created successfully
+ *       400:
+ *         description: Validation error, invalid account, or accounts in different currencies
+ *       403:
+ *         description: Read-only users cannot create transfers
+ */
+router.post('/', authenticateToken, requireWriteAccess, transactionLimiter, transferValidation, createTransfer);
+
+/**
+ * @swagger
+ * /api/transfers/{id}:
+ *   put:
+ *     summary: Update a transfer
+ *     description: Both transactions of the transfer are rewritten to match.
+ *     tags: [Transfers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Transfer ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TransferInput'
+ *     responses:
+ *       200:
+ *         description: Transfer updated successfully
+ *       400:
+ *         description: Validation error, invalid account, or accounts in different currencies
+ *       403:
+ *         description: Read-only users cannot update transfers
+ *       404:
+ *         description: Transfer not found
+ */
+router.put('/:id', authenticateToken, requireWriteAccess, transactionLimiter, transferValidation, updateTransfer);
+
+/**
+ * @swagger
+ * /api/transfers/{id}:
+ *   delete:
+ *     summary: Delete a transfer and both of its transactions
+ *     tags: [Transfers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Transfer ID
+ *     responses:
+ *       200:
+ *         description: Transfer deleted successfully
+ *       403:
+ *         description: Read-only users cannot delete transfers
+ *       404:
+ *         description: Transfer not found
+ */
+router.delete('/:id', authenticateToken, requireWriteAccess, transactionLimiter, deleteTransfer);
+
+module.exports = router;
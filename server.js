@@ -6,6 +6,8 @@ const compression = require('compression');
 
 // Import configurations
 const { connectRedis } = require('./config/redis');
+const { startScheduler, stopScheduler } = require('./utils/recurringScheduler');
+const { getMailer } = require('./utils/mailer');
 const { specs, swaggerUi, swaggerOptions } = require('./config/swagger');
 
 // Import middleware
@@ -23,6 +25,15 @@ const transactionRoutes = require('./routes/transactions');
 const categoryRoutes = require('./routes/categories');
 const analyticsRoutes = require('./routes/analytics');
 const adminRoutes = require('./routes/admin');
+const budgetRoutes = require('./routes/budgets');
+const notificationRoutes = require('./routes/notifications');
+const recurringTransactionRoutes = require('./routes/recurringTransactions');
+const accountRoutes = require('./routes/accounts');
+const transferRoutes = require('./routes/transfers');
+const categorizationRuleRoutes = require('./routes/categorizationRules');
+const payeeRoutes = require('./routes/payees');
+const goalRoutes = require('./routes/goals');
+const assetRoutes = require('./routes/assets');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -103,6 +114,15 @@ app.use('/api/transactions', transactionRoutes);
 app.use('/api/categories', categoryRoutes);
 app.use('/api/analytics', analyticsRoutes);
 app.use('/api/admin', adminRoutes);
+app.use('/api/budgets', budgetRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/recurring-transactions', recurringTransactionRoutes);
+app.use('/api/accounts', accountRoutes);
+app.use('/api/transfers', transferRoutes);
+app.use('/api/categorization-rules', categorizationRuleRoutes);
+app.use('/api/payees', payeeRoutes);
+app.use('/api/goals', goalRoutes);
+app.use('/api/assets', assetRoutes);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -126,6 +146,11 @@ app.use('*', (req, res) => {
       categories: '/api/categories',
       analytics: '/api/analytics',
       admin: '/api/admin',
+      budgets: '/api/budgets',
+      notifications: '/api/notifications',
+      recurringTransactions: '/api/recurring-transactions',
+      accounts: '/api/accounts',
+      transfers: '/api/transfers',
       documentation: '/api-docs',
       health: '/health'
     }
@@ -174,6 +199,8 @@ app.use((err, req, res, next) => {
 const gracefulShutdown = (signal) => {
   console.log(`Received ${signal}. Starting graceful shutdown...`);
   
+  stopScheduler();
+  
   server.close((err) => {
     if (err) {
       console.error('Error during server shutdown:', err);
@@ -188,6 +215,9 @@ const gracefulShutdown = (signal) => {
 // Start server
 const startServer = async () => {
   try {
+    // Check the mail settings now rather than on the first verification or reset email
+    getMailer();
+
     // Connect to Redis
     console.log('Connecting to Redis...');
     await connectRedis();
@@ -200,6 +230,11 @@ const startServer = async () => {
       console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
     });
 
+    // Materialize recurring transactions in-process
+    if (process.env.RECURRING_SCHEDULER_ENABLED !== 'false') {
+      startScheduler();
+    }
+
     // Graceful shutdown
     process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
     process.on('SIGINT', () => gracefulShutdown('SIGINT'));
@@ -0,0 +1,138 @@
+jest.mock('../../config/database', () => ({ pool: { query: jest.fn() } }));
+
+const { pool } = require('../../config/database');
+const {
+  toDateOnly,
+  formatDateOnly,
+  addPeriods,
+  getPeriodWindow,
+  calculateBudgetProgress
+} = require('../../utils/budgetProgress');
+
+const periodWindow = (budget, referenceDate) => {
+  const { periodStart, periodEnd } = getPeriodWindow(budget, referenceDate);
+  return [formatDateOnly(periodStart), formatDateOnly(periodEnd)];
+};
+
+describe('budgetProgress', () => {
+  describe('toDateOnly and formatDateOnly', () => {
+    it('drop the time without shifting the day', () => {
+      const date = toDateOnly(new Date(2026, 9, 19, 23, 59));
+      expect(date.getHours()).toBe(0);
+      expect(formatDateOnly(date)).toBe('2026-10-19');
+    });
+  });
+
+  describe('addPeriods', () => {
+    it.each([
+      ['daily', new Date(2026, 11, 31), 1, '2027-01-01'],
+      ['weekly', new Date(2026, 9, 26), 1, '2026-11-02'],
+      ['monthly', new Date(2026, 0, 31), 1, '2026-02-28'],
+      ['monthly', new Date(2024, 0, 31), 1, '2024-02-29'],
+      ['monthly', new Date(2026, 2, 31), -1, '2026-02-28'],
+      ['monthly', new Date(2026, 10, 15), 3, '2027-02-15'],
+      ['yearly', new Date(2024, 1, 29), 1, '2025-02-28'],
+      ['yearly', new Date(2024, 1, 29), 4, '2028-02-29']
+    ])('adds %s periods to %s (%d)', (period, date, count, expected) => {
+      expect(formatDateOnly(addPeriods(date, period, count))).toBe(expected);
+    });
+
+    it('treats unknown periods as monthly', () => {
+      expect(formatDateOnly(addPeriods(new Date(2026, 0, 15), 'fortnightly'))).toBe('2026-02-15');
+    });
+  });
+
+  describe('getPeriodWindow', () => {
+    const budget = (period, start, end) => ({ period, start_date: start, end_date: end });
+
+    it('finds the week containing the date', () => {
+      const weekly = budget('weekly', '2026-10-05', '2026-12-31');
+      expect(periodWindow(weekly, new Date(2026, 9, 19))).toEqual(['2026-10-19', '2026-10-25']);
+      expect(periodWindow(weekly, new Date(2026, 9, 25))).toEqual(['2026-10-19', '2026-10-25']);
+      expect(periodWindow(weekly, new Date(2026, 9, 26))).toEqual(['2026-10-26', '2026-11-01']);
+    });
+
+    it('finds the month containing the date', () => {
+      const monthly = budget('monthly', '2026-01-15', '2026-12-31');
+      expect(periodWindow(monthly, new Date(2026, 9, 14))).toEqual(['2026-09-15', '2026-10-14']);
+      expect(periodWindow(monthly, new Date(2026, 9, 15))).toEqual(['2026-10-15', '2026-11-14']);
+    });
+
+    it('keeps month-end budgets on the month end', () => {
+      const monthEnd = budget('monthly', '2026-01-31', '2026-12-31');
+      expect(periodWindow(monthEnd, new Date(2026, 1, 27))).toEqual(['2026-01-31', '2026-02-27']);
+      expect(periodWindow(monthEnd, new Date(2026, 1, 28))).toEqual(['2026-02-28', '2026-03-30']);
+      expect(periodWindow(monthEnd, new Date(2026, 2, 31))).toEqual(['2026-03-31', '2026-04-29']);
+    });
+
+    it('finds the year containing the date', () => {
+      const yearly = budget('yearly', '2025-04-01', '2030-03-31');
+      expect(periodWindow(yearly, new Date(2026, 9, 19))).toEqual(['2026-04-01', '2027-03-31']);
+    });
+
+    it('clamps to the budget dates', () => {
+      const monthly = budget('monthly', '2026-03-01', '2026-05-20');
+      expect(periodWindow(monthly, new Date(2026, 0, 10))).toEqual(['2026-03-01', '2026-03-31']);
+      expect(periodWindow(monthly, new Date(2026, 8, 1))).toEqual(['2026-05-01', '2026-05-20']);
+    });
+  });
+
+  describe('calculateBudgetProgress', () => {
+    const budget = { user_id: 7, category_id: 3, amount: '300.00', period: 'monthly', start_date: '2026-10-01', end_date: '2026-12-31' };
+
+    const withSpending = (spent, unconverted = { unconverted_count: '0', missing_currencies: null }) => {
+      pool.query.mockReset();
+      pool.query.mockImplementation(async (text) => {
+        if (text.includes('base_currency')) return { rows: [{ base_currency: 'EUR' }] };
+        return { rows: [{ spent, ...unconverted }] };
+      });
+    };
+
+    it('reports spending, percentage used and a projection', async () => {
+      withSpending('120.00');
+
+      const progress = await calculateBudgetProgress(budget, new Date(2026, 9, 10));
+
+      expect(progress).toEqual({
+        periodStart: '2026-10-01',
+        periodEnd: '2026-10-31',
+        spent: 120,
+        remaining: 180,
+        percentageUsed: 40,
+        projectedTotal: 372,
+        daysElapsed: 10,
+        daysRemaining: 21,
+        isOverBudget: false,
+        isProjectedOverBudget: true,
+        unconvertedCount: 0,
+        missingCurrencies: []
+      });
+      expect(pool.query.mock.calls[1][1]).toEqual([7, 3, '2026-10-01', '2026-10-31', 'EUR']);
+    });
+
+    it('reports overspending and leaves out unconverted expenses', async () => {
+      withSpending('450.50', { unconverted_count: '2', missing_currencies: ['JPY'] });
+
+      const progress = await calculateBudgetProgress(budget, new Date(2026, 9, 31));
+
+      expect(progress).toMatchObject({
+        spent: 450.5,
+        remaining: -150.5,
+        percentageUsed: 150.17,
+        projectedTotal: 450.5,
+        daysRemaining: 0,
+        isOverBudget: true,
+        unconvertedCount: 2,
+        missingCurrencies: ['JPY']
+      });
+    });
+
+    it('uses 0% for a zero budget', async () => {
+      withSpending('0');
+
+      const progress = await calculateBudgetProgress({ ...budget, amount: '0' }, new Date(2026, 9, 10));
+
+      expect(progress).toMatchObject({ spent: 0, percentageUsed: 0, isOverBudget: false });
+    });
+  });
+});
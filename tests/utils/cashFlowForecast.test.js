@@ -0,0 +1,214 @@
+jest.mock('../../config/database', () => ({ pool: { query: jest.fn() } }));
+jest.mock('../../config/redis', () => ({ client: { isOpen: false } }));
+
+const { pool } = require('../../config/database');
+const {
+  fitBaseline,
+  projectMonths,
+  scheduleRecurring,
+  buildCashFlowForecast
+} = require('../../utils/cashFlowForecast');
+
+const flat = { mean: 0, seasonalIndex: Object.fromEntries([...Array(12)].map((_, i) => [i + 1, 1])), seasonal: false, stdDev: 0 };
+
+describe('cashFlowForecast', () => {
+  describe('fitBaseline', () => {
+    it('averages the months without seasonality before two years of history', () => {
+      const baseline = fitBaseline([100, 200, 300], [1, 2, 3]);
+
+      expect(baseline.mean).toBe(200);
+      expect(baseline.seasonal).toBe(false);
+      expect(baseline.seasonalIndex[2]).toBe(1);
+      expect(baseline.stdDev).toBe(100);
+    });
+
+    it('scales calendar months by their seasonal index after two years', () => {
+      // December is twice an ordinary month in both years
+      const totals = [...Array(24)].map((_, i) => (i % 12 === 11 ? 200 : 100));
+      const calendarMonths = [...Array(24)].map((_, i) => (i % 12) + 1);
+      const baseline = fitBaseline(totals, calendarMonths);
+
+      expect(baseline.seasonal).toBe(true);
+      expect(baseline.seasonalIndex[12] / baseline.seasonalIndex[1]).toBeCloseTo(2);
+      // The seasonal pattern explains every month, so nothing is left over
+      expect(baseline.stdDev).toBeCloseTo(0);
+    });
+
+    it('allows for the whole mean either way with a single month', () => {
+      expect(fitBaseline([80], [5]).stdDev).toBe(80);
+    });
+
+    it('handles no history', () => {
+      expect(fitBaseline([], [])).toMatchObject({ mean: 0, seasonal: false, stdDev: 0 });
+    });
+  });
+
+  describe('projectMonths', () => {
+    it('adds recurring amounts and widens the balance band over time', () => {
+      const forecast = projectMonths({
+        startingBalance: 1000,
+        months: ['2026-11', '2026-12'],
+        baselines: {
+          income: { ...flat, mean: 500, stdDev: 30 },
+          expense: { ...flat, mean: 300, stdDev: 40 }
+        },
+        recurring: { income: {}, expense: { '2026-12': 50 } },
+        z: 1
+      });
+
+      expect(forecast[0]).toEqual({
+        month: '2026-11',
+        income: { expected: 500, lower: 470, upper: 530, recurring: 0 },
+        expense: { expected: 300, lower: 260, upper: 340, recurring: 0 },
+        net: { expected: 200, lower: 150, upper: 250 },
+        balance: { expected: 1200, lower: 1150, upper: 1250 }
+      });
+      expect(forecast[1].expense).toEqual({ expected: 350, lower: 310, upper: 390, recurring: 50 });
+      expect(forecast[1].balance.expected).toBe(1350);
+      expect(forecast[1].balance.upper - forecast[1].balance.expected).toBeCloseTo(50 * Math.SQRT2, 1);
+    });
+
+    it('never puts the lower bound below the scheduled amount', () => {
+      const [month] = projectMonths({
+        startingBalance: 0,
+        months: ['2026-11'],
+        baselines: { income: { ...flat, mean: 10, stdDev: 100 }, expense: flat },
+        recurring: { income: { '2026-11': 40 }, expense: {} },
+        z: 1
+      });
+
+      expect(month.income.lower).toBe(40);
+    });
+  });
+
+  describe('scheduleRecurring', () => {
+    const horizonStart = new Date(2026, 10, 1);
+    const horizonEnd = new Date(2027, 0, 31);
+
+    it('sums occurrences per month within the horizon', () => {
+      const recurring = scheduleRecurring([
+        { type: 'expense', frequency: 'weekly', interval_count: 2, start_date: new Date(2026, 9, 5), occurrences_count: 0, converted_amount: '25' },
+        { type: 'income', frequency: 'monthly', interval_count: 1, start_date: new Date(2026, 0, 31), occurrences_count: 9, converted_amount: '1000' }
+      ], horizonStart, horizonEnd);
+
+      expect(recurring.expense).toEqual({ '2026-11': 75, '2026-12': 50, '2027-01': 50 });
+      expect(recurring.income).toEqual({ '2026-11': 1000, '2026-12': 1000, '2027-01': 1000 });
+    });
+
+    it('stops at the end date and maximum occurrences', () => {
+      const recurring = scheduleRecurring([
+        { type: 'expense', frequency: 'monthly', start_date: new Date(2026, 10, 10), end_date: new Date(2026, 11, 31), occurrences_count: 0, converted_amount: '10' },
+        { type: 'income', frequency: 'monthly', start_date: new Date(2026, 10, 10), max_occurrences: 1, occurrences_count: 0, converted_amount: '5' }
+      ], horizonStart, horizonEnd);
+
+      expect(recurring.expense).toEqual({ '2026-11': 10, '2026-12': 10 });
+      expect(recurring.income).toEqual({ '2026-11': 5 });
+    });
+
+    it('skips templates without an exchange rate', () => {
+      const recurring = scheduleRecurring([
+        { type: 'expense', frequency: 'monthly', start_date: new Date(2026, 10, 1), occurrences_count: 0, converted_amount: null }
+      ], horizonStart, horizonEnd);
+
+      expect(recurring).toEqual({ income: {}, expense: {} });
+    });
+  });
+
+  describe('buildCashFlowForecast', () => {
+    beforeEach(() => {
+      pool.query.mockReset();
+    });
+
+    it('projects from history, templates and the current balance', async () => {
+      pool.query.mockImplementation(async (text) => {
+        if (text.includes('MIN(transaction_date)')) return { rows: [{ first_date: new Date(2026, 7, 20) }] };
+        if (text.includes("DATE_TRUNC('month'")) {
+          return {
+            rows: [
+              { month: '2026-08', type: 'income', total_amount: '900' },
+              { month: '2026-09', type: 'income', total_amount: '1100' },
+              { month: '2026-09', type: 'expense', total_amount: '400' }
+            ]
+          };
+        }
+        if (text.includes('FROM recurring_transactions')) {
+          return {
+            rows: [{ id: 1, type: 'expense', currency: 'GBP', frequency: 'monthly', start_date: new Date(2026, 10, 1), occurrences_count: 0, converted_amount: null }]
+          };
+        }
+        if (text.includes('as balance')) return { rows: [{ balance: '2500' }] };
+        if (text.includes('UNION ALL')) {
+          return {
+            rows: [
+              { unconverted_count: '2', missing_currencies: ['JPY'] },
+              { unconverted_count: '0', missing_currencies: null }
+            ]
+          };
+        }
+        throw new Error(`Unexpected query: ${text}`);
+      });
+
+      const result = await buildCashFlowForecast(7, 'USD', { months: 2, confidence: 95 }, new Date(2026, 9, 19));
+
+      expect(pool.query.mock.calls[1][1]).toEqual([7, 'USD', '2026-08-01', '2026-10-01']);
+      expect(result).toMatchObject({
+        currency: 'USD',
+        unconvertedCount: 3,
+        missingCurrencies: ['GBP', 'JPY'],
+        startingBalance: 2500,
+        historyMonths: 2,
+        confidenceLevel: 95,
+        seasonalityApplied: false,
+        averages: { income: 1000, expense: 200 },
+        // 12 of October's 31 days are still to come
+        restOfMonth: { income: 387.1, expense: 77.42 }
+      });
+      expect(result.forecast.map(month => month.month)).toEqual(['2026-11', '2026-12']);
+      expect(result.forecast[1].balance.expected).toBe(4409.68);
+    });
+
+    it('adds recurring items still due this month to the starting balance', async () => {
+      pool.query.mockImplementation(async (text) => {
+        if (text.includes('MIN(transaction_date)')) return { rows: [{ first_date: null }] };
+        if (text.includes('FROM recurring_transactions')) {
+          return {
+            rows: [
+              // Due on the 25th, after today
+              { id: 1, type: 'expense', frequency: 'monthly', start_date: new Date(2026, 9, 25), occurrences_count: 0, converted_amount: '100' },
+              // October's occurrence was already posted
+              { id: 2, type: 'income', frequency: 'monthly', start_date: new Date(2026, 9, 5), occurrences_count: 1, converted_amount: '300' }
+            ]
+          };
+        }
+        if (text.includes('as balance')) return { rows: [{ balance: '1000' }] };
+        return { rows: [] };
+      });
+
+      const result = await buildCashFlowForecast(7, 'USD', { months: 1 }, new Date(2026, 9, 19));
+
+      expect(result.startingBalance).toBe(1000);
+      expect(result.restOfMonth).toEqual({ income: 0, expense: 100 });
+      expect(result.forecast[0]).toMatchObject({
+        month: '2026-11',
+        income: { expected: 300 },
+        expense: { expected: 100 },
+        balance: { expected: 1100 }
+      });
+    });
+
+    it('uses no history for a user without transactions', async () => {
+      pool.query.mockImplementation(async (text) => {
+        if (text.includes('MIN(transaction_date)')) return { rows: [{ first_date: null }] };
+        if (text.includes('as balance')) return { rows: [{ balance: '0' }] };
+        return { rows: [] };
+      });
+
+      const result = await buildCashFlowForecast(7, 'USD', {}, new Date(2026, 9, 19));
+
+      expect(result.historyMonths).toBe(0);
+      expect(result.confidenceLevel).toBe(80);
+      expect(result.forecast).toHaveLength(6);
+      expect(result.forecast[0].net.expected).toBe(0);
+    });
+  });
+});
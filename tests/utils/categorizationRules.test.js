@@ -0,0 +1,85 @@
+const { loadRules, ruleMatches, findMatchingRule } = require('../../utils/categorizationRules');
+
+const rule = (overrides = {}) => ({
+  id: 1,
+  name: 'Rides',
+  category_id: 5,
+  category_type: 'expense',
+  description_contains: null,
+  amount_min: null,
+  amount_max: null,
+  account_id: null,
+  payee_id: null,
+  ...overrides
+});
+
+const transaction = (overrides = {}) => ({
+  type: 'expense',
+  amount: '25.00',
+  description: 'UBER *TRIP 8812',
+  account_id: 2,
+  payee_id: 9,
+  ...overrides
+});
+
+describe('categorizationRules', () => {
+  describe('ruleMatches', () => {
+    it('only applies to transactions of the category type', () => {
+      expect(ruleMatches(rule(), transaction())).toBe(true);
+      expect(ruleMatches(rule(), transaction({ type: 'income' }))).toBe(false);
+    });
+
+    it('matches description_contains without regard to case', () => {
+      expect(ruleMatches(rule({ description_contains: 'uber' }), transaction())).toBe(true);
+      expect(ruleMatches(rule({ description_contains: 'Trip 88' }), transaction())).toBe(true);
+      expect(ruleMatches(rule({ description_contains: 'lyft' }), transaction())).toBe(false);
+      expect(ruleMatches(rule({ description_contains: 'uber' }), transaction({ description: null }))).toBe(false);
+    });
+
+    it('includes both amount bounds', () => {
+      const bounded = rule({ amount_min: '10.00', amount_max: '25.00' });
+
+      expect(ruleMatches(bounded, transaction({ amount: 10 }))).toBe(true);
+      expect(ruleMatches(bounded, transaction({ amount: '25' }))).toBe(true);
+      expect(ruleMatches(bounded, transaction({ amount: '9.99' }))).toBe(false);
+      expect(ruleMatches(bounded, transaction({ amount: '25.01' }))).toBe(false);
+      expect(ruleMatches(rule({ amount_min: '30' }), transaction())).toBe(false);
+    });
+
+    it('matches the account and payee whether IDs are numbers or strings', () => {
+      expect(ruleMatches(rule({ account_id: 2, payee_id: 9 }), transaction())).toBe(true);
+      expect(ruleMatches(rule({ account_id: '2', payee_id: '9' }), transaction())).toBe(true);
+      expect(ruleMatches(rule({ account_id: 2 }), transaction({ account_id: '2' }))).toBe(true);
+      expect(ruleMatches(rule({ account_id: 3 }), transaction())).toBe(false);
+      expect(ruleMatches(rule({ payee_id: '10' }), transaction())).toBe(false);
+    });
+
+    it('requires the account or payee when the rule names one', () => {
+      expect(ruleMatches(rule({ account_id: 2 }), transaction({ account_id: null }))).toBe(false);
+      expect(ruleMatches(rule({ payee_id: 9 }), transaction({ payee_id: undefined }))).toBe(false);
+    });
+  });
+
+  describe('findMatchingRule', () => {
+    it('returns the first rule that applies', () => {
+      const rules = [
+        rule({ id: 1, description_contains: 'lyft' }),
+        rule({ id: 2, description_contains: 'uber' }),
+        rule({ id: 3 })
+      ];
+
+      expect(findMatchingRule(rules, transaction()).id).toBe(2);
+      expect(findMatchingRule(rules.slice(0, 1), transaction())).toBeNull();
+    });
+  });
+
+  describe('loadRules', () => {
+    it('loads the owner active rules in priority order', async () => {
+      const db = { query: jest.fn().mockResolvedValue({ rows: [rule()] }) };
+
+      expect(await loadRules(7, db)).toEqual([rule()]);
+      expect(db.query.mock.calls[0][0]).toContain('ORDER BY r.priority, r.id');
+      expect(db.query.mock.calls[0][1]).toEqual([7]);
+    });
+  });
+});
@@ -0,0 +1,45 @@
+const {
+  normalizeDescription,
+  descriptionSimilarity,
+  findDuplicateCandidates
+} = require('../../utils/duplicateDetection');
+
+describe('duplicateDetection', () => {
+  describe('normalizeDescription', () => {
+    it('drops case, punctuation and reference numbers', () => {
+      expect(normalizeDescription('POS #4411 STARBUCKS, Seattle')).toBe('pos starbucks seattle');
+      expect(normalizeDescription(null)).toBe('');
+    });
+  });
+
+  describe('descriptionSimilarity', () => {
+    it('scores wrapped merchant names highly', () => {
+      expect(descriptionSimilarity('Starbucks', 'POS STARBUCKS 1234')).toBe(0.9);
+      expect(descriptionSimilarity('Coffee', 'coffee!')).toBe(1);
+      expect(descriptionSimilarity('Rent', 'Groceries')).toBeLessThan(0.6);
+      expect(descriptionSimilarity('', 'Rent')).toBe(0);
+    });
+  });
+
+  describe('findDuplicateCandidates', () => {
+    it('only compares transactions in the same currency', async () => {
+      const db = {
+        query: jest.fn().mockResolvedValue({
+          rows: [
+            { id: 3, amount: '100.00', currency: 'JPY', description: 'Hotel booking' },
+            { id: 4, amount: '100.00', currency: 'JPY', description: 'Parking' }
+          ]
+        })
+      };
+
+      const candidates = await findDuplicateCandidates(7, {
+        amount: 100, currency: 'JPY', type: 'expense', transaction_date: '2026-10-19', description: 'HOTEL BOOKING 889'
+      }, db);
+
+      const [text, params] = db.query.mock.calls[0];
+      expect(text).toContain('t.currency = $4');
+      expect(params.slice(0, 5)).toEqual([7, 'expense', 100, 'JPY', '2026-10-19']);
+      expect(candidates.map(candidate => [candidate.id, candidate.similarity])).toEqual([[3, 1]]);
+    });
+  });
+});
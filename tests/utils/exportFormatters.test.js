@@ -0,0 +1,138 @@
+const { EXPORT_FORMATS, createExportFormatter } = require('../../utils/exportFormatters');
+
+const meta = {
+  user: { id: 7 },
+  accountHolder: 'Jane Doe',
+  periodStart: '2026-10-01',
+  periodEnd: '2026-10-31',
+  currency: 'USD',
+  openingBalance: 100,
+  count: 2,
+  unconvertedCount: 0,
+  generatedAt: new Date(Date.UTC(2026, 9, 19, 12, 30))
+};
+
+const transaction = (overrides = {}) => ({
+  id: 41,
+  transaction_date: new Date(2026, 9, 5),
+  type: 'expense',
+  amount: '12.50',
+  converted_amount: '12.50',
+  currency: 'USD',
+  description: 'Coffee',
+  category_name: 'Food',
+  account_name: 'Checking',
+  transfer_id: null,
+  transfer_direction: null,
+  ...overrides
+});
+
+describe('exportFormatters', () => {
+  it('supports every listed format and rejects others', () => {
+    EXPORT_FORMATS.forEach(format => expect(createExportFormatter(format, meta).extension).toBe(format));
+    expect(() => createExportFormatter('xlsx', meta)).toThrow('Unsupported export format: xlsx');
+  });
+
+  describe('csv', () => {
+    const csv = createExportFormatter('csv', meta);
+
+    it('writes a header and signed amounts', () => {
+      expect(csv.header()).toBe('date,type,category,description,amount,currency,balance,id,account\r\n');
+      expect(csv.row(transaction(), 87.5)).toBe('2026-10-05,expense,Food,Coffee,-12.50,USD,87.50,41,Checking\r\n');
+      expect(csv.row(transaction({ type: 'income', amount: '3' }), 90.5)).toContain(',3.00,USD,90.50,');
+    });
+
+    it('quotes commas, quotes and newlines', () => {
+      const row = csv.row(transaction({ description: 'Lunch, "team"\nday', category_name: 'Eating\rout' }), 0);
+      expect(row).toBe('2026-10-05,expense,"Eating\rout","Lunch, ""team""\nday",-12.50,USD,0.00,41,Checking\r\n');
+    });
+
+    it('defuses formulas but keeps negative numbers', () => {
+      expect(csv.row(transaction({ description: '=HYPERLINK("x")' }), 0)).toContain(`,"'=HYPERLINK(""x"")",`);
+      expect(csv.row(transaction({ description: '@SUM(A1)' }), 0)).toContain(",'@SUM(A1),");
+      expect(csv.row(transaction({ description: '-5' }), 0)).toContain(',-5,-12.50,');
+    });
+
+    it('leaves missing values empty', () => {
+      expect(csv.row(transaction({ description: null, account_name: undefined }), 0))
+        .toBe('2026-10-05,expense,Food,,-12.50,USD,0.00,41,\r\n');
+    });
+  });
+
+  describe('jsonl', () => {
+    it('writes one object per line with a rounded balance', () => {
+      const line = createExportFormatter('jsonl', meta).row(transaction(), 87.499);
+
+      expect(line.endsWith('\n')).toBe(true);
+      expect(JSON.parse(line)).toMatchObject({ id: 41, transaction_date: '2026-10-05', amount: 12.5, balance: 87.5 });
+    });
+  });
+
+  describe('ofx', () => {
+    const ofx = createExportFormatter('ofx', meta);
+
+    it('describes the statement in the header', () => {
+      const header = ofx.header();
+
+      expect(header.startsWith('OFXHEADER:100\r\nDATA:OFXSGML\r\n')).toBe(true);
+      expect(header).toContain('<DTSERVER>20261019\r\n');
+      expect(header).toContain('<CURDEF>USD\r\n');
+      expect(header).toContain('<ACCTID>7\r\n');
+      expect(header).toContain('<DTSTART>20261001\r\n<DTEND>20261031\r\n');
+    });
+
+    it('writes statement transactions with escaped text', () => {
+      const row = ofx.row(transaction({ description: 'Fish & <Chips>\r\nto go', converted_amount: '14.00' }));
+
+      expect(row).toContain('<TRNTYPE>DEBIT\r\n<DTPOSTED>20261005\r\n<TRNAMT>-14.00\r\n<FITID>41\r\n');
+      expect(row).toContain('<NAME>Fish &amp; &lt;Chips&gt; to go\r\n');
+      expect(row).toContain('<MEMO>Food\r\n');
+    });
+
+    it('marks income and transfers', () => {
+      expect(ofx.row(transaction({ type: 'income' }))).toContain('<TRNTYPE>CREDIT\r\n');
+      expect(ofx.row(transaction({ type: 'transfer', transfer_id: 3, transfer_direction: 'in' })))
+        .toContain('<TRNTYPE>XFER\r\n<DTPOSTED>20261005\r\n<TRNAMT>12.50');
+    });
+
+    it('falls back to the category and truncates the name', () => {
+      expect(ofx.row(transaction({ description: null }))).toContain('<NAME>Food\r\n');
+      expect(ofx.row(transaction({ description: 'x'.repeat(40) }))).toContain(`<NAME>${'x'.repeat(32)}\r\n`);
+    });
+
+    it('leaves out rows with no exchange rate', () => {
+      expect(ofx.row(transaction({ currency: 'JPY', converted_amount: null }))).toBe('');
+    });
+
+    it('closes with the ledger balance', () => {
+      const footer = ofx.footer({ closingBalance: 75.5 });
+
+      expect(footer).toContain('<BALAMT>75.50\r\n<DTASOF>20261031\r\n');
+      expect(footer.trim().endsWith('</OFX>')).toBe(true);
+    });
+  });
+
+  describe('pdf', () => {
+    it('writes a statement whose cross-reference offsets point at its objects', () => {
+      const pdf = createExportFormatter('pdf', meta);
+      const output = pdf.header() +
+        pdf.row(transaction(), 87.5) +
+        pdf.row(transaction({ id: 42, description: 'Café (☕)' }), 75) +
+        pdf.footer({ income: 0, incomeCount: 0, expense: 25, expenseCount: 2, closingBalance: 75 });
+
+      expect(output.startsWith('%PDF-1.4\n')).toBe(true);
+      expect(output.endsWith('%%EOF\n')).toBe(true);
+      expect(output).toContain('Café \\(?\\)');
+      expect(output).toContain('/Count 1');
+
+      const bytes = Buffer.from(output, 'latin1');
+      const xrefOffset = parseInt(output.match(/startxref\n(\d+)/)[1]);
+      expect(bytes.slice(xrefOffset, xrefOffset + 4).toString('latin1')).toBe('xref');
+
+      const offsets = output.slice(output.indexOf('xref\n')).match(/^\d{10} 00000 n /gm).map(row => parseInt(row));
+      offsets.forEach((offset, i) => {
+        expect(bytes.slice(offset, offset + 10).toString('latin1')).toMatch(new RegExp(`^${i + 1} 0 obj`));
+      });
+    });
+  });
+});
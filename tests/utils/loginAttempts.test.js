@@ -0,0 +1,156 @@
+// In-memory stand-in for the Redis commands used; TTLs are stored, not counted down
+jest.mock('../../config/redis', () => {
+  const store = new Map();
+  const commands = {
+    get: async (key) => (store.has(key) ? store.get(key).value : null),
+    pTTL: async (key) => (store.has(key) ? store.get(key).ttl * 1000 : -2),
+    incr: async (key) => {
+      const value = (store.has(key) ? store.get(key).value : 0) + 1;
+      store.set(key, { value, ttl: store.has(key) ? store.get(key).ttl : -1 });
+      return value;
+    },
+    expire: async (key, seconds) => {
+      if (!store.has(key)) return 0;
+      store.get(key).ttl = seconds;
+      return 1;
+    },
+    set: async (key, value, { EX }) => {
+      store.set(key, { value, ttl: EX });
+      return 'OK';
+    },
+    del: async (key) => (store.delete(key) ? 1 : 0)
+  };
+
+  const multi = () => {
+    const queued = [];
+    const chain = {
+      exec: async () => {
+        const results = [];
+        for (const [name, args] of queued) results.push(await commands[name](...args));
+        return results;
+      }
+    };
+    Object.keys(commands).forEach(name => {
+      chain[name] = (...args) => {
+        queued.push([name, args]);
+        return chain;
+      };
+    });
+    return chain;
+  };
+
+  return { client: { isOpen: true, store, multi, ...commands } };
+});
+jest.mock('../../utils/auditLog', () => ({ recordAuditEvent: jest.fn().mockResolvedValue() }));
+
+const { client } = require('../../config/redis');
+const { recordAuditEvent } = require('../../utils/auditLog');
+const {
+  MAX_FAILURES,
+  LOCKOUT_MINUTES,
+  getLoginBlock,
+  recordLoginFailure,
+  clearLoginFailures,
+  loginBlockMessage
+} = require('../../utils/loginAttempts');
+
+const fail = (times, email = 'jane@example.com') => Array.from({ length: times })
+  .reduce(promise => promise.then(() => recordLoginFailure(email)), Promise.resolve());
+
+describe('loginAttempts', () => {
+  beforeEach(() => {
+    client.store.clear();
+    client.isOpen = true;
+    recordAuditEvent.mockClear();
+  });
+
+  it('allows three free attempts, then backs off exponentially', async () => {
+    const blocks = [];
+    for (let i = 0; i < 6; i++) blocks.push(await recordLoginFailure('jane@example.com'));
+
+    expect(blocks).toEqual([
+      null,
+      null,
+      null,
+      { reason: 'backoff', retryAfter: 1 },
+      { reason: 'backoff', retryAfter: 2 },
+      { reason: 'backoff', retryAfter: 4 }
+    ]);
+    expect(await getLoginBlock('jane@example.com')).toEqual({ reason: 'backoff', retryAfter: 4 });
+  });
+
+  it('treats addresses case- and whitespace-insensitively and stores no email', async () => {
+    await fail(4, ' Jane@Example.com ');
+
+    expect(await getLoginBlock('jane@example.com')).toEqual({ reason: 'backoff', retryAfter: 1 });
+    expect([...client.store.keys()].some(key => key.includes('jane'))).toBe(false);
+  });
+
+  it('locks the identity out after the maximum failures and audits it', async () => {
+    await fail(MAX_FAILURES - 1);
+    const block = await recordLoginFailure('jane@example.com', { userId: 7 });
+
+    expect(block).toEqual({ reason: 'lockout', retryAfter: LOCKOUT_MINUTES * 60 });
+    expect(await getLoginBlock('jane@example.com')).toEqual(block);
+    expect(recordAuditEvent).toHaveBeenCalledWith(expect.objectContaining({
+      type: 'account_locked',
+      userId: 7,
+      details: expect.objectContaining({ failedAttempts: MAX_FAILURES, lockoutCount: 1 })
+    }));
+  });
+
+  it('doubles repeat lockouts up to an hour', async () => {
+    const lockouts = [];
+    for (let i = 0; i < 4; i++) {
+      await fail(MAX_FAILURES - 1);
+      lockouts.push((await recordLoginFailure('jane@example.com')).retryAfter);
+    }
+
+    const cap = Math.max(LOCKOUT_MINUTES * 60, 60 * 60);
+    expect(lockouts).toEqual([1, 2, 4, 8].map(factor => Math.min(LOCKOUT_MINUTES * 60 * factor, cap)));
+    expect(lockouts[3]).toBe(cap);
+  });
+
+  it('clears failures, blocks and lockout history', async () => {
+    await fail(MAX_FAILURES);
+
+    expect(await clearLoginFailures('jane@example.com')).toBe(true);
+    expect(await getLoginBlock('jane@example.com')).toBeNull();
+    expect(client.store.size).toBe(0);
+    expect(await clearLoginFailures('jane@example.com')).toBe(false);
+  });
+
+  it('logs rather than throws when clearing fails', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(client, 'multi').mockImplementationOnce(() => {
+      throw new Error('connection reset');
+    });
+
+    expect(await clearLoginFailures('jane@example.com')).toBe(false);
+    expect(console.error).toHaveBeenCalledWith('Clear login failures error:', expect.any(Error));
+
+    client.multi.mockRestore();
+    console.error.mockRestore();
+  });
+
+  it('does not track attempts without Redis', async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    client.isOpen = false;
+
+    expect(await recordLoginFailure('jane@example.com')).toBeNull();
+    expect(await getLoginBlock('jane@example.com')).toBeNull();
+    expect(await clearLoginFailures('jane@example.com')).toBe(false);
+    expect(client.store.size).toBe(0);
+
+    console.log.mockRestore();
+  });
+
+  describe('loginBlockMessage', () => {
+    it('gives lockouts in minutes and backoff in seconds', () => {
+      expect(loginBlockMessage({ reason: 'lockout', retryAfter: 901 }))
+        .toBe('Too many failed login attempts - the account is locked for 16 minute(s)');
+      expect(loginBlockMessage({ reason: 'backoff', retryAfter: 8 }))
+        .toBe('Too many failed login attempts - try again in 8 second(s)');
+    });
+  });
+});
@@ -0,0 +1,148 @@
+const net = require('net');
+const { buildMessage, createSmtpMailer, getMailer, setMailer } = require('../../utils/mailer');
+
+// Minimal SMTP server without TLS: records commands and the message data
+const startSmtpServer = () => new Promise((resolve) => {
+  const commands = [];
+  const messages = [];
+  const sockets = new Set();
+
+  const server = net.createServer((socket) => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+    let buffer = '';
+    let data = null;
+
+    socket.write('220 test.local ESMTP\r\n');
+    socket.on('data', (chunk) => {
+      buffer += chunk.toString('utf8');
+      let index;
+      while ((index = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+
+        if (data !== null) {
+          if (line === '.') {
+            messages.push(data.join('\r\n'));
+            data = null;
+            socket.write('250 Queued\r\n');
+          } else {
+            data.push(line);
+          }
+          continue;
+        }
+
+        commands.push(line);
+        const verb = line.split(' ')[0].toUpperCase();
+        if (verb === 'EHLO') {
+          // Multi-line reply: every line but the last uses "250-"
+          const lines = ['test.local', 'PIPELINING', 'AUTH PLAIN LOGIN'];
+          socket.write(lines.map((text, i) => `250${i === lines.length - 1 ? ' ' : '-'}${text}\r\n`).join(''));
+        } else if (verb === 'STARTTLS') {
+          socket.write('502 Command not implemented\r\n');
+        } else if (verb === 'AUTH') {
+          socket.write('235 Authenticated\r\n');
+        } else if (verb === 'RCPT' && line.includes('rejected@')) {
+          socket.write('550 No such user\r\n');
+        } else if (verb === 'DATA') {
+          data = [];
+          socket.write('354 Go ahead\r\n');
+        } else if (verb === 'QUIT') {
+          socket.end('221 Bye\r\n');
+        } else {
+          socket.write('250 OK\r\n');
+        }
+      }
+    });
+    socket.on('error', () => {});
+  });
+
+  const close = () => new Promise((done) => {
+    sockets.forEach(socket => socket.destroy());
+    server.close(done);
+  });
+
+  server.listen(0, '127.0.0.1', () => resolve({ port: server.address().port, commands, messages, close }));
+});
+
+describe('mailer', () => {
+  const originalEnv = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+    setMailer(null);
+  });
+
+  describe('buildMessage', () => {
+    it('rejects header values with line breaks', () => {
+      expect(() => buildMessage({ from: 'a@example.com', to: 'b@example.com\r\nBcc: c@example.com', subject: 'Hi', text: 'x' }))
+        .toThrow('Email header values cannot contain line breaks');
+    });
+
+    it('encodes non-ASCII bodies as base64', () => {
+      const message = buildMessage({ from: 'a@example.com', to: 'b@example.com', subject: 'Hi', text: 'Café' });
+      expect(message).toContain('Content-Transfer-Encoding: base64');
+      expect(message).toContain(Buffer.from('Café').toString('base64'));
+    });
+  });
+
+  describe('getMailer', () => {
+    it('defaults to the console in development', () => {
+      process.env.NODE_ENV = 'development';
+      delete process.env.MAIL_TRANSPORT;
+      expect(getMailer()).toHaveProperty('sendMail');
+    });
+
+    it('refuses to pick a transport in production without MAIL_TRANSPORT', () => {
+      process.env.NODE_ENV = 'production';
+      delete process.env.MAIL_TRANSPORT;
+      expect(() => getMailer()).toThrow('MAIL_TRANSPORT must be set');
+    });
+
+    it('rejects unknown transports', () => {
+      process.env.MAIL_TRANSPORT = 'pigeon';
+      expect(() => getMailer()).toThrow('Unknown MAIL_TRANSPORT: pigeon');
+    });
+  });
+
+  describe('createSmtpMailer', () => {
+    let smtp;
+
+    beforeEach(async () => {
+      smtp = await startSmtpServer();
+    });
+
+    afterEach(() => smtp.close());
+
+    it('requires SMTP_HOST', () => {
+      expect(() => createSmtpMailer({})).toThrow('SMTP mail transport needs SMTP_HOST');
+    });
+
+    it('refuses to send when the server does not offer STARTTLS', async () => {
+      const mailer = createSmtpMailer({ host: '127.0.0.1', port: smtp.port, secure: false, user: 'app', password: 'secret' });
+
+      await expect(mailer.sendMail({ to: 'user@example.com', subject: 'Reset', text: 'link' })).rejects.toThrow();
+      expect(smtp.commands.some(command => command.startsWith('AUTH'))).toBe(false);
+      expect(smtp.messages).toHaveLength(0);
+    });
+
+    it('sends without TLS only when explicitly allowed', async () => {
+      const mailer = createSmtpMailer({ host: '127.0.0.1', port: smtp.port, secure: false, allowInsecure: true });
+
+      await mailer.sendMail({ to: 'user@example.com', subject: 'Reset', text: 'Line one\n.Line two' });
+
+      expect(smtp.commands).toContain('RCPT TO:<user@example.com>');
+      expect(smtp.messages).toHaveLength(1);
+      expect(smtp.messages[0]).toContain('Subject: Reset');
+      // A leading dot is doubled on the wire so it cannot end the message early
+      expect(smtp.messages[0]).toContain('..Line two');
+    });
+
+    it('reports recipients the server rejects', async () => {
+      const mailer = createSmtpMailer({ host: '127.0.0.1', port: smtp.port, secure: false, allowInsecure: true });
+
+      await expect(mailer.sendMail({ to: 'rejected@example.com', subject: 'Reset', text: 'link' }))
+        .rejects.toThrow(/550/);
+    });
+  });
+});
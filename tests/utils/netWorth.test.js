@@ -0,0 +1,42 @@
+jest.mock('../../config/database', () => ({ pool: { query: jest.fn() } }));
+
+const { MAX_POINTS, seriesDates } = require('../../utils/netWorth');
+
+describe('netWorth', () => {
+  describe('seriesDates', () => {
+    it('ends each week on its last day', () => {
+      expect(seriesDates(new Date(2026, 9, 5), new Date(2026, 9, 25), 'weekly'))
+        .toEqual(['2026-10-11', '2026-10-18', '2026-10-25']);
+    });
+
+    it('ends each month on its last day, with the end date last', () => {
+      expect(seriesDates(new Date(2026, 0, 1), new Date(2026, 3, 15), 'monthly'))
+        .toEqual(['2026-01-31', '2026-02-28', '2026-03-31', '2026-04-15']);
+    });
+
+    it('does not repeat an end date that closes an interval', () => {
+      expect(seriesDates(new Date(2026, 0, 1), new Date(2026, 2, 31), 'monthly'))
+        .toEqual(['2026-01-31', '2026-02-28', '2026-03-31']);
+    });
+
+    it('steps month-end starts from the start date', () => {
+      expect(seriesDates(new Date(2026, 0, 31), new Date(2026, 4, 31), 'monthly'))
+        .toEqual(['2026-02-27', '2026-03-30', '2026-04-29', '2026-05-30', '2026-05-31']);
+    });
+
+    it('ends each year on its last day', () => {
+      expect(seriesDates(new Date(2024, 0, 1), new Date(2026, 9, 19), 'yearly'))
+        .toEqual(['2024-12-31', '2025-12-31', '2026-10-19']);
+    });
+
+    it('has a single point for ranges shorter than an interval', () => {
+      expect(seriesDates(new Date(2026, 9, 19), new Date(2026, 9, 19), 'monthly')).toEqual(['2026-10-19']);
+      expect(seriesDates(new Date(2026, 9, 1), new Date(2026, 9, 19), 'yearly')).toEqual(['2026-10-19']);
+    });
+
+    it('grows past MAX_POINTS for long weekly ranges', () => {
+      expect(seriesDates(new Date(2018, 0, 1), new Date(2026, 0, 1), 'weekly').length).toBeGreaterThan(MAX_POINTS);
+      expect(seriesDates(new Date(2018, 0, 1), new Date(2026, 0, 1), 'monthly')).toHaveLength(97);
+    });
+  });
+});
@@ -0,0 +1,73 @@
+// Keep hashing fast; the work factor is read when the module loads
+process.env.BCRYPT_ROUNDS = '4';
+
+const bcrypt = require('bcryptjs');
+const {
+  BCRYPT_ROUNDS,
+  hashPassword,
+  isPasswordHash,
+  verifyPassword,
+  verifyUnknownUserPassword
+} = require('../../utils/passwords');
+
+describe('passwords', () => {
+  it('reads the work factor from BCRYPT_ROUNDS', () => {
+    expect(BCRYPT_ROUNDS).toBe(4);
+  });
+
+  describe('hashPassword', () => {
+    it('stores a bcrypt hash at the configured work factor', async () => {
+      const hash = await hashPassword('Secret123');
+
+      expect(isPasswordHash(hash)).toBe(true);
+      expect(bcrypt.getRounds(hash)).toBe(4);
+      expect(hash).not.toContain('Secret123');
+    });
+  });
+
+  describe('isPasswordHash', () => {
+    it.each([
+      ['$2a$10$abcdefghijklmnopqrstuuJ3Zp1TS0p7YyzIu2BOXqx1m1mhpAJ5S', true],
+      ['$2b$12$abcdefghijklmnopqrstuuJ3Zp1TS0p7YyzIu2BOXqx1m1mhpAJ5S', true],
+      ['Secret123', false],
+      ['$2a$10$tooshort', false],
+      ['', false],
+      [null, false]
+    ])('recognizes %p', (value, expected) => {
+      expect(isPasswordHash(value)).toBe(expected);
+    });
+  });
+
+  describe('verifyPassword', () => {
+    it('accepts the right password for a current hash', async () => {
+      const hash = await hashPassword('Secret123');
+
+      expect(await verifyPassword('Secret123', hash)).toEqual({ valid: true, needsRehash: false });
+      expect(await verifyPassword('secret123', hash)).toEqual({ valid: false, needsRehash: false });
+    });
+
+    it('asks for a rehash when the work factor changed', async () => {
+      const hash = await bcrypt.hash('Secret123', 5);
+
+      expect(await verifyPassword('Secret123', hash)).toEqual({ valid: true, needsRehash: true });
+      expect(await verifyPassword('wrong', hash)).toEqual({ valid: false, needsRehash: false });
+    });
+
+    it('upgrades legacy plaintext passwords', async () => {
+      expect(await verifyPassword('Secret123', 'Secret123')).toEqual({ valid: true, needsRehash: true });
+      expect(await verifyPassword('Secret12', 'Secret123')).toEqual({ valid: false, needsRehash: false });
+    });
+  });
+
+  describe('verifyUnknownUserPassword', () => {
+    it('always rejects, after running a bcrypt comparison', async () => {
+      const compare = jest.spyOn(bcrypt, 'compare');
+
+      expect(await verifyUnknownUserPassword('Secret123')).toEqual({ valid: false, needsRehash: false });
+      expect(await verifyUnknownUserPassword('anything')).toEqual({ valid: false, needsRehash: false });
+      expect(compare).toHaveBeenCalledTimes(2);
+
+      compare.mockRestore();
+    });
+  });
+});
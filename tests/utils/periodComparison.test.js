@@ -0,0 +1,43 @@
+const { parseDateOnly, comparisonRange, compareAmounts } = require('../../utils/periodComparison');
+
+describe('periodComparison', () => {
+  describe('parseDateOnly', () => {
+    it('parses a date at local midnight', () => {
+      const date = parseDateOnly('2026-03-09');
+      expect([date.getFullYear(), date.getMonth(), date.getDate(), date.getHours()]).toEqual([2026, 2, 9, 0]);
+    });
+  });
+
+  describe('comparisonRange', () => {
+    it.each([
+      // Month-to-date compares with the same days of the previous month
+      ['2026-10-01', '2026-10-19', 'previous', '2026-09-01', '2026-09-19'],
+      // Whole months shift by their number of months, clamping month ends
+      ['2026-03-01', '2026-03-31', 'previous', '2026-02-01', '2026-02-28'],
+      // Other periods shift by their length in days
+      ['2026-10-05', '2026-10-11', 'previous', '2026-09-28', '2026-10-04'],
+      ['2026-03-15', '2026-03-15', 'previous', '2026-03-14', '2026-03-14'],
+      ['2024-02-29', '2024-03-31', 'previous_year', '2023-02-28', '2023-03-31']
+    ])('compares %s to %s (%s) with %s to %s', (startDate, endDate, mode, expectedStart, expectedEnd) => {
+      expect(comparisonRange(startDate, endDate, mode)).toEqual({ startDate: expectedStart, endDate: expectedEnd });
+    });
+
+    it('defaults to the previous period', () => {
+      expect(comparisonRange('2026-10-05', '2026-10-11')).toEqual(comparisonRange('2026-10-05', '2026-10-11', 'previous'));
+    });
+  });
+
+  describe('compareAmounts', () => {
+    it.each([
+      [150, 100, { change: 50, changePercentage: 50, status: 'increased' }],
+      [75, 100, { change: -25, changePercentage: -25, status: 'decreased' }],
+      [100, 100, { change: 0, changePercentage: 0, status: 'unchanged' }],
+      [40, 0, { change: 40, changePercentage: null, status: 'new' }],
+      [0, 60, { change: -60, changePercentage: -100, status: 'dropped' }],
+      [0, 0, { change: 0, changePercentage: null, status: 'unchanged' }],
+      [10.1, 10.2, { change: -0.1, changePercentage: -0.98, status: 'decreased' }]
+    ])('compares %p with %p', (current, previous, expected) => {
+      expect(compareAmounts(current, previous)).toEqual(expected);
+    });
+  });
+});
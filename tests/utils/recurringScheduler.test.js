@@ -0,0 +1,196 @@
+jest.mock('../../config/database', () => ({ pool: { query: jest.fn(), connect: jest.fn() } }));
+jest.mock('../../middleware/cache', () => ({
+  clearTransactionCache: jest.fn(),
+  clearAnalyticsCache: jest.fn(),
+  clearBudgetCache: jest.fn()
+}));
+jest.mock('../../utils/budgetAlerts', () => ({ checkBudgetAlerts: jest.fn() }));
+
+const { pool } = require('../../config/database');
+const { clearTransactionCache } = require('../../middleware/cache');
+const { checkBudgetAlerts } = require('../../utils/budgetAlerts');
+const { formatDateOnly } = require('../../utils/budgetProgress');
+const {
+  getOccurrenceDate,
+  getUpcomingOccurrences,
+  countOccurrencesThrough,
+  materializeRecurringTransaction,
+  runDueRecurringTransactions
+} = require('../../utils/recurringScheduler');
+
+const template = (overrides = {}) => ({
+  id: 9,
+  user_id: 7,
+  category_id: 3,
+  amount: '50.00',
+  currency: 'USD',
+  type: 'expense',
+  description: 'Gym',
+  frequency: 'monthly',
+  interval_count: 1,
+  start_date: new Date(2026, 0, 31),
+  end_date: null,
+  max_occurrences: null,
+  occurrences_count: 0,
+  ...overrides
+});
+
+const occurrenceDates = (row, count) => [...Array(count)]
+  .map((_, index) => getOccurrenceDate(row, index))
+  .map(date => (date ? formatDateOnly(date) : null));
+
+// Stand-in for a pooled client holding one template row. Transactions already
+// posted for a date are rejected, as the unique index does.
+const fakeClient = (row, { existingDates = [] } = {}) => {
+  const postedDates = new Set(existingDates);
+  const queries = [];
+  return {
+    queries,
+    release: jest.fn(),
+    query: jest.fn(async (text, params) => {
+      queries.push({ text, params });
+      if (text.includes('FOR UPDATE SKIP LOCKED')) return { rows: row ? [row] : [] };
+      if (text.includes('INSERT INTO transactions')) {
+        if (postedDates.has(params[6])) return { rows: [] };
+        postedDates.add(params[6]);
+        return { rows: [{ id: 100 + postedDates.size, transaction_date: params[6] }] };
+      }
+      return { rows: [] };
+    })
+  };
+};
+
+const statements = (client) => client.queries.map(({ text }) => text.trim().split(/\s+/)[0]);
+
+describe('recurringScheduler', () => {
+  describe('getOccurrenceDate', () => {
+    it('clamps month ends without drifting', () => {
+      expect(occurrenceDates(template(), 4)).toEqual(['2026-01-31', '2026-02-28', '2026-03-31', '2026-04-30']);
+    });
+
+    it('keeps Feb 29 yearly schedules on the last day of February', () => {
+      expect(occurrenceDates(template({ frequency: 'yearly', start_date: new Date(2024, 1, 29) }), 5))
+        .toEqual(['2024-02-29', '2025-02-28', '2026-02-28', '2027-02-28', '2028-02-29']);
+    });
+
+    it('steps by the interval', () => {
+      expect(occurrenceDates(template({ frequency: 'weekly', interval_count: 2, start_date: new Date(2026, 11, 24) }), 3))
+        .toEqual(['2026-12-24', '2027-01-07', '2027-01-21']);
+      expect(occurrenceDates(template({ frequency: 'daily', interval_count: 3, start_date: new Date(2026, 1, 27) }), 2))
+        .toEqual(['2026-02-27', '2026-03-02']);
+    });
+
+    it('ends at the end date and maximum occurrences', () => {
+      expect(occurrenceDates(template({ end_date: new Date(2026, 2, 31) }), 4))
+        .toEqual(['2026-01-31', '2026-02-28', '2026-03-31', null]);
+      expect(occurrenceDates(template({ max_occurrences: 2 }), 3)).toEqual(['2026-01-31', '2026-02-28', null]);
+    });
+  });
+
+  describe('getUpcomingOccurrences', () => {
+    it('lists from the next unposted occurrence with 1-based indexes', () => {
+      expect(getUpcomingOccurrences(template({ occurrences_count: 1 }), 2)).toEqual([
+        { index: 2, date: '2026-02-28' },
+        { index: 3, date: '2026-03-31' }
+      ]);
+    });
+
+    it('stops when the schedule ends', () => {
+      expect(getUpcomingOccurrences(template({ max_occurrences: 1 }), 5)).toHaveLength(1);
+    });
+  });
+
+  describe('countOccurrencesThrough', () => {
+    it('counts the slots on or before the date', () => {
+      expect(countOccurrencesThrough(template(), '2026-01-30')).toBe(0);
+      expect(countOccurrencesThrough(template(), '2026-02-28')).toBe(2);
+      expect(countOccurrencesThrough(template(), new Date(2026, 3, 29))).toBe(3);
+      expect(countOccurrencesThrough(template({ max_occurrences: 2 }), '2027-01-01')).toBe(2);
+    });
+  });
+
+  describe('materializeRecurringTransaction', () => {
+    beforeEach(() => {
+      pool.connect.mockReset();
+      clearTransactionCache.mockClear();
+      checkBudgetAlerts.mockClear();
+    });
+
+    it('posts every due occurrence and advances the template', async () => {
+      const client = fakeClient(template());
+      pool.connect.mockResolvedValue(client);
+
+      const result = await materializeRecurringTransaction(9, { referenceDate: new Date(2026, 2, 31) });
+
+      expect(result.posted.map(row => row.transaction_date)).toEqual(['2026-01-31', '2026-02-28', '2026-03-31']);
+      expect(result).toMatchObject({ nextOccurrenceDate: '2026-04-30', completed: false });
+      expect(client.queries.find(({ text }) => text.includes('UPDATE recurring_transactions')).params)
+        .toEqual([3, '2026-04-30', true, 9]);
+      expect(statements(client).pop()).toBe('COMMIT');
+      expect(clearTransactionCache).toHaveBeenCalledWith(7);
+      expect(checkBudgetAlerts).toHaveBeenCalledWith(7, 3, '2026-03-31');
+    });
+
+    it('does not post an occurrence twice', async () => {
+      // The counter lags behind a February posting that already exists
+      const client = fakeClient(template({ occurrences_count: 1 }), { existingDates: ['2026-02-28'] });
+      pool.connect.mockResolvedValue(client);
+
+      const result = await materializeRecurringTransaction(9, { referenceDate: new Date(2026, 2, 31) });
+
+      expect(result.posted.map(row => row.transaction_date)).toEqual(['2026-03-31']);
+      expect(client.queries.find(({ text }) => text.includes('UPDATE recurring_transactions')).params[0]).toBe(3);
+    });
+
+    it('skips a template another run has locked', async () => {
+      const client = fakeClient(null);
+      pool.connect.mockResolvedValue(client);
+
+      expect(await materializeRecurringTransaction(9)).toEqual({ recurringTransactionId: 9, posted: [], skipped: true });
+      expect(statements(client)).toEqual(['BEGIN', 'SELECT', 'ROLLBACK']);
+      expect(client.release).toHaveBeenCalled();
+    });
+
+    it('completes the schedule after the last occurrence', async () => {
+      pool.connect.mockResolvedValue(fakeClient(template({ max_occurrences: 2 })));
+
+      const result = await materializeRecurringTransaction(9, { referenceDate: new Date(2026, 5, 1) });
+
+      expect(result.posted).toHaveLength(2);
+      expect(result).toMatchObject({ nextOccurrenceDate: null, completed: true });
+    });
+
+    it('rolls back a dry run', async () => {
+      const client = fakeClient(template());
+      pool.connect.mockResolvedValue(client);
+
+      const result = await materializeRecurringTransaction(9, { referenceDate: new Date(2026, 1, 1), dryRun: true });
+
+      expect(result.posted).toHaveLength(1);
+      expect(statements(client).pop()).toBe('ROLLBACK');
+      expect(clearTransactionCache).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('runDueRecurringTransactions', () => {
+    it('reports failures without stopping the run', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      pool.query.mockResolvedValue({ rows: [{ id: 9 }, { id: 10 }] });
+      pool.connect
+        .mockRejectedValueOnce(new Error('connection lost'))
+        .mockResolvedValueOnce(fakeClient(template({ id: 10 })));
+
+      const summary = await runDueRecurringTransactions({ referenceDate: new Date(2026, 0, 31) });
+
+      expect(pool.query.mock.calls[0][1]).toEqual(['2026-01-31']);
+      expect(summary).toMatchObject({
+        referenceDate: '2026-01-31',
+        templatesProcessed: 1,
+        transactionsPosted: 1,
+        failures: [{ recurringTransactionId: 9, error: 'connection lost' }]
+      });
+
+      console.error.mockRestore();
+    });
+  });
+});
@@ -0,0 +1,162 @@
+jest.mock('../../config/database', () => ({ pool: { query: jest.fn(), connect: jest.fn() } }));
+
+process.env.JWT_SECRET = 'test-secret';
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { pool } = require('../../config/database');
+const {
+  REFRESH_TOKEN_TTL_DAYS,
+  createSession,
+  rotateRefreshToken,
+  createLoginChallenge,
+  verifyLoginChallenge,
+  revokeSession,
+  revokeUserSessions
+} = require('../../utils/sessions');
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+// Stand-in for a pooled client: answers queries from a handler and records them
+const fakeClient = (handler = () => ({ rows: [] })) => {
+  const queries = [];
+  return {
+    queries,
+    release: jest.fn(),
+    query: jest.fn(async (text, params) => {
+      queries.push({ text, params });
+      return handler(text, params);
+    })
+  };
+};
+
+const statements = (client) => client.queries.map(({ text }) => text.trim().split(/\s+/)[0]);
+
+const tokenRow = (overrides = {}) => ({
+  id: 11,
+  used_at: null,
+  session_id: 4,
+  revoked_at: null,
+  expires_at: new Date(Date.now() + 60000),
+  user_id: 7,
+  role: 'user',
+  ...overrides
+});
+
+describe('sessions', () => {
+  beforeEach(() => {
+    pool.query.mockReset();
+    pool.connect.mockReset();
+  });
+
+  describe('createSession', () => {
+    const req = { get: () => 'Mozilla/5.0', ip: '203.0.113.9' };
+
+    it('stores the device and a hashed refresh token', async () => {
+      const client = fakeClient((text) => (text.includes('INSERT INTO user_sessions') ? { rows: [{ id: 4 }] } : { rows: [] }));
+      pool.connect.mockResolvedValue(client);
+
+      const { token, refreshToken } = await createSession({ id: 7, role: 'admin' }, req);
+
+      expect(statements(client)).toEqual(['BEGIN', 'DELETE', 'INSERT', 'INSERT', 'UPDATE', 'COMMIT']);
+      expect(client.queries[2].params).toEqual([7, 'Mozilla/5.0', '203.0.113.9', REFRESH_TOKEN_TTL_DAYS]);
+      expect(client.queries[3].params).toEqual([4, sha256(refreshToken)]);
+      expect(jwt.verify(token, 'test-secret')).toMatchObject({ userId: 7, role: 'admin', sessionId: 4 });
+      expect(client.release).toHaveBeenCalled();
+    });
+
+    it('rolls back when a query fails', async () => {
+      const client = fakeClient((text) => {
+        if (text.includes('INSERT INTO user_sessions')) throw new Error('connection lost');
+        return { rows: [] };
+      });
+      pool.connect.mockResolvedValue(client);
+
+      await expect(createSession({ id: 7, role: 'user' }, req)).rejects.toThrow('connection lost');
+      expect(statements(client).pop()).toBe('ROLLBACK');
+      expect(client.release).toHaveBeenCalled();
+    });
+  });
+
+  describe('rotateRefreshToken', () => {
+    const withToken = (row) => {
+      const client = fakeClient((text) => (text.includes('FROM refresh_tokens') ? { rows: row ? [row] : [] } : { rows: [] }));
+      pool.connect.mockResolvedValue(client);
+      return client;
+    };
+
+    it('marks the token used and issues a new pair', async () => {
+      const client = withToken(tokenRow());
+
+      const result = await rotateRefreshToken('old-token');
+
+      expect(client.queries[1].params).toEqual([sha256('old-token')]);
+      expect(client.queries[2]).toEqual({ text: 'UPDATE refresh_tokens SET used_at = CURRENT_TIMESTAMP WHERE id = $1', params: [11] });
+      expect(client.queries[3].params).toEqual([4, sha256(result.refreshToken)]);
+      expect(result.refreshToken).not.toBe('old-token');
+      expect(jwt.verify(result.token, 'test-secret')).toMatchObject({ userId: 7, role: 'user', sessionId: 4 });
+    });
+
+    it('rejects unknown tokens and revoked sessions', async () => {
+      withToken(null);
+      expect(await rotateRefreshToken('unknown')).toEqual({ error: 'invalid' });
+
+      withToken(tokenRow({ revoked_at: new Date() }));
+      expect(await rotateRefreshToken('old-token')).toEqual({ error: 'invalid' });
+    });
+
+    it('revokes the session when a used token comes back', async () => {
+      const client = withToken(tokenRow({ used_at: new Date() }));
+
+      expect(await rotateRefreshToken('old-token')).toEqual({ error: 'reused' });
+      expect(client.queries[2].text).toContain("revoked_reason = 'token_reuse'");
+      expect(client.queries[2].params).toEqual([4]);
+      expect(statements(client).pop()).toBe('COMMIT');
+    });
+
+    it('rejects expired sessions', async () => {
+      const client = withToken(tokenRow({ expires_at: new Date(Date.now() - 1000) }));
+
+      expect(await rotateRefreshToken('old-token')).toEqual({ error: 'expired' });
+      expect(statements(client)).toEqual(['BEGIN', 'SELECT', 'COMMIT']);
+    });
+  });
+
+  describe('login challenges', () => {
+    it('round-trips the user ID', () => {
+      expect(verifyLoginChallenge(createLoginChallenge(7))).toBe(7);
+    });
+
+    it('rejects access tokens, tampered and expired tokens', () => {
+      const accessToken = jwt.sign({ userId: 7, role: 'user', sessionId: 4 }, 'test-secret');
+      const expired = jwt.sign({ userId: 7, purpose: 'two_factor' }, 'test-secret', { expiresIn: -10 });
+
+      expect(verifyLoginChallenge(accessToken)).toBeNull();
+      expect(verifyLoginChallenge(`${createLoginChallenge(7)}x`)).toBeNull();
+      expect(verifyLoginChallenge(expired)).toBeNull();
+      expect(verifyLoginChallenge(undefined)).toBeNull();
+    });
+  });
+
+  describe('revokeSession', () => {
+    it('reports whether an active session of the user matched', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [{ id: 4 }] }).mockResolvedValueOnce({ rows: [] });
+
+      expect(await revokeSession(7, 4, 'logout')).toBe(true);
+      expect(await revokeSession(7, 5, 'logout')).toBe(false);
+      expect(pool.query.mock.calls[0][1]).toEqual([4, 7, 'logout']);
+    });
+  });
+
+  describe('revokeUserSessions', () => {
+    it('keeps the current session and returns the count', async () => {
+      pool.query.mockResolvedValue({ rowCount: 3 });
+
+      expect(await revokeUserSessions(7, 'password_change', 4)).toBe(3);
+      expect(pool.query.mock.calls[0][1]).toEqual([7, 'password_change', 4]);
+
+      await revokeUserSessions(7, 'password_reset');
+      expect(pool.query.mock.calls[1][1]).toEqual([7, 'password_reset', null]);
+    });
+  });
+});
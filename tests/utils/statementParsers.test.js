@@ -0,0 +1,155 @@
+const {
+  detectFormat,
+  parseAmount,
+  parseDate,
+  parseCsv,
+  parseOfx,
+  parseQif,
+  parseStatement
+} = require('../../utils/statementParsers');
+
+describe('statementParsers', () => {
+  describe('detectFormat', () => {
+    it('uses the file extension first', () => {
+      expect(detectFormat('march.CSV')).toBe('csv');
+      expect(detectFormat('march.qfx')).toBe('ofx');
+    });
+
+    it('falls back to the content', () => {
+      expect(detectFormat('statement', 'OFXHEADER:100\nDATA:OFXSGML')).toBe('ofx');
+      expect(detectFormat('statement', '  !Type:Bank\nD1/15/2026')).toBe('qif');
+      expect(detectFormat('statement', 'date,amount')).toBeNull();
+    });
+  });
+
+  describe('parseAmount', () => {
+    it.each([
+      ['1,234.56', 1234.56],
+      ['(45.00)', -45],
+      ['-12', -12],
+      ['$ 7.5', 7.5],
+      ['+.25', 0.25],
+      [3, 3]
+    ])('parses %p', (value, expected) => {
+      expect(parseAmount(value)).toBe(expected);
+    });
+
+    it.each(['', 'abc', '1.2.3', null, undefined])('returns NaN for %p', (value) => {
+      expect(parseAmount(value)).toBeNaN();
+    });
+  });
+
+  describe('parseDate', () => {
+    it('reads ISO, OFX and QIF dates', () => {
+      expect(parseDate('2026-01-15')).toBe('2026-01-15');
+      expect(parseDate('20260115120000[-5:EST]')).toBe('2026-01-15');
+      expect(parseDate("1/15'26")).toBe('2026-01-15');
+    });
+
+    it('honors the day-first format for ambiguous dates', () => {
+      expect(parseDate('03/04/2026')).toBe('2026-03-04');
+      expect(parseDate('03/04/2026', 'DD/MM/YYYY')).toBe('2026-04-03');
+    });
+
+    it('rejects dates that do not exist', () => {
+      expect(parseDate('2026-02-30')).toBeNull();
+      expect(parseDate('13/01/2026')).toBeNull();
+      expect(parseDate('yesterday')).toBeNull();
+      expect(parseDate('')).toBeNull();
+    });
+  });
+
+  describe('parseCsv', () => {
+    it('maps columns by header name and keeps quoted delimiters', () => {
+      const content = '\uFEFFDate,Amount,Description\n2026-01-15,-12.50,"Coffee, large"\n2026-01-16,100,Refund\n';
+      const rows = parseCsv(content, { mapping: { date: 'Date', amount: 'amount', description: 'Description' } });
+
+      expect(rows).toEqual([
+        expect.objectContaining({ line: 2, date: '2026-01-15', amount: -12.5, description: 'Coffee, large' }),
+        expect.objectContaining({ line: 3, date: '2026-01-16', amount: 100, description: 'Refund' })
+      ]);
+    });
+
+    it('combines debit and credit columns and reads the type', () => {
+      const content = 'when;out;in;kind\n2026-01-15;20;;withdrawal\n2026-01-16;;35;deposit';
+      const rows = parseCsv(content, { mapping: { date: 'when', debit: 'out', credit: 'in', type: 'kind' } });
+
+      expect(rows.map(row => [row.amount, row.type])).toEqual([[-20, 'expense'], [35, 'income']]);
+    });
+
+    it('accepts column indexes without a header', () => {
+      const rows = parseCsv('15/01/2026,9.99,Music', {
+        mapping: { date: 0, amount: '1', description: 2 },
+        hasHeader: false,
+        dateFormat: 'DD/MM/YYYY'
+      });
+
+      expect(rows[0]).toMatchObject({ line: 1, date: '2026-01-15', amount: 9.99, description: 'Music' });
+    });
+
+    it('reports mapped columns missing from the header', () => {
+      expect(() => parseCsv('Date,Value\n2026-01-15,1', { mapping: { date: 'Posted', amount: 'Amount' } }))
+        .toThrow('Column mapping is missing or does not match the header: date, amount (or debit/credit)');
+    });
+
+    it('keeps the source line of rows after multi-line fields', () => {
+      const rows = parseCsv('date,amount,memo\n2026-01-15,1,"two\nlines"\n2026-01-16,2,after', {
+        mapping: { date: 'date', amount: 'amount', description: 'memo' }
+      });
+
+      expect(rows.map(row => row.line)).toEqual([2, 4]);
+    });
+  });
+
+  describe('parseOfx', () => {
+    it('reads unclosed SGML tags', () => {
+      const content = [
+        'OFXHEADER:100',
+        '<OFX><BANKTRANLIST>',
+        '<STMTTRN><TRNTYPE>DEBIT<DTPOSTED>20260115<TRNAMT>-42.10<FITID>abc1<NAME>GROCER<MEMO>Weekly shop',
+        '<STMTTRN><TRNTYPE>CREDIT<DTPOSTED>20260116120000<TRNAMT>1500<FITID>abc2<NAME>PAYROLL',
+        '</BANKTRANLIST></OFX>'
+      ].join('\n');
+
+      expect(parseOfx(content)).toEqual([
+        expect.objectContaining({ line: 3, date: '2026-01-15', amount: -42.1, description: 'GROCER - Weekly shop', reference: 'abc1' }),
+        expect.objectContaining({ line: 4, date: '2026-01-16', amount: 1500, description: 'PAYROLL', reference: 'abc2' })
+      ]);
+    });
+
+    it('reads closed XML tags', () => {
+      const content = '<STMTTRN><DTPOSTED>20260201</DTPOSTED><TRNAMT>-5.00</TRNAMT><NAME>Parking</NAME></STMTTRN>';
+      expect(parseOfx(content)).toEqual([expect.objectContaining({ date: '2026-02-01', amount: -5, description: 'Parking' })]);
+    });
+  });
+
+  describe('parseQif', () => {
+    it('reads records and the top-level category', () => {
+      const content = [
+        '!Type:Bank',
+        "D1/15'26",
+        'T-23.40',
+        'PCorner Cafe',
+        'LFood:Coffee',
+        'N1001',
+        '^',
+        'D01/16/2026',
+        'U1,000.00',
+        'MSalary',
+        'L[Savings]',
+        '^'
+      ].join('\n');
+
+      expect(parseQif(content)).toEqual([
+        { line: 2, date: '2026-01-15', rawDate: "1/15'26", amount: -23.4, description: 'Corner Cafe', type: null, category: 'Food', reference: '1001' },
+        { line: 8, date: '2026-01-16', rawDate: '01/16/2026', amount: 1000, description: 'Salary', type: null, category: 'Savings', reference: null }
+      ]);
+    });
+  });
+
+  describe('parseStatement', () => {
+    it('rejects unsupported formats', () => {
+      expect(() => parseStatement('xls', '')).toThrow('Unsupported statement format: xls');
+    });
+  });
+});
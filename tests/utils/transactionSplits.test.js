@@ -0,0 +1,91 @@
+const { validateSplits, saveSplits, inCategorySql } = require('../../utils/transactionSplits');
+
+// Stand-in for a pool or client: answers queries from a handler and records them
+const fakeDb = (handler = () => ({ rows: [] })) => {
+  const queries = [];
+  return {
+    queries,
+    query: jest.fn(async (text, params) => {
+      queries.push({ text, params });
+      return handler(text, params);
+    })
+  };
+};
+
+const categories = (rows) => fakeDb(() => ({ rows }));
+
+describe('transactionSplits', () => {
+  describe('validateSplits', () => {
+    it('normalizes lines that add up to the amount', async () => {
+      const db = categories([{ id: 3, type: 'expense' }, { id: 4, type: 'expense' }]);
+      const result = await validateSplits([
+        { category_id: '3', amount: '0.1', description: 'Fruit' },
+        { category_id: 4, amount: 0.2 }
+      ], '0.30', 'expense', 7, db);
+
+      expect(result).toEqual({
+        lines: [
+          { category_id: 3, amount: 0.1, description: 'Fruit' },
+          { category_id: 4, amount: 0.2, description: null }
+        ]
+      });
+      expect(db.queries[0].params).toEqual([[3, 4], 7]);
+    });
+
+    it('rejects lines that do not add up to the amount', async () => {
+      const db = categories([]);
+      const result = await validateSplits([{ category_id: 3, amount: 10 }, { category_id: 4, amount: 5 }], 20, 'expense', 7, db);
+
+      expect(result).toEqual({ error: 'Split amounts add up to 15.00 but the transaction amount is 20.00' });
+      expect(db.query).not.toHaveBeenCalled();
+    });
+
+    it('rejects categories the owner cannot see', async () => {
+      const result = await validateSplits([{ category_id: 3, amount: 5 }, { category_id: 9, amount: 5 }], 10, 'expense', 7,
+        categories([{ id: 3, type: 'expense' }]));
+
+      expect(result).toEqual({ error: 'Invalid split category ID 9' });
+    });
+
+    it('rejects categories of another type', async () => {
+      const result = await validateSplits([{ category_id: 3, amount: 10 }], 10, 'expense', 7,
+        categories([{ id: 3, type: 'income' }]));
+
+      expect(result).toEqual({ error: 'Split category 3 type (income) does not match transaction type (expense)' });
+    });
+  });
+
+  describe('saveSplits', () => {
+    it('replaces the existing lines', async () => {
+      let nextId = 100;
+      const db = fakeDb((text, params) => (text.startsWith('INSERT')
+        ? { rows: [{ id: nextId++, category_id: params[1], amount: params[2], description: params[3] }] }
+        : { rows: [] }));
+
+      const saved = await saveSplits(5, [
+        { category_id: 3, amount: 12.5, description: null },
+        { category_id: 4, amount: 7.5, description: 'Soap' }
+      ], db);
+
+      expect(db.queries[0]).toEqual({ text: 'DELETE FROM transaction_splits WHERE transaction_id = $1', params: [5] });
+      expect(saved).toEqual([
+        { id: 100, category_id: 3, amount: 12.5, description: null },
+        { id: 101, category_id: 4, amount: 7.5, description: 'Soap' }
+      ]);
+    });
+
+    it('only deletes when the transaction is no longer split', async () => {
+      const db = fakeDb();
+      expect(await saveSplits(5, [], db)).toEqual([]);
+      expect(db.query).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('inCategorySql', () => {
+    it('matches the transaction category or a split line', () => {
+      const sql = inCategorySql('$2', 'tx');
+      expect(sql).toContain('tx.category_id = $2');
+      expect(sql).toContain('s.transaction_id = tx.id AND s.category_id = $2');
+    });
+  });
+});
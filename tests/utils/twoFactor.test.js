@@ -0,0 +1,136 @@
+jest.mock('../../config/database', () => ({ pool: { query: jest.fn() } }));
+
+const crypto = require('crypto');
+const { pool } = require('../../config/database');
+const {
+  BACKUP_CODE_COUNT,
+  generateSecret,
+  totpCode,
+  matchTotpStep,
+  otpauthUri,
+  replaceBackupCodes,
+  countBackupCodes,
+  verifySecondFactor
+} = require('../../utils/twoFactor');
+
+// The SHA-1 seed from RFC 6238 appendix B, "12345678901234567890", in base32
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+const stepAt = (seconds) => Math.floor(seconds / 30);
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+describe('twoFactor', () => {
+  beforeEach(() => {
+    pool.query.mockReset();
+  });
+
+  describe('totpCode', () => {
+    // The RFC lists 8-digit codes; six-digit codes are their last six digits
+    it.each([
+      [59, '94287082'],
+      [1111111109, '07081804'],
+      [1111111111, '14050471'],
+      [1234567890, '89005924'],
+      [2000000000, '69279037'],
+      [20000000000, '65353130']
+    ])('matches the RFC 6238 vector at T=%d', (seconds, expected) => {
+      expect(totpCode(RFC_SECRET, stepAt(seconds))).toBe(expected.slice(-6));
+    });
+
+    it('accepts lower-case and padded secrets', () => {
+      expect(totpCode(`${RFC_SECRET.toLowerCase()}==`, stepAt(59))).toBe('287082');
+    });
+
+    it('rejects characters outside the base32 alphabet', () => {
+      expect(() => totpCode('GEZD1NBV', 1)).toThrow('Invalid base32 character: 1');
+    });
+  });
+
+  describe('generateSecret', () => {
+    it('returns 160 random bits in base32', () => {
+      const secret = generateSecret();
+
+      expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+      expect(generateSecret()).not.toBe(secret);
+    });
+  });
+
+  describe('matchTotpStep', () => {
+    const now = new Date(1234567890 * 1000);
+    const step = stepAt(1234567890);
+
+    it('returns the step of the current code', () => {
+      expect(matchTotpStep(RFC_SECRET, '005924', now)).toBe(step);
+      expect(matchTotpStep(RFC_SECRET, '005 924', now)).toBe(step);
+    });
+
+    it('allows one step of clock drift either way', () => {
+      expect(matchTotpStep(RFC_SECRET, totpCode(RFC_SECRET, step - 1), now)).toBe(step - 1);
+      expect(matchTotpStep(RFC_SECRET, totpCode(RFC_SECRET, step + 1), now)).toBe(step + 1);
+      expect(matchTotpStep(RFC_SECRET, totpCode(RFC_SECRET, step + 2), now)).toBeNull();
+    });
+
+    it('rejects malformed codes', () => {
+      expect(matchTotpStep(RFC_SECRET, '05924', now)).toBeNull();
+      expect(matchTotpStep(RFC_SECRET, 'abcdef', now)).toBeNull();
+      expect(matchTotpStep(RFC_SECRET, '0059240', now)).toBeNull();
+    });
+  });
+
+  describe('otpauthUri', () => {
+    it('labels the account with the issuer', () => {
+      const uri = otpauthUri(RFC_SECRET, 'jane+1@example.com');
+
+      expect(uri).toBe(
+        'otpauth://totp/Personal%20Finance%20Tracker:jane%2B1%40example.com' +
+        `?secret=${RFC_SECRET}&issuer=Personal%20Finance%20Tracker&algorithm=SHA1&digits=6&period=30`
+      );
+    });
+  });
+
+  describe('backup codes', () => {
+    it('stores only the hashes of a fresh set', async () => {
+      const db = { query: jest.fn().mockResolvedValue({ rows: [] }) };
+
+      const codes = await replaceBackupCodes(db, 7);
+
+      expect(codes).toHaveLength(BACKUP_CODE_COUNT);
+      codes.forEach(code => expect(code).toMatch(/^[A-Z2-7]{4}-[A-Z2-7]{4}$/));
+      expect(db.query.mock.calls[0][1]).toEqual([7]);
+      expect(db.query.mock.calls[1][1]).toEqual([7, codes.map(code => sha256(code.replace('-', '')))]);
+    });
+
+    it('counts the unused codes', async () => {
+      pool.query.mockResolvedValue({ rows: [{ remaining: '4' }] });
+      expect(await countBackupCodes(7)).toBe(4);
+    });
+  });
+
+  describe('verifySecondFactor', () => {
+    const user = { id: 7, two_factor_secret: RFC_SECRET };
+
+    it('accepts a current code once per step', async () => {
+      const code = totpCode(RFC_SECRET, stepAt(Date.now() / 1000));
+      pool.query.mockResolvedValueOnce({ rows: [{ id: 7 }] }).mockResolvedValueOnce({ rows: [] });
+
+      expect(await verifySecondFactor(user, code)).toEqual({ valid: true, method: 'totp' });
+      // The last accepted step is now this one, so the update matches nothing
+      expect(await verifySecondFactor(user, code)).toEqual({ valid: false });
+      expect(pool.query.mock.calls[0][1][1]).toBe(7);
+    });
+
+    it('falls back to an unused backup code', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [{ id: 3 }] }).mockResolvedValueOnce({ rows: [] });
+
+      expect(await verifySecondFactor(user, 'abcd-efgh')).toEqual({ valid: true, method: 'backup_code' });
+      expect(pool.query.mock.calls[0][1]).toEqual([7, sha256('ABCDEFGH')]);
+      expect(await verifySecondFactor(user, 'ABCDEFGH')).toEqual({ valid: false });
+    });
+
+    it('rejects users without two-factor and missing codes', async () => {
+      expect(await verifySecondFactor({ id: 7, two_factor_secret: null }, '123456')).toEqual({ valid: false });
+      expect(await verifySecondFactor(user, undefined)).toEqual({ valid: false });
+      expect(pool.query).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,101 @@
+/**
+ * Single-use links sent by email: confirming an email address and resetting
+ * a forgotten password. Tokens are stored hashed, expire, and issuing a new
+ * one for the same purpose invalidates the previous link.
+ */
+const crypto = require('crypto');
+const { sendMail } = require('./mailer');
+
+const TOKEN_PURPOSES = {
+  email_verification: { ttlMinutes: 24 * 60 },
+  password_reset: { ttlMinutes: 60 }
+};
+
+const appUrl = () => (process.env.APP_URL || 'http://localhost:3000').replace(/\/$/, '');
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Issue a token for a user, replacing any earlier one for the same purpose
+ * @param {object} db - Pool or transaction client
+ * @param {number} userId - User ID
+ * @param {string} purpose - email_verification or password_reset
+ * @returns {Promise<string>} The token; only its hash is stored
+ */
+const createAccountToken = async (db, userId, purpose) => {
+  const token = crypto.randomBytes(32).toString('base64url');
+
+  await db.query('DELETE FROM account_tokens WHERE user_id = $1 AND purpose = $2', [userId, purpose]);
+  await db.query(
+    `INSERT INTO account_tokens (user_id, purpose, token_hash, expires_at)
+     VALUES ($1, $2, $3, CURRENT_TIMESTAMP + make_interval(mins => $4))`,
+    [userId, purpose, hashToken(token), TOKEN_PURPOSES[purpose].ttlMinutes]
+  );
+
+  return token;
+};
+
+/**
+ * Use up a token
+ * @param {object} db - Pool or transaction client
+ * @param {string} token - Token from the link
+ * @param {string} purpose - Purpose it must have been issued for
+ * @returns {Promise<number|null>} User ID, or null when the token is unknown, used or expired
+ */
+const consumeAccountToken = async (db, token, purpose) => {
+  const result = await db.query(
+    `UPDATE account_tokens SET used_at = CURRENT_TIMESTAMP
+     WHERE token_hash = $1 AND purpose = $2 AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+     RETURNING user_id`,
+    [hashToken(token), purpose]
+  );
+
+  return result.rows.length > 0 ? result.rows[0].user_id : null;
+};
+
+/**
+ * Email a user the link that confirms their address
+ * @param {object} user - User row with username and email
+ * @param {string} token - Token from createAccountToken
+ * @returns {Promise<void>}
+ */
+const sendVerificationEmail = (user, token) => sendMail({
+  to: user.email,
+  subject: 'Confirm your email address',
+  text: [
+    `Hi ${user.username},`,
+    '',
+    'Confirm your email address to finish setting up your Personal Finance Tracker account:',
+    '',
+    `${appUrl()}/verify-email?token=${token}`,
+    '',
+    'The link expires in 24 hours. If you did not create an account, you can ignore this email.'
+  ].join('\n')
+});
+
+/**
+ * Email a user the link that resets their password
+ * @param {object} user - User row with username and email
+ * @param {string} token - Token from createAccountToken
+ * @returns {Promise<void>}
+ */
+const sendPasswordResetEmail = (user, token) => sendMail({
+  to: user.email,
+  subject: 'Reset your password',
+  text: [
+    `Hi ${user.username},`,
+    '',
+    'Someone asked to reset the password of your Personal Finance Tracker account. Choose a new password here:',
+    '',
+    `${appUrl()}/reset-password?token=${token}`,
+    '',
+    'The link expires in 1 hour and works once. If you did not ask for this, you can ignore this email; your password has not changed.'
+  ].join('\n')
+});
+
+module.exports = {
+  createAccountToken,
+  consumeAccountToken,
+  sendVerificationEmail,
+  sendPasswordResetEmail
+};
@@ -0,0 +1,238 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const path = require('path');
+
+/**
+ * Storage for transaction attachments (receipt images and PDFs). Every
+ * backend has the same S3-shaped interface:
+ *
+ *   putObject(key, body, contentType) -> Promise<void>
+ *   getObject(key) -> Promise<{ body: Readable, contentLength } | null>
+ *   deleteObject(key) -> Promise<void> (missing objects are not an error)
+ *
+ * ATTACHMENT_STORAGE picks the backend: "local" (default) keeps files under
+ * ATTACHMENT_DIR, "s3" talks to any S3-compatible service using path-style
+ * URLs, so a local stand-in such as MinIO works as well as AWS.
+ */
+
+const S3_REQUEST_TIMEOUT_MS = 30000;
+
+/**
+ * Store objects as files below a directory
+ * @param {string} rootDir - Directory holding the files
+ * @returns {object} Storage backend
+ */
+const createLocalStorage = (rootDir) => {
+  const root = path.resolve(rootDir);
+
+  // Keys are generated by the server, but never let one escape the root
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    putObject: async (key, body) => {
+      const filePath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, body);
+    },
+
+    getObject: async (key) => {
+      const filePath = resolveKey(key);
+      try {
+        const stats = await fs.promises.stat(filePath);
+        return { body: fs.createReadStream(filePath), contentLength: stats.size };
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+
+    deleteObject: async (key) => {
+      try {
+        await fs.promises.unlink(resolveKey(key));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+  };
+};
+
+const sha256Hex = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+/**
+ * Build the AWS Signature Version 4 headers for an S3 request
+ * @param {object} options - method, url (URL), headers, body, region, accessKeyId and secretAccessKey
+ * @returns {object} Headers to send, including Authorization
+ */
+const signS3Request = ({ method, url, headers, body, region, accessKeyId, secretAccessKey }) => {
+  const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+  const dateStamp = amzDate.slice(0, 8);
+  const payloadHash = sha256Hex(body || '');
+
+  const signedHeaders = {
+    ...headers,
+    host: url.host,
+    'x-amz-content-sha256': payloadHash,
+    'x-amz-date': amzDate
+  };
+  const headerNames = Object.keys(signedHeaders).map(name => name.toLowerCase()).sort();
+  const lowerCased = Object.fromEntries(
+    Object.entries(signedHeaders).map(([name, value]) => [name.toLowerCase(), String(value).trim()])
+  );
+
+  const canonicalRequest = [
+    method,
+    url.pathname,
+    '',
+    headerNames.map(name => `${name}:${lowerCased[name]}\n`).join(''),
+    headerNames.join(';'),
+    payloadHash
+  ].join('\n');
+
+  const scope = `${dateStamp}/${region}/s3/aws4_request`;
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+
+  const signingKey = hmac(hmac(hmac(hmac(`AWS4${secretAccessKey}`, dateStamp), region), 's3'), 'aws4_request');
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+  return {
+    ...signedHeaders,
+    Authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${headerNames.join(';')}, Signature=${signature}`
+  };
+};
+
+/**
+ * Store objects in a bucket of an S3-compatible service
+ * @param {object} config - endpoint, bucket, region, accessKeyId and secretAccessKey
+ * @returns {object} Storage backend
+ */
+const createS3Storage = ({ endpoint, bucket, region, accessKeyId, secretAccessKey }) => {
+  if (!endpoint || !bucket || !accessKeyId || !secretAccessKey) {
+    throw new Error('S3 attachment storage needs ATTACHMENT_S3_ENDPOINT, ATTACHMENT_S3_BUCKET, ATTACHMENT_S3_ACCESS_KEY_ID and ATTACHMENT_S3_SECRET_ACCESS_KEY');
+  }
+
+  const send = (method, key, { body, contentType } = {}) => new Promise((resolve, reject) => {
+    const url = new URL(endpoint);
+    const basePath = url.pathname.replace(/\/$/, '');
+    const encodedKey = key.split('/').map(encodeURIComponent).join('/');
+    url.pathname = `${basePath}/${encodeURIComponent(bucket)}/${encodedKey}`;
+
+    const headers = {};
+    if (body) {
+      headers['content-length'] = body.length;
+      headers['content-type'] = contentType || 'application/octet-stream';
+    }
+
+    const client = url.protocol === 'https:' ? https : http;
+    const request = client.request(url, {
+      method,
+      timeout: S3_REQUEST_TIMEOUT_MS,
+      headers: signS3Request({ method, url, headers, body, region, accessKeyId, secretAccessKey })
+    }, resolve);
+
+    request.on('timeout', () => request.destroy(new Error('Attachment storage request timed out')));
+    request.on('error', reject);
+    request.end(body);
+  });
+
+  // Read and discard a response so the socket is freed, reporting failures
+  const finish = (response, allowNotFound = false) => new Promise((resolve, reject) => {
+    response.resume();
+    response.on('end', () => {
+      const ok = (response.statusCode >= 200 && response.statusCode < 300) ||
+        (allowNotFound && response.statusCode === 404);
+      if (ok) return resolve();
+      reject(new Error(`Attachment storage responded with status ${response.statusCode}`));
+    });
+    response.on('error', reject);
+  });
+
+  return {
+    putObject: async (key, body, contentType) => {
+      const response = await send('PUT', key, { body, contentType });
+      await finish(response);
+    },
+
+    getObject: async (key) => {
+      const response = await send('GET', key);
+      if (response.statusCode === 200) {
+        return { body: response, contentLength: parseInt(response.headers['content-length']) || null };
+      }
+      await finish(response, true);
+      return null;
+    },
+
+    deleteObject: async (key) => {
+      const response = await send('DELETE', key);
+      await finish(response, true);
+    }
+  };
+};
+
+let storage = null;
+
+/**
+ * Get the configured storage backend, creating it on first use
+ * @returns {object} Storage backend
+ */
+const getAttachmentStorage = () => {
+  if (!storage) {
+    const backend = (process.env.ATTACHMENT_STORAGE || 'local').toLowerCase();
+
+    if (backend === 's3') {
+      storage = createS3Storage({
+        endpoint: process.env.ATTACHMENT_S3_ENDPOINT,
+        bucket: process.env.ATTACHMENT_S3_BUCKET,
+        region: process.env.ATTACHMENT_S3_REGION || 'us-east-1',
+        accessKeyId: process.env.ATTACHMENT_S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.ATTACHMENT_S3_SECRET_ACCESS_KEY
+      });
+    } else if (backend === 'local') {
+      storage = createLocalStorage(process.env.ATTACHMENT_DIR || path.join(process.cwd(), 'uploads', 'attachments'));
+    } else {
+      throw new Error(`Unknown ATTACHMENT_STORAGE backend: ${backend}`);
+    }
+  }
+
+  return storage;
+};
+
+/**
+ * Replace the storage backend, e.g. with another object store
+ * @param {object} backend - Object with putObject, getObject and deleteObject
+ */
+const setAttachmentStorage = (backend) => {
+  storage = backend;
+};
+
+/**
+ * Remove stored files whose database rows are already gone. Failures are
+ * logged rather than thrown: the rows are deleted, so the request succeeded
+ * and a leftover file is only wasted space.
+ * @param {Array<string>} keys - Storage keys
+ */
+const deleteStoredAttachments = async (keys) => {
+  for (const key of keys) {
+    try {
+      await getAttachmentStorage().deleteObject(key);
+    } catch (error) {
+      console.error(`Failed to delete stored attachment ${key}:`, error);
+    }
+  }
+};
+
+module.exports = {
+  createLocalStorage,
+  createS3Storage,
+  getAttachmentStorage,
+  setAttachmentStorage,
+  deleteStoredAttachments
+};
@@ -0,0 +1,28 @@
+/**
+ * Audit trail of security events (such as account lockouts), kept in the
+ * database so admins can review them. Recording never fails the request
+ * that triggered it.
+ */
+const { pool } = require('../config/database');
+
+/**
+ * Record an audit event
+ * @param {object} event - type, and optionally userId (who it concerns),
+ * actorId (who caused it), req (for the IP address) and details
+ * @returns {Promise<void>}
+ */
+const recordAuditEvent = async ({ type, userId = null, actorId = null, req = null, details = {} }) => {
+  try {
+    await pool.query(
+      `INSERT INTO audit_events (event_type, user_id, actor_id, ip_address, details)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [type, userId, actorId, req ? req.ip || null : null, JSON.stringify(details)]
+    );
+  } catch (error) {
+    console.error(`Failed to record audit event ${type}:`, error);
+  }
+};
+
+module.exports = {
+  recordAuditEvent
+};
@@ -0,0 +1,109 @@
+/**
+ * Budget overrun detection
+ */
+const { pool } = require('../config/database');
+const { calculateBudgetProgress } = require('./budgetProgress');
+const { categoryAncestorsCte } = require('./categoryTree');
+const { createNotification } = require('./notifications');
+const { formatCurrency } = require('./helpers');
+const { getBaseCurrency } = require('./exchangeRates');
+
+// Thresholds used when a budget row has none of its own
+const DEFAULT_ALERT_THRESHOLDS = (process.env.BUDGET_ALERT_THRESHOLDS || '80,100')
+  .split(',')
+  .map(value => parseInt(value))
+  .filter(value => !isNaN(value) && value > 0);
+
+/**
+ * Check a user's budgets for a category and its parent categories and record
+ * an alert for every threshold the period's spending has crossed for the first time.
+ * Failures are logged rather than thrown so they never block a transaction save.
+ * @param {number} userId - Owner of the transaction
+ * @param {number} categoryId - Expense category of the transaction
+ * @param {Date|string} transactionDate - Date of the transaction
+ * @returns {Promise<Array>} Notifications created by this check
+ */
+const checkBudgetAlerts = async (userId, categoryId, transactionDate) => {
+  const created = [];
+
+  try {
+    const budgetsResult = await pool.query(
+      `WITH RECURSIVE ${categoryAncestorsCte}
+       SELECT b.id, b.user_id, b.category_id, b.amount, b.period, b.start_date, b.end_date,
+              b.alert_thresholds, c.name as category_name
+       FROM budgets b
+       JOIN categories c ON b.category_id = c.id
+       WHERE b.user_id = $1
+         AND b.category_id IN (SELECT ancestor_id FROM category_ancestors WHERE category_id = $2)
+         AND b.start_date <= $3 AND b.end_date >= $3`,
+      [userId, categoryId, transactionDate]
+    );
+
+    // Budgets and their progress are in the owner's base currency
+    const currency = budgetsResult.rows.length > 0 ? await getBaseCurrency(userId) : null;
+
+    for (const budget of budgetsResult.rows) {
+      const progress = await calculateBudgetProgress(budget, new Date(transactionDate));
+      const thresholds = budget.alert_thresholds && budget.alert_thresholds.length > 0
+        ? budget.alert_thresholds
+        : DEFAULT_ALERT_THRESHOLDS;
+
+      const crossed = thresholds
+        .filter(threshold => progress.percentageUsed >= threshold)
+        .sort((a, b) => a - b);
+
+      for (const threshold of crossed) {
+        // The unique key makes each threshold fire once per budget period
+        const alertResult = await pool.query(
+          `INSERT INTO budget_alerts (budget_id, period_start, threshold)
+           VALUES ($1, $2, $3)
+           ON CONFLICT (budget_id, period_start, threshold) DO NOTHING
+           RETURNING id`,
+          [budget.id, progress.periodStart, threshold]
+        );
+
+        if (alertResult.rows.length === 0) {
+          continue;
+        }
+
+        const amount = parseFloat(budget.amount);
+        const notification = await createNotification(userId, {
+          type: 'budget_threshold',
+          title: threshold >= 100
+            ? `${budget.category_name} budget exceeded`
+            : `${budget.category_name} budget ${threshold}% used`,
+          message: `You have spent ${formatCurrency(progress.spent, currency)} of your ${formatCurrency(amount, currency)} ` +
+            `${budget.period} ${budget.category_name} budget (${progress.percentageUsed}%) ` +
+            `for ${progress.periodStart} to ${progress.periodEnd}.`,
+          data: {
+            budgetId: budget.id,
+            categoryId: budget.category_id,
+            threshold,
+            periodStart: progress.periodStart,
+            periodEnd: progress.periodEnd,
+            spent: progress.spent,
+            amount,
+            currency,
+            percentageUsed: progress.percentageUsed
+          }
+        });
+
+        await pool.query(
+          'UPDATE budget_alerts SET notification_id = $1 WHERE id = $2',
+          [notification.id, alertResult.rows[0].id]
+        );
+
+        created.push(notification);
+      }
+    }
+  } catch (error) {
+    console.error('Budget alert check error:', error);
+  }
+
+  return created;
+};
+
+module.exports = {
+  DEFAULT_ALERT_THRESHOLDS,
+  checkBudgetAlerts
+};
@@ -0,0 +1,169 @@
+/**
+ * Budget period and progress calculations. Budgets are in their owner's base
+ * currency, so spending is converted to it before being compared.
+ */
+const { pool } = require('../config/database');
+const { calculatePercentage } = require('./helpers');
+const { categoryLinesSql } = require('./transactionSplits');
+const { categoryAncestorsCte } = require('./categoryTree');
+const {
+  getBaseCurrency,
+  convertedAmountSql,
+  unconvertedColumnsSql,
+  summarizeUnconverted
+} = require('./exchangeRates');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Strip the time portion from a date
+ * @param {Date|string} date - The date to normalize
+ * @returns {Date} Date at local midnight
+ */
+const toDateOnly = (date) => {
+  const d = new Date(date);
+  return new Date(d.getFullYear(), d.getMonth(), d.getDate());
+};
+
+/**
+ * Format a date as YYYY-MM-DD without timezone conversion
+ * @param {Date|string} date - The date to format
+ * @returns {string} ISO date string
+ */
+const formatDateOnly = (date) => {
+  const d = new Date(date);
+  const month = String(d.getMonth() + 1).padStart(2, '0');
+  const day = String(d.getDate()).padStart(2, '0');
+  return `${d.getFullYear()}-${month}-${day}`;
+};
+
+/**
+ * Add a number of budget or recurrence periods to a date
+ * @param {Date} date - Start date
+ * @param {string} period - Period type (daily, weekly, monthly, yearly)
+ * @param {number} count - Number of periods to add
+ * @returns {Date} Shifted date
+ */
+const addPeriods = (date, period, count = 1) => {
+  const d = toDateOnly(date);
+
+  switch (period) {
+    case 'daily':
+      return new Date(d.getFullYear(), d.getMonth(), d.getDate() + count);
+    case 'weekly':
+      return new Date(d.getFullYear(), d.getMonth(), d.getDate() + 7 * count);
+    case 'yearly': {
+      const lastDay = new Date(d.getFullYear() + count, d.getMonth() + 1, 0).getDate();
+      return new Date(d.getFullYear() + count, d.getMonth(), Math.min(d.getDate(), lastDay));
+    }
+    case 'monthly':
+    default: {
+      // Clamp the day so Jan 31 + 1 month lands on the last day of February
+      const lastDay = new Date(d.getFullYear(), d.getMonth() + count + 1, 0).getDate();
+      return new Date(d.getFullYear(), d.getMonth() + count, Math.min(d.getDate(), lastDay));
+    }
+  }
+};
+
+/**
+ * Find the budget period that contains the reference date
+ * @param {object} budget - Budget row with period, start_date and end_date
+ * @param {Date} referenceDate - Date to locate (default: today)
+ * @returns {object} Period start and end dates
+ */
+const getPeriodWindow = (budget, referenceDate = new Date()) => {
+  const budgetStart = toDateOnly(budget.start_date);
+  const budgetEnd = toDateOnly(budget.end_date);
+  let reference = toDateOnly(referenceDate);
+
+  if (reference < budgetStart) reference = budgetStart;
+  if (reference > budgetEnd) reference = budgetEnd;
+
+  let index = 0;
+  while (addPeriods(budgetStart, budget.period, index + 1) <= reference) {
+    index++;
+  }
+
+  const periodStart = addPeriods(budgetStart, budget.period, index);
+  const nextPeriodStart = addPeriods(budgetStart, budget.period, index + 1);
+  const periodEnd = new Date(Math.min(nextPeriodStart.getTime() - DAY_MS, budgetEnd.getTime()));
+
+  return {
+    periodStart: toDateOnly(periodStart),
+    periodEnd: toDateOnly(periodEnd)
+  };
+};
+
+/**
+ * Sum the expenses (including split lines) recorded against a budget's category
+ * and its subcategories within a date range
+ * @param {object} budget - Budget row
+ * @param {Date} periodStart - Range start (inclusive)
+ * @param {Date} periodEnd - Range end (inclusive)
+ * @returns {Promise<object>} spent in the owner's base currency, and the
+ * expenses left out of it (unconvertedCount, missingCurrencies)
+ */
+const getSpentAmount = async (budget, periodStart, periodEnd) => {
+  const currency = await getBaseCurrency(budget.user_id);
+  const result = await pool.query(
+    `WITH RECURSIVE ${categoryAncestorsCte}
+     SELECT
+       COALESCE(SUM(${convertedAmountSql('$5', 'lines')}), 0) as spent,
+       ${unconvertedColumnsSql('$5', 'lines')}
+     FROM ${categoryLinesSql} lines
+     WHERE lines.user_id = $1 AND lines.type = 'expense'
+       AND lines.category_id IN (SELECT category_id FROM category_ancestors WHERE ancestor_id = $2)
+       AND lines.transaction_date >= $3 AND lines.transaction_date <= $4`,
+    [budget.user_id, budget.category_id, formatDateOnly(periodStart), formatDateOnly(periodEnd), currency]
+  );
+
+  return {
+    spent: parseFloat(result.rows[0].spent) || 0,
+    ...summarizeUnconverted(result.rows)
+  };
+};
+
+/**
+ * Calculate live progress for a budget's current period
+ * @param {object} budget - Budget row
+ * @param {Date} referenceDate - Date treated as "today" (default: now)
+ * @returns {Promise<object>} Spent, remaining, percentage used and projection
+ */
+const calculateBudgetProgress = async (budget, referenceDate = new Date()) => {
+  const { periodStart, periodEnd } = getPeriodWindow(budget, referenceDate);
+  const { spent, unconvertedCount, missingCurrencies } = await getSpentAmount(budget, periodStart, periodEnd);
+  const amount = parseFloat(budget.amount);
+  const today = toDateOnly(referenceDate);
+
+  const totalDays = Math.round((periodEnd - periodStart) / DAY_MS) + 1;
+  let daysElapsed = Math.round((today - periodStart) / DAY_MS) + 1;
+  daysElapsed = Math.max(0, Math.min(daysElapsed, totalDays));
+
+  // Extrapolate the current daily spending rate to the end of the period
+  const projectedTotal = daysElapsed > 0 && daysElapsed < totalDays
+    ? Math.round((spent / daysElapsed) * totalDays * 100) / 100
+    : spent;
+
+  return {
+    periodStart: formatDateOnly(periodStart),
+    periodEnd: formatDateOnly(periodEnd),
+    spent,
+    remaining: Math.round((amount - spent) * 100) / 100,
+    percentageUsed: calculatePercentage(spent, amount),
+    projectedTotal,
+    daysElapsed,
+    daysRemaining: totalDays - daysElapsed,
+    isOverBudget: spent > amount,
+    isProjectedOverBudget: projectedTotal > amount,
+    unconvertedCount,
+    missingCurrencies
+  };
+};
+
+module.exports = {
+  toDateOnly,
+  formatDateOnly,
+  addPeriods,
+  getPeriodWindow,
+  calculateBudgetProgress
+};
@@ -0,0 +1,296 @@
+/**
+ * Cash-flow forecast: projects monthly income, expense and balance from the
+ * user's history. Each month's baseline is the historical monthly average,
+ * scaled by that calendar month's seasonal index once two full years of
+ * history exist. Transactions posted by active recurring templates are left
+ * out of the baseline and projected from the templates' schedules instead,
+ * so they are not counted twice. Confidence bands come from how far past
+ * months strayed from the baseline; recurring items are treated as certain.
+ * The projection starts from today's balance plus what is still expected
+ * this month: recurring items due from today and the baseline for the days
+ * left. Amounts in a currency with no exchange rate are left out and reported.
+ */
+const { pool } = require('../config/database');
+const { toDateOnly, formatDateOnly, addPeriods } = require('./budgetProgress');
+const { convertedAmountSql, unconvertedColumnsSql, summarizeUnconverted } = require('./exchangeRates');
+const { getOccurrenceDate } = require('./recurringScheduler');
+
+const DEFAULT_FORECAST_MONTHS = 6;
+const MAX_FORECAST_MONTHS = 24;
+const DEFAULT_HISTORY_MONTHS = 24;
+const MAX_HISTORY_MONTHS = 60;
+
+// Seasonal indexes need every calendar month seen at least this often
+const SEASONALITY_MIN_YEARS = 2;
+
+// Two-sided normal quantiles for the supported confidence levels
+const CONFIDENCE_Z = { 80: 1.2816, 90: 1.6449, 95: 1.96 };
+
+const TYPES = ['income', 'expense'];
+
+const round = (value) => Math.round(value * 100) / 100;
+const monthKey = (date) => formatDateOnly(date).slice(0, 7);
+
+/**
+ * Fit the baseline for one transaction type
+ * @param {Array<number>} totals - Non-recurring totals per history month, oldest first
+ * @param {Array<number>} calendarMonths - Calendar month (1-12) of each history month
+ * @returns {object} mean, seasonal index per calendar month and residual standard deviation
+ */
+const fitBaseline = (totals, calendarMonths) => {
+  const count = totals.length;
+  const mean = count > 0 ? totals.reduce((sum, value) => sum + value, 0) / count : 0;
+
+  const seasonalIndex = {};
+  const seasonal = count >= 12 * SEASONALITY_MIN_YEARS && mean > 0;
+  for (let month = 1; month <= 12; month++) {
+    const values = totals.filter((value, i) => calendarMonths[i] === month);
+    seasonalIndex[month] = seasonal && values.length > 0
+      ? (values.reduce((sum, value) => sum + value, 0) / values.length) / mean
+      : 1;
+  }
+
+  // With a single month there is no spread to measure, so allow for the whole mean either way
+  let stdDev = mean;
+  if (count >= 2) {
+    const squaredResiduals = totals.reduce((sum, value, i) => {
+      const residual = value - mean * seasonalIndex[calendarMonths[i]];
+      return sum + residual * residual;
+    }, 0);
+    stdDev = Math.sqrt(squaredResiduals / (count - 1));
+  }
+
+  return { mean, seasonalIndex, seasonal, stdDev };
+};
+
+/**
+ * Build the projection from fitted baselines and scheduled recurring amounts
+ * @param {object} options - startingBalance, months (YYYY-MM keys), baselines, recurring and z
+ * @returns {Array<object>} One entry per forecast month
+ */
+const projectMonths = ({ startingBalance, months, baselines, recurring, z }) => {
+  const netStdDev = Math.sqrt(baselines.income.stdDev ** 2 + baselines.expense.stdDev ** 2);
+  let balance = startingBalance;
+
+  return months.map((month, i) => {
+    const calendarMonth = parseInt(month.slice(5, 7));
+    const entry = { month };
+
+    for (const type of TYPES) {
+      const baseline = baselines[type];
+      const scheduled = recurring[type][month] || 0;
+      const expected = baseline.mean * baseline.seasonalIndex[calendarMonth] + scheduled;
+      const band = z * baseline.stdDev;
+
+      entry[type] = {
+        expected: round(expected),
+        lower: round(Math.max(expected - band, scheduled)),
+        upper: round(expected + band),
+        recurring: round(scheduled)
+      };
+    }
+
+    const net = entry.income.expected - entry.expense.expected;
+    const netBand = z * netStdDev;
+    entry.net = {
+      expected: round(net),
+      lower: round(net - netBand),
+      upper: round(net + netBand)
+    };
+
+    // Monthly deviations accumulate, so the balance band widens with the square root of the horizon
+    balance += net;
+    const balanceBand = z * netStdDev * Math.sqrt(i + 1);
+    entry.balance = {
+      expected: round(balance),
+      lower: round(balance - balanceBand),
+      upper: round(balance + balanceBand)
+    };
+
+    return entry;
+  });
+};
+
+/**
+ * Sum the scheduled amounts of active recurring templates per forecast month
+ * @param {Array<object>} templates - Templates with converted_amount
+ * @param {Date} horizonStart - First day of the first forecast month
+ * @param {Date} horizonEnd - Last day of the last forecast month
+ * @returns {object} income and expense maps of YYYY-MM to amount
+ */
+const scheduleRecurring = (templates, horizonStart, horizonEnd) => {
+  const recurring = { income: {}, expense: {} };
+
+  for (const template of templates) {
+    // Templates whose currency has no exchange rate cannot be projected
+    if (template.converted_amount === null) continue;
+    const amount = parseFloat(template.converted_amount);
+
+    for (let index = template.occurrences_count || 0; ; index++) {
+      const date = getOccurrenceDate(template, index);
+      if (!date || date > horizonEnd) break;
+      if (date < horizonStart) continue;
+
+      const month = monthKey(date);
+      recurring[template.type][month] = (recurring[template.type][month] || 0) + amount;
+    }
+  }
+
+  return recurring;
+};
+
+/**
+ * Forecast a user's cash flow for the months after the current one
+ * @param {number} userId - User ID
+ * @param {string} currency - Currency to report in (the user's base currency)
+ * @param {object} options - months, historyMonths and confidence (80, 90 or 95)
+ * @param {Date} referenceDate - Date treated as "today" (default: now)
+ * @returns {Promise<object>} Starting balance, fitted averages and the monthly projection
+ */
+const buildCashFlowForecast = async (userId, currency, options = {}, referenceDate = new Date()) => {
+  const forecastMonths = options.months || DEFAULT_FORECAST_MONTHS;
+  const historyLimit = options.historyMonths || DEFAULT_HISTORY_MONTHS;
+  const confidence = CONFIDENCE_Z[options.confidence] ? options.confidence : 80;
+
+  const today = toDateOnly(referenceDate);
+  const currentMonthStart = new Date(today.getFullYear(), today.getMonth(), 1);
+  const horizonStart = addPeriods(currentMonthStart, 'monthly', 1);
+  const currentMonthEnd = addPeriods(horizonStart, 'daily', -1);
+  const horizonEnd = addPeriods(addPeriods(horizonStart, 'monthly', forecastMonths), 'daily', -1);
+
+  // History is whole months before the current one, starting no earlier than the first transaction
+  const firstResult = await pool.query(
+    `SELECT MIN(transaction_date) as first_date
+     FROM transactions
+     WHERE user_id = $1 AND type IN ('income', 'expense')`,
+    [userId]
+  );
+
+  let historyStart = addPeriods(currentMonthStart, 'monthly', -historyLimit);
+  if (firstResult.rows[0].first_date) {
+    const first = toDateOnly(firstResult.rows[0].first_date);
+    const firstMonthStart = new Date(first.getFullYear(), first.getMonth(), 1);
+    if (firstMonthStart > historyStart) historyStart = firstMonthStart;
+  } else {
+    historyStart = currentMonthStart;
+  }
+
+  const historyResult = await pool.query(
+    `SELECT
+       TO_CHAR(DATE_TRUNC('month', t.transaction_date), 'YYYY-MM') as month,
+       t.type,
+       COALESCE(SUM(${convertedAmountSql('$2', 't')}), 0) as total_amount
+     FROM transactions t
+     LEFT JOIN recurring_transactions rt ON t.recurring_transaction_id = rt.id AND rt.is_active
+     WHERE t.user_id = $1 AND t.type IN ('income', 'expense')
+       AND rt.id IS NULL
+       AND t.transaction_date >= $3 AND t.transaction_date < $4
+     GROUP BY 1, t.type`,
+    [userId, currency, formatDateOnly(historyStart), formatDateOnly(currentMonthStart)]
+  );
+
+  const historyMonths = [];
+  for (let month = historyStart; month < currentMonthStart; month = addPeriods(month, 'monthly', 1)) {
+    historyMonths.push(monthKey(month));
+  }
+
+  const totals = { income: {}, expense: {} };
+  historyResult.rows.forEach(row => {
+    totals[row.type][row.month] = parseFloat(row.total_amount);
+  });
+
+  const calendarMonths = historyMonths.map(month => parseInt(month.slice(5, 7)));
+  const baselines = {};
+  for (const type of TYPES) {
+    baselines[type] = fitBaseline(historyMonths.map(month => totals[type][month] || 0), calendarMonths);
+  }
+
+  const templatesResult = await pool.query(
+    `SELECT id, type, currency, frequency, interval_count, start_date, end_date, max_occurrences, occurrences_count,
+            convert_currency(amount, currency, $2, CURRENT_DATE) as converted_amount
+     FROM recurring_transactions
+     WHERE user_id = $1 AND is_active`,
+    [userId, currency]
+  );
+  const recurring = scheduleRecurring(templatesResult.rows, horizonStart, horizonEnd);
+  const pending = scheduleRecurring(templatesResult.rows, today, currentMonthEnd);
+
+  // Transfers only move money between the user's own accounts, so they do not change the total
+  const balanceResult = await pool.query(
+    `SELECT
+       (SELECT COALESCE(SUM(convert_currency(a.opening_balance, a.currency, $2, CURRENT_DATE)), 0)
+        FROM accounts a WHERE a.user_id = $1)
+       +
+       (SELECT COALESCE(SUM(CASE WHEN t.type = 'income' THEN 1 ELSE -1 END * ${convertedAmountSql('$2', 't')}), 0)
+        FROM transactions t WHERE t.user_id = $1 AND t.type IN ('income', 'expense'))
+       as balance`,
+    [userId, currency]
+  );
+  const startingBalance = parseFloat(balanceResult.rows[0].balance);
+
+  // Still to come this month: unposted recurring items and the baseline share of the days after today
+  const currentKey = monthKey(currentMonthStart);
+  const daysLeftShare = (currentMonthEnd.getDate() - today.getDate()) / currentMonthEnd.getDate();
+  const restOfMonth = {};
+  for (const type of TYPES) {
+    const baseline = baselines[type];
+    restOfMonth[type] = baseline.mean * baseline.seasonalIndex[today.getMonth() + 1] * daysLeftShare +
+      (pending[type][currentKey] || 0);
+  }
+
+  // Transactions, accounts' opening balances and templates that could not be converted
+  const unconvertedResult = await pool.query(
+    `SELECT ${unconvertedColumnsSql('$2', 't')}
+     FROM transactions t WHERE t.user_id = $1 AND t.type IN ('income', 'expense')
+     UNION ALL
+     SELECT
+       COUNT(*) FILTER (WHERE a.opening_balance <> 0 AND convert_currency(a.opening_balance, a.currency, $2, CURRENT_DATE) IS NULL),
+       ARRAY_AGG(DISTINCT a.currency) FILTER (WHERE a.opening_balance <> 0 AND convert_currency(a.opening_balance, a.currency, $2, CURRENT_DATE) IS NULL)
+     FROM accounts a WHERE a.user_id = $1`,
+    [userId, currency]
+  );
+  const unconvertedTemplates = templatesResult.rows
+    .filter(template => template.converted_amount === null)
+    .map(template => ({ unconverted_count: 1, missing_currencies: [template.currency] }));
+
+  const months = [];
+  for (let i = 0; i < forecastMonths; i++) {
+    months.push(monthKey(addPeriods(horizonStart, 'monthly', i)));
+  }
+
+  return {
+    currency,
+    ...summarizeUnconverted([...unconvertedResult.rows, ...unconvertedTemplates]),
+    startingBalance: round(startingBalance),
+    restOfMonth: {
+      income: round(restOfMonth.income),
+      expense: round(restOfMonth.expense)
+    },
+    historyMonths: historyMonths.length,
+    confidenceLevel: confidence,
+    seasonalityApplied: baselines.income.seasonal || baselines.expense.seasonal,
+    averages: {
+      income: round(baselines.income.mean),
+      expense: round(baselines.expense.mean)
+    },
+    forecast: projectMonths({
+      startingBalance: startingBalance + restOfMonth.income - restOfMonth.expense,
+      months,
+      baselines,
+      recurring,
+      z: CONFIDENCE_Z[confidence]
+    })
+  };
+};
+
+module.exports = {
+  DEFAULT_FORECAST_MONTHS,
+  MAX_FORECAST_MONTHS,
+  DEFAULT_HISTORY_MONTHS,
+  MAX_HISTORY_MONTHS,
+  CONFIDENCE_LEVELS: Object.keys(CONFIDENCE_Z).map(Number),
+  fitBaseline,
+  projectMonths,
+  scheduleRecurring,
+  buildCashFlowForecast
+};
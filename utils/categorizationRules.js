@@ -0,0 +1,69 @@
+const { pool } = require('../config/database');
+
+/**
+ * Categorization rules: a user's conditions that pick a category for a
+ * transaction, e.g. "description contains UBER" -> Transportation. Rules are
+ * tried in priority order (lowest number first, then oldest) and the first
+ * match wins. A rule only applies to transactions of its category's type.
+ */
+
+/**
+ * Load a user's active rules in the order they are tried
+ * @param {number} userId - Owner of the rules
+ * @param {object} db - Pool or client to query with
+ * @returns {Promise<Array>} Rules with their category's name and type
+ */
+const loadRules = async (userId, db = pool) => {
+  const result = await db.query(
+    `SELECT r.id, r.name, r.category_id, r.priority, r.description_contains,
+            r.amount_min, r.amount_max, r.account_id, r.payee_id,
+            c.name as category_name, c.type as category_type
+     FROM categorization_rules r
+     JOIN categories c ON r.category_id = c.id
+     WHERE r.user_id = $1 AND r.is_active = TRUE
+     ORDER BY r.priority, r.id`,
+    [userId]
+  );
+
+  return result.rows;
+};
+
+/**
+ * Check whether a transaction meets every condition of a rule
+ * @param {object} rule - Rule row from loadRules
+ * @param {object} transaction - type, amount, description, account_id and payee_id
+ * @returns {boolean} True when the rule applies
+ */
+const ruleMatches = (rule, transaction) => {
+  if (rule.category_type !== transaction.type) return false;
+
+  if (rule.description_contains) {
+    const description = (transaction.description || '').toLowerCase();
+    if (!description.includes(rule.description_contains.toLowerCase())) return false;
+  }
+
+  const amount = parseFloat(transaction.amount);
+  if (rule.amount_min !== null && amount < parseFloat(rule.amount_min)) return false;
+  if (rule.amount_max !== null && amount > parseFloat(rule.amount_max)) return false;
+
+  // IDs may arrive as strings (request bodies, BIGINT columns), so compare them as numbers
+  if (rule.account_id !== null && parseInt(transaction.account_id) !== parseInt(rule.account_id)) return false;
+  if (rule.payee_id !== null && parseInt(transaction.payee_id) !== parseInt(rule.payee_id)) return false;
+
+  return true;
+};
+
+/**
+ * Find the first rule that applies to a transaction
+ * @param {Array} rules - Rules from loadRules, in priority order
+ * @param {object} transaction - type, amount, description, account_id and payee_id
+ * @returns {object|null} Matching rule, or null when none applies
+ */
+const findMatchingRule = (rules, transaction) =>
+  rules.find(rule => ruleMatches(rule, transaction)) || null;
+
+module.exports = {
+  loadRules,
+  ruleMatches,
+  findMatchingRule
+};
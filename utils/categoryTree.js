@@ -0,0 +1,111 @@
+const { pool } = require('../config/database');
+
+/**
+ * Category hierarchy. System categories have no user_id and are visible to
+ * everyone; personal categories belong to a single user. Any category may
+ * nest under a parent of the same type that its owner can see, e.g.
+ * Food & Dining > Groceries. Totals roll up from a category to its ancestors.
+ */
+
+// Recursive CTE pairing every category with itself and each of its ancestors.
+// Use as `WITH RECURSIVE ${categoryAncestorsCte} ...`.
+const categoryAncestorsCte = `category_ancestors AS (
+  SELECT id as category_id, id as ancestor_id, parent_id FROM categories
+  UNION ALL
+  SELECT ca.category_id, c.id, c.parent_id
+  FROM category_ancestors ca
+  JOIN categories c ON c.id = ca.parent_id
+)`;
+
+/**
+ * SQL condition limiting categories to those a user can see
+ * @param {string} placeholder - Placeholder holding the user ID (e.g. $2)
+ * @param {string} alias - Table alias of the categories table (default: c)
+ * @returns {string} SQL condition
+ */
+const visibleCategorySql = (placeholder, alias = 'c') =>
+  `(${alias}.user_id IS NULL OR ${alias}.user_id = ${placeholder})`;
+
+/**
+ * Find a category a user can file transactions under
+ * @param {number} categoryId - Category ID
+ * @param {number} userId - User who must be able to see the category
+ * @param {object} db - Pool or client to query with
+ * @returns {Promise<object|null>} Category row, or null when missing or private to someone else
+ */
+const findUserCategory = async (categoryId, userId, db = pool) => {
+  const result = await db.query(
+    `SELECT id, user_id, parent_id, name, type FROM categories c
+     WHERE c.id = $1 AND ${visibleCategorySql('$2')}`,
+    [categoryId, userId]
+  );
+
+  return result.rows[0] || null;
+};
+
+/**
+ * Check a category can be used for a transaction of the given type
+ * @param {number} categoryId - Category ID
+ * @param {string} type - Transaction type
+ * @param {number} userId - Owner of the transaction
+ * @returns {Promise<string|null>} Error message, or null when the category is usable
+ */
+const validateUserCategory = async (categoryId, type, userId) => {
+  const category = await findUserCategory(categoryId, userId);
+
+  if (!category) {
+    return 'Invalid category ID';
+  }
+
+  if (category.type !== type) {
+    return `Category type (${category.type}) does not match transaction type (${type})`;
+  }
+
+  return null;
+};
+
+/**
+ * Check whether one category sits somewhere below another
+ * @param {number} categoryId - Possible descendant
+ * @param {number} ancestorId - Possible ancestor
+ * @returns {Promise<boolean>} True when ancestorId is categoryId or one of its ancestors
+ */
+const isSameOrDescendant = async (categoryId, ancestorId) => {
+  const result = await pool.query(
+    `WITH RECURSIVE ${categoryAncestorsCte}
+     SELECT 1 FROM category_ancestors WHERE category_id = $1 AND ancestor_id = $2`,
+    [categoryId, ancestorId]
+  );
+
+  return result.rows.length > 0;
+};
+
+/**
+ * Nest flat category rows under their parents
+ * @param {Array} rows - Rows with id and parent_id, already in display order
+ * @returns {Array} Root categories, each with a children array
+ */
+const buildCategoryTree = (rows) => {
+  const nodes = new Map(rows.map(row => [row.id, { ...row, children: [] }]));
+  const roots = [];
+
+  for (const node of nodes.values()) {
+    const parent = node.parent_id ? nodes.get(node.parent_id) : null;
+    if (parent) {
+      parent.children.push(node);
+    } else {
+      roots.push(node);
+    }
+  }
+
+  return roots;
+};
+
+module.exports = {
+  categoryAncestorsCte,
+  visibleCategorySql,
+  findUserCategory,
+  validateUserCategory,
+  isSameOrDescendant,
+  buildCategoryTree
+};
@@ -0,0 +1,145 @@
+/**
+ * Likely-duplicate detection for new and imported transactions. A transaction
+ * is a suspected duplicate of an existing one when both belong to the same
+ * user, share amount, currency and type, fall within a few days of each other and have
+ * similar descriptions.
+ */
+const { pool } = require('../config/database');
+
+const DUPLICATE_WINDOW_DAYS = parseInt(process.env.DUPLICATE_WINDOW_DAYS) || 3;
+
+// Minimum description similarity (0-1) for two transactions to be flagged
+const SIMILARITY_THRESHOLD = 0.6;
+
+// Upper bound on candidates compared for a single transaction
+const MAX_CANDIDATES = 20;
+
+/**
+ * Normalize a description for comparison: lowercase, punctuation and
+ * reference numbers removed, whitespace collapsed
+ * @param {string} description - Raw description
+ * @returns {string} Normalized description
+ */
+const normalizeDescription = (description) => {
+  if (!description) return '';
+
+  return String(description)
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(token => token && !/^\d+$/.test(token))
+    .join(' ');
+};
+
+// Character bigrams of a string, ignoring spaces
+const bigrams = (text) => {
+  const compact = text.replace(/\s/g, '');
+  const pairs = [];
+  for (let i = 0; i < compact.length - 1; i++) {
+    pairs.push(compact.slice(i, i + 2));
+  }
+  return pairs;
+};
+
+/**
+ * Score how alike two descriptions are using the Dice coefficient over
+ * character bigrams. Empty descriptions only match other empty descriptions.
+ * @param {string} first - First description
+ * @param {string} second - Second description
+ * @returns {number} Similarity between 0 and 1
+ */
+const descriptionSimilarity = (first, second) => {
+  const a = normalizeDescription(first);
+  const b = normalizeDescription(second);
+
+  if (a === b) return 1;
+  if (!a || !b) return 0;
+
+  // Bank descriptions often wrap the merchant name, e.g. "POS STARBUCKS SEATTLE"
+  if (a.includes(b) || b.includes(a)) return 0.9;
+
+  const pairsA = bigrams(a);
+  const pairsB = bigrams(b);
+  if (pairsA.length === 0 || pairsB.length === 0) return 0;
+
+  const remaining = [...pairsB];
+  let matches = 0;
+  pairsA.forEach(pair => {
+    const index = remaining.indexOf(pair);
+    if (index !== -1) {
+      matches++;
+      remaining.splice(index, 1);
+    }
+  });
+
+  return (2 * matches) / (pairsA.length + pairsB.length);
+};
+
+/**
+ * Find existing transactions that look like duplicates of a new one
+ * @param {number} userId - Owner of the transaction
+ * @param {object} transaction - amount, currency, type, transaction_date and description
+ * @param {object} db - Pool or client to query with (default: pool)
+ * @param {object} options - Search options
+ * @param {Array<number>} options.excludeIds - Transactions to leave out (e.g. the new one itself)
+ * @returns {Promise<Array<object>>} Candidate transactions with a similarity score, best first
+ */
+const findDuplicateCandidates = async (userId, transaction, db = pool, { excludeIds = [] } = {}) => {
+  const { amount, currency, type, transaction_date, description } = transaction;
+
+  const result = await db.query(
+    `SELECT t.id, t.amount, t.currency, t.type, t.description, t.transaction_date, t.category_id, c.name as category_name
+     FROM transactions t
+     JOIN categories c ON t.category_id = c.id
+     WHERE t.user_id = $1 AND t.type = $2 AND t.amount = $3 AND t.currency = $4
+       AND t.transaction_date BETWEEN $5::date - $6::int AND $5::date + $6::int
+       AND NOT (t.id = ANY($7::int[]))
+     ORDER BY ABS(t.transaction_date - $5::date), t.id DESC
+     LIMIT $8`,
+    [userId, type, amount, currency, transaction_date, DUPLICATE_WINDOW_DAYS, excludeIds, MAX_CANDIDATES]
+  );
+
+  return result.rows
+    .map(row => ({
+      ...row,
+      similarity: Math.round(descriptionSimilarity(description, row.description) * 1000) / 1000
+    }))
+    .filter(row => row.similarity >= SIMILARITY_THRESHOLD)
+    .sort((a, b) => b.similarity - a.similarity);
+};
+
+/**
+ * Record suspected duplicates of a transaction for the user to review
+ * @param {number} userId - Owner of the transactions
+ * @param {number} transactionId - The newly created transaction
+ * @param {Array<object>} candidates - Rows returned by findDuplicateCandidates
+ * @param {object} db - Pool or client to query with (default: pool)
+ * @returns {Promise<Array<object>>} Flags created
+ */
+const flagDuplicates = async (userId, transactionId, candidates, db = pool) => {
+  const flags = [];
+
+  for (const candidate of candidates) {
+    const result = await db.query(
+      `INSERT INTO transaction_duplicates (user_id, transaction_id, duplicate_of_id, similarity)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (transaction_id, duplicate_of_id) DO NOTHING
+       RETURNING id, transaction_id, duplicate_of_id, similarity, status, created_at`,
+      [userId, transactionId, candidate.id, candidate.similarity]
+    );
+
+    if (result.rows.length > 0) {
+      flags.push(result.rows[0]);
+    }
+  }
+
+  return flags;
+};
+
+module.exports = {
+  DUPLICATE_WINDOW_DAYS,
+  normalizeDescription,
+  descriptionSimilarity,
+  findDuplicateCandidates,
+  flagDuplicates
+};
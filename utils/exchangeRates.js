@@ -0,0 +1,242 @@
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const { pool } = require('../config/database');
+
+/**
+ * Exchange rates for converting transactions to a user's base currency.
+ * A row means 1 unit of base_currency = rate units of quote_currency on
+ * rate_date. Conversions use the latest rate on or before the transaction
+ * date (see the convert_currency SQL function in migrations/migrate.js).
+ */
+
+const DEFAULT_CURRENCY = 'USD';
+const RATES_API_TIMEOUT_MS = 10000;
+
+const CURRENCY_PATTERN = /^[A-Z]{3}$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Get a user's base currency
+ * @param {number} userId - User ID
+ * @param {object} db - Pool or client to query with
+ * @returns {Promise<string>} ISO 4217 code
+ */
+const getBaseCurrency = async (userId, db = pool) => {
+  const result = await db.query('SELECT base_currency FROM users WHERE id = $1', [userId]);
+  return result.rows.length > 0 ? result.rows[0].base_currency : DEFAULT_CURRENCY;
+};
+
+/**
+ * Pick the currency of a transaction. Transactions on an account always use
+ * the account's currency so account balances never mix currencies.
+ * @param {string} requested - Currency sent by the client, if any
+ * @param {string|null} accountCurrency - Currency of the transaction's account
+ * @param {string} fallback - Currency to use when neither is given
+ * @returns {object} { currency } or { error }
+ */
+const resolveCurrency = (requested, accountCurrency, fallback) => {
+  if (accountCurrency) {
+    if (requested && requested.toUpperCase() !== accountCurrency) {
+      return { error: `Currency must match the account currency (${accountCurrency})` };
+    }
+    return { currency: accountCurrency };
+  }
+
+  return { currency: requested ? requested.toUpperCase() : fallback };
+};
+
+/**
+ * SQL expression converting a transaction amount to another currency
+ * @param {string} currencyParam - Placeholder holding the target currency (e.g. $2)
+ * @param {string} alias - Table alias of the transactions table ('' for none)
+ * @returns {string} SQL expression, NULL when no rate is known
+ */
+const convertedAmountSql = (currencyParam, alias = '') => {
+  const column = (name) => (alias ? `${alias}.${name}` : name);
+  return `convert_currency(${column('amount')}, ${column('currency')}, ${currencyParam}, ${column('transaction_date')})`;
+};
+
+/**
+ * SQL select columns describing the transactions convertedAmountSql cannot
+ * convert, which SUM and AVG silently leave out of converted totals
+ * @param {string} currencyParam - Placeholder holding the target currency (e.g. $2)
+ * @param {string} alias - Table alias of the transactions table ('' for none)
+ * @returns {string} unconverted_count and missing_currencies columns
+ */
+const unconvertedColumnsSql = (currencyParam, alias = '') => {
+  const column = (name) => (alias ? `${alias}.${name}` : name);
+  const unconverted = `${convertedAmountSql(currencyParam, alias)} IS NULL`;
+  return `COUNT(DISTINCT ${column('id')}) FILTER (WHERE ${unconverted}) as unconverted_count,
+        ARRAY_AGG(DISTINCT ${column('currency')}) FILTER (WHERE ${unconverted}) as missing_currencies`;
+};
+
+/**
+ * Add up the unconvertedColumnsSql columns of result rows that cover
+ * different transactions (e.g. one row per month)
+ * @param {Array<object>} rows - Rows with unconverted_count and missing_currencies
+ * @returns {object} unconvertedCount, and the sorted missingCurrencies without a rate
+ */
+const summarizeUnconverted = (rows) => {
+  const missingCurrencies = new Set();
+  let unconvertedCount = 0;
+
+  for (const row of rows) {
+    unconvertedCount += parseInt(row.unconverted_count) || 0;
+    (row.missing_currencies || []).forEach(code => missingCurrencies.add(code));
+  }
+
+  return { unconvertedCount, missingCurrencies: [...missingCurrencies].sort() };
+};
+
+/**
+ * Normalize rate payloads into rows. Accepts the shape most rate APIs return,
+ * { base, date, rates: { EUR: 0.92, ... } }, an array of those, or an array of
+ * { date, base_currency, quote_currency, rate } rows.
+ * @param {object|Array} payload - Parsed JSON
+ * @param {string} defaultDate - Date for payloads that do not carry one
+ * @returns {Array} Rows with rate_date, base_currency, quote_currency and rate
+ */
+const normalizeRates = (payload, defaultDate) => {
+  const entries = Array.isArray(payload) ? payload : [payload];
+  const rows = [];
+
+  for (const entry of entries) {
+    if (!entry || typeof entry !== 'object') {
+      throw new Error('Exchange rate entries must be objects');
+    }
+
+    const date = entry.date || entry.rate_date || defaultDate;
+    const base = String(entry.base || entry.base_currency || '').toUpperCase();
+
+    if (entry.rates && typeof entry.rates === 'object') {
+      for (const [quote, rate] of Object.entries(entry.rates)) {
+        rows.push({ rate_date: date, base_currency: base, quote_currency: quote.toUpperCase(), rate });
+      }
+    } else {
+      rows.push({
+        rate_date: date,
+        base_currency: base,
+        quote_currency: String(entry.quote || entry.quote_currency || '').toUpperCase(),
+        rate: entry.rate
+      });
+    }
+  }
+
+  for (const row of rows) {
+    if (!DATE_PATTERN.test(String(row.rate_date))) {
+      throw new Error(`Invalid exchange rate date: ${row.rate_date}`);
+    }
+    if (!CURRENCY_PATTERN.test(row.base_currency) || !CURRENCY_PATTERN.test(row.quote_currency)) {
+      throw new Error(`Invalid currency pair: ${row.base_currency}/${row.quote_currency}`);
+    }
+    row.rate = parseFloat(row.rate);
+    if (!(row.rate > 0)) {
+      throw new Error(`Invalid rate for ${row.base_currency}/${row.quote_currency} on ${row.rate_date}`);
+    }
+  }
+
+  // A currency always converts to itself at 1, so those rows carry no information
+  return rows.filter(row => row.base_currency !== row.quote_currency);
+};
+
+/**
+ * Read rates from a JSON file on the server
+ * @param {string} filePath - Defaults to EXCHANGE_RATES_FILE
+ * @returns {Promise<Array>} Normalized rows
+ */
+const loadRatesFromFile = async (filePath = process.env.EXCHANGE_RATES_FILE) => {
+  if (!filePath) {
+    throw new Error('EXCHANGE_RATES_FILE is not configured');
+  }
+
+  const content = await fs.promises.readFile(filePath, 'utf8');
+  return normalizeRates(JSON.parse(content), new Date().toISOString().slice(0, 10));
+};
+
+/**
+ * GET a URL and parse the JSON body
+ * @param {string} url - Absolute http(s) URL
+ * @returns {Promise<object>} Parsed body
+ */
+const getJson = (url) => new Promise((resolve, reject) => {
+  const client = url.startsWith('https:') ? https : http;
+
+  const request = client.get(url, { timeout: RATES_API_TIMEOUT_MS }, (response) => {
+    let body = '';
+    response.setEncoding('utf8');
+    response.on('data', (chunk) => {
+      body += chunk;
+    });
+    response.on('end', () => {
+      if (response.statusCode < 200 || response.statusCode >= 300) {
+        return reject(new Error(`Exchange rate API responded with status ${response.statusCode}`));
+      }
+      try {
+        resolve(JSON.parse(body));
+      } catch (error) {
+        reject(new Error('Exchange rate API returned invalid JSON'));
+      }
+    });
+  });
+
+  request.on('timeout', () => request.destroy(new Error('Exchange rate API request timed out')));
+  request.on('error', reject);
+});
+
+/**
+ * Fetch rates for one day from EXCHANGE_RATES_API_URL. The URL may contain
+ * {date} and {base} placeholders, e.g. https://api.frankfurter.app/{date}?from={base}
+ * @param {string} date - YYYY-MM-DD, defaults to today
+ * @param {string} base - Base currency, defaults to EXCHANGE_RATES_BASE or USD
+ * @returns {Promise<Array>} Normalized rows
+ */
+const fetchRatesFromApi = async (date, base) => {
+  const template = process.env.EXCHANGE_RATES_API_URL;
+  if (!template) {
+    throw new Error('EXCHANGE_RATES_API_URL is not configured');
+  }
+
+  const rateDate = date || new Date().toISOString().slice(0, 10);
+  const baseCurrency = (base || process.env.EXCHANGE_RATES_BASE || DEFAULT_CURRENCY).toUpperCase();
+  const url = template
+    .replace('{date}', encodeURIComponent(rateDate))
+    .replace('{base}', encodeURIComponent(baseCurrency));
+
+  const payload = await getJson(url);
+  return normalizeRates({ base: baseCurrency, date: rateDate, ...payload }, rateDate);
+};
+
+/**
+ * Insert or replace rates
+ * @param {Array} rows - Normalized rows
+ * @param {string} source - manual, file or api
+ * @param {object} db - Pool or client to query with
+ * @returns {Promise<number>} Number of rows written
+ */
+const saveRates = async (rows, source, db = pool) => {
+  for (const row of rows) {
+    await db.query(
+      `INSERT INTO exchange_rates (rate_date, base_currency, quote_currency, rate, source)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (rate_date, base_currency, quote_currency)
+       DO UPDATE SET rate = EXCLUDED.rate, source = EXCLUDED.source, updated_at = CURRENT_TIMESTAMP`,
+      [row.rate_date, row.base_currency, row.quote_currency, row.rate, source]
+    );
+  }
+
+  return rows.length;
+};
+
+module.exports = {
+  DEFAULT_CURRENCY,
+  getBaseCurrency,
+  resolveCurrency,
+  convertedAmountSql,
+  unconvertedColumnsSql,
+  summarizeUnconverted,
+  normalizeRates,
+  loadRatesFromFile,
+  fetchRatesFromApi,
+  saveRates
+};
@@ -0,0 +1,325 @@
+/**
+ * Streaming formatters for transaction exports. Each formatter turns an export
+ * into a header, one chunk per transaction and a footer so the controller can
+ * write rows as they are read from the database instead of buffering them.
+ * Rows keep their own amount and currency; balances and totals are in the
+ * statement currency (meta.currency), and rows carry converted_amount in it,
+ * null when no exchange rate is known.
+ */
+const { formatCurrency } = require('./helpers');
+const { signedAmount } = require('./ledger');
+
+const EXPORT_FORMATS = ['csv', 'jsonl', 'ofx', 'pdf'];
+
+// Dates come back from pg as local-midnight Date objects
+const toIsoDate = (value) => {
+  if (!value) return '';
+  if (typeof value === 'string') return value.slice(0, 10);
+  const month = String(value.getMonth() + 1).padStart(2, '0');
+  const day = String(value.getDate()).padStart(2, '0');
+  return `${value.getFullYear()}-${month}-${day}`;
+};
+
+/**
+ * CSV with a header row. Cells starting with a formula character are prefixed
+ * with an apostrophe so spreadsheets do not evaluate them.
+ */
+const createCsvFormatter = () => {
+  const escapeCell = (value) => {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (/^[=+\-@\t\r]/.test(text) && isNaN(Number(text))) {
+      text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  const line = (cells) => `${cells.map(escapeCell).join(',')}\r\n`;
+
+  return {
+    contentType: 'text/csv; charset=utf-8',
+    extension: 'csv',
+    encoding: 'utf8',
+    header: () => line(['date', 'type', 'category', 'description', 'amount', 'currency', 'balance', 'id', 'account']),
+    row: (transaction, balance) => line([
+      toIsoDate(transaction.transaction_date),
+      transaction.type,
+      transaction.category_name,
+      transaction.description,
+      signedAmount(transaction).toFixed(2),
+      transaction.currency,
+      balance.toFixed(2),
+      transaction.id,
+      transaction.account_name
+    ]),
+    footer: () => ''
+  };
+};
+
+/**
+ * JSON Lines: one transaction object per line
+ */
+const createJsonLinesFormatter = () => ({
+  contentType: 'application/x-ndjson; charset=utf-8',
+  extension: 'jsonl',
+  encoding: 'utf8',
+  header: () => '',
+  row: (transaction, balance) => `${JSON.stringify({
+    id: transaction.id,
+    transaction_date: toIsoDate(transaction.transaction_date),
+    type: transaction.type,
+    amount: parseFloat(transaction.amount),
+    currency: transaction.currency,
+    description: transaction.description,
+    category_id: transaction.category_id,
+    category_name: transaction.category_name,
+    transfer_id: transaction.transfer_id,
+    transfer_direction: transaction.transfer_direction,
+    account_id: transaction.account_id,
+    account_name: transaction.account_name,
+    balance: Math.round(balance * 100) / 100,
+    created_at: transaction.created_at,
+    updated_at: transaction.updated_at
+  })}\n`,
+  footer: () => ''
+});
+
+/**
+ * OFX 1.0.2 (SGML) bank statement, readable by most personal finance software
+ * @param {object} meta - Export metadata
+ */
+const createOfxFormatter = (meta) => {
+  const escapeText = (value, maxLength) => String(value || '')
+    .slice(0, maxLength)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/[\r\n]+/g, ' ');
+
+  const ofxDate = (value) => toIsoDate(value).replace(/-/g, '');
+  const now = ofxDate(meta.generatedAt);
+
+  return {
+    contentType: 'application/x-ofx',
+    extension: 'ofx',
+    encoding: 'utf8',
+    header: () => [
+      'OFXHEADER:100',
+      'DATA:OFXSGML',
+      'VERSION:102',
+      'SECURITY:NONE',
+      'ENCODING:USASCII',
+      'CHARSET:1252',
+      'COMPRESSION:NONE',
+      'OLDFILEUID:NONE',
+      'NEWFILEUID:NONE',
+      '',
+      '<OFX>',
+      '<SIGNONMSGSRSV1><SONRS>',
+      '<STATUS><CODE>0<SEVERITY>INFO</STATUS>',
+      `<DTSERVER>${now}`,
+      '<LANGUAGE>ENG',
+      '</SONRS></SIGNONMSGSRSV1>',
+      '<BANKMSGSRSV1><STMTTRNRS>',
+      '<TRNUID>1',
+      '<STATUS><CODE>0<SEVERITY>INFO</STATUS>',
+      '<STMTRS>',
+      `<CURDEF>${meta.currency}`,
+      '<BANKACCTFROM>',
+      '<BANKID>FINANCETRACKER',
+      `<ACCTID>${meta.user.id}`,
+      '<ACCTTYPE>CHECKING',
+      '</BANKACCTFROM>',
+      '<BANKTRANLIST>',
+      `<DTSTART>${ofxDate(meta.periodStart)}`,
+      `<DTEND>${ofxDate(meta.periodEnd)}`,
+      ''
+    ].join('\r\n'),
+    // Every amount in a statement is in CURDEF, so rows with no exchange rate cannot be listed
+    row: (transaction) => (transaction.converted_amount === null ? '' : [
+      '<STMTTRN>',
+      `<TRNTYPE>${transaction.transfer_id ? 'XFER' : (transaction.type === 'income' ? 'CREDIT' : 'DEBIT')}`,
+      `<DTPOSTED>${ofxDate(transaction.transaction_date)}`,
+      `<TRNAMT>${signedAmount({ ...transaction, amount: transaction.converted_amount }).toFixed(2)}`,
+      `<FITID>${transaction.id}`,
+      `<NAME>${escapeText(transaction.description || transaction.category_name, 32)}`,
+      `<MEMO>${escapeText(transaction.category_name, 255)}`,
+      '</STMTTRN>',
+      ''
+    ].join('\r\n')),
+    footer: (totals) => [
+      '</BANKTRANLIST>',
+      '<LEDGERBAL>',
+      `<BALAMT>${totals.closingBalance.toFixed(2)}`,
+      `<DTASOF>${ofxDate(meta.periodEnd)}`,
+      '</LEDGERBAL>',
+      '</STMTRS>',
+      '</STMTTRNRS></BANKMSGSRSV1>',
+      '</OFX>',
+      ''
+    ].join('\r\n')
+  };
+};
+
+// Statement page layout (US Letter, monospaced so columns line up)
+const PAGE_WIDTH = 612;
+const PAGE_HEIGHT = 792;
+const MARGIN = 36;
+const LINE_HEIGHT = 11;
+const LINES_PER_PAGE = 56;
+const COLUMNS = [
+  { title: 'Date', width: 10 },
+  { title: 'Description', width: 40 },
+  { title: 'Category', width: 18 },
+  { title: 'Amount', width: 12, alignRight: true },
+  { title: 'Balance', width: 12, alignRight: true }
+];
+
+/**
+ * Paginated PDF statement with opening and closing balances. Pages are written
+ * as soon as they fill up; the page tree and cross-reference table come last.
+ * @param {object} meta - Export metadata
+ */
+const createPdfStatementFormatter = (meta) => {
+  const offsets = [];
+  const pageIds = [];
+  let bytesWritten = 0;
+  let nextObjectId = 5; // 1 catalog, 2 page tree, 3-4 fonts
+  let pageLines = [];
+
+  // Statement lines before and after the transactions
+  const summaryLines = meta.unconvertedCount > 0 ? 5 : 4;
+  const totalPages = Math.max(1, Math.ceil((meta.count + 2 + summaryLines) / LINES_PER_PAGE));
+
+  // Keep to the characters the standard PDF fonts can show
+  const pdfText = (value) => String(value === null || value === undefined ? '' : value)
+    .replace(/[^\x20-\x7E\xA0-\xFF]/g, '?')
+    .replace(/([\\()])/g, '\\$1');
+
+  const cell = (value, column) => {
+    const text = String(value === null || value === undefined ? '' : value);
+    const clipped = text.length > column.width ? `${text.slice(0, column.width - 1)}~` : text;
+    return column.alignRight ? clipped.padStart(column.width) : clipped.padEnd(column.width);
+  };
+
+  const tableLine = (values) => values.map((value, index) => cell(value, COLUMNS[index])).join('  ');
+
+  const emit = (text) => {
+    bytesWritten += Buffer.byteLength(text, 'latin1');
+    return text;
+  };
+
+  const object = (id, body) => {
+    offsets[id] = bytesWritten;
+    return emit(`${id} 0 obj\n${body}\nendobj\n`);
+  };
+
+  const pageHeader = (pageNumber) => {
+    const period = `${toIsoDate(meta.periodStart) || 'All dates'} to ${toIsoDate(meta.periodEnd) || 'today'}`;
+    return [
+      { text: 'Account Statement', bold: true, size: 14 },
+      { text: `${meta.accountHolder}    Period: ${period}    Page ${pageNumber} of ${totalPages}` },
+      { text: `Generated ${meta.generatedAt.toISOString().replace('T', ' ').slice(0, 16)} UTC` },
+      { text: '' },
+      { text: tableLine(COLUMNS.map(column => column.title)), bold: true }
+    ];
+  };
+
+  // Write the buffered lines out as one page
+  const flushPage = () => {
+    const pageNumber = pageIds.length + 1;
+    const lines = [...pageHeader(pageNumber), ...pageLines.map(text => (typeof text === 'string' ? { text } : text))];
+
+    let y = PAGE_HEIGHT - MARGIN - 14;
+    const content = lines.map(line => {
+      const drawn = `BT /${line.bold ? 'F2' : 'F1'} ${line.size || 9} Tf ${MARGIN} ${y} Td (${pdfText(line.text)}) Tj ET`;
+      y -= line.size ? line.size + 6 : LINE_HEIGHT;
+      return drawn;
+    }).join('\n');
+
+    const contentId = nextObjectId++;
+    const pageId = nextObjectId++;
+    pageIds.push(pageId);
+    pageLines = [];
+
+    return object(contentId, `<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`) +
+      object(pageId, `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+        `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${contentId} 0 R >>`);
+  };
+
+  const addLine = (line) => {
+    pageLines.push(line);
+    return pageLines.length >= LINES_PER_PAGE ? flushPage() : '';
+  };
+
+  return {
+    contentType: 'application/pdf',
+    extension: 'pdf',
+    encoding: 'latin1',
+    header: () => emit('%PDF-1.4\n') +
+      object(3, '<< /Type /Font /Subtype /Type1 /BaseFont /Courier /Encoding /WinAnsiEncoding >>') +
+      object(4, '<< /Type /Font /Subtype /Type1 /BaseFont /Courier-Bold /Encoding /WinAnsiEncoding >>') +
+      addLine({ text: tableLine(['', 'Opening balance', '', '', formatCurrency(meta.openingBalance, meta.currency)]), bold: true }) +
+      addLine(''),
+    row: (transaction, balance) => addLine(tableLine([
+      toIsoDate(transaction.transaction_date),
+      transaction.description || '',
+      transaction.category_name,
+      formatCurrency(signedAmount(transaction), transaction.currency),
+      formatCurrency(balance, meta.currency)
+    ])),
+    footer: (totals) => {
+      let output = addLine('') +
+        addLine(tableLine(['', `Money in (${totals.incomeCount})`, '', formatCurrency(totals.income, meta.currency), ''])) +
+        addLine(tableLine(['', `Money out (${totals.expenseCount})`, '', formatCurrency(-totals.expense, meta.currency), ''])) +
+        addLine({ text: tableLine(['', 'Closing balance', '', '', formatCurrency(totals.closingBalance, meta.currency)]), bold: true });
+
+      if (meta.unconvertedCount > 0) {
+        output += addLine(`${meta.unconvertedCount} transaction(s) with no exchange rate to ${meta.currency} are not in the balances`);
+      }
+
+      if (pageLines.length > 0 || pageIds.length === 0) {
+        output += flushPage();
+      }
+
+      output += object(2, `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`);
+      output += object(1, '<< /Type /Catalog /Pages 2 0 R >>');
+
+      const xrefOffset = bytesWritten;
+      const xrefRows = ['0000000000 65535 f '];
+      for (let id = 1; id < nextObjectId; id++) {
+        xrefRows.push(`${String(offsets[id]).padStart(10, '0')} 00000 n `);
+      }
+
+      output += emit(`xref\n0 ${nextObjectId}\n${xrefRows.join('\n')}\n` +
+        `trailer\n<< /Size ${nextObjectId} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+      return output;
+    }
+  };
+};
+
+/**
+ * Create a formatter for an export format
+ * @param {string} format - One of EXPORT_FORMATS
+ * @param {object} meta - Export metadata: user, accountHolder, periodStart, periodEnd,
+ *   currency, openingBalance, count, unconvertedCount and generatedAt
+ * @returns {object} contentType, extension, encoding and header/row/footer functions
+ */
+const createExportFormatter = (format, meta) => {
+  switch (format) {
+    case 'csv':
+      return createCsvFormatter(meta);
+    case 'jsonl':
+      return createJsonLinesFormatter(meta);
+    case 'ofx':
+      return createOfxFormatter(meta);
+    case 'pdf':
+      return createPdfStatementFormatter(meta);
+    default:
+      throw new Error(`Unsupported export format: ${format}`);
+  }
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  createExportFormatter
+};
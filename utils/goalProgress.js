@@ -0,0 +1,145 @@
+/**
+ * Savings goal progress and projections. A goal is tracked either by the
+ * transactions linked to it (expenses set money aside, income takes it back
+ * out) or by the balance of one account.
+ */
+const { pool } = require('../config/database');
+const { calculatePercentage } = require('./helpers');
+const { toDateOnly, formatDateOnly, addPeriods } = require('./budgetProgress');
+const { convertedAmountSql, unconvertedColumnsSql, summarizeUnconverted } = require('./exchangeRates');
+const { signedAmountSql } = require('./ledger');
+
+// Months of recent contributions the projection extrapolates from
+const GOAL_TRAILING_MONTHS = parseInt(process.env.GOAL_TRAILING_MONTHS) || 3;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Last day of a YYYY-MM month, so "by 2027-06" means by 2027-06-30
+ * @param {string} month - Month as YYYY-MM
+ * @returns {string} Date as YYYY-MM-DD
+ */
+const endOfMonth = (month) => {
+  const [year, monthNumber] = month.split('-').map(Number);
+  return formatDateOnly(new Date(year, monthNumber, 0));
+};
+
+/**
+ * Count the monthly contributions still possible before a target date
+ * @param {Date} today - Reference date
+ * @param {Date} targetDate - Goal deadline
+ * @returns {number} Whole months left (at least 1 until the deadline has passed)
+ */
+const monthsUntil = (today, targetDate) => {
+  if (targetDate < today) return 0;
+
+  let months = (targetDate.getFullYear() - today.getFullYear()) * 12 +
+    (targetDate.getMonth() - today.getMonth());
+  if (targetDate.getDate() < today.getDate()) months--;
+
+  return Math.max(months, 1);
+};
+
+/**
+ * Sum a goal's saved amount and its contributions since a date
+ * @param {object} goal - Goal row
+ * @param {Date} since - Start of the trailing window (inclusive)
+ * @param {Date} today - End of the trailing window (inclusive)
+ * @returns {Promise<object>} saved and recent amounts in the goal's currency
+ */
+const getGoalTotals = async (goal, since, today) => {
+  if (goal.account_id) {
+    // Transactions on an account are in the account's currency, which the goal shares
+    const result = await pool.query(
+      `SELECT
+         a.opening_balance + COALESCE(SUM(${signedAmountSql('t')}), 0) as saved,
+         COALESCE(SUM(${signedAmountSql('t')}) FILTER (
+           WHERE t.transaction_date >= $2 AND t.transaction_date <= $3
+         ), 0) as recent
+       FROM accounts a
+       LEFT JOIN transactions t ON t.account_id = a.id
+       WHERE a.id = $1
+       GROUP BY a.id`,
+      [goal.account_id, formatDateOnly(since), formatDateOnly(today)]
+    );
+
+    const row = result.rows[0] || { saved: 0, recent: 0 };
+    return { saved: parseFloat(row.saved), recent: parseFloat(row.recent), ...summarizeUnconverted([]) };
+  }
+
+  const contributionSql = `CASE WHEN t.type = 'expense' THEN 1 ELSE -1 END * ${convertedAmountSql('$2', 't')}`;
+  const result = await pool.query(
+    `SELECT
+       COALESCE(SUM(${contributionSql}), 0) as saved,
+       COALESCE(SUM(${contributionSql}) FILTER (
+         WHERE t.transaction_date >= $3 AND t.transaction_date <= $4
+       ), 0) as recent,
+       ${unconvertedColumnsSql('$2', 't')}
+     FROM transactions t
+     WHERE t.goal_id = $1`,
+    [goal.id, goal.currency, formatDateOnly(since), formatDateOnly(today)]
+  );
+
+  return {
+    saved: parseFloat(goal.starting_amount) + parseFloat(result.rows[0].saved),
+    recent: parseFloat(result.rows[0].recent),
+    ...summarizeUnconverted(result.rows)
+  };
+};
+
+/**
+ * Calculate live progress for a savings goal
+ * @param {object} goal - Goal row
+ * @param {Date} referenceDate - Date treated as "today" (default: now)
+ * @returns {Promise<object>} Saved amount, required monthly contribution, status and projection
+ */
+const calculateGoalProgress = async (goal, referenceDate = new Date()) => {
+  const today = toDateOnly(referenceDate);
+  const targetDate = toDateOnly(goal.target_date);
+  const targetAmount = parseFloat(goal.target_amount);
+
+  const trailingStart = addPeriods(addPeriods(today, 'monthly', -GOAL_TRAILING_MONTHS), 'daily', 1);
+  const { saved, recent, unconvertedCount, missingCurrencies } = await getGoalTotals(goal, trailingStart, today);
+
+  const remaining = Math.max(round(targetAmount - saved), 0);
+  const monthsRemaining = monthsUntil(today, targetDate);
+  const trailingMonthlyContribution = round(recent / GOAL_TRAILING_MONTHS);
+
+  // Past the deadline, everything still missing is due now
+  const requiredMonthlyContribution = remaining === 0 ? 0
+    : round(monthsRemaining > 0 ? remaining / monthsRemaining : remaining);
+
+  let projectedCompletionDate = null;
+  if (remaining > 0 && trailingMonthlyContribution > 0) {
+    projectedCompletionDate = addPeriods(today, 'monthly', Math.ceil(remaining / trailingMonthlyContribution));
+  }
+
+  let status = 'behind';
+  if (remaining === 0) {
+    status = 'completed';
+  } else if (projectedCompletionDate && projectedCompletionDate <= targetDate) {
+    status = 'on_track';
+  }
+
+  return {
+    savedAmount: round(saved),
+    remainingAmount: remaining,
+    percentageComplete: calculatePercentage(saved, targetAmount),
+    monthsRemaining,
+    requiredMonthlyContribution,
+    trailingMonthlyContribution,
+    trailingMonths: GOAL_TRAILING_MONTHS,
+    projectedCompletionDate: projectedCompletionDate ? formatDateOnly(projectedCompletionDate) : null,
+    status,
+    // Linked transactions in a currency with no exchange rate are not counted as saved
+    unconvertedCount,
+    missingCurrencies
+  };
+};
+
+module.exports = {
+  GOAL_TRAILING_MONTHS,
+  endOfMonth,
+  monthsUntil,
+  calculateGoalProgress
+};
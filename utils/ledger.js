@@ -0,0 +1,30 @@
+/**
+ * Signed amounts for balance calculations. Amounts are stored unsigned:
+ * income and the incoming leg of a transfer add to a balance, expenses and
+ * the outgoing leg of a transfer subtract from it.
+ */
+
+/**
+ * SQL expression for a transaction's signed amount
+ * @param {string} alias - Table alias of the transactions table (default: t)
+ * @param {string} amountSql - Amount to sign, e.g. a converted amount (default: the stored amount)
+ * @returns {string} SQL CASE expression
+ */
+const signedAmountSql = (alias = 't', amountSql = `${alias}.amount`) =>
+  `CASE WHEN ${alias}.type = 'income' OR ${alias}.transfer_direction = 'in' THEN ${amountSql} ELSE -(${amountSql}) END`;
+
+/**
+ * Signed amount of a transaction row
+ * @param {object} transaction - Row with amount, type and transfer_direction
+ * @returns {number} Positive for money in, negative for money out
+ */
+const signedAmount = (transaction) => {
+  const amount = parseFloat(transaction.amount);
+  const isMoneyIn = transaction.type === 'income' || transaction.transfer_direction === 'in';
+  return isMoneyIn ? amount : -amount;
+};
+
+module.exports = {
+  signedAmountSql,
+  signedAmount
+};
@@ -0,0 +1,159 @@
+/**
+ * Brute-force protection per identity (the email address being logged in
+ * to), on top of the per-IP authLimiter. Failed attempts are counted in
+ * Redis so every server instance sees the same state: after a few free
+ * attempts each further failure blocks the identity for an exponentially
+ * growing delay, and LOGIN_MAX_FAILURES failures lock it out. Repeated
+ * lockouts double in length. A successful login, a password reset or an
+ * admin unlock clears everything. When Redis is unavailable attempts are not
+ * tracked.
+ */
+const crypto = require('crypto');
+const { client } = require('../config/redis');
+const { recordAuditEvent } = require('./auditLog');
+
+const MAX_FAILURES = parseInt(process.env.LOGIN_MAX_FAILURES) || 10;
+const LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+
+// Failures before backoff starts, and its ceiling
+const FREE_ATTEMPTS = 3;
+const MAX_BACKOFF_SECONDS = 60;
+
+// Failures are forgotten after this long without another one
+const FAILURE_WINDOW_SECONDS = 15 * 60;
+
+// Lockouts within this period make the next one longer, up to the ceiling.
+// Anyone can fail logins for an address, so the ceiling stays at an hour (or
+// one lockout, when that is configured longer) to limit how long a stranger
+// can keep its owner out; a password reset lifts the lockout at once
+const LOCKOUT_HISTORY_SECONDS = 24 * 60 * 60;
+const MAX_LOCKOUT_SECONDS = Math.max(LOCKOUT_MINUTES * 60, 60 * 60);
+
+// Keys hold a hash of the email so addresses are not stored in Redis
+const keysFor = (email) => {
+  const id = crypto.createHash('sha256').update(String(email).trim().toLowerCase()).digest('hex');
+  return {
+    failures: `login:failures:${id}`,
+    lockouts: `login:lockouts:${id}`,
+    block: `login:block:${id}`
+  };
+};
+
+/**
+ * Check whether an identity is blocked from trying to log in
+ * @param {string} email - Email address being logged in to
+ * @returns {Promise<object|null>} reason (backoff or lockout) and retryAfter
+ * in seconds, or null when attempts are allowed
+ */
+const getLoginBlock = async (email) => {
+  if (!client.isOpen) {
+    console.log('Redis not connected - skipping login attempt tracking');
+    return null;
+  }
+
+  try {
+    const { block } = keysFor(email);
+    const [reason, remainingMs] = await Promise.all([client.get(block), client.pTTL(block)]);
+    if (!reason || remainingMs <= 0) return null;
+
+    return { reason, retryAfter: Math.ceil(remainingMs / 1000) };
+  } catch (error) {
+    console.error('Login block check error:', error);
+    return null;
+  }
+};
+
+/**
+ * Count a failed attempt, blocking the identity when it has failed too often
+ * @param {string} email - Email address being logged in to
+ * @param {object} context - req, and userId when the email belongs to a user
+ * @returns {Promise<object|null>} The block now in place, as getLoginBlock
+ */
+const recordLoginFailure = async (email, { req = null, userId = null } = {}) => {
+  if (!client.isOpen) return null;
+
+  try {
+    const keys = keysFor(email);
+    const [failures] = await client.multi()
+      .incr(keys.failures)
+      .expire(keys.failures, FAILURE_WINDOW_SECONDS)
+      .exec();
+
+    if (failures >= MAX_FAILURES) {
+      const [lockouts] = await client.multi()
+        .incr(keys.lockouts)
+        .expire(keys.lockouts, LOCKOUT_HISTORY_SECONDS)
+        .exec();
+      const lockoutSeconds = Math.min(LOCKOUT_MINUTES * 60 * 2 ** (lockouts - 1), MAX_LOCKOUT_SECONDS);
+
+      await client.multi()
+        .set(keys.block, 'lockout', { EX: lockoutSeconds })
+        .del(keys.failures)
+        .exec();
+
+      await recordAuditEvent({
+        type: 'account_locked',
+        userId,
+        req,
+        details: { email, failedAttempts: failures, lockoutSeconds, lockoutCount: lockouts }
+      });
+
+      return { reason: 'lockout', retryAfter: lockoutSeconds };
+    }
+
+    if (failures > FREE_ATTEMPTS) {
+      const backoffSeconds = Math.min(2 ** (failures - FREE_ATTEMPTS - 1), MAX_BACKOFF_SECONDS);
+      await client.set(keys.block, 'backoff', { EX: backoffSeconds });
+      return { reason: 'backoff', retryAfter: backoffSeconds };
+    }
+
+    return null;
+  } catch (error) {
+    console.error('Login failure tracking error:', error);
+    return null;
+  }
+};
+
+/**
+ * Forget an identity's failed attempts, blocks and lockout history
+ * @param {string} email - Email address
+ * @returns {Promise<boolean>} Whether it was blocked
+ */
+const clearLoginFailures = async (email) => {
+  if (!client.isOpen) return false;
+
+  try {
+    const keys = keysFor(email);
+    const [, , blocked] = await client.multi()
+      .del(keys.failures)
+      .del(keys.lockouts)
+      .del(keys.block)
+      .exec();
+
+    return blocked > 0;
+  } catch (error) {
+    console.error('Clear login failures error:', error);
+    return false;
+  }
+};
+
+/**
+ * Describe a block for the response that refuses a login
+ * @param {object} block - From getLoginBlock or recordLoginFailure
+ * @returns {string} Message for the user
+ */
+const loginBlockMessage = (block) => {
+  if (block.reason === 'lockout') {
+    return `Too many failed login attempts - the account is locked for ${Math.ceil(block.retryAfter / 60)} minute(s)`;
+  }
+  return `Too many failed login attempts - try again in ${block.retryAfter} second(s)`;
+};
+
+module.exports = {
+  MAX_FAILURES,
+  LOCKOUT_MINUTES,
+  getLoginBlock,
+  recordLoginFailure,
+  clearLoginFailures,
+  loginBlockMessage
+};
@@ -0,0 +1,186 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+/**
+ * Outgoing email (verification and password reset links). Every transport
+ * has the same interface:
+ *
+ *   sendMail({ to, subject, text }) -> Promise<void>
+ *
+ * MAIL_TRANSPORT picks the transport: "console" logs messages, "file" writes
+ * each one as an .eml file under MAIL_DIR for local testing, and "smtp"
+ * delivers through SMTP_HOST over TLS, either upgraded with STARTTLS or from
+ * the start with SMTP_SECURE=true. Console is only the default in development
+ * and test: elsewhere it would put password reset links in the server log, so
+ * MAIL_TRANSPORT has to be set.
+ */
+
+const SMTP_TIMEOUT_MS = 30000;
+
+// Environments where messages go to the console unless MAIL_TRANSPORT says otherwise
+const CONSOLE_DEFAULT_ENVIRONMENTS = ['development', 'test'];
+
+const mailFrom = () => process.env.MAIL_FROM || 'Personal Finance Tracker <no-reply@localhost>';
+
+// Header values come partly from users (their email address); never let one start a new header
+const headerValue = (value) => {
+  const text = String(value);
+  if (/[\r\n]/.test(text)) {
+    throw new Error('Email header values cannot contain line breaks');
+  }
+  return /^[\x20-\x7e]*$/.test(text) ? text : `=?UTF-8?B?${Buffer.from(text).toString('base64')}?=`;
+};
+
+// Bare address from "Name <address>" or "address"
+const addressOf = (mailbox) => {
+  const match = String(mailbox).match(/<([^>]+)>/);
+  return (match ? match[1] : String(mailbox)).trim();
+};
+
+/**
+ * Build an RFC 5322 message with a plain-text body
+ * @param {object} message - from, to, subject and text
+ * @returns {string} Message with CRLF line endings
+ */
+const buildMessage = ({ from, to, subject, text }) => {
+  const ascii = /^[\x00-\x7e]*$/.test(text);
+  const body = ascii
+    ? text.replace(/\r?\n/g, '\r\n')
+    : Buffer.from(text).toString('base64').replace(/.{76}/g, '$&\r\n');
+  const domain = addressOf(from).split('@')[1] || 'localhost';
+
+  return [
+    `From: ${headerValue(from)}`,
+    `To: ${headerValue(to)}`,
+    `Subject: ${headerValue(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${crypto.randomUUID()}@${domain}>`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    `Content-Transfer-Encoding: ${ascii ? '7bit' : 'base64'}`,
+    '',
+    body
+  ].join('\r\n');
+};
+
+/**
+ * Log messages instead of sending them
+ * @returns {object} Mail transport
+ */
+const createConsoleMailer = () => ({
+  sendMail: async ({ to, subject, text }) => {
+    console.log(`📧 Email to ${to}: ${subject}\n${text}`);
+  }
+});
+
+/**
+ * Write messages as .eml files, which mail clients can open
+ * @param {string} dir - Directory for the files
+ * @returns {object} Mail transport
+ */
+const createFileMailer = (dir) => {
+  const root = path.resolve(dir);
+
+  return {
+    sendMail: async ({ to, subject, text }) => {
+      await fs.promises.mkdir(root, { recursive: true });
+      const fileName = `${new Date().toISOString().replace(/[:.]/g, '-')}-${crypto.randomBytes(4).toString('hex')}.eml`;
+      await fs.promises.writeFile(path.join(root, fileName), buildMessage({ from: mailFrom(), to, subject, text }));
+    }
+  };
+};
+
+/**
+ * Deliver messages through an SMTP server. Without implicit TLS the server
+ * must accept STARTTLS, so credentials and links never cross the network in
+ * the clear, unless allowInsecure is set for a trusted local relay.
+ * @param {object} config - host, port, secure (implicit TLS), user, password and allowInsecure
+ * @returns {object} Mail transport
+ */
+const createSmtpMailer = ({ host, port, secure, user, password, allowInsecure }) => {
+  if (!host) {
+    throw new Error('SMTP mail transport needs SMTP_HOST');
+  }
+
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    requireTLS: !secure && !allowInsecure,
+    auth: user ? { user, pass: password || '' } : undefined,
+    connectionTimeout: SMTP_TIMEOUT_MS,
+    greetingTimeout: SMTP_TIMEOUT_MS,
+    socketTimeout: SMTP_TIMEOUT_MS
+  });
+
+  return {
+    sendMail: async ({ to, subject, text }) => {
+      await transporter.sendMail({ from: mailFrom(), to, subject, text });
+    }
+  };
+};
+
+let mailer = null;
+
+/**
+ * Get the configured mail transport, creating it on first use
+ * @returns {object} Mail transport
+ * @throws {Error} When the transport is unknown or missing outside development and test
+ */
+const getMailer = () => {
+  if (!mailer) {
+    const environment = process.env.NODE_ENV || 'development';
+    if (!process.env.MAIL_TRANSPORT && !CONSOLE_DEFAULT_ENVIRONMENTS.includes(environment)) {
+      throw new Error(`MAIL_TRANSPORT must be set when NODE_ENV is ${environment} - use smtp to deliver email`);
+    }
+
+    const transport = (process.env.MAIL_TRANSPORT || 'console').toLowerCase();
+
+    if (transport === 'smtp') {
+      const secure = process.env.SMTP_SECURE === 'true';
+      mailer = createSmtpMailer({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT) || (secure ? 465 : 587),
+        secure,
+        user: process.env.SMTP_USER,
+        password: process.env.SMTP_PASSWORD,
+        allowInsecure: process.env.SMTP_ALLOW_INSECURE === 'true'
+      });
+    } else if (transport === 'file') {
+      mailer = createFileMailer(process.env.MAIL_DIR || path.join(process.cwd(), 'mail'));
+    } else if (transport === 'console') {
+      mailer = createConsoleMailer();
+    } else {
+      throw new Error(`Unknown MAIL_TRANSPORT: ${transport}`);
+    }
+  }
+
+  return mailer;
+};
+
+/**
+ * Replace the mail transport, e.g. with an email service's API
+ * @param {object} transport - Object with sendMail
+ */
+const setMailer = (transport) => {
+  mailer = transport;
+};
+
+/**
+ * Send an email through the configured transport
+ * @param {object} message - to, subject and text
+ * @returns {Promise<void>}
+ */
+const sendMail = async (message) => getMailer().sendMail(message);
+
+module.exports = {
+  buildMessage,
+  createConsoleMailer,
+  createFileMailer,
+  createSmtpMailer,
+  getMailer,
+  setMailer,
+  sendMail
+};
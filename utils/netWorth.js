@@ -0,0 +1,185 @@
+/**
+ * Net worth over time: account balances plus manually valued assets minus
+ * liabilities, evaluated at the end of each interval. An account counts from
+ * its creation or first transaction, whichever is earlier; an asset or
+ * liability counts from its first valuation and keeps its latest value until
+ * the next one. Everything is converted at each point's date; items in a
+ * currency with no rate for a date are left out of that point and reported.
+ */
+const { pool } = require('../config/database');
+const { toDateOnly, formatDateOnly, addPeriods } = require('./budgetProgress');
+const { signedAmountSql } = require('./ledger');
+
+const NET_WORTH_INTERVALS = ['weekly', 'monthly', 'yearly'];
+
+// Upper bound on points in one series
+const MAX_POINTS = 400;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * List the dates a series is evaluated at: the last day of each interval from
+ * the start, with the end date itself as the final point
+ * @param {Date} start - First day of the series
+ * @param {Date} end - Last day of the series
+ * @param {string} interval - weekly, monthly or yearly
+ * @returns {Array<string>} Dates as YYYY-MM-DD, oldest first
+ */
+const seriesDates = (start, end, interval) => {
+  const dates = [];
+
+  for (let i = 1; ; i++) {
+    const date = addPeriods(addPeriods(start, interval, i), 'daily', -1);
+    if (date >= end) break;
+    dates.push(formatDateOnly(date));
+  }
+  dates.push(formatDateOnly(end));
+
+  return dates;
+};
+
+/**
+ * Build a user's net worth series
+ * @param {number} userId - User ID
+ * @param {string} currency - Currency to report in (the user's base currency)
+ * @param {object} options - startDate and endDate (Dates) and interval
+ * @returns {Promise<object>} Points over time and the breakdown on the end date
+ */
+const buildNetWorthSeries = async (userId, currency, { startDate, endDate, interval = 'monthly' }) => {
+  const dates = seriesDates(toDateOnly(startDate), toDateOnly(endDate), interval);
+
+  const accountsResult = await pool.query(
+    `SELECT
+       d.point_date,
+       a.id,
+       a.name,
+       a.type,
+       a.currency,
+       a.opening_balance + COALESCE(s.net_amount, 0) as balance,
+       convert_currency(a.opening_balance + COALESCE(s.net_amount, 0), a.currency, $2, d.point_date) as converted_balance
+     FROM unnest($3::date[]) AS d(point_date)
+     CROSS JOIN accounts a
+     LEFT JOIN LATERAL (
+       SELECT SUM(${signedAmountSql('t')}) as net_amount
+       FROM transactions t
+       WHERE t.account_id = a.id AND t.transaction_date <= d.point_date
+     ) s ON TRUE
+     WHERE a.user_id = $1
+       AND LEAST(
+         a.created_at::date,
+         (SELECT MIN(t.transaction_date) FROM transactions t WHERE t.account_id = a.id)
+       ) <= d.point_date`,
+    [userId, currency, dates]
+  );
+
+  const assetsResult = await pool.query(
+    `SELECT
+       d.point_date,
+       a.id,
+       a.name,
+       a.type,
+       a.currency,
+       v.value,
+       v.valuation_date as valued_on,
+       convert_currency(v.value, a.currency, $2, d.point_date) as converted_value
+     FROM unnest($3::date[]) AS d(point_date)
+     CROSS JOIN assets a
+     JOIN LATERAL (
+       SELECT av.value, av.valuation_date
+       FROM asset_valuations av
+       WHERE av.asset_id = a.id AND av.valuation_date <= d.point_date
+       ORDER BY av.valuation_date DESC
+       LIMIT 1
+     ) v ON TRUE
+     WHERE a.user_id = $1`,
+    [userId, currency, dates]
+  );
+
+  const totals = {};
+  dates.forEach(date => {
+    totals[date] = { accounts: 0, assets: 0, liabilities: 0, unconvertedCount: 0 };
+  });
+
+  // Amounts in a currency with no exchange rate for the date are left out of the totals
+  const unconvertedItems = new Set();
+  const missingCurrencies = new Set();
+  const skip = (kind, row) => {
+    totals[formatDateOnly(row.point_date)].unconvertedCount++;
+    unconvertedItems.add(`${kind}:${row.id}`);
+    missingCurrencies.add(row.currency);
+  };
+
+  accountsResult.rows.forEach(row => {
+    if (row.converted_balance === null) return skip('account', row);
+    totals[formatDateOnly(row.point_date)].accounts += parseFloat(row.converted_balance);
+  });
+
+  assetsResult.rows.forEach(row => {
+    if (row.converted_value === null) return skip('asset', row);
+    const key = row.type === 'liability' ? 'liabilities' : 'assets';
+    totals[formatDateOnly(row.point_date)][key] += parseFloat(row.converted_value);
+  });
+
+  const series = dates.map(date => {
+    const { accounts, assets, liabilities, unconvertedCount } = totals[date];
+    return {
+      date,
+      accounts: round(accounts),
+      assets: round(assets),
+      liabilities: round(liabilities),
+      netWorth: round(accounts + assets - liabilities),
+      unconvertedCount
+    };
+  });
+
+  const lastDate = dates[dates.length - 1];
+  const onLastDate = (row) => formatDateOnly(row.point_date) === lastDate;
+  const converted = (value) => (value === null ? null : parseFloat(value));
+
+  const accountItems = accountsResult.rows.filter(onLastDate).map(row => ({
+    id: row.id,
+    name: row.name,
+    type: row.type,
+    currency: row.currency,
+    balance: parseFloat(row.balance),
+    convertedBalance: converted(row.converted_balance)
+  }));
+
+  const assetItems = assetsResult.rows.filter(onLastDate).map(row => ({
+    id: row.id,
+    name: row.name,
+    type: row.type,
+    currency: row.currency,
+    value: parseFloat(row.value),
+    valuedOn: formatDateOnly(row.valued_on),
+    convertedValue: converted(row.converted_value)
+  }));
+
+  const first = series[0];
+  const current = series[series.length - 1];
+
+  return {
+    currency,
+    interval,
+    startDate: formatDateOnly(startDate),
+    endDate: lastDate,
+    current,
+    change: round(current.netWorth - first.netWorth),
+    // Accounts, assets and liabilities left out of at least one point
+    unconvertedCount: unconvertedItems.size,
+    missingCurrencies: [...missingCurrencies].sort(),
+    series,
+    breakdown: {
+      accounts: accountItems,
+      assets: assetItems.filter(item => item.type === 'asset'),
+      liabilities: assetItems.filter(item => item.type === 'liability')
+    }
+  };
+};
+
+module.exports = {
+  NET_WORTH_INTERVALS,
+  MAX_POINTS,
+  seriesDates,
+  buildNetWorthSeries
+};
@@ -0,0 +1,30 @@
+/**
+ * Helpers for writing to the per-user notification inbox
+ */
+const { pool } = require('../config/database');
+
+/**
+ * Create a notification for a user
+ * @param {number} userId - Recipient user ID
+ * @param {object} notification - Notification content
+ * @param {string} notification.type - Machine-readable type (e.g. budget_threshold)
+ * @param {string} notification.title - Short headline
+ * @param {string} notification.message - Human-readable body
+ * @param {object} notification.data - Extra context for clients
+ * @param {object} db - Pool or client to run the insert on (default: pool)
+ * @returns {Promise<object>} The created notification row
+ */
+const createNotification = async (userId, { type, title, message, data = {} }, db = pool) => {
+  const result = await db.query(
+    `INSERT INTO notifications (user_id, type, title, message, data)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING id, user_id, type, title, message, data, is_read, created_at`,
+    [userId, type, title, message || null, JSON.stringify(data)]
+  );
+
+  return result.rows[0];
+};
+
+module.exports = {
+  createNotification
+};
@@ -0,0 +1,75 @@
+/**
+ * Password hashing. Passwords are stored as bcrypt hashes; rows written
+ * before hashing was introduced still hold the plaintext password and are
+ * upgraded the next time their owner logs in.
+ */
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+
+// bcrypt work factor: each step doubles the time to hash (and to guess)
+const BCRYPT_ROUNDS = parseInt(process.env.BCRYPT_ROUNDS) || 12;
+
+const BCRYPT_HASH_PATTERN = /^\$2[aby]\$\d{2}\$[./A-Za-z0-9]{53}$/;
+
+/**
+ * Hash a password for storage
+ * @param {string} password - Plaintext password
+ * @returns {Promise<string>} bcrypt hash
+ */
+const hashPassword = (password) => bcrypt.hash(password, BCRYPT_ROUNDS);
+
+/**
+ * Check whether a stored password is a bcrypt hash rather than legacy plaintext
+ * @param {string} stored - Value of users.password
+ * @returns {boolean} True for a bcrypt hash
+ */
+const isPasswordHash = (stored) => BCRYPT_HASH_PATTERN.test(stored || '');
+
+// Compare legacy plaintext in constant time; digests give both sides the same length
+const plaintextMatches = (password, stored) => {
+  const digest = (value) => crypto.createHash('sha256').update(String(value)).digest();
+  return crypto.timingSafeEqual(digest(password), digest(stored));
+};
+
+/**
+ * Verify a password against the stored value
+ * @param {string} password - Password as entered
+ * @param {string} stored - Value of users.password (hash or legacy plaintext)
+ * @returns {Promise<object>} valid, and needsRehash when the stored value is
+ * plaintext or was hashed with a different work factor
+ */
+const verifyPassword = async (password, stored) => {
+  if (!isPasswordHash(stored)) {
+    const valid = plaintextMatches(password, stored);
+    return { valid, needsRehash: valid };
+  }
+
+  const valid = await bcrypt.compare(password, stored);
+  return { valid, needsRehash: valid && bcrypt.getRounds(stored) !== BCRYPT_ROUNDS };
+};
+
+// Hash of a random password at the current work factor, made on first use
+let dummyHash = null;
+
+/**
+ * Spend the time of a real password check when no user has the email, so
+ * response times do not reveal which accounts exist
+ * @param {string} password - Password as entered
+ * @returns {Promise<object>} valid (always false) and needsRehash, like verifyPassword
+ */
+const verifyUnknownUserPassword = async (password) => {
+  if (!dummyHash) {
+    dummyHash = hashPassword(crypto.randomBytes(32).toString('hex'));
+  }
+
+  await bcrypt.compare(password, await dummyHash);
+  return { valid: false, needsRehash: false };
+};
+
+module.exports = {
+  BCRYPT_ROUNDS,
+  hashPassword,
+  isPasswordHash,
+  verifyPassword,
+  verifyUnknownUserPassword
+};
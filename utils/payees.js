@@ -0,0 +1,85 @@
+const { pool } = require('../config/database');
+
+/**
+ * Payees: the canonical merchant behind a transaction. Raw statement text
+ * such as "AMZN Mktp US*2K3" is matched to a payee ("Amazon") through the
+ * user's alias patterns, so spending can be reported per merchant.
+ */
+
+const ALIAS_MATCH_TYPES = ['exact', 'starts_with', 'contains'];
+
+/**
+ * Lower-case a description and collapse its whitespace for alias matching
+ * @param {string} text - Raw description
+ * @returns {string} Normalized text
+ */
+const normalizePayeeText = (text) => String(text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+
+/**
+ * Load a user's alias patterns, most specific first: exact matches, then
+ * prefixes, then substrings, longer patterns before shorter ones
+ * @param {number} userId - Owner of the payees
+ * @param {object} db - Pool or client to query with
+ * @returns {Promise<Array>} Aliases with their payee's name
+ */
+const loadAliases = async (userId, db = pool) => {
+  const result = await db.query(
+    `SELECT pa.id, pa.payee_id, pa.pattern, pa.match_type, p.name as payee_name
+     FROM payee_aliases pa
+     JOIN payees p ON pa.payee_id = p.id
+     WHERE p.user_id = $1
+     ORDER BY
+       CASE pa.match_type WHEN 'exact' THEN 0 WHEN 'starts_with' THEN 1 ELSE 2 END,
+       LENGTH(pa.pattern) DESC,
+       pa.id`,
+    [userId]
+  );
+
+  return result.rows;
+};
+
+/**
+ * Find the payee a description belongs to
+ * @param {Array} aliases - Aliases from loadAliases, most specific first
+ * @param {string} description - Raw transaction description
+ * @returns {object|null} Matching alias (with payee_id and payee_name), or null
+ */
+const matchPayee = (aliases, description) => {
+  const text = normalizePayeeText(description);
+  if (!text) return null;
+
+  return aliases.find(alias => {
+    const pattern = normalizePayeeText(alias.pattern);
+    switch (alias.match_type) {
+      case 'exact':
+        return text === pattern;
+      case 'starts_with':
+        return text.startsWith(pattern);
+      default:
+        return text.includes(pattern);
+    }
+  }) || null;
+};
+
+/**
+ * Find a payee a user may attach to transactions
+ * @param {number} payeeId - Payee ID
+ * @param {number} userId - Owner the payee must belong to
+ * @returns {Promise<object|null>} Payee row, or null when missing or owned by someone else
+ */
+const findUserPayee = async (payeeId, userId) => {
+  const result = await pool.query(
+    'SELECT id, name FROM payees WHERE id = $1 AND user_id = $2',
+    [payeeId, userId]
+  );
+
+  return result.rows[0] || null;
+};
+
+module.exports = {
+  ALIAS_MATCH_TYPES,
+  normalizePayeeText,
+  loadAliases,
+  matchPayee,
+  findUserPayee
+};
@@ -0,0 +1,85 @@
+/**
+ * Period-over-period comparison: the range a period is compared against and
+ * the change between two amounts.
+ */
+const { calculatePercentage } = require('./helpers');
+const { formatDateOnly, addPeriods } = require('./budgetProgress');
+
+const COMPARE_MODES = ['previous', 'previous_year'];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Parse a YYYY-MM-DD string as a local date
+ * @param {string} value - Date string
+ * @returns {Date} Date at local midnight
+ */
+const parseDateOnly = (value) => {
+  const [year, month, day] = value.split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
+
+/**
+ * Find the range a period is compared against. "previous" is the period just
+ * before of the same length, counted in whole months when the period starts
+ * on the 1st so that October 1-19 compares with September 1-19. "previous_year"
+ * is the same dates a year earlier.
+ * @param {string} startDate - Start of the period (YYYY-MM-DD)
+ * @param {string} endDate - End of the period (YYYY-MM-DD)
+ * @param {string} mode - previous or previous_year
+ * @returns {object} startDate and endDate of the comparison range
+ */
+const comparisonRange = (startDate, endDate, mode = 'previous') => {
+  const start = parseDateOnly(startDate);
+  const end = parseDateOnly(endDate);
+
+  let shift;
+  if (mode === 'previous_year') {
+    shift = (date) => addPeriods(date, 'yearly', -1);
+  } else if (start.getDate() === 1) {
+    const months = (end.getFullYear() - start.getFullYear()) * 12 + end.getMonth() - start.getMonth() + 1;
+    shift = (date) => addPeriods(date, 'monthly', -months);
+  } else {
+    const days = Math.round((end - start) / (24 * 60 * 60 * 1000)) + 1;
+    shift = (date) => addPeriods(date, 'daily', -days);
+  }
+
+  return {
+    startDate: formatDateOnly(shift(start)),
+    endDate: formatDateOnly(shift(end))
+  };
+};
+
+/**
+ * Describe the change from a previous amount to a current one
+ * @param {number} current - Amount in the period
+ * @param {number} previous - Amount in the comparison range
+ * @returns {object} change, changePercentage (null when there was nothing before) and status
+ */
+const compareAmounts = (current, previous) => {
+  const change = round(current - previous);
+
+  let status = 'unchanged';
+  if (previous === 0 && current > 0) {
+    status = 'new';
+  } else if (current === 0 && previous > 0) {
+    status = 'dropped';
+  } else if (change > 0) {
+    status = 'increased';
+  } else if (change < 0) {
+    status = 'decreased';
+  }
+
+  return {
+    change,
+    changePercentage: previous > 0 ? calculatePercentage(change, previous) : null,
+    status
+  };
+};
+
+module.exports = {
+  COMPARE_MODES,
+  parseDateOnly,
+  comparisonRange,
+  compareAmounts
+};
@@ -0,0 +1,262 @@
+/**
+ * Recurring transaction schedule math and the in-process scheduler that
+ * materializes due templates into the transactions table
+ */
+const { pool } = require('../config/database');
+const { clearTransactionCache, clearAnalyticsCache, clearBudgetCache } = require('../middleware/cache');
+const { addPeriods, toDateOnly, formatDateOnly } = require('./budgetProgress');
+const { checkBudgetAlerts } = require('./budgetAlerts');
+
+const SCHEDULER_INTERVAL_MS = parseInt(process.env.RECURRING_SCHEDULER_INTERVAL_MS) || 60 * 60 * 1000;
+
+// Upper bound on occurrences posted for one template in a single run
+const MAX_CATCH_UP_OCCURRENCES = 1000;
+
+let schedulerTimer = null;
+let runInProgress = false;
+
+/**
+ * Get the date of the nth occurrence (0-based) of a template
+ * @param {object} template - Recurring transaction row
+ * @param {number} index - Occurrence index
+ * @returns {Date|null} Occurrence date, or null when the schedule has ended
+ */
+const getOccurrenceDate = (template, index) => {
+  if (template.max_occurrences && index >= template.max_occurrences) {
+    return null;
+  }
+
+  // Always step from the start date so month-end clamping does not drift
+  const date = addPeriods(template.start_date, template.frequency, index * (template.interval_count || 1));
+
+  if (template.end_date && date > toDateOnly(template.end_date)) {
+    return null;
+  }
+
+  return date;
+};
+
+/**
+ * List upcoming occurrences without posting anything
+ * @param {object} template - Recurring transaction row
+ * @param {number} count - Number of occurrences to list
+ * @param {number} fromIndex - First occurrence index (default: next unposted)
+ * @returns {Array<object>} Occurrence index and date pairs
+ */
+const getUpcomingOccurrences = (template, count, fromIndex = template.occurrences_count || 0) => {
+  const occurrences = [];
+
+  for (let index = fromIndex; occurrences.length < count; index++) {
+    const date = getOccurrenceDate(template, index);
+    if (!date) break;
+    occurrences.push({ index: index + 1, date: formatDateOnly(date) });
+  }
+
+  return occurrences;
+};
+
+/**
+ * Count the schedule slots on or before a date
+ * @param {object} template - Recurring transaction row
+ * @param {Date|string} date - Cut-off date
+ * @returns {number} Number of occurrences up to and including the date
+ */
+const countOccurrencesThrough = (template, date) => {
+  const cutoff = toDateOnly(date);
+  let index = 0;
+
+  while (index < MAX_CATCH_UP_OCCURRENCES * 10) {
+    const occurrence = getOccurrenceDate(template, index);
+    if (!occurrence || occurrence > cutoff) break;
+    index++;
+  }
+
+  return index;
+};
+
+/**
+ * Post every due occurrence of one template. The template row is locked and
+ * its counter advanced in the same database transaction as the inserts, and a
+ * unique index on (recurring_transaction_id, transaction_date) rejects any
+ * repeat, so a crash or restart can never double-post an occurrence.
+ * @param {number} templateId - Recurring transaction ID
+ * @param {object} options - Run options
+ * @param {Date} options.referenceDate - Post occurrences up to this date (default: today)
+ * @param {boolean} options.dryRun - Roll back instead of committing
+ * @returns {Promise<object>} Posted transactions and the template's next occurrence
+ */
+const materializeRecurringTransaction = async (templateId, { referenceDate = new Date(), dryRun = false } = {}) => {
+  const client = await pool.connect();
+  const today = toDateOnly(referenceDate);
+
+  try {
+    await client.query('BEGIN');
+
+    // SKIP LOCKED lets several server instances run the scheduler side by side
+    const templateResult = await client.query(
+      'SELECT * FROM recurring_transactions WHERE id = $1 AND is_active = TRUE FOR UPDATE SKIP LOCKED',
+      [templateId]
+    );
+
+    if (templateResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return { recurringTransactionId: templateId, posted: [], skipped: true };
+    }
+
+    const template = templateResult.rows[0];
+    const posted = [];
+    let index = template.occurrences_count;
+
+    while (posted.length < MAX_CATCH_UP_OCCURRENCES) {
+      const date = getOccurrenceDate(template, index);
+      if (!date || date > today) break;
+
+      const insertResult = await client.query(
+        `INSERT INTO transactions (user_id, category_id, amount, currency, type, description, transaction_date, recurring_transaction_id)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+         ON CONFLICT (recurring_transaction_id, transaction_date) WHERE recurring_transaction_id IS NOT NULL
+         DO NOTHING
+         RETURNING id, amount, currency, type, description, transaction_date, created_at`,
+        [
+          template.user_id, template.category_id, template.amount, template.currency, template.type,
+          template.description, formatDateOnly(date), template.id
+        ]
+      );
+
+      if (insertResult.rows.length > 0) {
+        posted.push(insertResult.rows[0]);
+      }
+      index++;
+    }
+
+    const nextDate = getOccurrenceDate(template, index);
+
+    await client.query(
+      `UPDATE recurring_transactions
+       SET occurrences_count = $1, next_occurrence_date = $2, is_active = $3, last_run_at = CURRENT_TIMESTAMP
+       WHERE id = $4`,
+      [index, nextDate ? formatDateOnly(nextDate) : null, nextDate !== null, template.id]
+    );
+
+    if (dryRun) {
+      await client.query('ROLLBACK');
+    } else {
+      await client.query('COMMIT');
+    }
+
+    if (!dryRun && posted.length > 0) {
+      await clearTransactionCache(template.user_id);
+      await clearAnalyticsCache(template.user_id);
+      await clearBudgetCache(template.user_id);
+
+      if (template.type === 'expense') {
+        await checkBudgetAlerts(template.user_id, template.category_id, posted[posted.length - 1].transaction_date);
+      }
+    }
+
+    return {
+      recurringTransactionId: template.id,
+      userId: template.user_id,
+      posted,
+      nextOccurrenceDate: nextDate ? formatDateOnly(nextDate) : null,
+      completed: nextDate === null
+    };
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Materialize every active template with an occurrence due on or before the reference date
+ * @param {object} options - Run options
+ * @param {Date} options.referenceDate - Post occurrences up to this date (default: today)
+ * @param {boolean} options.dryRun - Report what would be posted without committing
+ * @returns {Promise<object>} Run summary
+ */
+const runDueRecurringTransactions = async ({ referenceDate = new Date(), dryRun = false } = {}) => {
+  const dueResult = await pool.query(
+    `SELECT id FROM recurring_transactions
+     WHERE is_active = TRUE AND next_occurrence_date IS NOT NULL AND next_occurrence_date <= $1
+     ORDER BY next_occurrence_date, id`,
+    [formatDateOnly(referenceDate)]
+  );
+
+  const results = [];
+  const failures = [];
+
+  for (const row of dueResult.rows) {
+    try {
+      const result = await materializeRecurringTransaction(row.id, { referenceDate, dryRun });
+      if (!result.skipped) {
+        results.push(result);
+      }
+    } catch (error) {
+      console.error(`Recurring transaction ${row.id} failed:`, error);
+      failures.push({ recurringTransactionId: row.id, error: error.message });
+    }
+  }
+
+  return {
+    dryRun,
+    referenceDate: formatDateOnly(referenceDate),
+    templatesProcessed: results.length,
+    transactionsPosted: results.reduce((sum, result) => sum + result.posted.length, 0),
+    results,
+    failures
+  };
+};
+
+// Run once, skipping the tick if the previous run has not finished yet
+const tick = async () => {
+  if (runInProgress) return;
+  runInProgress = true;
+
+  try {
+    const summary = await runDueRecurringTransactions();
+    if (summary.transactionsPosted > 0) {
+      console.log(`Recurring scheduler posted ${summary.transactionsPosted} transactions`);
+    }
+  } catch (error) {
+    console.error('Recurring scheduler error:', error);
+  } finally {
+    runInProgress = false;
+  }
+};
+
+/**
+ * Start the in-process scheduler
+ * @param {number} intervalMs - Time between runs (default: RECURRING_SCHEDULER_INTERVAL_MS or 1 hour)
+ */
+const startScheduler = (intervalMs = SCHEDULER_INTERVAL_MS) => {
+  if (schedulerTimer) return;
+
+  tick();
+  schedulerTimer = setInterval(tick, intervalMs);
+  // Do not keep the process alive just for the scheduler
+  schedulerTimer.unref();
+  console.log(`⏰ Recurring transaction scheduler running every ${Math.round(intervalMs / 1000)}s`);
+};
+
+/**
+ * Stop the in-process scheduler
+ */
+const stopScheduler = () => {
+  if (schedulerTimer) {
+    clearInterval(schedulerTimer);
+    schedulerTimer = null;
+  }
+};
+
+module.exports = {
+  getOccurrenceDate,
+  getUpcomingOccurrences,
+  countOccurrencesThrough,
+  materializeRecurringTransaction,
+  runDueRecurringTransactions,
+  startScheduler,
+  stopScheduler
+};
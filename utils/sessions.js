@@ -0,0 +1,234 @@
+/**
+ * Login sessions. A session is one signed-in device: it holds a short-lived
+ * JWT access token and a refresh token that is exchanged for a new pair on
+ * every use. Refresh tokens are stored hashed, and all tokens issued to a
+ * session form one family: presenting a refresh token that was already
+ * exchanged means it was copied, so the whole session is revoked. Access
+ * tokens name their session, and revoking the session rejects them at once.
+ */
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { pool } = require('../config/database');
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+// Time a user has to enter their second-factor code after the password
+const LOGIN_CHALLENGE_EXPIRES_IN = '5m';
+
+// Revoked and expired sessions are kept this long for the session list, then pruned
+const SESSION_RETENTION_DAYS = 30;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Sign an access token for a session
+ * @param {number} userId - User ID
+ * @param {string} role - User role
+ * @param {number} sessionId - Session the token belongs to
+ * @returns {string} JWT
+ */
+const generateAccessToken = (userId, role, sessionId) => {
+  return jwt.sign(
+    { userId, role, sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+  );
+};
+
+// Store a new refresh token for a session and push back its expiry
+const issueRefreshToken = async (db, sessionId) => {
+  const refreshToken = crypto.randomBytes(32).toString('base64url');
+
+  await db.query(
+    'INSERT INTO refresh_tokens (session_id, token_hash) VALUES ($1, $2)',
+    [sessionId, hashToken(refreshToken)]
+  );
+  await db.query(
+    `UPDATE user_sessions
+     SET last_used_at = CURRENT_TIMESTAMP, expires_at = CURRENT_TIMESTAMP + make_interval(days => $2)
+     WHERE id = $1`,
+    [sessionId, REFRESH_TOKEN_TTL_DAYS]
+  );
+
+  return refreshToken;
+};
+
+/**
+ * Start a session for a user who just signed in
+ * @param {object} user - User row with id and role
+ * @param {object} req - Request, for the device's user agent and IP address
+ * @returns {Promise<object>} token (access token) and refreshToken
+ */
+const createSession = async (user, req) => {
+  let client;
+  try {
+    client = await pool.connect();
+    await client.query('BEGIN');
+
+    await client.query(
+      `DELETE FROM user_sessions
+       WHERE user_id = $1
+         AND COALESCE(revoked_at, expires_at) < CURRENT_TIMESTAMP - make_interval(days => $2)`,
+      [user.id, SESSION_RETENTION_DAYS]
+    );
+
+    const result = await client.query(
+      `INSERT INTO user_sessions (user_id, user_agent, ip_address, expires_at)
+       VALUES ($1, $2, $3, CURRENT_TIMESTAMP + make_interval(days => $4))
+       RETURNING id`,
+      [user.id, (req.get('user-agent') || '').slice(0, 255) || null, req.ip || null, REFRESH_TOKEN_TTL_DAYS]
+    );
+
+    const sessionId = result.rows[0].id;
+    const refreshToken = await issueRefreshToken(client, sessionId);
+
+    await client.query('COMMIT');
+
+    return {
+      token: generateAccessToken(user.id, user.role, sessionId),
+      refreshToken
+    };
+  } catch (error) {
+    if (client) await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    if (client) client.release();
+  }
+};
+
+/**
+ * Exchange a refresh token for a new access and refresh token
+ * @param {string} refreshToken - Refresh token from the client
+ * @returns {Promise<object>} { token, refreshToken } on success, otherwise
+ * { error } with invalid, expired or reused
+ */
+const rotateRefreshToken = async (refreshToken) => {
+  let client;
+  try {
+    client = await pool.connect();
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      `SELECT rt.id, rt.used_at, s.id as session_id, s.revoked_at, s.expires_at, u.id as user_id, u.role
+       FROM refresh_tokens rt
+       JOIN user_sessions s ON rt.session_id = s.id
+       JOIN users u ON s.user_id = u.id
+       WHERE rt.token_hash = $1
+       FOR UPDATE OF rt, s`,
+      [hashToken(String(refreshToken))]
+    );
+
+    const row = result.rows[0];
+    let error = null;
+    if (!row || row.revoked_at) {
+      error = 'invalid';
+    } else if (row.used_at) {
+      // Only a copy of the token can be presented twice, so nothing issued to this session can be trusted
+      await client.query(
+        `UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = 'token_reuse'
+         WHERE id = $1`,
+        [row.session_id]
+      );
+      error = 'reused';
+    } else if (new Date(row.expires_at) <= new Date()) {
+      error = 'expired';
+    }
+
+    if (error) {
+      await client.query('COMMIT');
+      return { error };
+    }
+
+    await client.query('UPDATE refresh_tokens SET used_at = CURRENT_TIMESTAMP WHERE id = $1', [row.id]);
+    const newRefreshToken = await issueRefreshToken(client, row.session_id);
+
+    await client.query('COMMIT');
+
+    return {
+      token: generateAccessToken(row.user_id, row.role, row.session_id),
+      refreshToken: newRefreshToken
+    };
+  } catch (error) {
+    if (client) await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    if (client) client.release();
+  }
+};
+
+/**
+ * Sign a challenge token for a user who entered their password but still has
+ * to pass two-factor authentication. It names no session, so it is not
+ * accepted as an access token.
+ * @param {number} userId - User ID
+ * @returns {string} JWT
+ */
+const createLoginChallenge = (userId) => {
+  return jwt.sign(
+    { userId, purpose: 'two_factor' },
+    process.env.JWT_SECRET,
+    { expiresIn: LOGIN_CHALLENGE_EXPIRES_IN }
+  );
+};
+
+/**
+ * Check a challenge token from createLoginChallenge
+ * @param {string} challengeToken - Token from the client
+ * @returns {number|null} User ID, or null when the token is invalid or expired
+ */
+const verifyLoginChallenge = (challengeToken) => {
+  try {
+    const decoded = jwt.verify(String(challengeToken), process.env.JWT_SECRET);
+    return decoded.purpose === 'two_factor' ? decoded.userId : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Revoke one session of a user
+ * @param {number} userId - Owner of the session
+ * @param {number} sessionId - Session ID
+ * @param {string} reason - Why it was revoked (e.g. logout)
+ * @returns {Promise<boolean>} False when no active session matched
+ */
+const revokeSession = async (userId, sessionId, reason) => {
+  const result = await pool.query(
+    `UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = $3
+     WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL
+     RETURNING id`,
+    [sessionId, userId, reason]
+  );
+
+  return result.rows.length > 0;
+};
+
+/**
+ * Revoke all active sessions of a user
+ * @param {number} userId - User ID
+ * @param {string} reason - Why they were revoked (e.g. password_change)
+ * @param {number} exceptSessionId - Session to keep, such as the one making the request
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+const revokeUserSessions = async (userId, reason, exceptSessionId = null) => {
+  const result = await pool.query(
+    `UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = $2
+     WHERE user_id = $1 AND revoked_at IS NULL
+       AND ($3::integer IS NULL OR id != $3)`,
+    [userId, reason, exceptSessionId]
+  );
+
+  return result.rowCount;
+};
+
+module.exports = {
+  ACCESS_TOKEN_EXPIRES_IN,
+  REFRESH_TOKEN_TTL_DAYS,
+  createSession,
+  rotateRefreshToken,
+  createLoginChallenge,
+  verifyLoginChallenge,
+  revokeSession,
+  revokeUserSessions
+};
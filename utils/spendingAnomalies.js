@@ -0,0 +1,373 @@
+/**
+ * Spending anomaly detection. Expenses in a review window are compared with
+ * the user's own history before it: single charges far above what a category
+ * usually costs, large first charges at merchants never seen before, and
+ * months where a category (or spending as a whole) jumps well above its
+ * trailing average. Every flag carries a plain-language explanation.
+ * Expenses in a currency with no exchange rate are left out and reported.
+ */
+const { pool } = require('../config/database');
+const { formatCurrency } = require('./helpers');
+const { toDateOnly, formatDateOnly, addPeriods } = require('./budgetProgress');
+const { convertedAmountSql, unconvertedColumnsSql, summarizeUnconverted } = require('./exchangeRates');
+const { categoryLinesSql } = require('./transactionSplits');
+const { endOfMonth } = require('./goalProgress');
+
+// Months before the review window that category statistics are taken from
+const HISTORY_MONTHS = 12;
+
+// Months a spike is compared against
+const SPIKE_TRAILING_MONTHS = 3;
+
+// A category needs this many past charges before its spread means anything
+const MIN_CATEGORY_SAMPLES = 5;
+
+// Without this much history every merchant would look new
+const MIN_HISTORY_TRANSACTIONS = 10;
+
+// Category spikes smaller than this share of average monthly spending are noise
+const MIN_SPIKE_SHARE = 0.05;
+
+/**
+ * Thresholds per sensitivity:
+ * zScore - standard deviations above the category average for an unusual charge
+ * percentile - share of past expenses a new merchant's charge must exceed
+ * categoryRatio / monthRatio - multiple of the trailing average for a spike
+ */
+const SENSITIVITY_SETTINGS = {
+  low: { zScore: 4, percentile: 0.95, categoryRatio: 3, monthRatio: 1.75 },
+  medium: { zScore: 3, percentile: 0.9, categoryRatio: 2, monthRatio: 1.5 },
+  high: { zScore: 2.5, percentile: 0.8, categoryRatio: 1.5, monthRatio: 1.25 }
+};
+
+// Flags this far past their threshold are reported as high severity
+const HIGH_SEVERITY_FACTOR = 1.5;
+
+const SEVERITY_ORDER = { high: 0, medium: 1 };
+
+const round = (value) => Math.round(value * 100) / 100;
+const monthKey = (date) => formatDateOnly(date).slice(0, 7);
+
+// Parse YYYY-MM-DD (or YYYY-MM for its first day) as a local date, since Date treats it as UTC
+const parseDate = (value) => {
+  const [year, month, day = 1] = value.split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
+
+// Name a transaction by its payee, falling back to its description
+const merchantName = (row) => row.payee_name || (row.description ? row.description.trim() : null);
+
+/**
+ * Flag charges far above their category's historical distribution
+ * @param {Array<object>} lines - Category lines in the window with converted amount
+ * @param {object} stats - Category ID to { count, mean, stdDev, max } over the history
+ * @param {object} settings - Sensitivity settings
+ * @param {string} currency - Currency for the explanations
+ * @returns {Array<object>} Anomalies
+ */
+const detectUnusualAmounts = (lines, stats, settings, currency) => {
+  const anomalies = [];
+
+  for (const line of lines) {
+    const category = stats[line.category_id];
+    if (!category || category.count < MIN_CATEGORY_SAMPLES || category.stdDev <= 0) continue;
+
+    const zScore = (line.amount - category.mean) / category.stdDev;
+    if (zScore < settings.zScore) continue;
+
+    const merchant = merchantName(line);
+    anomalies.push({
+      type: 'unusual_amount',
+      severity: zScore >= settings.zScore * HIGH_SEVERITY_FACTOR ? 'high' : 'medium',
+      transactionId: line.id,
+      date: formatDateOnly(line.transaction_date),
+      categoryId: line.category_id,
+      categoryName: line.category_name,
+      merchant,
+      amount: round(line.amount),
+      expectedAmount: round(category.mean),
+      score: round(zScore),
+      explanation: `${formatCurrency(line.amount, currency)}${merchant ? ` at ${merchant}` : ''} in ` +
+        `${line.category_name} is ${zScore.toFixed(1)} standard deviations above the category's average ` +
+        `of ${formatCurrency(category.mean, currency)}` +
+        (line.amount > category.max
+          ? `, and more than the largest of its ${category.count} past charges (${formatCurrency(category.max, currency)})`
+          : '')
+    });
+  }
+
+  return anomalies;
+};
+
+/**
+ * Flag first charges at new merchants that are large for the user
+ * @param {Array<object>} charges - First charges at merchants without earlier transactions
+ * @param {object} history - count, threshold (percentile amount) and max of past expenses
+ * @param {object} settings - Sensitivity settings
+ * @param {string} currency - Currency for the explanations
+ * @returns {Array<object>} Anomalies
+ */
+const detectNewMerchants = (charges, history, settings, currency) => {
+  if (history.count < MIN_HISTORY_TRANSACTIONS) return [];
+
+  const percentile = Math.round(settings.percentile * 100);
+
+  return charges
+    .filter(charge => charge.amount >= history.threshold)
+    .map(charge => ({
+      type: 'new_merchant',
+      severity: charge.amount > history.max ? 'high' : 'medium',
+      transactionId: charge.id,
+      date: formatDateOnly(charge.transaction_date),
+      categoryId: charge.category_id,
+      categoryName: charge.category_name,
+      merchant: merchantName(charge),
+      amount: round(charge.amount),
+      expectedAmount: round(history.threshold),
+      score: round(charge.amount / history.threshold),
+      explanation: `First charge at ${merchantName(charge)}: ${formatCurrency(charge.amount, currency)} is ` +
+        (charge.amount > history.max
+          ? `larger than any expense in the past ${HISTORY_MONTHS} months (${formatCurrency(history.max, currency)})`
+          : `above the ${percentile}th percentile of your expenses in the past ${HISTORY_MONTHS} months ` +
+            `(${formatCurrency(history.threshold, currency)})`)
+    }));
+};
+
+/**
+ * Flag months where a category, or spending as a whole, jumps above its trailing average
+ * @param {object} totals - YYYY-MM to { categoryId: { name, amount } }
+ * @param {Array<string>} months - Months under review, oldest first
+ * @param {object} options - settings, currency and partialMonth (YYYY-MM reviewed before its end)
+ * @returns {Array<object>} Anomalies
+ */
+const detectSpikes = (totals, months, { settings, currency, partialMonth }) => {
+  const anomalies = [];
+  const monthTotal = (month) => Object.values(totals[month] || {}).reduce((sum, entry) => sum + entry.amount, 0);
+
+  for (const month of months) {
+    const first = parseDate(month);
+    const trailing = [];
+    for (let i = SPIKE_TRAILING_MONTHS; i >= 1; i--) {
+      trailing.push(monthKey(addPeriods(first, 'monthly', -i)));
+    }
+
+    const trailingAverage = trailing.reduce((sum, key) => sum + monthTotal(key), 0) / SPIKE_TRAILING_MONTHS;
+    if (trailingAverage <= 0) continue;
+
+    const soFar = month === partialMonth ? ' so far' : '';
+    const describe = (subject, amount, average, ratio) =>
+      `${subject} in ${month} is ${formatCurrency(amount, currency)}${soFar}, ${ratio.toFixed(1)}x the ` +
+      `${SPIKE_TRAILING_MONTHS}-month average of ${formatCurrency(average, currency)}`;
+
+    const total = monthTotal(month);
+    const totalRatio = total / trailingAverage;
+    if (totalRatio >= settings.monthRatio) {
+      anomalies.push({
+        type: 'month_spike',
+        severity: totalRatio >= settings.monthRatio * HIGH_SEVERITY_FACTOR ? 'high' : 'medium',
+        month,
+        amount: round(total),
+        expectedAmount: round(trailingAverage),
+        score: round(totalRatio),
+        explanation: describe('Total spending', total, trailingAverage, totalRatio)
+      });
+    }
+
+    for (const [categoryId, entry] of Object.entries(totals[month] || {})) {
+      const average = trailing.reduce((sum, key) => {
+        const past = (totals[key] || {})[categoryId];
+        return sum + (past ? past.amount : 0);
+      }, 0) / SPIKE_TRAILING_MONTHS;
+
+      // New categories have nothing to spike from; their first charges show up as new merchants
+      if (average <= 0 || entry.amount - average < trailingAverage * MIN_SPIKE_SHARE) continue;
+
+      const ratio = entry.amount / average;
+      if (ratio < settings.categoryRatio) continue;
+
+      anomalies.push({
+        type: 'category_spike',
+        severity: ratio >= settings.categoryRatio * HIGH_SEVERITY_FACTOR ? 'high' : 'medium',
+        month,
+        categoryId: parseInt(categoryId),
+        categoryName: entry.name,
+        amount: round(entry.amount),
+        expectedAmount: round(average),
+        score: round(ratio),
+        explanation: describe(`Spending on ${entry.name}`, entry.amount, average, ratio)
+      });
+    }
+  }
+
+  return anomalies;
+};
+
+/**
+ * Find unusual transactions and months in a user's spending
+ * @param {number} userId - User ID
+ * @param {string} currency - Currency to compare and report in (the user's base currency)
+ * @param {object} options - startDate and endDate (YYYY-MM-DD) of the review window, sensitivity
+ * @param {Date} referenceDate - Date treated as "today" (default: now)
+ * @returns {Promise<object>} Review window, sensitivity and anomalies, most severe first
+ */
+const findSpendingAnomalies = async (userId, currency, options = {}, referenceDate = new Date()) => {
+  const today = toDateOnly(referenceDate);
+  const sensitivity = SENSITIVITY_SETTINGS[options.sensitivity] ? options.sensitivity : 'medium';
+  const settings = SENSITIVITY_SETTINGS[sensitivity];
+
+  // By default review last month and the current one so far
+  const windowStart = options.startDate
+    ? parseDate(options.startDate)
+    : addPeriods(new Date(today.getFullYear(), today.getMonth(), 1), 'monthly', -1);
+  const windowEnd = options.endDate ? parseDate(options.endDate) : today;
+  const historyStart = addPeriods(windowStart, 'monthly', -HISTORY_MONTHS);
+
+  const start = formatDateOnly(windowStart);
+  const end = formatDateOnly(windowEnd);
+  const amountSql = convertedAmountSql('$2', 't');
+
+  const statsResult = await pool.query(
+    `SELECT
+       t.category_id,
+       COUNT(*) as count,
+       AVG(${amountSql}) as mean,
+       STDDEV_SAMP(${amountSql}) as std_dev,
+       MAX(${amountSql}) as max
+     FROM ${categoryLinesSql} t
+     WHERE t.user_id = $1 AND t.type = 'expense'
+       AND t.transaction_date >= $3 AND t.transaction_date < $4
+       AND ${amountSql} IS NOT NULL
+     GROUP BY t.category_id`,
+    [userId, currency, formatDateOnly(historyStart), start]
+  );
+
+  const stats = {};
+  statsResult.rows.forEach(row => {
+    stats[row.category_id] = {
+      count: parseInt(row.count),
+      mean: parseFloat(row.mean),
+      stdDev: row.std_dev === null ? 0 : parseFloat(row.std_dev),
+      max: parseFloat(row.max)
+    };
+  });
+
+  const linesResult = await pool.query(
+    `SELECT t.id, t.transaction_date, t.category_id, c.name as category_name,
+            tx.description, p.name as payee_name, ${amountSql} as amount
+     FROM ${categoryLinesSql} t
+     JOIN transactions tx ON tx.id = t.id
+     JOIN categories c ON c.id = t.category_id
+     LEFT JOIN payees p ON p.id = tx.payee_id
+     WHERE t.user_id = $1 AND t.type = 'expense'
+       AND t.transaction_date >= $3 AND t.transaction_date <= $4
+       AND ${amountSql} IS NOT NULL`,
+    [userId, currency, start, end]
+  );
+  const lines = linesResult.rows.map(row => ({ ...row, amount: parseFloat(row.amount) }));
+
+  const historyResult = await pool.query(
+    `SELECT
+       COUNT(${amountSql}) as count,
+       PERCENTILE_CONT($5) WITHIN GROUP (ORDER BY ${amountSql}) as threshold,
+       MAX(${amountSql}) as max
+     FROM transactions t
+     WHERE t.user_id = $1 AND t.type = 'expense'
+       AND t.transaction_date >= $3 AND t.transaction_date < $4`,
+    [userId, currency, formatDateOnly(historyStart), start, settings.percentile]
+  );
+  const historyRow = historyResult.rows[0];
+  const history = {
+    count: parseInt(historyRow.count),
+    threshold: parseFloat(historyRow.threshold),
+    max: parseFloat(historyRow.max)
+  };
+
+  // A merchant is known once any earlier transaction shares its payee or its description
+  let newMerchantCharges = [];
+  if (history.count >= MIN_HISTORY_TRANSACTIONS) {
+    const chargesResult = await pool.query(
+      `SELECT t.id, t.transaction_date, t.category_id, c.name as category_name,
+              t.description, p.name as payee_name, ${amountSql} as amount
+       FROM transactions t
+       JOIN categories c ON c.id = t.category_id
+       LEFT JOIN payees p ON p.id = t.payee_id
+       WHERE t.user_id = $1 AND t.type = 'expense'
+         AND t.transaction_date >= $3 AND t.transaction_date <= $4
+         AND ${amountSql} >= $5
+         AND (t.payee_id IS NOT NULL OR NULLIF(TRIM(t.description), '') IS NOT NULL)
+         AND NOT EXISTS (
+           SELECT 1 FROM transactions e
+           WHERE e.user_id = t.user_id
+             AND (e.transaction_date, e.id) < (t.transaction_date, t.id)
+             AND (e.payee_id = t.payee_id OR LOWER(TRIM(e.description)) = LOWER(TRIM(t.description)))
+         )`,
+      [userId, currency, start, end, history.threshold]
+    );
+    newMerchantCharges = chargesResult.rows.map(row => ({ ...row, amount: parseFloat(row.amount) }));
+  }
+
+  // The history reaches back further than the spike comparison, so it covers every query
+  const unconvertedResult = await pool.query(
+    `SELECT ${unconvertedColumnsSql('$2', 't')}
+     FROM transactions t
+     WHERE t.user_id = $1 AND t.type = 'expense'
+       AND t.transaction_date >= $3 AND t.transaction_date <= $4`,
+    [userId, currency, formatDateOnly(historyStart), end]
+  );
+
+  const firstMonth = new Date(windowStart.getFullYear(), windowStart.getMonth(), 1);
+  const totalsResult = await pool.query(
+    `SELECT
+       TO_CHAR(DATE_TRUNC('month', t.transaction_date), 'YYYY-MM') as month,
+       t.category_id,
+       c.name as category_name,
+       COALESCE(SUM(${amountSql}), 0) as total_amount
+     FROM ${categoryLinesSql} t
+     JOIN categories c ON c.id = t.category_id
+     WHERE t.user_id = $1 AND t.type = 'expense'
+       AND t.transaction_date >= $3 AND t.transaction_date <= $4
+     GROUP BY 1, t.category_id, c.name`,
+    [userId, currency, formatDateOnly(addPeriods(firstMonth, 'monthly', -SPIKE_TRAILING_MONTHS)), end]
+  );
+
+  const totals = {};
+  totalsResult.rows.forEach(row => {
+    totals[row.month] = totals[row.month] || {};
+    totals[row.month][row.category_id] = { name: row.category_name, amount: parseFloat(row.total_amount) };
+  });
+
+  const months = [];
+  for (let month = firstMonth; month <= windowEnd; month = addPeriods(month, 'monthly', 1)) {
+    months.push(monthKey(month));
+  }
+  const lastMonth = monthKey(windowEnd);
+  const partialMonth = end < endOfMonth(lastMonth) ? lastMonth : null;
+
+  const anomalies = [
+    ...detectUnusualAmounts(lines, stats, settings, currency),
+    ...detectNewMerchants(newMerchantCharges, history, settings, currency),
+    ...detectSpikes(totals, months, { settings, currency, partialMonth })
+  ].sort((a, b) =>
+    SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity] ||
+    (b.date || endOfMonth(b.month)).localeCompare(a.date || endOfMonth(a.month))
+  );
+
+  return {
+    currency,
+    startDate: start,
+    endDate: end,
+    historyStartDate: formatDateOnly(historyStart),
+    sensitivity,
+    ...summarizeUnconverted(unconvertedResult.rows),
+    anomalyCount: anomalies.length,
+    anomalies
+  };
+};
+
+module.exports = {
+  SENSITIVITY_LEVELS: Object.keys(SENSITIVITY_SETTINGS),
+  detectUnusualAmounts,
+  detectNewMerchants,
+  detectSpikes,
+  findSpendingAnomalies
+};
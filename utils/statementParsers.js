@@ -0,0 +1,354 @@
+/**
+ * Parsers for bank statement files (CSV, OFX and QIF).
+ * Each parser returns raw rows of the form
+ * { line, date, rawDate, amount, description, type, category, reference }
+ * where amount is signed (negative = money out) unless a type is given.
+ */
+
+const SUPPORTED_FORMATS = ['csv', 'ofx', 'qif'];
+const DATE_FORMATS = ['YYYY-MM-DD', 'MM/DD/YYYY', 'DD/MM/YYYY'];
+
+/**
+ * Detect the statement format from a file name or its content
+ * @param {string} fileName - Original file name
+ * @param {string} content - File content
+ * @returns {string|null} csv, ofx, qif or null when unknown
+ */
+const detectFormat = (fileName = '', content = '') => {
+  const extension = fileName.split('.').pop().toLowerCase();
+  if (SUPPORTED_FORMATS.includes(extension)) return extension;
+  if (extension === 'qfx') return 'ofx';
+
+  const head = content.slice(0, 500).toUpperCase();
+  if (head.includes('OFXHEADER') || head.includes('<OFX>')) return 'ofx';
+  if (head.trimStart().startsWith('!TYPE:')) return 'qif';
+  return null;
+};
+
+/**
+ * Parse a statement amount such as "1,234.56", "(45.00)" or "-12"
+ * @param {string|number} value - Raw amount
+ * @returns {number} Parsed amount or NaN
+ */
+const parseAmount = (value) => {
+  if (typeof value === 'number') return value;
+  if (value === undefined || value === null) return NaN;
+
+  let text = String(value).trim().replace(/[\s$€£]/g, '');
+  let negative = false;
+
+  // Accounting style negatives: (45.00)
+  if (/^\(.*\)$/.test(text)) {
+    negative = true;
+    text = text.slice(1, -1);
+  }
+
+  text = text.replace(/,/g, '');
+  if (text === '' || !/^[-+]?\d*\.?\d+$/.test(text)) return NaN;
+
+  const amount = parseFloat(text);
+  return negative ? -amount : amount;
+};
+
+/**
+ * Parse a date string into YYYY-MM-DD
+ * @param {string} value - Raw date
+ * @param {string} dateFormat - One of DATE_FORMATS (default: YYYY-MM-DD, falling back to MM/DD/YYYY)
+ * @returns {string|null} ISO date or null when unparseable
+ */
+const parseDate = (value, dateFormat = 'YYYY-MM-DD') => {
+  if (!value) return null;
+  const text = String(value).trim();
+  let year, month, day;
+
+  // OFX style: 20260115 or 20260115120000[-5:EST]
+  let match = text.match(/^(\d{4})(\d{2})(\d{2})/);
+  if (match) {
+    [, year, month, day] = match;
+  } else if ((match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/))) {
+    [, year, month, day] = match;
+  } else if ((match = text.match(/^(\d{1,2})[/.-](\d{1,2})(?:[/.-]|')\s*(\d{2,4})$/))) {
+    // QIF uses an apostrophe before two-digit years from 2000 onwards: 1/15'26
+    const [, first, second, rawYear] = match;
+    if (dateFormat === 'DD/MM/YYYY') {
+      day = first;
+      month = second;
+    } else {
+      month = first;
+      day = second;
+    }
+    year = rawYear.length === 2 ? `20${rawYear}` : rawYear;
+  } else {
+    return null;
+  }
+
+  const y = parseInt(year);
+  const m = parseInt(month);
+  const d = parseInt(day);
+  const date = new Date(Date.UTC(y, m - 1, d));
+
+  if (date.getUTCFullYear() !== y || date.getUTCMonth() !== m - 1 || date.getUTCDate() !== d) {
+    return null;
+  }
+
+  return `${y}-${String(m).padStart(2, '0')}-${String(d).padStart(2, '0')}`;
+};
+
+/**
+ * Split CSV content into rows of fields, honoring quoted fields
+ * @param {string} content - CSV text
+ * @param {string} delimiter - Field delimiter
+ * @returns {Array<Array<string>>} Rows with their source line numbers attached as .line
+ */
+const splitCsv = (content, delimiter) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let rowLine = 1;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (inQuotes) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      row.push(field);
+      if (row.some(value => value.trim() !== '')) {
+        row.line = rowLine;
+        rows.push(row);
+      }
+      row = [];
+      field = '';
+      line++;
+      rowLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  row.push(field);
+  if (row.some(value => value.trim() !== '')) {
+    row.line = rowLine;
+    rows.push(row);
+  }
+
+  return rows;
+};
+
+/**
+ * Guess the CSV delimiter from the first line
+ * @param {string} content - CSV text
+ * @returns {string} Delimiter character
+ */
+const detectDelimiter = (content) => {
+  const firstLine = content.split(/\r?\n/)[0] || '';
+  const candidates = [',', ';', '\t', '|'];
+  return candidates.reduce((best, candidate) =>
+    firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best, ',');
+};
+
+/**
+ * Parse a CSV statement using a user-supplied column mapping
+ * @param {string} content - CSV text
+ * @param {object} options - Parse options
+ * @param {object} options.mapping - Column names (or 0-based indexes) for date, amount,
+ *   description, type, category, debit and credit
+ * @param {boolean} options.hasHeader - Whether the first row holds column names (default: true)
+ * @param {string} options.delimiter - Field delimiter (default: auto-detect)
+ * @param {string} options.dateFormat - Date format for ambiguous dates
+ * @returns {Array<object>} Raw rows
+ */
+const parseCsv = (content, { mapping = {}, hasHeader = true, delimiter, dateFormat } = {}) => {
+  const rows = splitCsv(content.replace(/^\uFEFF/, ''), delimiter || detectDelimiter(content));
+  if (rows.length === 0) return [];
+
+  const header = hasHeader ? rows[0].map(name => name.trim().toLowerCase()) : [];
+  const dataRows = hasHeader ? rows.slice(1) : rows;
+
+  // Resolve each mapped column to an index
+  const resolveColumn = (key) => {
+    const column = mapping[key];
+    if (column === undefined || column === null || column === '') return -1;
+    if (/^\d+$/.test(String(column))) return parseInt(column);
+    return header.indexOf(String(column).trim().toLowerCase());
+  };
+
+  const columns = {};
+  ['date', 'amount', 'description', 'type', 'category', 'debit', 'credit', 'reference'].forEach(key => {
+    columns[key] = resolveColumn(key);
+  });
+
+  const missing = [];
+  if (columns.date < 0) missing.push('date');
+  if (columns.amount < 0 && columns.debit < 0 && columns.credit < 0) missing.push('amount (or debit/credit)');
+  if (missing.length > 0) {
+    throw new Error(`Column mapping is missing or does not match the header: ${missing.join(', ')}`);
+  }
+
+  const valueAt = (row, index) => (index >= 0 && row[index] !== undefined ? row[index].trim() : '');
+
+  return dataRows.map(row => {
+    const rawDate = valueAt(row, columns.date);
+    let amount;
+
+    if (columns.amount >= 0) {
+      amount = parseAmount(valueAt(row, columns.amount));
+    } else {
+      const debit = parseAmount(valueAt(row, columns.debit));
+      const credit = parseAmount(valueAt(row, columns.credit));
+      amount = (isNaN(credit) ? 0 : Math.abs(credit)) - (isNaN(debit) ? 0 : Math.abs(debit));
+      if (isNaN(debit) && isNaN(credit)) amount = NaN;
+    }
+
+    const typeValue = valueAt(row, columns.type).toLowerCase();
+    let type = null;
+    if (['income', 'credit', 'cr', 'deposit'].includes(typeValue)) type = 'income';
+    if (['expense', 'debit', 'dr', 'withdrawal', 'payment'].includes(typeValue)) type = 'expense';
+
+    return {
+      line: row.line,
+      date: parseDate(rawDate, dateFormat),
+      rawDate,
+      amount,
+      description: valueAt(row, columns.description) || null,
+      type,
+      category: valueAt(row, columns.category) || null,
+      reference: valueAt(row, columns.reference) || null
+    };
+  });
+};
+
+/**
+ * Parse an OFX/QFX statement (SGML or XML flavor)
+ * @param {string} content - OFX text
+ * @returns {Array<object>} Raw rows
+ */
+const parseOfx = (content) => {
+  const rows = [];
+  const blockPattern = /<STMTTRN>([\s\S]*?)(?:<\/STMTTRN>|(?=<STMTTRN>)|(?=<\/BANKTRANLIST>))/gi;
+
+  // SGML OFX leaves most tags unclosed, so read each value up to the next tag or line break
+  const tagValue = (block, tag) => {
+    const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+    return match ? match[1].trim() : '';
+  };
+
+  let match;
+  while ((match = blockPattern.exec(content)) !== null) {
+    const block = match[1];
+    const line = content.slice(0, match.index).split(/\r?\n/).length;
+    const rawDate = tagValue(block, 'DTPOSTED');
+    const name = tagValue(block, 'NAME');
+    const memo = tagValue(block, 'MEMO');
+
+    rows.push({
+      line,
+      date: parseDate(rawDate),
+      rawDate,
+      amount: parseAmount(tagValue(block, 'TRNAMT')),
+      description: [name, memo].filter(Boolean).join(' - ') || null,
+      type: null,
+      category: null,
+      reference: tagValue(block, 'FITID') || null
+    });
+  }
+
+  return rows;
+};
+
+/**
+ * Parse a QIF statement
+ * @param {string} content - QIF text
+ * @param {object} options - Parse options
+ * @param {string} options.dateFormat - Date format for ambiguous dates (default: MM/DD/YYYY)
+ * @returns {Array<object>} Raw rows
+ */
+const parseQif = (content, { dateFormat = 'MM/DD/YYYY' } = {}) => {
+  const rows = [];
+  const lines = content.split(/\r?\n/);
+  let record = {};
+  let recordLine = 1;
+
+  lines.forEach((rawLine, index) => {
+    const text = rawLine.trim();
+    if (text === '' || text.startsWith('!')) {
+      if (Object.keys(record).length === 0) recordLine = index + 2;
+      return;
+    }
+
+    const code = text[0];
+    const value = text.slice(1).trim();
+
+    if (code === '^') {
+      if (Object.keys(record).length > 0) {
+        rows.push({
+          line: recordLine,
+          date: parseDate(record.D, dateFormat),
+          rawDate: record.D || '',
+          amount: parseAmount(record.T || record.U),
+          description: [record.P, record.M].filter(Boolean).join(' - ') || null,
+          type: null,
+          // Subcategories are written as Category:Subcategory
+          category: record.L ? record.L.replace(/^\[|\]$/g, '').split(':')[0] : null,
+          reference: record.N || null
+        });
+      }
+      record = {};
+      recordLine = index + 2;
+      return;
+    }
+
+    if (Object.keys(record).length === 0) recordLine = index + 1;
+    record[code] = value;
+  });
+
+  return rows;
+};
+
+/**
+ * Parse a statement in any supported format
+ * @param {string} format - csv, ofx or qif
+ * @param {string} content - File content
+ * @param {object} options - Format-specific options
+ * @returns {Array<object>} Raw rows
+ */
+const parseStatement = (format, content, options = {}) => {
+  switch (format) {
+    case 'csv':
+      return parseCsv(content, options);
+    case 'ofx':
+      return parseOfx(content);
+    case 'qif':
+      return parseQif(content, options);
+    default:
+      throw new Error(`Unsupported statement format: ${format}`);
+  }
+};
+
+module.exports = {
+  SUPPORTED_FORMATS,
+  DATE_FORMATS,
+  detectFormat,
+  parseAmount,
+  parseDate,
+  parseCsv,
+  parseOfx,
+  parseQif,
+  parseStatement
+};
@@ -0,0 +1,88 @@
+const { pool } = require('../config/database');
+
+/**
+ * Bulk re-runs over a user's existing transactions, such as re-applying
+ * categorization rules or payee aliases. Transactions are read in id order in
+ * batches so memory stays flat, every change is collected first so it can be
+ * previewed, and applying writes them all in one database transaction.
+ */
+
+const BATCH_SIZE = 1000;
+
+/**
+ * Collect the change each matching transaction needs
+ * @param {object} source - What to read
+ * @param {string} source.select - SELECT ... FROM clause over transactions aliased t
+ * @param {Array<string>} source.whereConditions - Conditions on the transactions to check
+ * @param {Array} source.queryParams - Values for the conditions' placeholders ($1, $2, ...)
+ * @param {Function} findChange - Returns the change for a transaction row, or null to leave it
+ * @returns {Promise<object>} checked (rows read) and changes
+ */
+const collectTransactionChanges = async ({ select, whereConditions, queryParams }, findChange) => {
+  const paramCount = queryParams.length;
+  const changes = [];
+  let checked = 0;
+  let lastId = 0;
+
+  for (;;) {
+    const batch = await pool.query(
+      `${select}
+       WHERE ${whereConditions.join(' AND ')} AND t.id > $${paramCount + 1}
+       ORDER BY t.id
+       LIMIT $${paramCount + 2}`,
+      [...queryParams, lastId, BATCH_SIZE]
+    );
+
+    for (const transaction of batch.rows) {
+      const change = findChange(transaction);
+      if (change) changes.push(change);
+    }
+
+    checked += batch.rows.length;
+    if (batch.rows.length < BATCH_SIZE) break;
+    lastId = batch.rows[batch.rows.length - 1].id;
+  }
+
+  return { checked, changes };
+};
+
+/**
+ * Write collected changes, one UPDATE per distinct new value, all or nothing
+ * @param {Array<object>} changes - Changes with a transaction_id
+ * @param {string} column - Transactions column to set
+ * @param {string} valueField - Change field holding the column's new value
+ * @returns {Promise<void>}
+ */
+const applyTransactionChanges = async (changes, column, valueField) => {
+  const idsByValue = new Map();
+  for (const change of changes) {
+    if (!idsByValue.has(change[valueField])) idsByValue.set(change[valueField], []);
+    idsByValue.get(change[valueField]).push(change.transaction_id);
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    for (const [value, transactionIds] of idsByValue) {
+      await client.query(
+        `UPDATE transactions SET ${column} = $1, updated_at = CURRENT_TIMESTAMP
+         WHERE id = ANY($2::integer[])`,
+        [value, transactionIds]
+      );
+    }
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+module.exports = {
+  collectTransactionChanges,
+  applyTransactionChanges
+};
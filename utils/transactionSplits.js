@@ -0,0 +1,149 @@
+const { pool } = require('../config/database');
+
+/**
+ * Split transactions: one transaction (e.g. a supermarket receipt) divided
+ * into category lines whose amounts sum to the transaction amount. The
+ * transaction keeps category_id pointing at its first line so joins on
+ * transactions.category_id keep working; category totals read the lines.
+ */
+
+/**
+ * Derived table with one row per category line: the split lines of split
+ * transactions and the transaction itself otherwise. Use it in place of
+ * `transactions` wherever amounts are grouped by category.
+ */
+const categoryLinesSql = `(
+  SELECT
+    t.id,
+    t.user_id,
+    t.type,
+    t.currency,
+    t.transaction_date,
+    COALESCE(s.category_id, t.category_id) as category_id,
+    COALESCE(s.amount, t.amount) as amount
+  FROM transactions t
+  LEFT JOIN transaction_splits s ON s.transaction_id = t.id
+)`;
+
+/**
+ * SQL expression selecting a transaction's split lines as a JSON array
+ * @param {string} alias - Table alias of the transactions table (default: t)
+ * @returns {string} Subquery, NULL for transactions that are not split
+ */
+const splitsJsonSql = (alias = 't') => `(
+  SELECT json_agg(json_build_object(
+    'id', s.id,
+    'category_id', s.category_id,
+    'category_name', sc.name,
+    'amount', s.amount,
+    'description', s.description
+  ) ORDER BY s.id)
+  FROM transaction_splits s
+  JOIN categories sc ON s.category_id = sc.id
+  WHERE s.transaction_id = ${alias}.id
+)`;
+
+/**
+ * SQL condition matching transactions in a category, directly or through a split line
+ * @param {string} placeholder - Placeholder holding the category ID (e.g. $2)
+ * @param {string} alias - Table alias of the transactions table (default: t)
+ * @returns {string} SQL condition
+ */
+const inCategorySql = (placeholder, alias = 't') =>
+  `(${alias}.category_id = ${placeholder} OR EXISTS (
+    SELECT 1 FROM transaction_splits s WHERE s.transaction_id = ${alias}.id AND s.category_id = ${placeholder}
+  ))`;
+
+/**
+ * Check split lines against the transaction they divide
+ * @param {Array} splits - Lines with category_id, amount and optional description
+ * @param {number|string} amount - Transaction amount the lines must sum to
+ * @param {string} type - Transaction type every line's category must match
+ * @param {number} userId - Owner of the transaction, who must be able to see every line's category
+ * @param {object} db - Pool or client to query with
+ * @returns {Promise<object>} { lines } with normalized lines, or { error }
+ */
+const validateSplits = async (splits, amount, type, userId, db = pool) => {
+  const lines = splits.map(split => ({
+    category_id: parseInt(split.category_id),
+    amount: Math.round(parseFloat(split.amount) * 100) / 100,
+    description: split.description || null
+  }));
+
+  // Compare in cents so 0.1 + 0.2 still matches 0.30
+  const linesTotal = lines.reduce((sum, line) => sum + Math.round(line.amount * 100), 0);
+  const expectedTotal = Math.round(parseFloat(amount) * 100);
+  if (linesTotal !== expectedTotal) {
+    return {
+      error: `Split amounts add up to ${(linesTotal / 100).toFixed(2)} but the transaction amount is ${(expectedTotal / 100).toFixed(2)}`
+    };
+  }
+
+  const categoryIds = [...new Set(lines.map(line => line.category_id))];
+  const categoriesResult = await db.query(
+    'SELECT id, type FROM categories WHERE id = ANY($1::integer[]) AND (user_id IS NULL OR user_id = $2)',
+    [categoryIds, userId]
+  );
+  const categoryTypes = new Map(categoriesResult.rows.map(row => [row.id, row.type]));
+
+  for (const categoryId of categoryIds) {
+    if (!categoryTypes.has(categoryId)) {
+      return { error: `Invalid split category ID ${categoryId}` };
+    }
+    if (categoryTypes.get(categoryId) !== type) {
+      return {
+        error: `Split category ${categoryId} type (${categoryTypes.get(categoryId)}) does not match transaction type (${type})`
+      };
+    }
+  }
+
+  return { lines };
+};
+
+/**
+ * Get a transaction's split lines
+ * @param {number} transactionId - Transaction ID
+ * @param {object} db - Pool or client to query with
+ * @returns {Promise<Array>} Lines in entry order, empty when not split
+ */
+const getSplits = async (transactionId, db = pool) => {
+  const result = await db.query(
+    'SELECT id, category_id, amount, description FROM transaction_splits WHERE transaction_id = $1 ORDER BY id',
+    [transactionId]
+  );
+
+  return result.rows;
+};
+
+/**
+ * Replace a transaction's split lines
+ * @param {number} transactionId - Transaction ID
+ * @param {Array} lines - Validated lines (empty to un-split the transaction)
+ * @param {object} db - Client of the surrounding database transaction
+ * @returns {Promise<Array>} Saved lines
+ */
+const saveSplits = async (transactionId, lines, db) => {
+  await db.query('DELETE FROM transaction_splits WHERE transaction_id = $1', [transactionId]);
+
+  const saved = [];
+  for (const line of lines) {
+    const result = await db.query(
+      `INSERT INTO transaction_splits (transaction_id, category_id, amount, description)
+       VALUES ($1, $2, $3, $4)
+       RETURNING id, category_id, amount, description`,
+      [transactionId, line.category_id, line.amount, line.description]
+    );
+    saved.push(result.rows[0]);
+  }
+
+  return saved;
+};
+
+module.exports = {
+  categoryLinesSql,
+  splitsJsonSql,
+  inCategorySql,
+  validateSplits,
+  getSplits,
+  saveSplits
+};
@@ -0,0 +1,107 @@
+const { pool } = require('../config/database');
+
+/**
+ * Free-form tags: per-user labels such as "vacation-2026" or "reimbursable"
+ * attached to any number of transactions. Unlike categories they cut across
+ * the category tree, so one trip can span Travel, Food and Transportation.
+ */
+
+const MAX_TAGS_PER_TRANSACTION = 20;
+const MAX_TAG_LENGTH = 50;
+
+/**
+ * Normalize tag names: trimmed, lower-cased, without blanks or repeats
+ * @param {Array} tags - Tag names as sent by the client
+ * @returns {Array} Unique tag names in the order first given
+ */
+const normalizeTags = (tags) => [
+  ...new Set(
+    (tags || [])
+      .map(tag => String(tag).trim().toLowerCase())
+      .filter(tag => tag.length > 0)
+  )
+];
+
+/**
+ * SQL expression selecting a transaction's tag names as a JSON array
+ * @param {string} alias - Table alias of the transactions table (default: t)
+ * @returns {string} Subquery, an empty array for untagged transactions
+ */
+const tagsJsonSql = (alias = 't') => `(
+  SELECT COALESCE(json_agg(tg.name ORDER BY tg.name), '[]'::json)
+  FROM transaction_tags tt
+  JOIN tags tg ON tt.tag_id = tg.id
+  WHERE tt.transaction_id = ${alias}.id
+)`;
+
+/**
+ * SQL condition matching transactions carrying a tag
+ * @param {string} placeholder - Placeholder holding the tag name (e.g. $2)
+ * @param {string} alias - Table alias of the transactions table (default: t)
+ * @returns {string} SQL condition
+ */
+const hasTagSql = (placeholder, alias = 't') =>
+  `EXISTS (
+    SELECT 1 FROM transaction_tags tt
+    JOIN tags tg ON tt.tag_id = tg.id
+    WHERE tt.transaction_id = ${alias}.id AND tg.name = ${placeholder}
+  )`;
+
+/**
+ * Replace a transaction's tags, creating the owner's tags that do not exist yet
+ * @param {number} transactionId - Transaction ID
+ * @param {number} userId - Owner of the transaction and its tags
+ * @param {Array} names - Normalized tag names (empty to untag the transaction)
+ * @param {object} db - Client of the surrounding database transaction
+ * @returns {Promise<Array>} Saved tag names, sorted
+ */
+const saveTags = async (transactionId, userId, names, db) => {
+  await db.query('DELETE FROM transaction_tags WHERE transaction_id = $1', [transactionId]);
+
+  if (names.length === 0) {
+    return [];
+  }
+
+  await db.query(
+    `INSERT INTO tags (user_id, name)
+     SELECT $1, UNNEST($2::varchar[])
+     ON CONFLICT (user_id, name) DO NOTHING`,
+    [userId, names]
+  );
+
+  await db.query(
+    `INSERT INTO transaction_tags (transaction_id, tag_id)
+     SELECT $1, id FROM tags WHERE user_id = $2 AND name = ANY($3::varchar[])`,
+    [transactionId, userId, names]
+  );
+
+  return [...names].sort();
+};
+
+/**
+ * Get a transaction's tag names
+ * @param {number} transactionId - Transaction ID
+ * @param {object} db - Pool or client to query with
+ * @returns {Promise<Array>} Tag names, sorted
+ */
+const getTags = async (transactionId, db = pool) => {
+  const result = await db.query(
+    `SELECT tg.name FROM transaction_tags tt
+     JOIN tags tg ON tt.tag_id = tg.id
+     WHERE tt.transaction_id = $1
+     ORDER BY tg.name`,
+    [transactionId]
+  );
+
+  return result.rows.map(row => row.name);
+};
+
+module.exports = {
+  MAX_TAGS_PER_TRANSACTION,
+  MAX_TAG_LENGTH,
+  normalizeTags,
+  tagsJsonSql,
+  hasTagSql,
+  saveTags,
+  getTags
+};
@@ -0,0 +1,206 @@
+/**
+ * Two-factor authentication with time-based one-time passwords (RFC 6238,
+ * the codes shown by authenticator apps) and single-use backup codes for
+ * when the authenticator is lost. Each TOTP time step is accepted at most
+ * once per user, so an observed code cannot be replayed.
+ */
+const crypto = require('crypto');
+const { pool } = require('../config/database');
+
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'Personal Finance Tracker';
+const TOTP_PERIOD_SECONDS = 30;
+const TOTP_DIGITS = 6;
+
+// Steps either side of the current one that are still accepted, for clock drift
+const TOTP_ALLOWED_DRIFT = 1;
+
+const BACKUP_CODE_COUNT = 10;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+  let bits = '';
+  for (const byte of buffer) {
+    bits += byte.toString(2).padStart(8, '0');
+  }
+
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+
+  return output;
+};
+
+const base32Decode = (encoded) => {
+  let bits = '';
+  for (const char of encoded.replace(/=+$/, '').toUpperCase()) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value === -1) throw new Error(`Invalid base32 character: ${char}`);
+    bits += value.toString(2).padStart(5, '0');
+  }
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a new TOTP secret
+ * @returns {string} 160-bit secret, base32 encoded as authenticator apps expect
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Compute the TOTP code for a time step
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Number of periods since the Unix epoch
+ * @returns {string} Zero-padded code
+ */
+const totpCode = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+};
+
+/**
+ * Find the time step a TOTP code belongs to
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code as entered
+ * @param {Date} now - Time to check against (defaults to now)
+ * @returns {number|null} Matching step, or null when the code is wrong
+ */
+const matchTotpStep = (secret, code, now = new Date()) => {
+  const normalized = String(code).replace(/\s+/g, '');
+  if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(normalized)) return null;
+
+  const current = Math.floor(now.getTime() / 1000 / TOTP_PERIOD_SECONDS);
+  for (let drift = -TOTP_ALLOWED_DRIFT; drift <= TOTP_ALLOWED_DRIFT; drift++) {
+    const expected = totpCode(secret, current + drift);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return current + drift;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Build the otpauth:// URI authenticator apps enroll from (usually shown as a QR code)
+ * @param {string} secret - Base32 secret
+ * @param {string} accountName - Account label, such as the user's email
+ * @returns {string} otpauth URI
+ */
+const otpauthUri = (secret, accountName) => {
+  const label = `${encodeURIComponent(TOTP_ISSUER)}:${encodeURIComponent(accountName)}`;
+  const params = new URLSearchParams({
+    secret,
+    issuer: TOTP_ISSUER,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD_SECONDS)
+  });
+
+  // Authenticator apps expect %20 rather than + for spaces
+  return `otpauth://totp/${label}?${params.toString().replace(/\+/g, '%20')}`;
+};
+
+// Backup codes are compared without dashes, spaces or case
+const normalizeBackupCode = (code) => String(code).replace(/[\s-]/g, '').toUpperCase();
+
+const hashBackupCode = (code) => crypto.createHash('sha256').update(normalizeBackupCode(code)).digest('hex');
+
+/**
+ * Replace a user's backup codes with a fresh set
+ * @param {object} db - Pool or transaction client
+ * @param {number} userId - User ID
+ * @returns {Promise<Array<string>>} The new codes; only their hashes are stored
+ */
+const replaceBackupCodes = async (db, userId) => {
+  const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+    const code = base32Encode(crypto.randomBytes(5));
+    return `${code.slice(0, 4)}-${code.slice(4)}`;
+  });
+
+  await db.query('DELETE FROM user_backup_codes WHERE user_id = $1', [userId]);
+  await db.query(
+    `INSERT INTO user_backup_codes (user_id, code_hash)
+     SELECT $1, unnest($2::text[])`,
+    [userId, codes.map(hashBackupCode)]
+  );
+
+  return codes;
+};
+
+/**
+ * Count the backup codes a user has left
+ * @param {number} userId - User ID
+ * @returns {Promise<number>} Unused codes
+ */
+const countBackupCodes = async (userId) => {
+  const result = await pool.query(
+    'SELECT COUNT(*) as remaining FROM user_backup_codes WHERE user_id = $1 AND used_at IS NULL',
+    [userId]
+  );
+
+  return parseInt(result.rows[0].remaining);
+};
+
+/**
+ * Check a second-factor code for a user with two-factor authentication,
+ * consuming it so it cannot be used again
+ * @param {object} user - User row with id and two_factor_secret
+ * @param {string} code - TOTP code or backup code
+ * @returns {Promise<object>} valid, and method (totp or backup_code) when valid
+ */
+const verifySecondFactor = async (user, code) => {
+  if (!user.two_factor_secret || code === undefined || code === null) {
+    return { valid: false };
+  }
+
+  const step = matchTotpStep(user.two_factor_secret, code);
+  if (step !== null) {
+    // Only a step later than the last accepted one counts
+    const result = await pool.query(
+      `UPDATE users SET two_factor_last_step = $1
+       WHERE id = $2 AND (two_factor_last_step IS NULL OR two_factor_last_step < $1)
+       RETURNING id`,
+      [step, user.id]
+    );
+
+    return result.rows.length > 0 ? { valid: true, method: 'totp' } : { valid: false };
+  }
+
+  const result = await pool.query(
+    `UPDATE user_backup_codes SET used_at = CURRENT_TIMESTAMP
+     WHERE id = (
+       SELECT id FROM user_backup_codes
+       WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+       LIMIT 1
+     )
+     RETURNING id`,
+    [user.id, hashBackupCode(code)]
+  );
+
+  return result.rows.length > 0 ? { valid: true, method: 'backup_code' } : { valid: false };
+};
+
+module.exports = {
+  TOTP_ISSUER,
+  BACKUP_CODE_COUNT,
+  generateSecret,
+  totpCode,
+  matchTotpStep,
+  otpauthUri,
+  replaceBackupCodes,
+  countBackupCodes,
+  verifySecondFactor
+};